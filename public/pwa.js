@@ -13,28 +13,49 @@ if ('caches' in window) {
   // Checking to see if the Service Worker API is available
   // If so, we register our service worker and run all PWA operations
   if (navigator.serviceWorker) {
-    // If the new service worker is not up to date with the current worker, it will activate the new
-    // service worker as its new current. Otherwise, it will automatically activate the service worker
+    // The first service worker activates automatically. A new version of it waits until the user
+    // agrees to reload, which the app asks them to do (see src/components/UpdatePrompt)
+    const hadController = Boolean(navigator.serviceWorker.controller);
     navigator.serviceWorker
       .register('/sw.js')
       .then(reg => {
+        // A new version that finished installing while the app was closed is already waiting
+        if (reg.waiting && navigator.serviceWorker.controller) {
+          window.postMessage('update-available', window.location.origin);
+        }
+
         reg.onupdatefound = () => {
           const installingWorker = reg.installing;
           installingWorker.onstatechange = () => {
-            if (installingWorker.state === 'activated') {
+            // If there's already a controlling service worker, the new one waits until the user
+            // agrees to reload. The app is told so that it can ask them
+            if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+              window.postMessage('update-available', window.location.origin);
+            } else if (installingWorker.state === 'activated') {
               localStorage.setItem('network-status', JSON.stringify('online'));
-              // After the service worker is activated, a message is sent to start caching files
-              navigator.serviceWorker.controller.postMessage({
-                message: 'update-cache-files',
-                token: JSON.parse(localStorage.getItem('token')),
-                termCode: JSON.parse(localStorage.getItem('currentTerm')),
-              });
+              // After the service worker is activated, the app is asked to start caching files,
+              // since only the app can read the user's token and term code from storage
+              window.postMessage('update-cache-files', window.location.origin);
             }
           };
         };
       })
       .catch(console.error);
 
+    /**
+     * When the user agrees to update, the waiting service worker takes control of every open tab.
+     * Each tab is reloaded, since the code it's running is from the previous version and may need
+     * files that the new service worker no longer caches
+     */
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // Installing the first service worker also changes the controller, but there's no previous
+      // version running then
+      if (isReloading || !hadController) return;
+      isReloading = true;
+      window.location.reload();
+    });
+
     /**
      * When a user exists out the app and re-opens it, this will check to see if they are
      * connected to the internet
@@ -77,11 +98,7 @@ if ('caches' in window) {
       // Due to the network coming back online, an attempt is made to cache all files and an
       // online message is sent throughout all components
       localStorage.setItem('network-status', JSON.stringify('online'));
-      navigator.serviceWorker.controller.postMessage({
-        message: 'update-cache-files',
-        token: JSON.parse(localStorage.getItem('token')),
-        termCode: JSON.parse(localStorage.getItem('currentTerm')),
-      });
+      window.postMessage('update-cache-files', window.location.origin);
       navigator.serviceWorker.controller.postMessage('online');
       window.postMessage('online', window.location.origin);
     });
@@ -25,12 +25,20 @@
  * words, variables found in one script can and will be found in other scripts since they are all
  * connected to this service worker.
  */
-importScripts('./sw_global_variables.js', './sw_guest_cache.js', './sw_user_cache.js');
+importScripts(
+  './sw_global_variables.js',
+  './sw_guest_cache.js',
+  './sw_user_cache.js',
+  './sw_mutation_queue.js',
+  './sw_precache.js',
+  './sw_cache_strategies.js',
+  './sw_push.js',
+);
 
 /**
  * Imported Variables and functions
  *
- * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache all files
+ * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache data for offline mode
  * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
  * (sw_global_variables.js) | fontKeySource           | The URL of the font CSS file used by Gordon 360
  * (sw_global_variables.js) | cacheEmoji              | The emoji symbol used to display in the console log for cache related logs
@@ -41,13 +49,25 @@ importScripts('./sw_global_variables.js', './sw_guest_cache.js', './sw_user_cach
  * (sw_global_variables.js) | errorLog                | Console log styling for cache related logs
  * (sw_global_variables.js) | statusLog               | Console log styling for status related logs
  * (sw_guest_cache.js)      | cacheGuestFiles()       | Function that caches all of the files needed for the guest in offline mode
- * (sw_guest_cache.js)      | static360Cache          | The URLs of every file that's locally cached
  * (sw_guest_cache.js)      | guestRemoteLinks        | The list of URLs used to cache files for the guest in offline mode
  * (sw_user_cache.js)       | userRemoteLinks         | The list of URLs used to cache files for the authenticated user in offline mode
  * (sw_user_cache.js)       | cacheUserFiles()        | Function that caches all of the files needed for the authenticated user in offline mode
  * (sw_user_cache.js)       | removeUserCache()       | Function that removes all data from cache associated with the authenticated user
+ * (sw_mutation_queue.js)   | isQueueableMutation()   | Function that determines if a request should be queued when the network is down
+ * (sw_mutation_queue.js)   | fetchOrQueueMutation()  | Function that sends a request, or queues it when the network is down
+ * (sw_mutation_queue.js)   | handleMutationQueueMessage() | Function that handles messages from the app about queued requests
+ * (sw_precache.js)         | getPrecacheName()       | Function that gets the name of the cache that holds the files of this version's build
+ * (sw_precache.js)         | installPrecache()       | Function that caches the files of this version's build
+ * (sw_precache.js)         | matchPrecache()         | Function that gets a file built for 360 from cache
+ * (sw_cache_strategies.js) | respondByRule()         | Function that responds to a request with the caching strategy of the rule that matches it
+ * (sw_cache_strategies.js) | getRuntimeCacheNames()  | Function that gets the names of the caches used by the caching rules
  */
 
+// Hash of the precache manifest, written by scripts/generate-precache-manifest.js when the app is
+// built. Since it changes whenever any built file changes, each deploy installs a new service
+// worker
+const precacheVersion = 'development';
+
 // Local Variables
 let token, // Holds the token of the user
   termCode, // Holds the current semester term code
@@ -56,93 +76,46 @@ let token, // Holds the token of the user
   network = 'online'; // Determines if the network is online or offline
 
 /**
- * Removes all cache data. This includes data from the current cache version and any other cache
- * present. This may need to be modified in the future if the service worker isn't the only place
- * using the cache. If other functions outside of the service worker uses the cache, its cache data
- * will also be deleted when a new service worker installs and may cause a bug
+ * Removes every cache that's no longer used, including the files of previous builds. The current
+ * data cache, this build's precache and the caches used by the caching rules are kept, so that the
+ * user's offline data survives a new service worker installing. This may need to be modified in
+ * the future if the service worker isn't the only place using the cache
  */
-async function removeAllCache() {
-  await caches.keys().then(keys => {
-    // Goes through each cache present and deletes it
-    keys.forEach(async key => {
-      await caches.delete(key).then(() => {
-        if (showDeveloperConsoleLog) {
-          key === cacheVersion
-            ? // If the cache is the same as the current cache version
-              console.log(`%cCurrent cache cleared: "${key}"`, statusLog)
-            : // If the cache is not the same as the current cache version
-              console.log(`%cPrevious cache has been removed: "${key}"`, statusLog);
-        }
-      });
-    });
-  });
+async function removeOutdatedCaches() {
+  const currentCaches = [cacheVersion, getPrecacheName(), ...getRuntimeCacheNames()];
+  const keys = await caches.keys();
+  await Promise.all(
+    keys
+      // Goes through each cache present and deletes it unless it's still used
+      .filter(key => !currentCaches.includes(key))
+      .map(async key => {
+        await caches.delete(key);
+        if (showDeveloperConsoleLog)
+          console.log(`%cPrevious cache has been removed: "${key}"`, statusLog);
+      }),
+  );
 }
 
 /**
  * Does a fetch for each request received.
  *
- * If the network is available, it returns a response from the fetch.
- * Otherwise, it returns a response from the cache.
+ * Each request is responded to with the caching strategy of the first rule in `cacheRules` that
+ * matches it, e.g. from the network with the cache as a fallback for API data, or from the cache
+ * for the files built for 360.
  *
- * @param {Request} request The request to be fetched from the network or cache
+ * @param {FetchEvent} event The event for the request to be fetched from the network or cache
  * @return {Response} A response served from the network or cache
  */
-async function fetchThenCache(request) {
+async function fetchThenCache(event) {
   // Attempts to do a fetch with the request if fetches have not been canceled
   if (!isFetchCanceled) {
-    try {
-      return await fetch(request).then(async fetchResponse => {
-        // If the request is specifically Gordon 360's Font CSS or a file that's needed for offline
-        // mode, it's cached before being returned
-        if (
-          request.url === fontKeySource ||
-          static360Cache.includes(request.url) ||
-          guestRemoteLinks.includes(request.url) ||
-          userRemoteLinks.includes(request.url)
-        ) {
-          await caches.open(cacheVersion).then(cache => {
-            cache.put(request.url, fetchResponse.clone());
-          });
-          return fetchResponse.clone();
-        }
-
-        // Returns the fetch's response if it's not a file that's needed for offline mode
-        return fetchResponse.clone();
-      });
-    } catch (error) {
-      // Since the fetch failed, attempt to retrieve the response from cache
-      if (showDeveloperConsoleLog)
-        console.log(`%c${cacheEmoji} Getting ${request.url} from cache instead...`, cacheLog);
-      let response;
-      /**
-       * Checks the URL to see if it's the events page or the attended events page that contains
-       * query parameters. If there are any query parameters, the file "/events" is returned.
-       * This is fine because the file that's requested is the same HTML file that "/events" is
-       */
-
-      if (request.url.includes('/events?') || request.url.includes('/attended?')) {
-        response = await caches.open(cacheVersion).then(async cache => {
-          const response = await cache.match(location.origin + '/events');
-          return response;
-        });
-      } else {
-        response = await caches.open(cacheVersion).then(cache => {
-          return cache.match(request.url).then(response => {
-            return response;
-          });
-        });
-      }
-
-      // If there's no response from cache, we console log that the request failed
-      if (response) {
-        return response;
-      } else if (showDeveloperConsoleLog)
-        console.log(`%c${errorEmoji} Failed to get ${request.url} from cache`, errorLog);
-    }
-  } else {
-    // Console logs that the fetch has been canceled
+    return respondByRule(event);
+  }
+  // Console logs that the fetch has been canceled
+  else {
+    const { url } = event.request;
     if (showDeveloperConsoleLog)
-      console.log(`%c${warningEmoji} Request has been canceled: ${request.url}`, warningLog);
+      console.log(`%c${warningEmoji} Request has been canceled: ${url}`, warningLog);
   }
 }
 
@@ -162,17 +135,22 @@ function timerFunction() {
 }
 
 /**************************************** EVENT LISTENERS *****************************************/
-self.addEventListener('install', () => {
-  self.skipWaiting();
+// A new version waits until the user agrees to reload, rather than taking over while the previous
+// version's code is still running (see the 'skip-waiting' message below). It precaches its own
+// build's files while it installs, so that they are ready by then
+self.addEventListener('install', event => {
   if (showDeveloperConsoleLog) console.log('%cInstalling Service Worker', statusLog);
+  event.waitUntil(installPrecache());
 });
 
-self.addEventListener('activate', async event => {
-  if (showDeveloperConsoleLog) console.log('%cActivating Service Worker', statusLog);
+self.addEventListener('activate', event => {
+  if (showDeveloperConsoleLog) {
+    console.log(`%cActivating Service Worker (build ${precacheVersion})`, statusLog);
+  }
   self.clients.claim();
-  // Removes outdated cache and starts timer to update the cache every hour
-  await removeAllCache();
-  timerFunction();
+  // Removes outdated caches, including the previous build's files now that nothing runs it, and
+  // starts timer to update the cache every hour
+  event.waitUntil(removeOutdatedCaches().then(timerFunction));
 });
 
 self.addEventListener('fetch', event => {
@@ -187,10 +165,29 @@ self.addEventListener('fetch', event => {
   //     console.log(`Fetching request from REMOTE LOCATION: ${event.request.url}`);
   //   }
   // }
-  event.respondWith(fetchThenCache(event.request));
+  // Requests that modify data are never cached, but are queued if the network is down
+  if (isQueueableMutation(event.request)) {
+    event.respondWith(fetchOrQueueMutation(event.request));
+  } else {
+    event.respondWith(fetchThenCache(event));
+  }
 });
 
 self.addEventListener('message', async event => {
+  // Messages about queued requests don't carry the token and term code, so they must not reset them
+  if (handleMutationQueueMessage(event)) return;
+
+  // If the message is to get the version of 360 that this service worker serves
+  if (event.data === 'get-version') {
+    event.ports[0].postMessage(precacheVersion);
+    return;
+  }
+  // If the message is that the user agreed to reload into this version of 360
+  else if (event.data === 'skip-waiting') {
+    self.skipWaiting();
+    return;
+  }
+
   // Gets the token and current semester term code
   token = event.data.token ? event.data.token : null;
   termCode = event.data.termCode ? event.data.termCode : null;
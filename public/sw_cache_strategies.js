@@ -0,0 +1,298 @@
+/**
+ * ES-Lint warnings are disabled because there are functions/variables that are defined here but
+ * referenced in another script and this script itself is referencing variables from another script
+ */
+/* eslint-disable no-undef */
+/* eslint-disable no-unused-vars */
+
+/**
+ * This file decides how the service worker responds to each request, using a table of rules keyed
+ * by URL pattern. Each rule names one of these strategies:
+ *
+ * network-first          | Fetches from the network, falling back to the cache when offline
+ * cache-first            | Responds from the cache, only fetching what hasn't been cached yet
+ * stale-while-revalidate | Responds from the cache, then fetches to update the cache for next time
+ * network-only           | Always fetches from the network, and never caches
+ *
+ * Every strategy that reads the cache also reads the precache (see sw_precache.js), so the files
+ * built for 360 are always served from there.
+ *
+ * A rule may limit its cache with `maxEntries`, past which the oldest cached responses are removed,
+ * and `maxAgeSeconds`, past which a cached response is no longer used. The age of a response is
+ * recorded in the `cachedAtHeader` when it is cached. Cross-origin responses that can't be read
+ * (opaque responses) can't have the header added, so they are only limited by `maxEntries`.
+ */
+
+/**
+ * Imported Variables
+ *
+ * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache data for offline mode
+ * (sw_global_variables.js) | apiSource               | The API source where all fetch requests are directed to
+ * (sw_global_variables.js) | fontKeySource           | The URL of the font CSS file used by Gordon 360
+ * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
+ * (sw_global_variables.js) | cacheEmoji              | The emoji symbol used to display in the console log for cache related logs
+ * (sw_global_variables.js) | cacheLog                | Console log styling for cache related logs
+ * (sw_global_variables.js) | errorEmoji              | The emoji symbol used to display in the console log for error related logs
+ * (sw_global_variables.js) | errorLog                | Console log styling for cache related logs
+ * (sw_guest_cache.js)      | guestRemoteLinks        | The list of URLs used to cache files for the guest in offline mode
+ * (sw_user_cache.js)       | userRemoteLinks         | The list of URLs used to cache files for the authenticated user in offline mode
+ * (sw_precache.js)         | matchPrecache()         | Function that gets a file built for 360 from cache
+ */
+
+// Header added to cached responses to record when they were cached, in milliseconds since the epoch
+const cachedAtHeader = 'x-sw-cached-at';
+
+const secondsPerDay = 24 * 60 * 60;
+
+/**
+ * The rules for responding to requests. The first rule whose `matches` function returns true for a
+ * request is used, so the last rule matches everything.
+ *
+ * name          | Describes the requests the rule is for
+ * matches       | Function called with the request and its URL; returns whether the rule applies
+ * strategy      | The name of the strategy used to respond (see above)
+ * cacheName     | The cache that responses are read from and saved to
+ * shouldCache   | Function called with the URL; returns whether to save the response (default: all)
+ * maxEntries    | The most responses to keep in the cache
+ * maxAgeSeconds | How long a cached response may be used for
+ */
+const cacheRules = [
+  {
+    // Every route of the app is served the app's HTML, so any route works offline
+    name: 'Pages of the app',
+    matches: (request) => request.mode === 'navigate',
+    strategy: 'network-first',
+  },
+  {
+    // Built files are named after a hash of their contents, so a cached file never goes stale
+    name: 'Files built for 360',
+    matches: (request, url) =>
+      url.origin === location.origin && url.pathname.startsWith('/static/'),
+    strategy: 'cache-first',
+    cacheName: 'static-files',
+    maxEntries: 100,
+    maxAgeSeconds: 30 * secondsPerDay,
+  },
+  {
+    name: 'Fonts',
+    matches: (request, url) =>
+      url.href === fontKeySource ||
+      request.destination === 'font' ||
+      /\.(woff2?|ttf|otf|eot)$/i.test(url.pathname),
+    strategy: 'cache-first',
+    cacheName: 'fonts',
+    maxEntries: 30,
+    maxAgeSeconds: 365 * secondsPerDay,
+  },
+  {
+    name: 'Images',
+    matches: (request, url) =>
+      request.destination === 'image' || /\.(png|jpe?g|gif|svg|ico|webp)$/i.test(url.pathname),
+    strategy: 'stale-while-revalidate',
+    cacheName: 'images',
+    maxEntries: 100,
+    maxAgeSeconds: 30 * secondsPerDay,
+  },
+  {
+    // Only the data needed for offline mode is cached. Which data that is depends on the user, and
+    // it's removed when they sign out, so the cache isn't limited here (see sw_guest_cache.js and
+    // sw_user_cache.js)
+    name: 'API',
+    matches: (request, url) => url.href.toLowerCase().startsWith(apiSource),
+    strategy: 'network-first',
+    cacheName: cacheVersion,
+    shouldCache: (link) => guestRemoteLinks.includes(link) || userRemoteLinks.includes(link),
+  },
+  {
+    // Requests that modify data are queued by sw_mutation_queue.js, and the rest (e.g. analytics)
+    // aren't needed offline
+    name: 'Everything else',
+    matches: () => true,
+    strategy: 'network-only',
+  },
+];
+
+/**
+ * Determines whether a cached response is too old to be used
+ *
+ * @param {Response} response A cached response
+ * @param {Object} rule The rule the response was cached by
+ * @returns {Boolean} Whether the response is older than the rule's `maxAgeSeconds`
+ */
+function isExpired(response, rule) {
+  const cachedAt = Number(response.headers.get(cachedAtHeader));
+  return (
+    Boolean(rule.maxAgeSeconds && cachedAt) && Date.now() - cachedAt > rule.maxAgeSeconds * 1000
+  );
+}
+
+/**
+ * Gets a response from the precache, or from the rule's cache if it's not too old
+ *
+ * @param {Request} request The request to respond to
+ * @param {Object} rule The rule for the request
+ * @returns {Response|undefined} The cached response, if there is one
+ */
+async function matchCache(request, rule) {
+  const precachedResponse = await matchPrecache(request);
+  if (precachedResponse || !rule.cacheName) return precachedResponse;
+
+  const cache = await caches.open(rule.cacheName);
+  const response = await cache.match(request.url);
+  if (response && isExpired(response, rule)) {
+    await cache.delete(request.url);
+    return undefined;
+  }
+  return response;
+}
+
+/**
+ * Removes the oldest responses from a cache until it holds no more than the maximum. Responses are
+ * kept in the order they were cached, so the first keys are the oldest
+ *
+ * @param {Cache} cache The cache to trim
+ * @param {Number} maxEntries The most responses to keep
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excessKeys = keys.slice(0, Math.max(keys.length - maxEntries, 0));
+  await Promise.all(excessKeys.map((key) => cache.delete(key)));
+}
+
+/**
+ * Saves a response to the rule's cache, recording when it was cached and removing the oldest
+ * responses if the cache is full
+ *
+ * @param {Request} request The request that was responded to
+ * @param {Response} response The response to save
+ * @param {Object} rule The rule for the request
+ */
+async function putInCache(request, response, rule) {
+  let cachedResponse = response;
+  // Opaque responses can't be read, so they can't be copied with the header added
+  if (rule.maxAgeSeconds && response.type !== 'opaque') {
+    const headers = new Headers(response.headers);
+    headers.set(cachedAtHeader, String(Date.now()));
+    cachedResponse = new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  }
+
+  const cache = await caches.open(rule.cacheName);
+  await cache.put(request.url, cachedResponse);
+  if (rule.maxEntries) await trimCache(cache, rule.maxEntries);
+}
+
+/**
+ * Fetches a request from the network, and saves the response if the rule caches it
+ *
+ * @param {Request} request The request to fetch
+ * @param {Object} rule The rule for the request
+ * @returns {Response} The response from the network
+ */
+async function fetchAndCache(request, rule) {
+  const response = await fetch(request);
+  if (
+    rule.cacheName &&
+    (response.ok || response.type === 'opaque') &&
+    (!rule.shouldCache || rule.shouldCache(request.url))
+  ) {
+    await putInCache(request, response.clone(), rule);
+  }
+  return response;
+}
+
+/**
+ * Responds with a response from the network, or from the cache if the network can't be reached
+ *
+ * @param {Request} request The request to respond to
+ * @param {Object} rule The rule for the request
+ * @returns {Response} The response
+ */
+async function networkFirst(request, rule) {
+  try {
+    return await fetchAndCache(request, rule);
+  } catch (error) {
+    // Since the fetch failed, attempt to retrieve the response from cache
+    if (showDeveloperConsoleLog)
+      console.log(`%c${cacheEmoji} Getting ${request.url} from cache instead...`, cacheLog);
+    const response = await matchCache(request, rule);
+    if (response) return response;
+
+    // If there's no response from cache, we console log that the request failed
+    if (showDeveloperConsoleLog)
+      console.log(`%c${errorEmoji} Failed to get ${request.url} from cache`, errorLog);
+    throw error;
+  }
+}
+
+/**
+ * Responds with a response from the cache, or from the network if it hasn't been cached
+ *
+ * @param {Request} request The request to respond to
+ * @param {Object} rule The rule for the request
+ * @returns {Response} The response
+ */
+async function cacheFirst(request, rule) {
+  const response = await matchCache(request, rule);
+  return response || fetchAndCache(request, rule);
+}
+
+/**
+ * Responds with a response from the cache if there is one, while fetching a new response to cache
+ * for next time
+ *
+ * @param {Request} request The request to respond to
+ * @param {Object} rule The rule for the request
+ * @param {FetchEvent} event The event for the request, kept alive until the cache is updated
+ * @returns {Response} The response
+ */
+async function staleWhileRevalidate(request, rule, event) {
+  const response = await matchCache(request, rule);
+  const update = fetchAndCache(request, rule);
+  if (!response) return update;
+
+  event.waitUntil(update.catch(() => {}));
+  return response;
+}
+
+/**
+ * Responds with a response from the network
+ *
+ * @param {Request} request The request to respond to
+ * @returns {Response} The response
+ */
+function networkOnly(request) {
+  return fetch(request);
+}
+
+// The strategies that rules can name
+const cacheStrategies = {
+  'network-first': networkFirst,
+  'cache-first': cacheFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'network-only': networkOnly,
+};
+
+/**
+ * Gets the names of every cache used by the rules
+ *
+ * @returns {Array<String>} The cache names
+ */
+function getRuntimeCacheNames() {
+  return cacheRules.map(({ cacheName }) => cacheName).filter((cacheName) => cacheName);
+}
+
+/**
+ * Responds to a request using the first rule that matches it
+ *
+ * @param {FetchEvent} event The event for the request
+ * @returns {Response} The response
+ */
+function respondByRule(event) {
+  const { request } = event;
+  const rule = cacheRules.find((candidate) => candidate.matches(request, new URL(request.url)));
+  return cacheStrategies[rule.strategy](request, rule, event);
+}
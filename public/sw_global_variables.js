@@ -4,7 +4,8 @@
  */
 /* eslint-disable no-unused-vars */
 
-// Cache version
+// Cache version of the data cached for offline mode. The cache is kept when a new service worker
+// installs, so only change this when the format of the cached data changes
 const cacheVersion = 'cache v1.3';
 
 // API Source
@@ -6,7 +6,8 @@
 /* eslint-disable no-unused-vars */
 
 /**
- * This file handles the caching of all local files for 360 and remote files for guest mode offline
+ * This file handles the caching of all remote files for guest mode offline. The files built for 360
+ * are cached by sw_precache.js
  *
  * @author Jahnuel Dorelus
  */
@@ -14,7 +15,7 @@
 /**
  * Imported Variables
  *
- * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache all files
+ * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache data for offline mode
  * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
  * (sw_global_variables.js) | warningEmoji            | The emoji symbol used to display in the console log for warning related logs
  * (sw_global_variables.js) | warningLog              | Console log styling for warning related logs
@@ -26,74 +27,6 @@
  * (sw.js)                  | isFetchCanceled         | Determines if there's a cancelation of all fetches
  */
 
-// Static links to fetch and cache
-const static360Cache = [
-  // Documents
-  '/',
-  '/events',
-  '/events?CLW%20Credits',
-  '/involvements',
-  '/feedback',
-  '/people',
-  '/favicon.ico',
-  '/about',
-  '/help',
-  '/admin',
-  '/news',
-  '/myprofile',
-  '/transcript',
-  '/attended',
-  '/manifest.json',
-  '/pwa.js',
-  '/static/js/bundle.js',
-  '/static/js/0.chunk.js',
-  '/static/js/0.chunk.js.map',
-  '/static/js/main.chunk.js',
-  '/static/js/main.chunk.js.map',
-  '/static/js/1.chunk.js',
-  '/static/js/1.chunk.js.map',
-  // Images
-  '/images/android-icon-36x36.png',
-  '/images/android-icon-48x48.png',
-  '/images/android-icon-72x72.png',
-  '/images/android-icon-96x96.png',
-  '/images/android-icon-144x144.png',
-  '/images/android-icon-192x192.png',
-  '/images/apple-icon-72x72.png',
-  '/images/apple-icon-76x76.png',
-  '/images/apple-icon-114x114.png',
-  '/images/apple-icon-120x120.png',
-  '/images/apple-icon-144x144.png',
-  '/images/apple-icon-152x152.png',
-  '/images/apple-icon-180x180.png',
-  '/images/apple-icon-precomposed.png',
-  '/images/iphone5_splash.png',
-  '/images/iphone6_splash.png',
-  '/images/iphoneplus_splash.png',
-  '/images/iphonex_splash.png',
-  '/images/ipad_splash.png',
-  '/images/ipadpro1_splash.png',
-  '/images/ipadpro2_splash.png',
-  '/images/apple-icon.png',
-  '/images/favicon-16x16.png',
-  '/images/favicon-32x32.png',
-  '/images/favicon-96x96.png',
-  '/images/ms-icon-70x70.png',
-  '/images/ms-icon-144x144.png',
-  '/images/ms-icon-150x150.png',
-  '/images/ms-icon-310x310.png',
-  '/static/media/campus1366.e8fc7838.jpg',
-  '/static/media/gordon-logo-vertical-white.a6586885.svg',
-  '/static/media/NoConnection.68275814.svg',
-  '/static/media/GordonFavicon.3e563128.ico',
-  '/static/media/MyGordonFavicon.7433864b.ico',
-  '/static/media/GoGordonFavicon.3e563128.ico',
-  '/static/media/BbFavicon.ba837cb2.ico',
-  '/static/media/Off-CC.814b04da.svg',
-  '/static/media/Off-IM.853ae19c.svg',
-  '/static/media/Off-LS.c865b557.svg',
-  '/static/media/Off-LW.4e6742d6.svg',
-];
 // A list of all the links that's needed for guest view
 let guestRemoteLinks = [];
 // Used to determine all fetches that were canceled, failed, successful, or has a bad responose
@@ -159,7 +92,7 @@ async function createRemoteGuestLinks() {
 /**
  * Caches all of the guest files
  *
- * The files cached are both the local and remote files required for guest mode. If all files are
+ * The files cached are the remote files required for guest mode. If all files are
  * cached successfuly, its success is console logged. Vice versa if it fails.
  */
 async function cacheGuestFiles() {
@@ -176,11 +109,6 @@ async function cacheGuestFiles() {
   }
   // Links were created successfully
   else {
-    // Caches local files
-    await caches.open(cacheVersion).then((cache) => {
-      cache.addAll(static360Cache);
-    });
-
     // Caches remote files. The list of the guest remote links is parsed through to fetch and
     // cache all files for guest view
     for (const item of guestRemoteLinks) {
@@ -210,7 +138,6 @@ async function cacheGuestFiles() {
       failedGuestFetches.length > 0
     )
       console.log(`%c${warningEmoji} Status of Guest Fetches:`, warningLog, {
-        local: static360Cache,
         remote: {
           badResponse: badResponseGuestFetches,
           canceled: canceledGuestFetches,
@@ -0,0 +1,367 @@
+/**
+ * ES-Lint warnings are disabled because there are functions/variables that are defined here but
+ * referenced in another script and this script itself is referencing variables from another script.
+ * Also, the global variable "self" is used instead of "window.self" because "window" is not
+ * defined within this scope. ES-Lint dislikes "self" but accepts "window.self"
+ */
+/* eslint-disable no-undef */
+/* eslint-disable no-restricted-globals */
+/* eslint-disable no-unused-vars */
+
+/**
+ * This file queues requests that modify data (PUT, POST and DELETE) when the network is down, and
+ * replays them in order once it comes back.
+ *
+ * Only requests that services/http.js marks with the `queueRequestHeader` are queued. Queued
+ * requests are kept in IndexedDB, so they survive the app being closed, and are replayed by
+ * Background Sync where the browser supports it, or otherwise when the app tells this service
+ * worker that it is back online. A request that the API rejects when it is replayed (e.g. because
+ * it conflicts with a change made since) is kept as failed until the user retries or discards it.
+ *
+ * The queue is cleared when the user signs out, so that their changes are never sent as, or shown
+ * to, whoever signs in next.
+ *
+ * Every open tab is sent a `mutation-queue` message with a summary of the queue whenever it
+ * changes, and a `mutation-replayed` message whenever a queued request succeeds.
+ */
+
+/**
+ * Imported Variables
+ *
+ * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
+ * (sw_global_variables.js) | warningEmoji            | The emoji symbol used to display in the console log for warning related logs
+ * (sw_global_variables.js) | warningLog              | Console log styling for warning related logs
+ * (sw_global_variables.js) | successfulEmoji         | The emoji symbol used to display in the console log for successful related logs
+ * (sw_global_variables.js) | successfulLog           | Console log styling for successful related logs
+ */
+
+// Header that services/http.js adds to requests that may be queued. It is removed before the
+// request is sent, since the API does not allow it.
+const queueRequestHeader = 'x-gordon-360-queue-offline';
+// Header added to the response for a request that was queued, so that services/http.js can tell it
+// apart from a response from the API
+const queuedResponseHeader = 'x-gordon-360-queued';
+// Tag of the Background Sync registration that replays queued requests
+const mutationSyncTag = 'replay-mutations';
+
+const mutationDatabaseName = 'gordon-360-sw';
+const mutationDatabaseVersion = 1;
+const mutationStoreName = 'mutations';
+
+// Resolved when the replay in progress has finished, so that two replays never run at once
+let mutationReplay = null;
+
+/**
+ * Opens the database that holds queued requests
+ *
+ * @return {Promise<IDBDatabase>} The database
+ */
+function openMutationDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(mutationDatabaseName, mutationDatabaseVersion);
+    // Keys are generated in increasing order, so reading the store in key order replays requests
+    // in the order they were made
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(mutationStoreName, { keyPath: 'id', autoIncrement: true });
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Runs an operation on the store of queued requests
+ *
+ * @param {String} mode Either 'readonly' or 'readwrite'
+ * @param {Function} operation Called with the object store; returns the IDBRequest to wait for
+ * @return {Promise<any>} The result of the operation
+ */
+async function transactMutations(mode, operation) {
+  const database = await openMutationDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(
+      database.transaction(mutationStoreName, mode).objectStore(mutationStoreName),
+    );
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Gets every queued request, oldest first
+ *
+ * @return {Promise<Object[]>} The queued requests
+ */
+function getMutations() {
+  return transactMutations('readonly', (store) => store.getAll());
+}
+
+/**
+ * Gets the user that a token belongs to
+ *
+ * @param {String} [token] The token, with or without the `Bearer ` prefix
+ * @return {String|null} The user's username, or null if there is no token or it can't be read
+ */
+function getTokenOwner(token) {
+  try {
+    const payload = token.replace(/^Bearer /i, '').split('.')[1];
+    return JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/'))).user_name || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Tells every open tab what is in the queue
+ */
+async function broadcastMutationQueue() {
+  const mutations = (await getMutations()).map(({ id, url, method, time, status, error }) => ({
+    id,
+    url,
+    method,
+    time,
+    status,
+    error,
+  }));
+  const clients = await self.clients.matchAll();
+  clients.forEach((client) => client.postMessage({ message: 'mutation-queue', mutations }));
+}
+
+/**
+ * Adds a request to the queue and asks the browser to replay it once the network is back
+ *
+ * @param {Object} mutation The request's URL, method, headers and body
+ */
+async function queueMutation(mutation) {
+  await transactMutations('readwrite', (store) =>
+    store.add({ ...mutation, time: Date.now(), status: 'pending', error: null }),
+  );
+  if (showDeveloperConsoleLog) {
+    console.log(`%c${warningEmoji} Queued ${mutation.method} ${mutation.url}`, warningLog);
+  }
+  try {
+    await self.registration.sync.register(mutationSyncTag);
+  } catch (error) {
+    // Without Background Sync, the app asks for a replay when it is back online
+  }
+  await broadcastMutationQueue();
+}
+
+/**
+ * Creates the response given to the app for a request that was queued
+ *
+ * @return {Response} An empty `202 Accepted` response, marked with the `queuedResponseHeader`
+ */
+function createQueuedResponse() {
+  return new Response(JSON.stringify({}), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json', [queuedResponseHeader]: 'true' },
+  });
+}
+
+/**
+ * Sends a request that modifies data, queueing it if the network is down
+ *
+ * A request made while older requests are still queued is queued behind them, so that requests
+ * always reach the API in the order they were made.
+ *
+ * @param {Request} request The request made by the app
+ * @return {Response} The API's response, or a queued response if the request was queued
+ */
+async function fetchOrQueueMutation(request) {
+  const body = await request.clone().blob();
+  const mutation = {
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers].filter(([name]) => name.toLowerCase() !== queueRequestHeader),
+    body: body.size > 0 ? body : null,
+    // Who made the request, so that it is never replayed as anyone else
+    owner: getTokenOwner(request.headers.get('Authorization')),
+  };
+
+  const hasPendingMutations = (await getMutations()).some(({ status }) => status === 'pending');
+  if (!hasPendingMutations) {
+    try {
+      return await fetch(mutation.url, {
+        method: mutation.method,
+        headers: mutation.headers,
+        body: mutation.body,
+      });
+    } catch (error) {
+      // The network is down, so the request is queued below
+    }
+  }
+
+  await queueMutation(mutation);
+  if (hasPendingMutations) {
+    // The older requests may only be waiting for a replay that the network coming back didn't
+    // trigger
+    replayMutations();
+  }
+  return createQueuedResponse();
+}
+
+/**
+ * Determines whether a request should be sent through the queue
+ *
+ * @param {Request} request A request made by the app
+ * @return {Boolean} Whether the request modifies data and was marked by services/http.js
+ */
+function isQueueableMutation(request) {
+  return request.method !== 'GET' && request.headers.get(queueRequestHeader) === 'true';
+}
+
+/**
+ * Gets a message explaining why the API rejected a replayed request
+ *
+ * @param {Response} response The API's response
+ * @return {Promise<String>} The API's error message, if it sent one
+ */
+async function getMutationError(response) {
+  try {
+    const body = await response.json();
+    if (body.Message) {
+      return body.Message;
+    }
+  } catch (error) {
+    // The response has no JSON body
+  }
+  return response.status === 401
+    ? 'Your session expired before this change could be sent'
+    : `The change was rejected with status ${response.status}`;
+}
+
+/**
+ * Replays each pending request in order
+ *
+ * Stops at the first request that cannot reach the API, since the network is still down. A request
+ * that the API rejects is marked as failed, and the requests after it are still replayed.
+ *
+ * A request made by someone other than the user signed in now is left in the queue, since sending
+ * it with their token would make the change as them.
+ *
+ * @param {String} [newToken] The signed in user's current token, used in place of the token that
+ * each of their requests was made with in case that one has expired
+ * @return {Promise<Boolean>} Whether every pending request reached the API
+ */
+async function replayPendingMutations(newToken) {
+  const newTokenOwner = getTokenOwner(newToken);
+  let reachedNetwork = true;
+  for (const mutation of await getMutations()) {
+    if (mutation.status !== 'pending') {
+      continue;
+    }
+
+    const headers = new Headers(mutation.headers);
+    if (newToken && mutation.owner) {
+      if (mutation.owner !== newTokenOwner) {
+        continue;
+      }
+      headers.set('Authorization', `Bearer ${newToken}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(mutation.url, {
+        method: mutation.method,
+        headers,
+        body: mutation.body,
+      });
+    } catch (error) {
+      reachedNetwork = false;
+      break;
+    }
+
+    if (response.ok) {
+      await transactMutations('readwrite', (store) => store.delete(mutation.id));
+      if (showDeveloperConsoleLog) {
+        console.log(
+          `%c${successfulEmoji} Replayed ${mutation.method} ${mutation.url}`,
+          successfulLog,
+        );
+      }
+      const clients = await self.clients.matchAll();
+      clients.forEach((client) =>
+        client.postMessage({ message: 'mutation-replayed', url: mutation.url }),
+      );
+    } else {
+      const error = await getMutationError(response);
+      await transactMutations('readwrite', (store) =>
+        store.put({ ...mutation, status: 'failed', error }),
+      );
+    }
+  }
+
+  await broadcastMutationQueue();
+  return reachedNetwork;
+}
+
+/**
+ * Replays each pending request in order, unless a replay is already in progress
+ *
+ * @param {String} [newToken] The signed in user's current token
+ * @return {Promise<Boolean>} Whether every pending request reached the API
+ */
+function replayMutations(newToken) {
+  if (!mutationReplay) {
+    mutationReplay = replayPendingMutations(newToken).finally(() => {
+      mutationReplay = null;
+    });
+  }
+  return mutationReplay;
+}
+
+/**
+ * Handles a message from the app about the queue
+ *
+ * @param {MessageEvent} event The message
+ * @return {Boolean} Whether the message was about the queue, and so has been handled
+ */
+function handleMutationQueueMessage(event) {
+  const message = event.data && event.data.message;
+
+  if (message === 'get-mutation-queue') {
+    event.waitUntil(broadcastMutationQueue());
+  } else if (message === 'replay-mutations') {
+    event.waitUntil(replayMutations(event.data.token));
+  } else if (message === 'retry-mutation') {
+    event.waitUntil(
+      transactMutations('readwrite', (store) => store.get(event.data.id))
+        .then(
+          (mutation) =>
+            mutation &&
+            transactMutations('readwrite', (store) =>
+              store.put({ ...mutation, status: 'pending', error: null }),
+            ),
+        )
+        .then(() => replayMutations(event.data.token)),
+    );
+  } else if (message === 'clear-mutation-queue') {
+    // The user signed out, so their queued changes must not be sent, nor shown to the next user
+    event.waitUntil(
+      transactMutations('readwrite', (store) => store.clear()).then(broadcastMutationQueue),
+    );
+  } else if (message === 'discard-mutation') {
+    event.waitUntil(
+      transactMutations('readwrite', (store) => store.delete(event.data.id)).then(
+        broadcastMutationQueue,
+      ),
+    );
+  } else {
+    return false;
+  }
+
+  return true;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === mutationSyncTag) {
+    // Rejecting tells the browser to try again later
+    event.waitUntil(
+      replayMutations().then((reachedNetwork) => {
+        if (!reachedNetwork) {
+          throw new Error('The network is still unavailable');
+        }
+      }),
+    );
+  }
+});
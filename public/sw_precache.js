@@ -0,0 +1,172 @@
+/**
+ * ES-Lint warnings are disabled because there are functions/variables that are defined here but
+ * referenced in another script and this script itself is referencing variables from another script
+ */
+/* eslint-disable no-undef */
+/* eslint-disable no-unused-vars */
+
+/**
+ * This file caches the files built for 360 (its HTML, code, styles and images), so that the app
+ * itself can be loaded offline.
+ *
+ * The files are listed in `precache-manifest.json`, which scripts/generate-precache-manifest.js
+ * generates from the build output along with a hash of each file. Each service worker precaches
+ * only the files of its own build, once, when it installs, into a cache of its own. The previous
+ * version's cache is left alone until the new service worker activates, since the app it is still
+ * serving may need to load files (e.g. lazily loaded views) that the new build no longer has. Files
+ * whose hash didn't change are copied from the previous version's cache instead of being fetched
+ * again. Files are kept apart from the data cached for offline mode, so that updating them never
+ * throws away the user's data.
+ *
+ * In development there is no manifest, and nothing is precached.
+ */
+
+/**
+ * Imported Variables
+ *
+ * (sw.js)                  | precacheVersion         | The version of the build that this service worker serves
+ * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
+ * (sw_global_variables.js) | errorEmoji              | The emoji symbol used to display in the console log for error related logs
+ * (sw_global_variables.js) | errorLog                | Console log styling for cache related logs
+ * (sw_global_variables.js) | successfulEmoji         | The emoji symbol used to display in the console log for successful related logs
+ * (sw_global_variables.js) | successfulLog           | Console log styling for successful related logs
+ */
+
+// The start of the name of each cache that holds the files built for 360, followed by the version
+const precachePrefix = 'precache-';
+// Where the manifest is fetched from, and the key it is cached under
+const precacheManifestLink = '/precache-manifest.json';
+// The page that every route of the app is served from
+const appShellLink = '/index.html';
+
+/**
+ * Gets the name of the cache that holds the files of this service worker's build
+ *
+ * A function, since `precacheVersion` is only defined once sw.js has imported this file
+ *
+ * @returns {String} The name of the cache
+ */
+function getPrecacheName() {
+  return `${precachePrefix}${precacheVersion}`;
+}
+
+/**
+ * Fetches the manifest of the build deployed now
+ *
+ * @returns {Object|null} The manifest, with a `version` and a list of `entries` that each have a
+ * `url` and a `revision`; or null if there is no manifest (e.g. in development)
+ */
+async function fetchPrecacheManifest() {
+  try {
+    const response = await fetch(precacheManifestLink, { cache: 'no-cache' });
+    if (!response.ok) return null;
+    const manifest = await response.json();
+    return Array.isArray(manifest.entries) ? manifest : null;
+  } catch (error) {
+    // In development, the app's HTML is served instead of the manifest, and fails to parse
+    return null;
+  }
+}
+
+/**
+ * Gets the manifest that was last cached, describing the files currently in the cache
+ *
+ * @param {Cache} cache The cache that holds the files built for 360
+ * @returns {Object} The cached manifest, or an empty one if nothing has been cached yet
+ */
+async function getCachedPrecacheManifest(cache) {
+  try {
+    const response = await cache.match(precacheManifestLink);
+    return response ? await response.json() : { entries: [] };
+  } catch (error) {
+    return { entries: [] };
+  }
+}
+
+/**
+ * Copies the files that haven't changed from the caches of previous versions
+ *
+ * @param {Cache} cache The cache of this service worker's build
+ * @param {Object[]} entries The files of this build, each with a `url` and a `revision`
+ * @returns {String[]} The URLs of the files that were copied
+ */
+async function copyUnchangedFiles(cache, entries) {
+  const copiedLinks = [];
+  const previousCacheNames = (await caches.keys()).filter(
+    (key) => key.startsWith(precachePrefix) && key !== getPrecacheName(),
+  );
+
+  for (const cacheName of previousCacheNames) {
+    const previousCache = await caches.open(cacheName);
+    const previousRevisions = new Map(
+      (await getCachedPrecacheManifest(previousCache)).entries.map(({ url, revision }) => [
+        url,
+        revision,
+      ]),
+    );
+    for (const { url, revision } of entries) {
+      if (copiedLinks.includes(url) || previousRevisions.get(url) !== revision) continue;
+      const response = await previousCache.match(url);
+      if (response) {
+        await cache.put(url, response);
+        copiedLinks.push(url);
+      }
+    }
+  }
+
+  return copiedLinks;
+}
+
+/**
+ * Caches the files of this service worker's build, when it installs
+ *
+ * Rejects if the deployed build is a different version, or if any file can't be cached, so that the
+ * install fails and the browser tries again later, rather than activating a version that can't
+ * load all of its files offline.
+ */
+async function installPrecache() {
+  const manifest = await fetchPrecacheManifest();
+  if (!manifest) return;
+  if (manifest.version !== precacheVersion) {
+    throw new Error(`Build ${manifest.version} is deployed instead of build ${precacheVersion}`);
+  }
+
+  const cache = await caches.open(getPrecacheName());
+  const copiedLinks = await copyUnchangedFiles(cache, manifest.entries);
+
+  // Fetches and caches every file that is new or changed
+  await Promise.all(
+    manifest.entries
+      .filter(({ url }) => !copiedLinks.includes(url))
+      .map(async ({ url }) => {
+        // Bypasses the browser's HTTP cache, which may hold the previous version of the file
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`Bad response for ${url}: ${response.status}`);
+        await cache.put(url, response);
+      }),
+  );
+
+  // Records the files in the cache, so that the next version can copy the ones that don't change
+  await cache.put(
+    precacheManifestLink,
+    new Response(JSON.stringify(manifest), {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  );
+
+  if (showDeveloperConsoleLog) {
+    console.log(`%c${successfulEmoji} Precached Build ${manifest.version}`, successfulLog);
+  }
+}
+
+/**
+ * Gets a file built for 360 from the cache
+ *
+ * @param {Request} request The request for the file
+ * @returns {Response|undefined} The cached file; the app's HTML for any page of the app
+ */
+async function matchPrecache(request) {
+  const cache = await caches.open(getPrecacheName());
+  // Every page of the app is the same HTML file, which is only cached under its own name
+  return request.mode === 'navigate' ? cache.match(appShellLink) : cache.match(request.url);
+}
@@ -0,0 +1,96 @@
+/**
+ * ES-Lint warnings are disabled because there are functions/variables that are defined here but
+ * referenced in another script and this script itself is referencing variables from another script.
+ * Also, the global variable "self" is used instead of "window.self" because "window" is not
+ * defined within this scope. ES-Lint dislikes "self" but accepts "window.self"
+ */
+/* eslint-disable no-undef */
+/* eslint-disable no-restricted-globals */
+/* eslint-disable no-unused-vars */
+
+/**
+ * This file shows push notifications sent by the API, and opens the page they're about when they
+ * are clicked.
+ *
+ * Each push carries a JSON payload with the notification's `Category` (e.g.
+ * `MembershipRequestReceived`), `Title`, `Body` and the `Url` of the page it's about. A push whose
+ * payload isn't JSON (e.g. one sent from the browser's developer tools) is shown as plain text.
+ *
+ * The app subscribes to pushes and chooses which categories it receives (see
+ * src/services/notifications.js). When the browser replaces a subscription, this file subscribes
+ * again, and the app sends the new subscription to the API the next time it loads.
+ */
+
+/**
+ * Imported Variables
+ *
+ * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
+ * (sw_global_variables.js) | statusLog               | Console log styling for status related logs
+ */
+
+/**
+ * Reads the payload of a push
+ *
+ * @param {PushMessageData|null} data The data sent with the push
+ * @returns {Object} The notification's category, title, body and URL
+ */
+function readPushPayload(data) {
+  const defaults = { Category: null, Title: 'Gordon 360', Body: '', Url: '/' };
+  if (!data) return defaults;
+  try {
+    return { ...defaults, ...data.json() };
+  } catch (error) {
+    return { ...defaults, Body: data.text() };
+  }
+}
+
+/**
+ * Shows the notification for a push
+ *
+ * @param {Object} payload The notification's category, title, body and URL
+ * @returns {Promise} Resolved once the notification is shown
+ */
+function showPushNotification(payload) {
+  if (showDeveloperConsoleLog) console.log(`%cPush received: ${payload.Title}`, statusLog);
+  return self.registration.showNotification(payload.Title, {
+    body: payload.Body,
+    icon: '/images/android-icon-192x192.png',
+    badge: '/images/android-icon-96x96.png',
+    // A newer notification of the same category replaces the older one instead of piling up
+    tag: payload.Category || undefined,
+    data: { url: payload.Url },
+  });
+}
+
+/**
+ * Focuses an open tab of the app and navigates it to a page, or opens a new tab if none are open
+ *
+ * @param {String} url The page to show
+ * @returns {Promise} Resolved once the page is shown
+ */
+async function openPage(url) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = clients.find((candidate) => new URL(candidate.url).origin === location.origin);
+  if (client) {
+    await client.focus();
+    return client.navigate(url);
+  }
+  return self.clients.openWindow(url);
+}
+
+self.addEventListener('push', (event) => {
+  event.waitUntil(showPushNotification(readPushPayload(event.data)));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(openPage(event.notification.data?.url || '/'));
+});
+
+self.addEventListener('pushsubscriptionchange', (event) => {
+  // The API is told about the new subscription by the app, since only the app can read the token
+  const options = event.oldSubscription?.options;
+  if (options) {
+    event.waitUntil(self.registration.pushManager.subscribe(options));
+  }
+});
@@ -18,7 +18,7 @@
 /**
  * Imported Variables
  *
- * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache all files
+ * (sw_global_variables.js) | cacheVersion            | The name of the cache that's used to cache data for offline mode
  * (sw_global_variables.js) | showDeveloperConsoleLog | Determines if any console logs should be made
  * (sw_global_variables.js) | warningEmoji            | The emoji symbol used to display in the console log for warning related logs
  * (sw_global_variables.js) | warningLog              | Console log styling for warning related logs
@@ -302,8 +302,7 @@ async function removeUserCache() {
              * item is removed from cache.
              */
             item.url !== fontKeySource &&
-            !guestRemoteLinks.includes(item.url) &&
-            !static360Cache.includes(item.url.replace(location.origin, ''))
+            !guestRemoteLinks.includes(item.url)
           ) {
             cache.delete(item);
           }
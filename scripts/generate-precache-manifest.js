@@ -0,0 +1,78 @@
+/**
+ * Generates the precache manifest for the service worker from the build output.
+ *
+ * Run after `react-scripts build`. Lists every file in `build/` that the app needs offline, along
+ * with a hash of its contents, in `build/precache-manifest.json`. The service worker compares the
+ * manifest to the one it last cached, so that only files that changed are fetched again.
+ *
+ * The hash of the whole manifest is also written into `build/sw.js`. Browsers only install a new
+ * service worker when its script changes, and without this the script would be the same for every
+ * deploy.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const buildDirectory = path.join(__dirname, '..', 'build');
+const manifestName = 'precache-manifest.json';
+const versionPlaceholder = "const precacheVersion = 'development';";
+
+// Files that the browser fetches for the service worker itself, and files not needed offline
+const excludedFiles = [
+  /^sw(_\w+)?\.js$/,
+  /\.map$/,
+  /\.LICENSE\.txt$/,
+  /^asset-manifest\.json$/,
+  /^precache-manifest\.json$/,
+  /^web\.config$/,
+  /(^|\/)\.[^/]+$/,
+];
+
+/**
+ * Lists every file in a directory and its subdirectories
+ *
+ * @param {String} directory The directory to list
+ * @return {Array<String>} Paths of the files, relative to the build directory
+ */
+function listFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory()
+      ? listFiles(entryPath)
+      : [path.relative(buildDirectory, entryPath).split(path.sep).join('/')];
+  });
+}
+
+/**
+ * Hashes some content
+ *
+ * @param {String|Buffer} content The content to hash
+ * @return {String} The first 16 hexadecimal digits of the content's SHA-256 hash
+ */
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+const entries = listFiles(buildDirectory)
+  .filter((file) => !excludedFiles.some((pattern) => pattern.test(file)))
+  .sort()
+  .map((file) => ({
+    url: `/${file}`,
+    revision: hash(fs.readFileSync(path.join(buildDirectory, file))),
+  }));
+const version = hash(JSON.stringify(entries));
+
+fs.writeFileSync(path.join(buildDirectory, manifestName), JSON.stringify({ version, entries }));
+
+const serviceWorkerPath = path.join(buildDirectory, 'sw.js');
+const serviceWorker = fs.readFileSync(serviceWorkerPath, 'utf8');
+if (!serviceWorker.includes(versionPlaceholder)) {
+  throw new Error(`Could not find "${versionPlaceholder}" in build/sw.js`);
+}
+fs.writeFileSync(
+  serviceWorkerPath,
+  serviceWorker.replace(versionPlaceholder, `const precacheVersion = '${version}';`),
+);
+
+console.log(`Wrote ${manifestName} with ${entries.length} files (version ${version})`);
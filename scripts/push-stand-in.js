@@ -0,0 +1,303 @@
+/**
+ * Stands in for the API's push notification endpoints while developing locally.
+ *
+ * Mounted at `/api/notifications` by src/setupProxy.js when `PUSH_STAND_IN=true`, so the
+ * notification settings page can be tried without an API that sends pushes. Subscriptions and
+ * preferences are kept in memory, and are lost when the development server restarts. Pushes are
+ * signed with a VAPID key generated at startup and encrypted as the Web Push protocol requires
+ * (RFC 8291 and RFC 8292), so the browser's push service delivers them like real ones.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+
+const categories = [
+  'MembershipRequestReceived',
+  'MembershipRequestApproved',
+  'NewsApproved',
+  'EventStartingSoon',
+];
+
+// Sample notification sent for each category by `POST /test/:category`
+const testNotifications = {
+  MembershipRequestReceived: {
+    Title: 'New membership request',
+    Body: 'Someone asked to join an involvement you lead.',
+    Url: '/involvements',
+  },
+  MembershipRequestApproved: {
+    Title: 'Membership approved',
+    Body: 'Your request to join an involvement was approved.',
+    Url: '/involvements',
+  },
+  NewsApproved: {
+    Title: 'News approved',
+    Body: 'Your news item was approved and is now posted.',
+    Url: '/news',
+  },
+  EventStartingSoon: {
+    Title: 'Event starting soon',
+    Body: 'An event hosted by one of your involvements starts in 30 minutes.',
+    Url: '/events',
+  },
+};
+
+const vapidKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const vapidPublicKey = toUncompressedPoint(vapidKeys.publicKey.export({ format: 'jwk' }));
+
+// Each user's subscriptions, keyed by endpoint, and preferences, keyed by category
+const users = new Map();
+
+/**
+ * Encodes bytes as base64url, without padding
+ *
+ * Converted from standard base64, since Node only encodes base64url itself from version 15.7.
+ * Decoding needs no conversion, as Node's base64 decoder accepts the base64url alphabet too.
+ *
+ * @param {Buffer} bytes The bytes to encode
+ * @return {String} The encoded bytes
+ */
+function toBase64Url(bytes) {
+  return Buffer.from(bytes)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Gets the uncompressed form of a P-256 public key, as used by the Push API
+ *
+ * @param {Object} jwk The key, as a JSON Web Key
+ * @return {Buffer} The key's 65 bytes
+ */
+function toUncompressedPoint(jwk) {
+  return Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(jwk.x, 'base64'),
+    Buffer.from(jwk.y, 'base64'),
+  ]);
+}
+
+/**
+ * Gets the state kept for the user who made a request
+ *
+ * @param {http.IncomingMessage} req The request
+ * @return {Object} The user's `subscriptions` and `preferences`
+ */
+function getUser(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  let username = 'anonymous';
+  try {
+    username = JSON.parse(Buffer.from(token.split('.')[1], 'base64')).user_name || username;
+  } catch (error) {
+    // Any request is accepted, so that the stand-in doesn't need a valid token
+  }
+
+  if (!users.has(username)) {
+    users.set(username, {
+      subscriptions: new Map(),
+      preferences: Object.fromEntries(categories.map((category) => [category, false])),
+    });
+  }
+  return users.get(username);
+}
+
+/**
+ * Reads the JSON body of a request
+ *
+ * @param {http.IncomingMessage} req The request
+ * @return {Promise<Object|null>} The parsed body, or null if the request has none
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} res The response
+ * @param {Number} status The status code
+ * @param {*} body The body, serialized as JSON
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Encrypts a payload for a subscription, using the `aes128gcm` content encoding (RFC 8291)
+ *
+ * @param {Object} subscription The subscription, as sent by the app
+ * @param {Buffer} payload The payload to encrypt
+ * @return {Buffer} The encrypted body of the push
+ */
+function encryptPayload(subscription, payload) {
+  const userAgentPublicKey = Buffer.from(subscription.keys.p256dh, 'base64');
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64');
+
+  const serverKeys = crypto.createECDH('prime256v1');
+  const serverPublicKey = serverKeys.generateKeys();
+  const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentPublicKey,
+    serverPublicKey,
+  ]);
+  const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(
+    crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+  );
+  const nonce = Buffer.from(
+    crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12),
+  );
+
+  // The payload is sent as a single record, marked as the last one by the 0x02 delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([payload, Buffer.from([0x02])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(4096);
+  return Buffer.concat([
+    salt,
+    recordSize,
+    Buffer.from([serverPublicKey.length]),
+    serverPublicKey,
+    ciphertext,
+  ]);
+}
+
+/**
+ * Creates the VAPID authorization header for a push service (RFC 8292)
+ *
+ * @param {String} endpoint The subscription's endpoint
+ * @return {String} The header's value
+ */
+function getVapidAuthorization(endpoint) {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: 'mailto:360@gordon.edu',
+    }),
+  );
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidKeys.privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${toBase64Url(vapidPublicKey)}`;
+}
+
+/**
+ * Sends a push to a subscription
+ *
+ * @param {Object} subscription The subscription, as sent by the app
+ * @param {Object} notification The notification's category, title, body and URL
+ * @return {Promise<Number>} The status code returned by the push service
+ */
+function sendPush(subscription, notification) {
+  const body = encryptPayload(subscription, Buffer.from(JSON.stringify(notification)));
+  return new Promise((resolve, reject) => {
+    const request = https.request(subscription.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: getVapidAuthorization(subscription.endpoint),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': body.length,
+        TTL: 60,
+      },
+    });
+    request.on('response', (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Handles a request to the notification endpoints
+ *
+ * @param {http.IncomingMessage} req The request, with its URL relative to `/api/notifications`
+ * @param {http.ServerResponse} res The response
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const user = getUser(req);
+  const route = `${req.method} ${url.pathname.replace(/\/$/, '')}`;
+
+  if (route === 'GET /vapid-public-key') {
+    return sendJson(res, 200, toBase64Url(vapidPublicKey));
+  }
+
+  if (route === 'GET /preferences') {
+    return sendJson(res, 200, user.preferences);
+  }
+
+  if (route === 'PUT /preferences') {
+    const preferences = (await readBody(req)) || {};
+    categories.forEach((category) => {
+      if (category in preferences) user.preferences[category] = Boolean(preferences[category]);
+    });
+    return sendJson(res, 200, user.preferences);
+  }
+
+  if (route === 'POST /subscriptions') {
+    const subscription = await readBody(req);
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return sendJson(res, 400, 'A subscription needs an endpoint and keys.');
+    }
+    user.subscriptions.set(subscription.endpoint, subscription);
+    return sendJson(res, 200, true);
+  }
+
+  if (route === 'DELETE /subscriptions') {
+    user.subscriptions.delete(url.searchParams.get('endpoint'));
+    return sendJson(res, 200, true);
+  }
+
+  const testMatch = route.match(/^POST \/test\/(\w+)$/);
+  if (testMatch) {
+    const category = testMatch[1];
+    if (!categories.includes(category)) {
+      return sendJson(res, 404, `There is no notification category named ${category}.`);
+    }
+    const notification = { Category: category, ...testNotifications[category] };
+    const statuses = await Promise.all(
+      [...user.subscriptions.values()].map(async (subscription) => {
+        const status = await sendPush(subscription, notification).catch(() => 0);
+        // The push service no longer knows the subscription, e.g. because the browser replaced it
+        if (status === 404 || status === 410) user.subscriptions.delete(subscription.endpoint);
+        return status;
+      }),
+    );
+    return sendJson(res, 200, { sent: statuses.filter((status) => status === 201).length });
+  }
+
+  return sendJson(res, 404, 'Not found');
+}
+
+module.exports = (req, res) => {
+  handleRequest(req, res).catch((error) => sendJson(res, 500, error.message));
+};
@@ -1,16 +1,35 @@
 import { createBrowserHistory } from 'history';
-import { ThemeProvider } from '@material-ui/core/styles';
-import React, { Component } from 'react';
+import React, { Component, Suspense } from 'react';
 import { Router, Route, Switch } from 'react-router-dom';
 import { MuiPickersUtilsProvider } from '@material-ui/pickers';
-import MomentUtils from '@date-io/moment';
+import DateFnsUtils from '@date-io/date-fns';
+import accessibility, { isAuditEnabled, mainContentId } from './services/accessibility';
 import analytics from './services/analytics';
-import { isAuthenticated } from './services/auth';
+import errorLog from './services/errorLog';
+import { onAuthenticationChange, signOut, updateOfflineCache } from './services/auth';
+import {
+  cancelReauthentication,
+  completeReauthentication,
+  onReauthenticationRequired,
+} from './services/http';
+import notifications from './services/notifications';
+import AuthContextProvider from './contexts/AuthContext';
+import BookmarksContextProvider from './contexts/BookmarksContext';
 import NetworkContextProvider from './contexts/NetworkContext';
+import LocaleContextProvider from './contexts/LocaleContext';
+import ThemeContextProvider from './contexts/ThemeContext';
+import GordonDialogBox from './components/GordonDialogBox';
+import GordonError from './components/Error';
+import ErrorBoundary from './components/ErrorBoundary';
 import GordonHeader from './components/Header';
+import GordonLoader from './components/Loader';
+import LoginDialogue from './components/LoginDialogue';
 import GordonNav from './components/Nav';
 import OfflineBanner from './components/OfflineBanner';
-import theme from './theme';
+import GordonRouteAnnouncer from './components/RouteAnnouncer';
+import RouteGuard from './components/RouteGuard';
+import GordonSkipLink from './components/SkipLink';
+import UpdatePrompt from './components/UpdatePrompt';
 import routes from './routes';
 
 // Global styling that applies to entire site
@@ -30,16 +49,62 @@ export default class App extends Component {
     this.history = createBrowserHistory();
     this.history.listen(() => analytics.onPageView());
 
+    // Only audit accessibility when developers ask for it, since audits slow the app down
+    if (isAuditEnabled) {
+      this.history.listen(() => accessibility.auditPage());
+      accessibility.auditPage();
+    }
+
     this.onDrawerToggle = this.onDrawerToggle.bind(this);
-    this.onAuthChange = this.onAuthChange.bind(this);
+    this.onReauthenticate = this.onReauthenticate.bind(this);
+    this.onReauthenticationCancel = this.onReauthenticationCancel.bind(this);
 
     this.state = {
       error: null,
       errorInfo: null,
       drawerOpen: false,
-      authentication: isAuthenticated(),
+      reauthenticating: false,
     };
   }
+
+  componentDidMount() {
+    // Prompt the user to log in again when their session expires, instead of letting every view
+    // fail independently
+    this.unsubscribeReauthentication = onReauthenticationRequired(() =>
+      this.setState({ reauthenticating: true }),
+    );
+
+    // The user may log in again in another open tab
+    this.unsubscribeAuthentication = onAuthenticationChange((authentication) => {
+      if (authentication && this.state.reauthenticating) {
+        this.onReauthenticate();
+      }
+    });
+
+    // Keep this device's push subscription registered to whoever is signed in
+    this.unsubscribeNotifications = notifications.initialize();
+
+    window.addEventListener('message', this.onMessage);
+  }
+
+  componentWillUnmount() {
+    this.unsubscribeReauthentication();
+    this.unsubscribeAuthentication();
+    this.unsubscribeNotifications();
+    window.removeEventListener('message', this.onMessage);
+  }
+
+  /**
+   * Handle messages from public/pwa.js, which cannot read the user's data from storage itself.
+   * The origin of the message is checked to prevent cross-site scripting attacks
+   * @param {MessageEvent} event The message
+   */
+  onMessage(event) {
+    if (event.origin === window.location.origin && event.data === 'update-cache-files') {
+      updateOfflineCache();
+    }
+  }
+
   onDrawerToggle() {
     this.setState({ drawerOpen: !this.state.drawerOpen });
   }
@@ -49,61 +114,84 @@ export default class App extends Component {
       analytics.onError(`${error.toString()} ${errorInfo.componentStack}`);
     }
 
+    errorLog.reportError(error, errorInfo.componentStack, window.location.pathname).catch(() => {});
     this.setState({ error, errorInfo });
   }
 
-  onAuthChange() {
-    let authentication = isAuthenticated();
-    this.setState({ authentication });
+  onReauthenticate() {
+    this.setState({ reauthenticating: false });
+    completeReauthentication();
+  }
+
+  onReauthenticationCancel() {
+    this.setState({ reauthenticating: false });
+    signOut();
+    cancelReauthentication();
   }
 
   render() {
+    // Errors in views are caught by each route's ErrorBoundary, so this only happens when the app's
+    // own layout breaks
+    if (this.state.error) {
+      return <GordonError error={this.state.error} errorInfo={this.state.errorInfo} />;
+    }
+
     return (
-      <ThemeProvider theme={theme}>
-        <MuiPickersUtilsProvider utils={MomentUtils}>
-          <NetworkContextProvider>
-            <Router history={this.history}>
-              <section className={styles.app_wrapper}>
-                <GordonHeader
-                  onDrawerToggle={this.onDrawerToggle}
-                  onSignOut={this.onAuthChange}
-                  authentication={this.state.authentication}
-                />
-                <GordonNav
-                  onDrawerToggle={this.onDrawerToggle}
-                  drawerOpen={this.state.drawerOpen}
-                  onSignOut={this.onAuthChange}
-                  authentication={this.state.authentication}
-                />
-                <main className={styles.app_main}>
-                  <Switch>
-                    {routes.map((route) => (
-                      <Route
-                        key={route.path}
-                        path={route.path}
-                        exact={route.exact}
-                        render={(props) => (
-                          <div className={styles.app_main_container}>
-                            <OfflineBanner
-                              currentPath={route.path}
-                              authentication={this.state.authentication}
-                            />
-                            <route.component
-                              onLogIn={this.onAuthChange}
-                              authentication={this.state.authentication}
-                              {...props}
-                            />
-                          </div>
-                        )}
+      <LocaleContextProvider>
+        <ThemeContextProvider>
+          <MuiPickersUtilsProvider utils={DateFnsUtils}>
+            <NetworkContextProvider>
+              <AuthContextProvider>
+                <BookmarksContextProvider>
+                  <Router history={this.history}>
+                    <section className={styles.app_wrapper}>
+                      <GordonSkipLink className={styles.skip_link} />
+                      <GordonRouteAnnouncer />
+                      <GordonHeader onDrawerToggle={this.onDrawerToggle} />
+                      <GordonNav
+                        onDrawerToggle={this.onDrawerToggle}
+                        drawerOpen={this.state.drawerOpen}
                       />
-                    ))}
-                  </Switch>
-                </main>
-              </section>
-            </Router>
-          </NetworkContextProvider>
-        </MuiPickersUtilsProvider>
-      </ThemeProvider>
+                      <main id={mainContentId} className={styles.app_main} tabIndex={-1}>
+                        <Switch>
+                          {routes.map((route) => (
+                            <Route
+                              key={route.path}
+                              path={route.path}
+                              exact={route.exact}
+                              render={(props) => (
+                                <div className={styles.app_main_container}>
+                                  <OfflineBanner currentPath={route.path} />
+                                  <ErrorBoundary route={route} pathname={props.location.pathname}>
+                                    <RouteGuard route={route}>
+                                      <Suspense fallback={<GordonLoader />}>
+                                        <route.component {...props} />
+                                      </Suspense>
+                                    </RouteGuard>
+                                  </ErrorBoundary>
+                                </div>
+                              )}
+                            />
+                          ))}
+                        </Switch>
+                      </main>
+                      <GordonDialogBox
+                        open={this.state.reauthenticating}
+                        title="Session Expired"
+                        cancelButtonClicked={this.onReauthenticationCancel}
+                        cancelButtonName="Sign Out"
+                      >
+                        <LoginDialogue onLogIn={this.onReauthenticate} />
+                      </GordonDialogBox>
+                      <UpdatePrompt />
+                    </section>
+                  </Router>
+                </BookmarksContextProvider>
+              </AuthContextProvider>
+            </NetworkContextProvider>
+          </MuiPickersUtilsProvider>
+        </ThemeContextProvider>
+      </LocaleContextProvider>
     );
   }
 }
@@ -0,0 +1,39 @@
+import React from 'react';
+import { IconButton, Tooltip } from '@material-ui/core';
+import StarIcon from '@material-ui/icons/Star';
+import StarBorderIcon from '@material-ui/icons/StarBorder';
+import useBookmarks from 'hooks/useBookmarks';
+
+/**
+ * A star that bookmarks an event, so that it is shown in the user's agenda under My Events
+ *
+ * @param {Object} props The component props
+ * @param {Event} props.event The event
+ * @param {String} [props.size] Size of the button, `small` or `medium`
+ * @returns {JSX.Element} The bookmark button
+ */
+const GordonBookmarkButton = ({ event, size = 'medium' }) => {
+  const { isBookmarked, setBookmarked } = useBookmarks();
+  const bookmarked = isBookmarked(event.Event_ID);
+  const label = bookmarked ? 'Remove bookmark' : 'Bookmark';
+
+  return (
+    <Tooltip title={label}>
+      <IconButton
+        size={size}
+        color={bookmarked ? 'secondary' : 'default'}
+        aria-label={`${label}: ${event.title}`}
+        aria-pressed={bookmarked}
+        onClick={(clickEvent) => {
+          // Bookmarking an event in a list shouldn't expand it
+          clickEvent.stopPropagation();
+          setBookmarked(event.Event_ID, !bookmarked);
+        }}
+      >
+        {bookmarked ? <StarIcon /> : <StarBorderIcon />}
+      </IconButton>
+    </Tooltip>
+  );
+};
+
+export default GordonBookmarkButton;
@@ -0,0 +1,76 @@
+import React, { Component } from 'react';
+import { Button, Card, CardContent, Grid } from '@material-ui/core';
+import analytics from 'services/analytics';
+import errorLog from 'services/errorLog';
+
+/**
+ * Catch errors thrown while rendering a route, so that one broken view doesn't take down the whole
+ * app. Errors are reported to the log, and the user can try rendering the view again.
+ *
+ * @param {RouteConfig} route - The route being rendered
+ * @param {String} pathname - Path of the current page; the error is cleared when it changes
+ * @param {ReactNode} children - The route's view
+ */
+export default class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+
+    this.onRetry = this.onRetry.bind(this);
+
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    if (process.env.NODE_ENV === 'production') {
+      analytics.onError(`${error.toString()} ${errorInfo.componentStack}`);
+    }
+
+    errorLog.reportError(error, errorInfo.componentStack, this.props.pathname).catch(() => {});
+  }
+
+  componentDidUpdate(prevProps) {
+    // Navigating away from a broken page should show the next page, not the same error
+    if (this.state.error && prevProps.pathname !== this.props.pathname) {
+      this.setState({ error: null });
+    }
+  }
+
+  onRetry() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    if (!this.state.error) {
+      return this.props.children;
+    }
+
+    return (
+      <Grid container justifyContent="center">
+        <Grid item xs={12} md={8}>
+          <Card>
+            <CardContent
+              style={{
+                margin: 'auto',
+                textAlign: 'center',
+              }}
+            >
+              <h1>Something went wrong.</h1>
+              <br />
+              <h4>
+                {`The ${this.props.route.name} page ran into a problem. It has been reported to CTS.`}
+              </h4>
+              <br />
+              <Button color="primary" variant="contained" onClick={this.onRetry}>
+                Try Again
+              </Button>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    );
+  }
+}
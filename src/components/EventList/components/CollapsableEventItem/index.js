@@ -1,8 +1,13 @@
 import PropTypes from 'prop-types';
 import React, { Component } from 'react';
 import styles from './CollapsableEventItem.module.css';
+import BookmarkButton from 'components/BookmarkButton';
+import ics from 'services/ics';
+import { prefetchRoute } from 'routes';
+import { Link } from 'react-router-dom';
 
-import { Typography, CardContent, Collapse, Grid } from '@material-ui/core';
+import { Button, Checkbox, Typography, CardContent, Collapse, Grid } from '@material-ui/core';
+import EventIcon from '@material-ui/icons/Event';
 
 //Switched to table rows
 export default class GordonCollapsableEventItem extends Component {
@@ -16,17 +21,33 @@ export default class GordonCollapsableEventItem extends Component {
   handleExpandClick() {
     this.setState({ open: !this.state.open });
   }
+  handleAddToCalendar = (clickEvent) => {
+    clickEvent.stopPropagation();
+    ics.downloadCalendar([this.props.event], this.props.event.title);
+  };
   render() {
-    const { event } = this.props;
+    const { event, selected, onSelect } = this.props;
 
     return (
-      <section>
+      <li>
         <Grid container onClick={this.handleExpandClick} className={styles.event_item}>
           <Grid item xs={12}>
-            <Typography variant="h6" className={styles.event_heading}>
-              {' '}
-              {event.title}{' '}
-            </Typography>
+            <div className={styles.event_title}>
+              <BookmarkButton event={event} size="small" />
+              {onSelect && (
+                <Checkbox
+                  size="small"
+                  checked={selected}
+                  onClick={(clickEvent) => clickEvent.stopPropagation()}
+                  onChange={() => onSelect(event)}
+                  inputProps={{ 'aria-label': `Select ${event.title}` }}
+                />
+              )}
+              <Typography variant="h6" className={styles.event_heading}>
+                {' '}
+                {event.title}{' '}
+              </Typography>
+            </div>
             <Typography className={styles.event_content}> {event.timeRange} </Typography>
             <Typography className={styles.event_content}> {event.date} </Typography>
           </Grid>
@@ -39,10 +60,33 @@ export default class GordonCollapsableEventItem extends Component {
               </p>
               <Typography className={styles.event_content}>Location:</Typography>
               <Typography className={styles.event_content}>{event.location}</Typography>
+              {event.Occurrences?.length > 0 && (
+                <Button
+                  className={styles.event_action}
+                  variant="contained"
+                  color="primary"
+                  size="small"
+                  startIcon={<EventIcon />}
+                  onClick={this.handleAddToCalendar}
+                >
+                  Add to Calendar
+                </Button>
+              )}
+              <Button
+                className={styles.event_action}
+                size="small"
+                component={Link}
+                to={`/events/${event.Event_ID}`}
+                onClick={(clickEvent) => clickEvent.stopPropagation()}
+                onMouseEnter={() => prefetchRoute(`/events/${event.Event_ID}`)}
+                onFocus={() => prefetchRoute(`/events/${event.Event_ID}`)}
+              >
+                View Details
+              </Button>
             </CardContent>
           </Collapse>
         </Grid>
-      </section>
+      </li>
     );
   }
 }
@@ -55,4 +99,6 @@ GordonCollapsableEventItem.propTypes = {
     Description: PropTypes.string,
     Occurrences: PropTypes.array,
   }).isRequired,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
 };
@@ -1,8 +1,13 @@
 import PropTypes from 'prop-types';
 import React, { Component } from 'react';
 import styles from './EventItem.module.css';
+import BookmarkButton from 'components/BookmarkButton';
+import ics from 'services/ics';
+import { prefetchRoute } from 'routes';
+import { Link } from 'react-router-dom';
 
-import { Typography, CardContent, Collapse, Grid } from '@material-ui/core';
+import { Button, Checkbox, Typography, CardContent, Collapse, Grid } from '@material-ui/core';
+import EventIcon from '@material-ui/icons/Event';
 
 //Switched to table rows
 export default class GordonEventItem extends Component {
@@ -16,14 +21,33 @@ export default class GordonEventItem extends Component {
   handleExpandClick() {
     this.setState({ open: !this.state.open });
   }
+  handleAddToCalendar = (clickEvent) => {
+    clickEvent.stopPropagation();
+    ics.downloadCalendar([this.props.event], this.props.event.title);
+  };
   render() {
-    const { event } = this.props;
+    const { event, selected, onSelect } = this.props;
     let eventDescription = event.Description;
     eventDescription = eventDescription === '' ? 'No description available' : eventDescription;
     return (
-      <section>
-        <Grid container direction="row" onClick={this.handleExpandClick} className={styles.event_item}>
-          <Grid item xs={4}>
+      <li>
+        <Grid
+          container
+          direction="row"
+          onClick={this.handleExpandClick}
+          className={styles.event_item}
+        >
+          <Grid item xs={4} className={styles.event_title}>
+            <BookmarkButton event={event} size="small" />
+            {onSelect && (
+              <Checkbox
+                size="small"
+                checked={selected}
+                onClick={(clickEvent) => clickEvent.stopPropagation()}
+                onChange={() => onSelect(event)}
+                inputProps={{ 'aria-label': `Select ${event.title}` }}
+              />
+            )}
             <Typography className={styles.event_column}>{event.title}</Typography>
           </Grid>
           <Grid item xs={4}>
@@ -41,10 +65,33 @@ export default class GordonEventItem extends Component {
               <Typography type="caption" className={styles.descriptionText}>
                 {eventDescription}
               </Typography>
+              {event.Occurrences?.length > 0 && (
+                <Button
+                  className={styles.event_action}
+                  variant="contained"
+                  color="primary"
+                  size="small"
+                  startIcon={<EventIcon />}
+                  onClick={this.handleAddToCalendar}
+                >
+                  Add to Calendar
+                </Button>
+              )}
+              <Button
+                className={styles.event_action}
+                size="small"
+                component={Link}
+                to={`/events/${event.Event_ID}`}
+                onClick={(clickEvent) => clickEvent.stopPropagation()}
+                onMouseEnter={() => prefetchRoute(`/events/${event.Event_ID}`)}
+                onFocus={() => prefetchRoute(`/events/${event.Event_ID}`)}
+              >
+                View Details
+              </Button>
             </CardContent>
           </Collapse>
         </Grid>
-      </section>
+      </li>
     );
   }
 }
@@ -57,4 +104,6 @@ GordonEventItem.propTypes = {
     Description: PropTypes.string,
     Occurrences: PropTypes.array,
   }).isRequired,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
 };
@@ -1,13 +1,13 @@
 import React, { Component } from 'react';
 import CollapsableEventItem from './components/CollapsableEventItem';
 import EventItem from './components/EventItem';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 
 import styles from './EventList.module.css';
 
 import { List, Grid, Typography, Card } from '@material-ui/core';
 
-export default class EventList extends Component {
+class EventList extends Component {
   constructor(props) {
     super(props);
 
@@ -48,13 +48,16 @@ export default class EventList extends Component {
   }
 
   render() {
-    const { events } = this.props;
+    const { events, theme, selectedEvents, onSelect } = this.props;
+    // Lets events be selected, e.g. to export them, when the list is given a way to select them
+    const getSelectionProps = (event) =>
+      onSelect ? { selected: selectedEvents.includes(event.Event_ID), onSelect } : {};
     let content;
     let header;
 
     const headerStyle = {
-      backgroundColor: gordonColors.primary.blue,
-      color: '#FFF',
+      backgroundColor: theme.palette.primary.main,
+      color: theme.palette.primary.contrastText,
       padding: '10px',
     };
 
@@ -62,7 +65,11 @@ export default class EventList extends Component {
     // Show single "events" column on narrow viewports
     if (window.innerWidth < this.breakpointWidth) {
       content = events.map((currEvent) => (
-        <CollapsableEventItem event={currEvent} key={currEvent.Event_ID} />
+        <CollapsableEventItem
+          event={currEvent}
+          key={currEvent.Event_ID}
+          {...getSelectionProps(currEvent)}
+        />
       ));
 
       header = (
@@ -77,10 +84,12 @@ export default class EventList extends Component {
         </div>
       );
     } else if (events.length > 0) {
-      content = events.map((currEvent) => <EventItem event={currEvent} key={currEvent.Event_ID} />);
+      content = events.map((currEvent) => (
+        <EventItem event={currEvent} key={currEvent.Event_ID} {...getSelectionProps(currEvent)} />
+      ));
     } else if (events.length === 0) {
       content = (
-        <Grid item align="center">
+        <Grid item component="li" align="center">
           <br />
           <Typography variant="h5" align="center">
             No Events To Show
@@ -131,3 +140,5 @@ export default class EventList extends Component {
     );
   }
 }
+
+export default withTheme(EventList);
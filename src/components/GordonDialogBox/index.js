@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Dialog,
   DialogActions,
@@ -8,11 +8,15 @@ import {
   Button,
 } from '@material-ui/core';
 import { Alert, AlertTitle } from '@material-ui/lab';
+import accessibility from 'services/accessibility';
 import styles from './GordonDialogBox.module.css';
 
 // Learn more about Dialog's API at https://material-ui.com/api/dialog/
 // Learn more about Alert's API at https://material-ui.com/api/alert/
 
+// Numbers each dialog box, so that several on one page label themselves with their own title
+let dialogCount = 0;
+
 /**
  * This callback type is called `onClickCallback` and is displayed as a global symbol.
  *
@@ -37,6 +41,9 @@ import styles from './GordonDialogBox.module.css';
  * @param {String} [props.cancelButtonName] The text of the button canceling the dialog is read/accepted
  * @param {String} [props.severity] The severity of the alert (Examples: "error", "warning", "info", etc.)
  *
+ * Focus returns to whatever opened the dialog box once it closes, or to the page's content if that
+ * is gone, e.g. because it was in a menu that has since closed.
+ *
  * @returns {JSX.Element} A dialog box with the passed in content
  */
 const GordonDialogBox = ({
@@ -51,15 +58,18 @@ const GordonDialogBox = ({
   severity,
   children,
 }) => {
+  const [id] = useState(() => `gordon-dialog-box-${(dialogCount += 1)}`);
+
   return (
     <Dialog
       className={styles.gc360_gordondialogbox}
       open={open}
       onClose={onClose}
-      aria-labelledby="alert-dialog-title"
-      aria-describedby="alert-dialog-description"
+      aria-labelledby={`${id}-title`}
+      aria-describedby={`${id}-description`}
+      TransitionProps={{ onExited: () => accessibility.restoreFocus() }}
     >
-      <DialogTitle className={styles.gc360_gordondialogbox_title} id="alert-dialog-title">
+      <DialogTitle className={styles.gc360_gordondialogbox_title} id={`${id}-title`}>
         {severity ? (
           <Alert variant="filled" severity={severity}>
             <AlertTitle>
@@ -70,9 +80,11 @@ const GordonDialogBox = ({
           title
         )}
       </DialogTitle>
-      <DialogContent className={styles.gc360_gordondialogbox_content} id="alert-dialog-description">
-        {typeof children === String ? (
-          <DialogContentText className={styles.gc360_gordondialogbox_text}>{children}</DialogContentText>
+      <DialogContent className={styles.gc360_gordondialogbox_content} id={`${id}-description`}>
+        {typeof children === 'string' ? (
+          <DialogContentText className={styles.gc360_gordondialogbox_text}>
+            {children}
+          </DialogContentText>
         ) : (
           children
         )}
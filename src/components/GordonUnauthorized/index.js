@@ -1,12 +1,18 @@
 import React from 'react';
 import { Grid, Card, CardContent, Button } from '@material-ui/core/';
+import useAuth from 'hooks/useAuth';
 
 /**
  * @param {String} feature - Text representing the content the user tried to access
+ * @param {String} [title] - Heading shown instead of the default when the user is logged in
+ * @param {String} [message] - Explanation shown instead of the default when the user is logged in
  *
- * @returns {JSX.Element} A card with a message that the user must log in to view content
+ * @returns {JSX.Element} A card with a message that the user must log in to view content, or that
+ * they do not have access to it if they are already logged in
  */
-const GordonUnauthorized = ({ feature }) => {
+const GordonUnauthorized = ({ feature, title, message }) => {
+  const { authenticated } = useAuth();
+
   return (
     <Grid container justifyContent="center">
       <Grid item xs={12} md={8}>
@@ -17,9 +23,13 @@ const GordonUnauthorized = ({ feature }) => {
               textAlign: 'center',
             }}
           >
-            <h1>You are not logged in.</h1>
+            <h1>{authenticated ? title ?? 'You do not have access.' : 'You are not logged in.'}</h1>
             <br />
-            <h4>You must be logged in to view {feature}.</h4>
+            <h4>
+              {authenticated
+                ? message ?? `Your account does not have access to ${feature}.`
+                : `You must be logged in to view ${feature}.`}
+            </h4>
             <br />
             <Button
               color="primary"
@@ -28,7 +38,7 @@ const GordonUnauthorized = ({ feature }) => {
                 window.location.pathname = '';
               }}
             >
-              Login
+              {authenticated ? 'Back To Home' : 'Login'}
             </Button>
           </CardContent>
         </Card>
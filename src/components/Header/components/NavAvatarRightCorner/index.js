@@ -1,7 +1,8 @@
 import { Avatar, IconButton, Tooltip } from '@material-ui/core';
 import { makeStyles } from '@material-ui/core/styles';
-import { gordonColors } from 'theme';
 import React, { useState, useEffect } from 'react';
+import useAuth from 'hooks/useAuth';
+import useLocale from 'hooks/useLocale';
 import user from 'services/user';
 
 import styles from '../../Header.module.css';
@@ -25,7 +26,7 @@ function getInitials(username) {
   }
 }
 
-const useStyles = makeStyles({
+const useStyles = makeStyles((theme) => ({
   root: {
     width: '50px',
     height: '50px',
@@ -39,20 +40,22 @@ const useStyles = makeStyles({
       boxShadow: '0px 1px 2px 0px rgba(0, 0, 0, 0.5)',
     },
     '&_placeholder': {
-      backgroundColor: gordonColors.primary.cyan,
+      backgroundColor: theme.palette.secondary.main,
     },
   },
-});
+}));
 
-export const GordonNavAvatarRightCorner = ({ authentication, onClick }) => {
+export const GordonNavAvatarRightCorner = ({ onClick, menuOpened }) => {
   const [name, setName] = useState(null);
   const [username, setUsername] = useState(null);
   const [image, setImage] = useState(null);
   const classes = useStyles();
+  const { authenticated } = useAuth();
+  const { t } = useLocale();
 
   useEffect(() => {
     async function loadAvatar() {
-      if (authentication) {
+      if (authenticated) {
         const { name, user_name } = user.getLocalInfo();
         setName(name);
         setUsername(user_name);
@@ -67,7 +70,7 @@ export const GordonNavAvatarRightCorner = ({ authentication, onClick }) => {
 
     loadAvatar();
 
-    if (authentication) {
+    if (authenticated) {
       // Used to re-render the page when the user's profile picture changes
       // The origin of the message is checked to prevent cross-site scripting attacks
       window.addEventListener('message', (event) => {
@@ -78,9 +81,9 @@ export const GordonNavAvatarRightCorner = ({ authentication, onClick }) => {
 
       return window.removeEventListener('message', () => {});
     }
-  }, [authentication]);
+  }, [authenticated]);
 
-  const avatar = authentication ? (
+  const avatar = authenticated ? (
     image ? (
       <Avatar className={classes.root} src={`data:image/jpg;base64,${image}`} sizes="70px" />
     ) : (
@@ -95,9 +98,10 @@ export const GordonNavAvatarRightCorner = ({ authentication, onClick }) => {
       <Tooltip className={styles.tooltip} id="tooltip_avatar" title={name ? name : 'Nav Avatar'}>
         <IconButton
           className={classes.root}
-          aria-label="More"
-          aria-owns={'global-menu'}
+          aria-label={t('header.accountMenu')}
           aria-haspopup="true"
+          aria-expanded={menuOpened}
+          aria-controls={menuOpened ? 'right-side-menu-list' : undefined}
           onClick={onClick}
         >
           {avatar}
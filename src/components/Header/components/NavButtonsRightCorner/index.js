@@ -1,49 +1,63 @@
 import React, { useState } from 'react';
 import Popover from '@material-ui/core/Popover';
 import List from '@material-ui/core/List';
-import { signOut } from 'services/auth';
-import user from 'services/user';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import ToggleButton from '@material-ui/lab/ToggleButton';
+import ToggleButtonGroup from '@material-ui/lab/ToggleButtonGroup';
+import LightThemeIcon from '@material-ui/icons/Brightness7';
+import DarkThemeIcon from '@material-ui/icons/Brightness4';
+import SystemThemeIcon from '@material-ui/icons/SettingsBrightness';
 import GordonQuickLinksDialog from 'components/QuickLinksDialog';
 import GordonNavButton from 'components/NavButton';
+import useAuth from 'hooks/useAuth';
+import useLocale from 'hooks/useLocale';
 import useNetworkStatus from 'hooks/useNetworkStatus';
+import useThemePreference from 'hooks/useThemePreference';
+import { localeNames } from 'services/i18n';
 import styles from './NavButtonsRightCorner.module.css';
 
 /**
  *
  * @param {Function} onClose action to perform when closing the right side nav menu
- * @param {Function} onSignOut action to perform when signing out
- * @param {boolean} authentication whether the user is authenticated
  * @param {Function} openDialogBox function that opens the dialog for when a feature is unavailable
  * @param {boolean} open whether the right side menu is open
  * @returns {JSX.Element} The Nav buttons for the rightside NavAvatar
  */
-const GordonNavButtonsRightCorner = ({
-  onClose,
-  onSignOut,
-  authentication,
-  openDialogBox,
-  open,
-  anchorEl,
-}) => {
+const GordonNavButtonsRightCorner = ({ onClose, openDialogBox, open, anchorEl }) => {
   const [linkOpen, setLinkOpen] = useState(false);
   const isOnline = useNetworkStatus();
+  const { authenticated, roles, logout } = useAuth();
+  const { preference, setPreference } = useThemePreference();
+  const { locale, setLocale, t } = useLocale();
 
   function closeAndSignOut() {
     onClose();
-    signOut();
-    onSignOut();
+    logout();
   }
 
   const myProfileButton = (
     <GordonNavButton
-      unavailable={!isOnline ? 'offline' : !authentication ? 'unauthorized' : null}
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
       onLinkClick={onClose}
       openUnavailableDialog={openDialogBox}
-      linkName={'My Profile'}
+      linkName={t('header.menu.myProfile')}
       linkPath={'/myprofile'}
     />
   );
 
+  const notificationsButton = (
+    <GordonNavButton
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
+      onLinkClick={onClose}
+      openUnavailableDialog={openDialogBox}
+      linkName={t('header.menu.notifications')}
+      linkPath={'/notifications'}
+    />
+  );
+
   const linksButton = (
     <GordonNavButton
       unavailable={!isOnline ? 'offline' : null}
@@ -52,24 +66,26 @@ const GordonNavButtonsRightCorner = ({
         setLinkOpen(true);
       }}
       openUnavailableDialog={openDialogBox}
-      linkName={'Links'}
+      linkName={t('header.menu.links')}
     />
   );
 
   const timesheetsButton = (
     <GordonNavButton
-      unavailable={!isOnline ? 'offline' : !authentication ? 'unauthorized' : null}
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
       onLinkClick={onClose}
       openUnavailableDialog={openDialogBox}
-      linkName={'Timesheets'}
+      linkName={t('header.menu.timesheets')}
       linkPath={'/timesheets'}
     />
   );
 
-  const helpButton = <GordonNavButton onLinkClick={onClose} linkName={'Help'} linkPath={'/help'} />;
+  const helpButton = (
+    <GordonNavButton onLinkClick={onClose} linkName={t('header.menu.help')} linkPath={'/help'} />
+  );
 
   const aboutButton = (
-    <GordonNavButton onLinkClick={onClose} linkName={'About'} linkPath={'/about'} />
+    <GordonNavButton onLinkClick={onClose} linkName={t('header.menu.about')} linkPath={'/about'} />
   );
 
   const feedbackButton = (
@@ -77,26 +93,67 @@ const GordonNavButtonsRightCorner = ({
       unavailable={!isOnline ? 'offline' : null}
       onLinkClick={onClose}
       openUnavailableDialog={openDialogBox}
-      linkName={'Feedback'}
+      linkName={t('header.menu.feedback')}
       linkPath={'/feedback'}
     />
   );
 
-  const adminButton =
-    authentication && user.getLocalInfo().college_role === 'god' ? (
-      <GordonNavButton
-        unavailable={!isOnline ? 'offline' : null}
-        onLinkClick={onClose}
-        openUnavailableDialog={openDialogBox}
-        linkName={'Admin'}
-        linkPath={'/admin'}
-      />
-    ) : null;
+  const adminButton = roles.isSiteAdmin ? (
+    <GordonNavButton
+      unavailable={!isOnline ? 'offline' : null}
+      onLinkClick={onClose}
+      openUnavailableDialog={openDialogBox}
+      linkName={t('header.menu.admin')}
+      linkPath={'/admin'}
+    />
+  ) : null;
+
+  const themeButtons = (
+    <ListItem divider>
+      <ListItemText primary={t('header.menu.theme')} />
+      <ToggleButtonGroup
+        size="small"
+        exclusive
+        value={preference}
+        // Clicking the chosen theme again deselects it, which leaves the theme as it is
+        onChange={(event, newPreference) => newPreference && setPreference(newPreference)}
+        aria-label={t('header.menu.theme')}
+      >
+        <ToggleButton value="light" aria-label={t('header.menu.lightTheme')}>
+          <LightThemeIcon fontSize="small" />
+        </ToggleButton>
+        <ToggleButton value="dark" aria-label={t('header.menu.darkTheme')}>
+          <DarkThemeIcon fontSize="small" />
+        </ToggleButton>
+        <ToggleButton value="system" aria-label={t('header.menu.systemTheme')}>
+          <SystemThemeIcon fontSize="small" />
+        </ToggleButton>
+      </ToggleButtonGroup>
+    </ListItem>
+  );
+
+  const languageSelect = (
+    <ListItem divider>
+      <ListItemText id="language-select-label" primary={t('header.menu.language')} />
+      <Select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        labelId="language-select-label"
+      >
+        {Object.entries(localeNames).map(([localeCode, localeName]) => (
+          // Each language is named in its own language, so that anyone can find theirs
+          <MenuItem key={localeCode} value={localeCode} lang={localeCode}>
+            {localeName}
+          </MenuItem>
+        ))}
+      </Select>
+    </ListItem>
+  );
 
   const signInOutButton = (
     <GordonNavButton
-      onLinkClick={authentication ? closeAndSignOut : onClose}
-      linkName={authentication ? 'Sign Out' : 'Sign In'}
+      onLinkClick={authenticated ? closeAndSignOut : onClose}
+      linkName={t(authenticated ? 'header.menu.signOut' : 'header.menu.signIn')}
       linkPath={'/'}
     />
   );
@@ -119,14 +176,17 @@ const GordonNavButtonsRightCorner = ({
           className={styles.right_side_nav_buttons}
         >
           <List id="right-side-menu-list" disablePadding={true}>
-            <div class={styles.right_menu_triangle} />
+            <li className={styles.right_menu_triangle} aria-hidden="true" />
             {myProfileButton}
+            {notificationsButton}
             {linksButton}
             {timesheetsButton}
             {helpButton}
             {aboutButton}
             {feedbackButton}
             {adminButton}
+            {themeButtons}
+            {languageSelect}
             {signInOutButton}
           </List>
         </Popover>
@@ -0,0 +1,151 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Badge,
+  Button,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Popover,
+  Tooltip,
+  Typography,
+} from '@material-ui/core';
+import NotificationsIcon from '@material-ui/icons/Notifications';
+import useAuth from 'hooks/useAuth';
+import useLocale from 'hooks/useLocale';
+import useNetworkStatus from 'hooks/useNetworkStatus';
+import datetime from 'services/datetime';
+import notificationCenter from 'services/notificationCenter';
+import styles from './NotificationCenter.module.css';
+
+// How often to check for new items while the menu is closed, in milliseconds
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Bell in the header that lists the items needing the signed in user's attention
+ * @returns {JSX.Element} The bell and its menu, or nothing when no user is signed in
+ */
+const GordonNotificationCenter = () => {
+  const [items, setItems] = useState([]);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const isOnline = useNetworkStatus();
+  const { authenticated, loading, roles } = useAuth();
+  const { locale, t } = useLocale();
+
+  const loadItems = useCallback(async () => {
+    setItems(await notificationCenter.getItems(roles));
+  }, [roles]);
+
+  useEffect(() => {
+    // Until the user's roles have loaded, the sources that depend on them would be skipped
+    if (!authenticated || loading || !isOnline) {
+      return;
+    }
+
+    loadItems();
+    const interval = setInterval(loadItems, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [authenticated, loading, isOnline, loadItems]);
+
+  useEffect(() => {
+    if (!authenticated) {
+      setItems([]);
+      setAnchorEl(null);
+    }
+  }, [authenticated]);
+
+  const markRead = async (ids) => {
+    setItems((prevItems) =>
+      prevItems.map((item) => (ids.includes(item.id) ? { ...item, read: true } : item)),
+    );
+    await notificationCenter.markRead(ids);
+  };
+
+  const handleOpen = (event) => {
+    setAnchorEl(event.currentTarget);
+    if (isOnline && !loading) {
+      loadItems();
+    }
+  };
+
+  const handleItemClick = (item) => {
+    setAnchorEl(null);
+    markRead([item.id]);
+  };
+
+  if (!authenticated) {
+    return null;
+  }
+
+  const unreadIDs = items.filter((item) => !item.read).map((item) => item.id);
+
+  return (
+    <>
+      <Tooltip title={t('header.notificationCenter.title')}>
+        <IconButton
+          className={styles.bell_button}
+          aria-label={t('header.notificationCenter.bellLabel', { count: unreadIDs.length })}
+          aria-haspopup="true"
+          onClick={handleOpen}
+        >
+          <Badge badgeContent={unreadIDs.length} color="error">
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        className={styles.notification_menu}
+      >
+        <div className={styles.menu_header}>
+          <Typography variant="subtitle1">{t('header.notificationCenter.title')}</Typography>
+          <Button
+            size="small"
+            disabled={unreadIDs.length === 0}
+            onClick={() => markRead(unreadIDs)}
+          >
+            {t('header.notificationCenter.markAllRead')}
+          </Button>
+        </div>
+        {items.length === 0 ? (
+          <Typography className={styles.empty}>
+            {t('header.notificationCenter.caughtUp')}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {items.map((item) => (
+              <React.Fragment key={item.id}>
+                <ListItem
+                  button
+                  component={Link}
+                  to={item.link}
+                  className={item.read ? null : styles.unread}
+                  onClick={() => handleItemClick(item)}
+                >
+                  <ListItemText
+                    primary={item.title}
+                    secondary={
+                      item.date
+                        ? `${item.description} · ${datetime.formatRelative(item.date, locale)}`
+                        : item.description
+                    }
+                  />
+                </ListItem>
+                <Divider />
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </Popover>
+    </>
+  );
+};
+
+export default GordonNotificationCenter;
@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import styles from './PeopleSearch.module.css';
 import peopleSearch from 'services/people-search';
+import useAuth from 'hooks/useAuth';
 import useNetworkStatus from 'hooks/useNetworkStatus';
 import PropTypes from 'prop-types';
 import GordonUnauthorized from 'components/GordonUnauthorized';
@@ -42,12 +43,7 @@ const renderInput = (inputProps) => {
   );
 };
 
-const GordonPeopleSearch = ({
-  authentication,
-  customPlaceholderText,
-  disableLink,
-  onSearchSubmit,
-}) => {
+const GordonPeopleSearch = ({ customPlaceholderText, disableLink, onSearchSubmit }) => {
   const [suggestions, setSuggestions] = useState([]);
   const [suggestionIndex, setSuggestionIndex] = useState(-1);
   const [query, setQuery] = useState(String);
@@ -55,6 +51,7 @@ const GordonPeopleSearch = ({
   const [width, setWidth] = useState(window.innerWidth);
   const [holder, setHolder] = useState('People Search');
   const isOnline = useNetworkStatus();
+  const { authenticated } = useAuth();
   const [downshift, setDownshift] = useState();
   const [time, setTime] = useState(0);
 
@@ -185,7 +182,12 @@ const GordonPeopleSearch = ({
 
   function renderNoResult() {
     return (
-      <MenuItem className={styles.people_search_suggestion} style={{ paddingBottom: '5px' }}>
+      <MenuItem
+        className={styles.people_search_suggestion}
+        style={{ paddingBottom: '5px' }}
+        role="option"
+        aria-disabled="true"
+      >
         <Typography className={styles.no_results} variant="body2">
           No results
         </Typography>
@@ -275,15 +277,21 @@ const GordonPeopleSearch = ({
   }
 
   // Creates the People Search Bar depending on the status of the network found in local storage
-  return authentication ? (
+  return authenticated ? (
     // Assign reference to Downshift to state property for usage elsewhere in the component
     <Downshift
       ref={(downshift) => {
         setDownshift(downshift);
       }}
     >
-      {({ getInputProps, getItemProps, isOpen }) => (
-        <span className={styles.gordon_people_search} key="suggestion-list-span">
+      {({ getInputProps, getItemProps, getLabelProps, getMenuProps, isOpen }) => (
+        // The combobox must name the menu it controls, even while the menu is closed
+        <span
+          className={styles.gordon_people_search}
+          aria-controls={getMenuProps().id}
+          key="suggestion-list-span"
+        >
+          <label {...getLabelProps({ className: 'visually_hidden' })}>{holder}</label>
           {isOnline
             ? renderInput(
                 getInputProps({
@@ -299,37 +307,40 @@ const GordonPeopleSearch = ({
                   disabled: { isOnline },
                 }),
               )}
-          {isOpen && suggestions.length > 0 && query.length >= MIN_QUERY_LENGTH ? (
-            disableLink ? (
-              <Paper square className={styles.people_search_dropdown}>
-                {suggestions.map((suggestion) =>
-                  renderSuggestion({
-                    suggestion,
-                    itemProps: getItemProps({ item: suggestion.UserName }),
-                  }),
-                )}
-              </Paper>
-            ) : (
-              <Paper square className={styles.people_search_dropdown}>
-                {suggestions.map((suggestion) =>
-                  renderSuggestion({
-                    suggestion,
-                    itemProps: getItemProps({
-                      item: suggestion.UserName,
-                      component: Link,
-                      to: `/profile/${suggestion.UserName}`,
+          {/* The menu is always rendered so that the input's ARIA attributes refer to it */}
+          <div {...getMenuProps()}>
+            {isOpen && suggestions.length > 0 && query.length >= MIN_QUERY_LENGTH ? (
+              disableLink ? (
+                <Paper square className={styles.people_search_dropdown}>
+                  {suggestions.map((suggestion) =>
+                    renderSuggestion({
+                      suggestion,
+                      itemProps: getItemProps({ item: suggestion.UserName }),
+                    }),
+                  )}
+                </Paper>
+              ) : (
+                <Paper square className={styles.people_search_dropdown}>
+                  {suggestions.map((suggestion) =>
+                    renderSuggestion({
+                      suggestion,
+                      itemProps: getItemProps({
+                        item: suggestion.UserName,
+                        component: Link,
+                        to: `/profile/${suggestion.UserName}`,
+                      }),
                     }),
-                  }),
-                )}
+                  )}
+                </Paper>
+              )
+            ) : isOpen && suggestions.length === 0 && query.length >= MIN_QUERY_LENGTH ? (
+              // Styling copied from how renderSuggestion is done with
+              // only bottom padding changed and 'no-results' class used
+              <Paper square className={styles.people_search_dropdown}>
+                {renderNoResult()}
               </Paper>
-            )
-          ) : isOpen && suggestions.length === 0 && query.length >= MIN_QUERY_LENGTH ? (
-            // Styling copied from how renderSuggestion is done with
-            // only bottom padding changed and 'no-results' class used
-            <Paper square className={styles.people_search_dropdown}>
-              {renderNoResult()}
-            </Paper>
-          ) : null}
+            ) : null}
+          </div>
         </span>
       )}
     </Downshift>
@@ -339,7 +350,6 @@ const GordonPeopleSearch = ({
 };
 
 GordonPeopleSearch.propTypes = {
-  authentication: PropTypes.bool.isRequired,
   customPlaceholderText: PropTypes.string,
   disableLink: PropTypes.any,
   onSearchSubmit: PropTypes.func,
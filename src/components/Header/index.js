@@ -7,47 +7,33 @@ import PeopleIcon from '@material-ui/icons/People';
 import WellnessIcon from '@material-ui/icons/LocalHospital';
 import PropTypes from 'prop-types';
 import React, { useEffect, useState } from 'react';
-import DocumentTitle from 'react-document-title';
 import { Route, Switch, NavLink, Link } from 'react-router-dom';
 import styles from './Header.module.css';
 import GordonPeopleSearch from './components/PeopleSearch';
 import { GordonNavAvatarRightCorner } from './components/NavAvatarRightCorner';
 import GordonNavButtonsRightCorner from './components/NavButtonsRightCorner';
+import GordonNotificationCenter from './components/NotificationCenter';
 import routes from 'routes';
 import { projectName } from 'project-name';
 import GordonDialogBox from 'components/GordonDialogBox/index';
 import { windowBreakWidths } from 'theme';
+import useAuth from 'hooks/useAuth';
 import useNetworkStatus from 'hooks/useNetworkStatus';
 import { AppBar, Toolbar, Typography, IconButton, Tabs, Tab, Button } from '@material-ui/core';
 
-const getRouteName = (route) => {
-  // TODO: replace this function with the following line of code once document title setting has been refactored
-  // return () => ( route.name ? <span>{route.name}</span> : <span>{projectName}</span>);
-  if (route.name) {
-    return () => (
-      <span>
-        <DocumentTitle title={`${route.name} | ${projectName}`} />
-        {route.name}
-      </span>
-    );
-  }
-  return () => (
-    <span>
-      <DocumentTitle title={`${projectName}`} />
-      {projectName}
-    </span>
-  );
-};
+// The document is titled after the current page by GordonRouteAnnouncer
+const getRouteName = (route) => () => <span>{route.name || projectName}</span>;
 
 const ForwardLink = React.forwardRef((props, ref) => <Link ref={ref} {...props} />);
 const ForwardNavLink = React.forwardRef((props, ref) => <NavLink innerRef={ref} {...props} />);
 
-const GordonHeader = ({ authentication, onDrawerToggle, onSignOut }) => {
+const GordonHeader = ({ onDrawerToggle }) => {
   const [tabIndex, setTabIndex] = useState(0);
   const [dialog, setDialog] = useState('');
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [anchorElement, setAnchorElement] = useState(null);
   const isOnline = useNetworkStatus();
+  const { authenticated } = useAuth();
 
   /**
    * Update the tab highlight indicator based on the url
@@ -129,7 +115,7 @@ const GordonHeader = ({ authentication, onDrawerToggle, onSignOut }) => {
           onClick={() => setDialog('offline')}
         />
       );
-    } else if (!authentication) {
+    } else if (!authenticated) {
       return (
         <Tab
           className={`${styles.tab} ${styles.disabled_tab}`}
@@ -230,21 +216,16 @@ const GordonHeader = ({ authentication, onDrawerToggle, onSignOut }) => {
           </div>
 
           <div className={styles.people_search_container}>
-            {authentication ? <GordonPeopleSearch authentication={authentication} /> : loginButton}
+            {authenticated ? <GordonPeopleSearch /> : loginButton}
           </div>
 
-          <GordonNavAvatarRightCorner
-            onSignOut={onSignOut}
-            authentication={authentication}
-            onClick={handleOpenMenu}
-            menuOpened={isMenuOpen}
-          />
+          <GordonNotificationCenter />
+
+          <GordonNavAvatarRightCorner onClick={handleOpenMenu} menuOpened={isMenuOpen} />
 
           <GordonNavButtonsRightCorner
             open={isMenuOpen}
             openDialogBox={setDialog}
-            onSignOut={onSignOut}
-            authentication={authentication}
             anchorEl={anchorElement}
             onClose={handleCloseMenu}
           />
@@ -260,5 +241,4 @@ export default GordonHeader;
 
 GordonHeader.propTypes = {
   onDrawerToggle: PropTypes.func.isRequired,
-  onSignOut: PropTypes.func.isRequired,
 };
@@ -1,14 +1,25 @@
 import React from 'react';
+import useLocale from 'hooks/useLocale';
 
 import styles from './Loader.module.css';
 
 import { Grid, CircularProgress } from '@material-ui/core';
 
 const GordonLoader = ({ size }) => {
+  const { t } = useLocale();
+
+  // Screen readers announce that the content is loading, since they can't see the spinner
   return (
-    <Grid className={styles.gordon_loader} container justifyContent="center" alignItems="center">
+    <Grid
+      className={styles.gordon_loader}
+      container
+      justifyContent="center"
+      alignItems="center"
+      role="status"
+    >
       <Grid item>
-        <CircularProgress size={size || 100} />
+        <span className="visually_hidden">{t('common.loading')}</span>
+        <CircularProgress size={size || 100} aria-hidden="true" />
       </Grid>
     </Grid>
   );
@@ -1,6 +1,7 @@
 import { Grid, Typography, TextField, Button } from '@material-ui/core';
 import React, { useState } from 'react';
-import { authenticate } from 'services/auth';
+import useAuth from 'hooks/useAuth';
+import { updateOfflineCache } from 'services/auth';
 import storage from 'services/storage';
 import session from 'services/session';
 import GordonLogoVerticalWhite from './gordon-logo-vertical-white.svg';
@@ -8,7 +9,12 @@ import GordonLoader from 'components/Loader';
 import styles from './LoginDialogue.module.css';
 
 // TODO: Eventually abstract this out to be a global login component to be called anywhere
+/**
+ * @param {Function} [onLogIn] action to perform after logging in
+ * @returns {JSX.Element} A form for the user to log in
+ */
 const LoginDialogue = ({ onLogIn }) => {
+  const { login } = useAuth();
   const [error, setError] = useState();
   const [loading, setLoading] = useState(false);
   const [username, setUsername] = useState('');
@@ -20,25 +26,21 @@ const LoginDialogue = ({ onLogIn }) => {
     setError(null);
 
     try {
-      await authenticate(username, password);
+      await login(username, password);
 
       /* Checks to see if the Service Worker API is available before attempting to access it
        *  This is important because if the API is not available, the site will load
        *  but not allow you to login due to the error "undefined is not a function"
        */
       if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+        // Stores the current term for later use when updating the cache
+        await storage.store('currentTerm', session.getTermCode());
         // Sends the token, current term code, and a message to the service worker to update cache
-        navigator.serviceWorker.controller.postMessage({
-          message: 'update-cache-files',
-          token: storage.get('token'),
-          termCode: session.getTermCode(),
-        });
-        // Stores the current term in Local Storage for later use when updating the cache
-        storage.store('currentTerm', session.getTermCode());
+        updateOfflineCache();
         // Saves the network state as online in local storage
-        localStorage.setItem('network-status', JSON.stringify('online'));
+        storage.store('network-status', 'online');
       }
-      onLogIn();
+      onLogIn?.();
     } catch (err) {
       setError(err.message);
       setLoading(false);
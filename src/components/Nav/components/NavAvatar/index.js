@@ -2,6 +2,7 @@ import { Avatar, Button, Typography } from '@material-ui/core';
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import styles from './NavAvatar.module.css';
+import useAuth from 'hooks/useAuth';
 import user from 'services/user';
 
 /**
@@ -23,25 +24,21 @@ function getInitials(username) {
   }
 }
 
-const GordonNavAvatar = ({ authentication, onLinkClick }) => {
-  const [email, setEmail] = useState();
+const GordonNavAvatar = ({ onLinkClick }) => {
+  const { authenticated, profile } = useAuth();
   const [image, setImage] = useState();
   const [name, setName] = useState();
   const [username, setUsername] = useState();
 
   useEffect(() => {
     async function loadAvatar() {
-      if (authentication) {
+      if (authenticated) {
         const { name, user_name } = user.getLocalInfo();
         setName(name);
         setUsername(user_name);
 
-        const [{ Email: email }, { def: defaultImage, pref: preferredImage }] = await Promise.all([
-          await user.getProfileInfo(),
-          await user.getImage(),
-        ]);
+        const { def: defaultImage, pref: preferredImage } = await user.getImage();
         const image = preferredImage || defaultImage;
-        setEmail(email);
         setImage(image);
       } else {
         setName('Guest');
@@ -51,7 +48,7 @@ const GordonNavAvatar = ({ authentication, onLinkClick }) => {
 
     loadAvatar();
 
-    if (authentication) {
+    if (authenticated) {
       // Used to re-render the page when the user's profile picture changes
       // The origin of the message is checked to prevent cross-site scripting attacks
       window.addEventListener('message', async (event) => {
@@ -64,9 +61,9 @@ const GordonNavAvatar = ({ authentication, onLinkClick }) => {
 
       return window.removeEventListener('message', () => {});
     }
-  }, [authentication]);
+  }, [authenticated]);
 
-  const avatar = authentication ? (
+  const avatar = authenticated ? (
     image ? (
       <Avatar className={`${styles.avatar}`} src={`data:image/jpg;base64,${image}`} />
     ) : (
@@ -80,19 +77,19 @@ const GordonNavAvatar = ({ authentication, onLinkClick }) => {
     <Link
       {...props}
       innerRef={ref}
-      to={authentication ? `/myprofile` : '/'}
+      to={authenticated ? `/myprofile` : '/'}
       onClick={onLinkClick}
       className="gc360_link"
     />
   ));
 
-  const label = authentication ? (
+  const label = authenticated ? (
     <>
       <Typography variant="body2" className={styles.avatar_text} align="left" gutterBottom>
         {name}
       </Typography>
       <Typography variant="caption" className={styles.avatar_text} align="left" gutterBottom>
-        {email}
+        {profile?.Email}
       </Typography>
     </>
   ) : (
@@ -6,23 +6,22 @@ import EventIcon from '@material-ui/icons/Event';
 import PeopleIcon from '@material-ui/icons/People';
 import WorkIcon from '@material-ui/icons/Work';
 import WellnessIcon from '@material-ui/icons/LocalHospital';
-import { signOut } from 'services/auth';
-import user from 'services/user';
+import useAuth from 'hooks/useAuth';
 import useNetworkStatus from 'hooks/useNetworkStatus';
 import GordonQuickLinksDialog from 'components/QuickLinksDialog';
 import GordonDialogBox from 'components/GordonDialogBox/index';
 import GordonNavButton from 'components/NavButton';
 import styles from './NavLinks.module.css';
 
-const GordonNavLinks = ({ onLinkClick, onSignOut, authentication }) => {
+const GordonNavLinks = ({ onLinkClick }) => {
   const [areLinksOpen, setAreLinksOpen] = useState(false);
   const [dialog, setDialog] = useState(null);
   const isOnline = useNetworkStatus();
+  const { authenticated, roles, logout } = useAuth();
 
   const handleSignOut = () => {
-    signOut();
+    logout();
     onLinkClick();
-    onSignOut();
   };
 
   const dialogBox = () => {
@@ -85,7 +84,7 @@ const GordonNavLinks = ({ onLinkClick, onSignOut, authentication }) => {
 
   const peopleButton = (
     <GordonNavButton
-      unavailable={!isOnline ? 'offline' : !authentication ? 'unauthorized' : null}
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
       onLinkClick={onLinkClick}
       openUnavailableDialog={setDialog}
       divider={false}
@@ -97,7 +96,7 @@ const GordonNavLinks = ({ onLinkClick, onSignOut, authentication }) => {
 
   const timesheetsButton = (
     <GordonNavButton
-      unavailable={!isOnline ? 'offline' : !authentication ? 'unauthorized' : null}
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
       openUnavailableDialog={setDialog}
       onLinkClick={onLinkClick}
       linkName={'Timesheets'}
@@ -109,7 +108,7 @@ const GordonNavLinks = ({ onLinkClick, onSignOut, authentication }) => {
 
   const wellnessButton = (
     <GordonNavButton
-      unavailable={!isOnline ? 'offline' : !authentication ? 'unauthorized' : null}
+      unavailable={!isOnline ? 'offline' : !authenticated ? 'unauthorized' : null}
       openUnavailableDialog={setDialog}
       onLinkClick={onLinkClick}
       linkName={'Wellness'}
@@ -161,22 +160,21 @@ const GordonNavLinks = ({ onLinkClick, onSignOut, authentication }) => {
     />
   );
 
-  const adminButton =
-    authentication && user.getLocalInfo().college_role === 'god' ? (
-      <GordonNavButton
-        unavailable={!isOnline ? 'offline' : null}
-        onLinkClick={onLinkClick}
-        openUnavailableDialog={setDialog}
-        linkName={'Admin'}
-        linkPath={'/admin'}
-        divider={false}
-      />
-    ) : null;
+  const adminButton = roles.isSiteAdmin ? (
+    <GordonNavButton
+      unavailable={!isOnline ? 'offline' : null}
+      onLinkClick={onLinkClick}
+      openUnavailableDialog={setDialog}
+      linkName={'Admin'}
+      linkPath={'/admin'}
+      divider={false}
+    />
+  ) : null;
 
   const signInOutButton = (
     <GordonNavButton
-      onLinkClick={authentication ? handleSignOut : onLinkClick}
-      linkName={authentication ? 'Sign Out' : 'Sign In'}
+      onLinkClick={authenticated ? handleSignOut : onLinkClick}
+      linkName={authenticated ? 'Sign Out' : 'Sign In'}
       linkPath={'/'}
     />
   );
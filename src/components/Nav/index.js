@@ -1,20 +1,19 @@
 import { Divider, Drawer, Hidden } from '@material-ui/core';
 import React from 'react';
+import useLocale from 'hooks/useLocale';
 import GordonNavAvatar from './components/NavAvatar';
 import GordonNavLinks from './components/NavLinks';
 import styles from './Nav.module.css';
 
-const GordonNav = ({ onDrawerToggle, authentication, onSignOut, drawerOpen }) => {
+const GordonNav = ({ onDrawerToggle, drawerOpen }) => {
+  const { t } = useLocale();
+
   const drawer = (
-    <>
-      <GordonNavAvatar onLinkClick={onDrawerToggle} authentication={authentication} />
+    <nav aria-label={t('app.mainNavigation')}>
+      <GordonNavAvatar onLinkClick={onDrawerToggle} />
       <Divider />
-      <GordonNavLinks
-        onLinkClick={onDrawerToggle}
-        onSignOut={onSignOut}
-        authentication={authentication}
-      />
-    </>
+      <GordonNavLinks onLinkClick={onDrawerToggle} />
+    </nav>
   );
 
   return (
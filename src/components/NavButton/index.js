@@ -1,6 +1,8 @@
 import React from 'react';
 import { ListItem, ListItemIcon, ListItemText } from '@material-ui/core';
 import { NavLink } from 'react-router-dom';
+import { prefetchRoute } from 'routes';
+import styles from './NavButton.module.css';
 
 /**
  * A Navigation Button for the Right Corner Menu
@@ -10,7 +12,8 @@ import { NavLink } from 'react-router-dom';
  * @param {Function}  openUnavailableDialog function to open the dialog box when the linked page is unavailable
  * @param {boolean} divider whether or to add a divider
  * @param {string} linkName the name of the link
- * @param {string} linkPath the path to be linked to
+ * @param {string} linkPath the path to be linked to. The linked page's code is downloaded as soon as
+ * the user hovers over or focuses the link, so that it opens without waiting.
  * @param {JSX.Element} LinkIcon An optional icon to include in the link
  * @returns {JSX.ELement} A NavButton with the specified content and behavior
  *
@@ -24,34 +27,58 @@ const GordonNavButton = ({
   linkPath = null,
   LinkIcon = null,
 }) => {
-  const link =
-    unavailable !== null || linkPath === null ? (
-      <ListItem divider={divider} button onClick={onLinkClick} disabled={unavailable !== null}>
-        {LinkIcon && (
-          <ListItemIcon>
-            <LinkIcon />
-          </ListItemIcon>
-        )}
-        <ListItemText primary={linkName} />
+  const content = (
+    <>
+      {LinkIcon && (
+        <ListItemIcon>
+          <LinkIcon />
+        </ListItemIcon>
+      )}
+      <ListItemText primary={linkName} />
+    </>
+  );
+
+  let link;
+
+  if (unavailable) {
+    // Unavailable pages are still focusable, so that keyboard users can find out why they can't
+    // open them
+    link = (
+      <ListItem
+        divider={divider}
+        button
+        aria-disabled="true"
+        className={styles.unavailable}
+        onClick={() => openUnavailableDialog(unavailable)}
+      >
+        {content}
       </ListItem>
-    ) : (
-      <NavLink exact to={linkPath} onClick={onLinkClick} className="gc360_link">
+    );
+  } else if (linkPath === null) {
+    link = (
+      <ListItem divider={divider} button onClick={onLinkClick}>
+        {content}
+      </ListItem>
+    );
+  } else {
+    link = (
+      <NavLink
+        exact
+        to={linkPath}
+        onClick={onLinkClick}
+        onMouseEnter={() => prefetchRoute(linkPath)}
+        onFocus={() => prefetchRoute(linkPath)}
+        className="gc360_link"
+      >
         <ListItem divider={divider} button>
-          {LinkIcon && (
-            <ListItemIcon>
-              <LinkIcon />
-            </ListItemIcon>
-          )}
-          <ListItemText primary={linkName} />
+          {content}
         </ListItem>
       </NavLink>
     );
-
-  if (unavailable) {
-    return <div onClick={() => openUnavailableDialog(unavailable)}>{link}</div>;
-  } else {
-    return link;
   }
+
+  // Buttons are listed in menus, where only list items may be
+  return <li>{link}</li>;
 };
 
 export default GordonNavButton;
@@ -1,18 +1,36 @@
 import React, { Component } from 'react';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
+import { AuthContext } from 'contexts/AuthContext';
+import mutationQueue from 'services/mutationQueue';
 import storage from 'services/storage';
 
-import { Grid, Typography } from '@material-ui/core';
+import { Button, Grid, Typography } from '@material-ui/core';
+
+/**
+ * Describe a queued request to the user
+ *
+ * @param {QueuedMutation} mutation The queued request
+ * @returns {String} The request's method and API path, e.g. `POST wellness/answer`
+ */
+const describeMutation = (mutation) =>
+  `${mutation.method} ${new URL(mutation.url).pathname.replace(/^\/api\//, '')}`;
+
+class OfflineBanner extends Component {
+  static contextType = AuthContext;
 
-export default class OfflineBanner extends Component {
   constructor() {
     super();
     this.state = {
       network: 'online',
+      mutations: mutationQueue.getMutations(),
     };
   }
 
   componentDidMount() {
+    this.unsubscribeMutationQueue = mutationQueue.onMutationQueueChange((mutations) =>
+      this.setState({ mutations }),
+    );
+
     /* Used to re-render the page when the network connection changes.
      *  this.state.network is compared to the message received to prevent
      *  multiple re-renders that creates extreme performance lost.
@@ -34,18 +52,19 @@ export default class OfflineBanner extends Component {
       }
     });
 
-    let network;
     /* Attempts to get the network status from local storage.
      * If not found, the default value is online
      */
-    try {
-      network = storage.get('network-status');
-    } catch (error) {
+    storage
+      .get('network-status')
+      // Saves the network's status to this component's state
+      .then((network) => this.setState({ network }))
       // Defaults the network to online if not found in local storage
-      network = 'online';
-    }
-    // Saves the network's status to this component's state
-    this.setState({ network });
+      .catch(() => this.setState({ network: 'online' }));
+  }
+
+  componentWillUnmount() {
+    this.unsubscribeMutationQueue();
   }
 
   /**
@@ -84,31 +103,76 @@ export default class OfflineBanner extends Component {
   }
 
   render() {
-    // Network Status: Online
-    if (this.state.network === 'online') {
+    const { network, mutations } = this.state;
+    const styles = styles2(this.props.theme);
+    const failedMutations = mutations.filter((mutation) => mutation.status === 'failed');
+    const pendingCount = mutations.length - failedMutations.length;
+
+    // Network Status: Online, with no changes waiting to be sent
+    if (network === 'online' && mutations.length === 0) {
       return <div></div>;
     }
-    // Network Status: Offline
-    else {
-      // Shows the offline banner on every page except the Login
-      if (!this.props.authentication && this.props.currentPath === '/') {
-        return <div></div>;
-      } else {
-        return (
-          <Grid className={this.getClass()} style={styles2.card} item={true}>
+    // Shows the offline banner on every page except the Login
+    else if (!this.context.authenticated && this.props.currentPath === '/') {
+      return <div></div>;
+    } else {
+      return (
+        <Grid className={this.getClass()} style={styles.card} item={true}>
+          {network === 'offline' && (
             <Typography>Offline Mode: Information may not be up to date...</Typography>
-          </Grid>
-        );
-      }
+          )}
+          {pendingCount > 0 && (
+            <Typography>
+              {pendingCount === 1
+                ? '1 change is waiting to be sent.'
+                : `${pendingCount} changes are waiting to be sent.`}
+            </Typography>
+          )}
+          {failedMutations.map((mutation) => (
+            <Grid
+              container
+              key={mutation.id}
+              alignItems="center"
+              justifyContent="space-between"
+              wrap="nowrap"
+            >
+              <Typography>
+                Could not send {describeMutation(mutation)}: {mutation.error}
+              </Typography>
+              <Grid item style={styles.actions}>
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => mutationQueue.retryMutation(mutation.id)}
+                >
+                  Retry
+                </Button>
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => mutationQueue.discardMutation(mutation.id)}
+                >
+                  Discard
+                </Button>
+              </Grid>
+            </Grid>
+          ))}
+        </Grid>
+      );
     }
   }
 }
 
-const styles2 = {
+const styles2 = (theme) => ({
   card: {
-    backgroundColor: gordonColors.primary.blue,
-    color: 'white',
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
     padding: '5px',
     margin: '0px  auto 10px auto',
   },
-};
+  actions: {
+    flexShrink: 0,
+  },
+});
+
+export default withTheme(OfflineBanner);
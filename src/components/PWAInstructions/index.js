@@ -1,9 +1,9 @@
 import React, { useState } from 'react';
-import { makeStyles } from '@material-ui/core/styles';
+import { makeStyles, useTheme } from '@material-ui/core/styles';
 import GetAppIcon from '@material-ui/icons/GetApp';
 import ToggleButton from '@material-ui/lab/ToggleButton';
 import ToggleButtonGroup from '@material-ui/lab/ToggleButtonGroup';
-import { gordonColors } from 'theme';
+import useLocale from 'hooks/useLocale';
 import styles from './PWAInstructions.module.css';
 
 import DesktopChromeInstall from './images/Desktop/Desktop-Chrome-Install-360.png';
@@ -27,130 +27,72 @@ import AppleShareButton from './images/Mobile/Apple/iPhone-Share-Button.png';
 import { Button, Dialog, DialogContent, Typography, Grid } from '@material-ui/core';
 
 // Button styles
-const styles2 = {
+const styles2 = (theme) => ({
   button: {
     cancel: {
-      border: `1px solid ${gordonColors.primary.blue}`,
-      color: gordonColors.primary.blue,
+      border: `1px solid ${theme.palette.primary.main}`,
+      color: theme.palette.primary.main,
     },
     install: {
-      border: `1px solid ${gordonColors.primary.blue}`,
-      backgroundColor: gordonColors.primary.blue,
-      color: 'white',
+      border: `1px solid ${theme.palette.primary.main}`,
+      backgroundColor: theme.palette.primary.main,
+      color: theme.palette.primary.contrastText,
     },
   },
-};
+});
 
 // Styles that are applied to the toggles of the device type and device platform
-const toggleStyles = makeStyles({
+const toggleStyles = makeStyles((theme) => ({
   root: {
-    backgroundColor: gordonColors.primary.blue,
+    backgroundColor: theme.palette.primary.main,
     borderRadius: 10,
-    color: 'white',
+    color: theme.palette.primary.contrastText,
     height: 48,
     padding: '0 30px',
     '&:hover': {
-      backgroundColor: `${gordonColors.primary.blueShades[400]} !important`,
+      backgroundColor: `${theme.palette.primary.light} !important`,
     },
   },
   // stylelint does not know this selector type, perhaps because of this being part of Mui lab
   // stylelint-disable-next-line
   selected: {
-    backgroundColor: `${gordonColors.primary.blueShades[700]} !important`,
-    color: 'white !important',
+    backgroundColor: `${theme.palette.primary.dark} !important`,
+    color: `${theme.palette.primary.contrastText} !important`,
   },
-});
+}));
 
-// Holds the instructions for every device with its corresponding pictures
+// Holds the pictures for every device's instructions, whose text is in the `pwaInstructions.steps`
+// messages
 const devices = {
   names: ['Desktop', 'Mobile'],
   Desktop: {
     names: [''],
     All: [
-      [
-        'Open Google Chrome and go to "360.gordon.edu". You may use other Chrome-based browsers such as Brave but Google Chrome is recommended. If you do not have Google Chrome installed,',
-        'https://www.google.com/chrome/',
-        DesktopOpenChrome,
-        'Desktop Installation of Gordon 360 Step 1',
-      ],
-      [
-        `Re-click on the button "Install Gordon 360" and click on "Install" to receive a prompt from your browser (Skip to step 5 afterwards). If you do not see the "Install" button, go to the next step.`,
-        DesktopInstallation,
-        'Desktop Installation Gordon 360 Step 2',
-      ],
-      [
-        `Click on Google Chrome's menu which is located at the top right of the browser window (the three vertical dots).`,
-        DesktopChromeMenu,
-        'Desktop Installation Gordon 360 Step 3',
-      ],
-      [
-        'Once the menu is opened, click on "Install Gordon 360" which is located on the lower-end of the menu.',
-        DesktopChromeInstall,
-        'Android Installation Gordon 360 Step 4',
-      ],
-      [
-        'Lastly, click "Install" to install Gordon 360 on your computer!',
-        DesktopInstallButton,
-        'Desktop Installation Gordon 360 Step 5',
-      ],
+      { image: DesktopOpenChrome, link: 'https://www.google.com/chrome/' },
+      { image: DesktopInstallation },
+      { image: DesktopChromeMenu },
+      { image: DesktopChromeInstall },
+      { image: DesktopInstallButton },
     ],
   },
   Mobile: {
     names: ['Apple', 'Android'],
     Apple: [
-      [
-        'Open Safari and go to "360.gordon.edu".',
-        AppleOpenSafari,
-        'Apple Installation Gordon 360 Step 1',
-      ],
-      [
-        'Tap on the share button located at the bottom of the screen in the center.',
-        AppleShareButton,
-        'Apple Installation Gordon 360 Step 2',
-      ],
-      [
-        'For users on iOS 12 and below, scroll the second column to the right and tap on "Add to Home Screen" (Skip to step 5 afterwards). For users on iOS 13 and above, go to the next step.',
-        AppleAddHomeScreenOne,
-        'Apple Installation Gordon 360 Step 3',
-      ],
-      [
-        'For users on iOS 13 and above, scroll down and tap on "Add to Home Screen".',
-        AppleAddHomeScreenTwo,
-        'Apple Installation Gordon 360 Step 4',
-      ],
-      [
-        'Lastly, tap on "Add" in the top right corner to install Gordon 360 on your home screen!',
-        AppleAddButton,
-        'Apple Installation Gordon 360 Step 5',
-      ],
+      { image: AppleOpenSafari },
+      { image: AppleShareButton },
+      { image: AppleAddHomeScreenOne },
+      { image: AppleAddHomeScreenTwo },
+      { image: AppleAddButton },
     ],
     Android: [
-      [
-        'Open Google Chrome and go to "360.gordon.edu". If you do not have Google Chrome installed,',
-        'https://play.google.com/store/apps/details?id=com.android.chrome&hl=en_US',
-        AndroidOpenChrome,
-        'Android Installation Gordon 360 Step 1',
-      ],
-      [
-        `Re-tap on "Install Gordon 360" and tap on "Install" to receive a prompt from your browser (Skip to step 5 afterwards).`,
-        AndroidInstall,
-        'Mac Installation Gordon 360 Step 2',
-      ],
-      [
-        `If you do not see the "Install" button, make sure your browser is Google Chrome. If it is, tap on Google Chrome's menu which is located at the top right of the screen (the three vertical dots).`,
-        AndroidChromeMenu,
-        'Android Installation Gordon 360 Step 3',
-      ],
-      [
-        'Tap on "Add to Home screen".',
-        AndroidChromeAddHomeScreen,
-        'Android Installation Gordon 360 Step 4',
-      ],
-      [
-        'Lastly, tap on "Add" to install Gordon 360 on your home screen!',
-        AndroidAddButton,
-        'Android Installation Gordon 360 Step 5',
-      ],
+      {
+        image: AndroidOpenChrome,
+        link: 'https://play.google.com/store/apps/details?id=com.android.chrome&hl=en_US',
+      },
+      { image: AndroidInstall },
+      { image: AndroidChromeMenu },
+      { image: AndroidChromeAddHomeScreen },
+      { image: AndroidAddButton },
     ],
   },
 };
@@ -159,6 +101,8 @@ const PWAInstructions = (props) => {
   const [device, setDevice] = useState(null);
   const [platform, setPlatform] = useState(null);
   const classes = toggleStyles();
+  const style = styles2(useTheme());
+  const { t } = useLocale();
 
   // Handles which device is selected
   const handleDeviceChange = (event, selectedDevice) => {
@@ -183,24 +127,6 @@ const PWAInstructions = (props) => {
   function getInstructions() {
     // Checks to see if the user is already using the required browser
     if (device && platform) {
-      // Creates the pre-text of the device and platform chosen
-      let preText = '';
-      // Device : Desktop
-      if (device === 'Desktop') {
-        preText = 'All Desktops';
-      }
-      // Device: Mobile
-      else {
-        // Platform: Apple
-        if (platform === 'Apple') {
-          preText = 'iOS';
-        }
-        // Platform: Android
-        else {
-          preText = 'Android';
-        }
-      }
-
       return (
         <Grid
           container
@@ -214,87 +140,59 @@ const PWAInstructions = (props) => {
             xs={12}
             className={styles.pwa_instructions_content_container_toggles_instructions_choice}
           >
-            <Typography variant="h5">Instructions for {preText}</Typography>
+            <Typography variant="h5">
+              {t('pwaInstructions.instructionsFor', {
+                platform: t(`pwaInstructions.platforms.${platform}`),
+              })}
+            </Typography>
           </Grid>
-          {devices[device][platform].map((step, index) => {
-            /**
-             * The first step is processed differently from the rest in order to show a link to
-             * download Google Chrome. This is for all platforms except "Apple" since the PWA can
-             * only be installed through Safari with Apple
-             */
-            if (index === 0 && platform !== 'Apple') {
-              return (
-                <Grid container xs={12}>
-                  <Grid
-                    container
-                    xs={12}
-                    alignItems="center"
-                    className={styles.pwa_instructions_content_container_toggles_instructions_text}
-                  >
-                    <Typography
-                      variant="h6"
-                      className={
-                        styles.pwa_instructions_content_container_toggles_instructions_text_step
-                      }
-                    >
-                      Step {index + 1}:&nbsp;
-                    </Typography>
-                    <Typography
-                      variant="subtitle1"
-                      className={
-                        styles.pwa_instructions_content_container_toggles_instructions_text_instruction
-                      }
-                    >
-                      {step[0]}&nbsp;
-                      <a href={step[1]}>click here</a>.
-                    </Typography>
-                  </Grid>
-                  <Grid
-                    container
-                    xs={12}
-                    className={styles.pwa_instructions_content_container_toggles_instructions_image}
-                  >
-                    <img src={step[2]} alt={step[3]} />
-                  </Grid>
-                </Grid>
-              );
-            }
-            // Creates the JSX of the current step containing the instruction and its corresponding image
-            return (
-              <Grid container xs={12}>
-                <Grid
-                  container
-                  xs={12}
-                  alignItems="center"
-                  className={styles.pwa_instructions_content_container_toggles_instructions_text}
+          {devices[device][platform].map((step, index) => (
+            // Creates the JSX of the current step containing the instruction and its corresponding
+            // image. The first step links to a download of Google Chrome, for all platforms except
+            // "Apple" since the PWA can only be installed through Safari with Apple
+            <Grid container xs={12} key={index}>
+              <Grid
+                container
+                xs={12}
+                alignItems="center"
+                className={styles.pwa_instructions_content_container_toggles_instructions_text}
+              >
+                <Typography
+                  variant="h6"
+                  className={
+                    styles.pwa_instructions_content_container_toggles_instructions_text_step
+                  }
                 >
-                  <Typography
-                    variant="h6"
-                    className={
-                      styles.pwa_instructions_content_container_toggles_instructions_text_step
-                    }
-                  >
-                    Step {index + 1}:&nbsp;
-                  </Typography>
-                  <Typography
-                    variant="subtitle1"
-                    className={
-                      styles.pwa_instructions_content_container_toggles_instructions_text_instruction
-                    }
-                  >
-                    {step[0]}
-                  </Typography>
-                </Grid>
-                <Grid
-                  container
-                  xs={12}
-                  className={styles.pwa_instructions_content_container_toggles_instructions_image}
+                  {t('pwaInstructions.step', { number: index + 1 })}&nbsp;
+                </Typography>
+                <Typography
+                  variant="subtitle1"
+                  className={
+                    styles.pwa_instructions_content_container_toggles_instructions_text_instruction
+                  }
                 >
-                  <img src={step[1]} alt={step[2]} />
-                </Grid>
+                  {t(`pwaInstructions.steps.${platform}.${index + 1}`, {
+                    link: <a href={step.link}>{t('common.clickHere')}</a>,
+                  })}
+                </Typography>
+              </Grid>
+              <Grid
+                container
+                xs={12}
+                className={styles.pwa_instructions_content_container_toggles_instructions_image}
+              >
+                <img
+                  src={step.image}
+                  alt={t('pwaInstructions.stepImage', {
+                    platform: t(
+                      `pwaInstructions.devices.${platform === 'All' ? device : platform}`,
+                    ),
+                    number: index + 1,
+                  })}
+                />
               </Grid>
-            );
-          })}
+            </Grid>
+          ))}
         </Grid>
       );
     }
@@ -316,7 +214,7 @@ const PWAInstructions = (props) => {
             </Grid>
             <Grid item xs={10} sm={11} alignItems="center">
               <Typography className={styles.pwa_instructions_content_install_text}>
-                Click install below and follow the prompt to install Gordon 360 on your device.
+                {t('pwaInstructions.quickInstall')}
               </Typography>
             </Grid>
           </Grid>
@@ -326,18 +224,18 @@ const PWAInstructions = (props) => {
                 // Exits out the dialog box
                 props.handleDisplay();
               }}
-              style={styles2.button.cancel}
+              style={style.button.cancel}
             >
-              Cancel
+              {t('common.cancel')}
             </Button>
             <Button
               onClick={() => {
                 // Calls the browser's default prompt to do a quick installation of the PWA
                 props.deferredPWAPrompt.prompt();
               }}
-              style={styles2.button.install}
+              style={style.button.install}
             >
-              Install
+              {t('common.install')}
             </Button>
           </Grid>
         </Grid>
@@ -363,7 +261,7 @@ const PWAInstructions = (props) => {
                 className={styles.pwa_instructions_content_container_toggles_platform_text}
               >
                 <Typography variant="h6" color="primary">
-                  Select Device Type:
+                  {t('pwaInstructions.selectDevice')}
                 </Typography>
               </Grid>
               <Grid
@@ -383,11 +281,11 @@ const PWAInstructions = (props) => {
                     return (
                       <ToggleButton
                         value={item}
-                        aria-label={item}
+                        aria-label={t(`pwaInstructions.devices.${item}`)}
                         classes={classes}
                         selected={device === item ? true : false}
                       >
-                        <Typography>{item}</Typography>
+                        <Typography>{t(`pwaInstructions.devices.${item}`)}</Typography>
                       </ToggleButton>
                     );
                   })}
@@ -410,7 +308,7 @@ const PWAInstructions = (props) => {
                   className={styles.pwa_instructions_content_container_toggles_platform_text}
                 >
                   <Typography variant="h6" color="primary">
-                    Select Platform:
+                    {t('pwaInstructions.selectPlatform')}
                   </Typography>
                 </Grid>
                 <Grid
@@ -432,7 +330,7 @@ const PWAInstructions = (props) => {
                         return (
                           <ToggleButton
                             value={item}
-                            aria-label={item}
+                            aria-label={t(`pwaInstructions.devices.${item}`)}
                             classes={classes}
                             selected={platform === item ? true : false}
                             onClick={() => {
@@ -443,7 +341,7 @@ const PWAInstructions = (props) => {
                               });
                             }}
                           >
-                            <Typography>{item}</Typography>
+                            <Typography>{t(`pwaInstructions.devices.${item}`)}</Typography>
                           </ToggleButton>
                         );
                       })}
@@ -463,9 +361,9 @@ const PWAInstructions = (props) => {
                 // Exits out the dialog box
                 props.handleDisplay();
               }}
-              style={styles2.button.cancel}
+              style={style.button.cancel}
             >
-              Cancel
+              {t('common.cancel')}
             </Button>
           </Grid>
         </Grid>
@@ -485,8 +383,8 @@ const PWAInstructions = (props) => {
         <Grid container xs={12} justifyContent="center" className={styles.pwa_instructions_title}>
           <Typography variant="h5">
             {props.deferredPWAPrompt
-              ? 'Install Gordon 360'
-              : ' Instructions to install Gordon 360 '}
+              ? t('pwaInstructions.install')
+              : t('pwaInstructions.instructions')}
           </Typography>
         </Grid>
         <DialogContent className={styles.pwa_instructions_content}>{createContent()}</DialogContent>
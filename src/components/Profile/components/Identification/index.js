@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import Dropzone from 'react-dropzone';
 import EmailIcon from '@material-ui/icons/Email';
 import user from 'services/user';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import { Link } from 'react-router-dom';
 import Cropper from 'react-cropper';
 import 'cropperjs/dist/cropper.css';
@@ -41,18 +41,19 @@ const Identification = ({ profile, myProf, network, createSnackbar }) => {
   const [currentWidth, setCurrentWidth] = useState();
   const [cliftonColor, setCliftonColor] = useState();
   const cropperRef = useRef();
+  const theme = useTheme();
   const isStudent = profile.PersonType?.includes('stu');
   let photoDialogErrorTimeout;
 
   // Styles used throughout this component
   const style = {
     button: {
-      background: gordonColors.primary.blue,
-      color: 'white',
+      background: theme.palette.primary.main,
+      color: theme.palette.primary.contrastText,
 
       changeImageButton: {
-        background: gordonColors.primary.blue,
-        color: 'white',
+        background: theme.palette.primary.main,
+        color: theme.palette.primary.contrastText,
       },
 
       resetButton: {
@@ -60,9 +61,9 @@ const Identification = ({ profile, myProf, network, createSnackbar }) => {
         color: 'white',
       },
       cancelButton: {
-        backgroundColor: 'white',
-        color: gordonColors.primary.blue,
-        border: `1px solid ${gordonColors.primary.blue}`,
+        backgroundColor: theme.palette.background.paper,
+        color: theme.palette.primary.main,
+        border: `1px solid ${theme.palette.primary.main}`,
         width: showCropper ? '38%' : '86%',
       },
       hidden: {
@@ -70,7 +71,7 @@ const Identification = ({ profile, myProf, network, createSnackbar }) => {
       },
     },
     socialMediaButton: {
-      color: gordonColors.primary.cyan,
+      color: theme.palette.secondary.main,
       fontSize: '1rem',
     },
   };
@@ -324,7 +325,7 @@ const Identification = ({ profile, myProf, network, createSnackbar }) => {
     // If an error occured and there's no currently running timeout, the error is displayed
     // and a timeout for that error message is created
     if (photoDialogError !== null) {
-      message = <span style={{ color: '#B63228' }}>{photoDialogError}</span>;
+      message = <span style={{ color: theme.palette.error.main }}>{photoDialogError}</span>;
       if (photoDialogErrorTimeout === null) {
         // Shows the error message for 6 seconds and then returns back to normal text
         photoDialogErrorTimeout = setTimeout(() => {
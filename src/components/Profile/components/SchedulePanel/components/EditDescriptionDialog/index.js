@@ -1,10 +1,11 @@
 import React from 'react';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
+import accessibility from 'services/accessibility';
 import styles from './EditDescriptionDialog.module.css';
 
 import { Dialog, DialogTitle, DialogActions, Button, TextField } from '@material-ui/core';
 
-export default class EditDescriptionDialog extends React.Component {
+class EditDescriptionDialog extends React.Component {
   constructor(props) {
     super(props);
 
@@ -42,15 +43,26 @@ export default class EditDescriptionDialog extends React.Component {
   };
 
   render() {
+    const { theme } = this.props;
     const button = {
-      background: gordonColors.primary.cyan,
-      color: 'white',
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
     };
 
     return (
-      <Dialog open={this.props.editDescriptionOpen} keepMounted fullWidth="true" maxWidth="xs">
+      <Dialog
+        open={this.props.editDescriptionOpen}
+        onClose={this.props.handleEditDescriptionClose}
+        keepMounted
+        fullWidth="true"
+        maxWidth="xs"
+        aria-labelledby="edit-description-dialog-title"
+        TransitionProps={{ onExited: () => accessibility.restoreFocus() }}
+      >
         <div className={styles.desc_tile}>
-          <DialogTitle className={styles.desc_title}>Edit schedule description</DialogTitle>
+          <DialogTitle id="edit-description-dialog-title" className={styles.desc_title}>
+            Edit schedule description
+          </DialogTitle>
 
           <TextField
             id="descInput"
@@ -78,3 +90,5 @@ export default class EditDescriptionDialog extends React.Component {
     );
   }
 }
+
+export default withTheme(EditDescriptionDialog);
@@ -1,9 +1,10 @@
 import React, { Fragment } from 'react';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
+import accessibility from 'services/accessibility';
 
 import { Dialog, DialogTitle, DialogActions, Button } from '@material-ui/core';
 
-export default class RemoveScheduleDialog extends React.Component {
+class RemoveScheduleDialog extends React.Component {
   constructor(props) {
     super(props);
 
@@ -19,9 +20,10 @@ export default class RemoveScheduleDialog extends React.Component {
   };
 
   render() {
+    const { theme } = this.props;
     const button = {
-      background: gordonColors.primary.cyan,
-      color: 'white',
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
     };
 
     return (
@@ -30,10 +32,12 @@ export default class RemoveScheduleDialog extends React.Component {
           open={this.props.removeMyScheduleOpen}
           keepMounted
           onClose={this.props.handleRemoveMyScheduleClose}
-          aria-labelledby="alert-dialog-slide-title"
-          aria-describedby="alert-dialog-slide-description"
+          aria-labelledby="remove-schedule-dialog-title"
+          TransitionProps={{ onExited: () => accessibility.restoreFocus() }}
         >
-          <DialogTitle>Are you sure about removing this event?</DialogTitle>
+          <DialogTitle id="remove-schedule-dialog-title">
+            Are you sure about removing this event?
+          </DialogTitle>
           <DialogActions>
             <Button
               onClick={this.props.handleRemoveMyScheduleClose}
@@ -51,3 +55,5 @@ export default class RemoveScheduleDialog extends React.Component {
     );
   }
 }
+
+export default withTheme(RemoveScheduleDialog);
@@ -1,16 +1,27 @@
 import React, { Component, Fragment } from 'react';
-import Moment from 'moment';
+import { format, getDay, parse, startOfWeek } from 'date-fns';
+import enUS from 'date-fns/locale/en-US';
 
-import { Calendar, momentLocalizer } from 'react-big-calendar';
+import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
 
 import GordonLoader from 'components/Loader';
 import schedule from 'services/schedule';
 import myschedule from 'services/myschedule';
+import datetime from 'services/datetime';
 import session from 'services/session';
 
 // @TODO CSSMODULES - Schedule Calendar needs work but left as normal for now
 import './ScheduleCalendar.css';
 
+// Localizer is always required for react-big-calendar initialization
+const localizer = dateFnsLocalizer({
+  format,
+  parse,
+  startOfWeek,
+  getDay,
+  locales: { 'en-US': enUS },
+});
+
 export default class GordonScheduleCalendar extends Component {
   constructor(props) {
     super(props);
@@ -91,24 +102,20 @@ export default class GordonScheduleCalendar extends Component {
       { resourceId: 7, resourceTitle: 'Saturday' },
     ];
 
-    // Localizer is always required for react-big-calendar initialization
+    // The day's header shows the session, since the calendar stands for a week of any session
     let formats = {
-      dayHeaderFormat: (date, localizer = momentLocalizer(Moment)) =>
-        localizer.format(date, '[' + this.state.currentSession.SessionDescription + ']'), // [] makes string to escape from parser (use this for session display)
+      dayHeaderFormat: () => this.state.currentSession.SessionDescription,
     };
 
-    const dayStart = new Date();
-    dayStart.setHours(6, 0, 0, 0);
-
-    const dayEnd = new Date();
-    dayEnd.setHours(22, 0, 0, 0);
+    const dayStart = datetime.timeOnDate('06:00');
+    const dayEnd = datetime.timeOnDate('22:00');
 
     let content;
     if (this.state.loading) {
       content = <GordonLoader />;
     } else {
       // Calendar API can be controlled here with these properties
-      let Resource = ({ localizer = momentLocalizer(Moment) }) => (
+      let Resource = () => (
         <Calendar
           selectable={this.props.network === 'online' ? true : false}
           events={this.eventInfo}
@@ -128,7 +135,7 @@ export default class GordonScheduleCalendar extends Component {
           onSelectSlot={(slotInfo) => {
             this.props.handleMyScheduleOpen(slotInfo);
           }}
-          defaultDate={Moment(new Date())}
+          defaultDate={new Date()}
           resources={resourceMap}
           resourceIdAccessor="resourceId"
           resourceTitleAccessor="resourceTitle"
@@ -136,7 +143,7 @@ export default class GordonScheduleCalendar extends Component {
           formats={formats}
         />
       );
-      content = Resource(momentLocalizer(Moment));
+      content = Resource();
     }
 
     return <Fragment>{content}</Fragment>;
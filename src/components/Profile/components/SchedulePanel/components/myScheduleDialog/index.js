@@ -1,6 +1,7 @@
 import React, { Fragment } from 'react';
 
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
+import accessibility from 'services/accessibility';
 import myschedule from 'services/myschedule';
 import {
   FormHelperText,
@@ -22,7 +23,7 @@ import { KeyboardTimePicker } from '@material-ui/pickers';
 const STARTHOUR = '08:00';
 const ENDHOUR = '17:00';
 
-export default class MyScheduleDialog extends React.Component {
+class MyScheduleDialog extends React.Component {
   constructor(props) {
     super(props);
 
@@ -336,9 +337,10 @@ export default class MyScheduleDialog extends React.Component {
   };
 
   render() {
+    const { theme } = this.props;
     const button = {
-      background: gordonColors.primary.cyan,
-      color: 'white',
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
     };
     let dialogTitle = 'Add a';
 
@@ -353,8 +355,10 @@ export default class MyScheduleDialog extends React.Component {
         onClose={this.props.handleMyScheduleClose}
         fullWidth="true"
         maxWidth="md"
+        aria-labelledby="my-schedule-dialog-title"
+        TransitionProps={{ onExited: () => accessibility.restoreFocus() }}
       >
-        <DialogTitle>{dialogTitle} schedule item</DialogTitle>
+        <DialogTitle id="my-schedule-dialog-title">{dialogTitle} schedule item</DialogTitle>
 
         <DialogContent>
           <form onSubmit={this.handleSubmit}>
@@ -530,3 +534,5 @@ export default class MyScheduleDialog extends React.Component {
     return <Fragment>{myScheduleDialog}</Fragment>;
   }
 }
+
+export default withTheme(MyScheduleDialog);
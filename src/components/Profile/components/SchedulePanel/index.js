@@ -2,7 +2,6 @@ import React, { Component, Fragment } from 'react';
 import GordonScheduleCalendar from './components/ScheduleCalendar';
 import ExpandMoreIcon from '@material-ui/icons/ExpandMore';
 import { withStyles } from '@material-ui/core/styles';
-import { gordonColors } from 'theme';
 import MyScheduleDialog from './components/myScheduleDialog';
 import RemoveScheduleDialog from './components/RemoveScheduleDialog';
 import EditDescriptionDialog from './components/EditDescriptionDialog';
@@ -29,19 +28,19 @@ import {
 const STARTHOUR = '08:00';
 const ENDHOUR = '17:00';
 
-const styles2 = {
+const styles2 = (theme) => ({
   colorSwitchBase: {
-    color: gordonColors.neutral.lightGray,
+    color: theme.palette.grey[300],
     '&$colorChecked': {
-      color: gordonColors.primary.cyan,
+      color: theme.palette.secondary.main,
       '& + $colorBar': {
-        backgroundColor: gordonColors.primary.cyan,
+        backgroundColor: theme.palette.secondary.main,
       },
     },
   },
   colorBar: {},
   colorChecked: {},
-};
+});
 
 class GordonSchedulePanel extends Component {
   constructor(props) {
@@ -249,11 +248,11 @@ class GordonSchedulePanel extends Component {
       }
     });
 
+    const { classes, theme } = this.props;
     const button = {
-      background: gordonColors.primary.cyan,
-      color: 'white',
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
     };
-    const { classes } = this.props;
     let isFaculty = String(this.props.profile.PersonType).includes('fac');
 
     let privacyButton,
@@ -266,7 +265,7 @@ class GordonSchedulePanel extends Component {
       lastUpdate;
 
     lastUpdate = (
-      <div style={{ color: gordonColors.primary.cyan }}>
+      <div style={{ color: theme.palette.secondary.main }}>
         <Typography style={{ fontSize: '0.9rem' }}>Last Updated</Typography>
         <TimeAgo date={this.scheduleControlInfo ? this.state.modifiedTimeStamp : null} />
       </div>
@@ -342,7 +341,10 @@ class GordonSchedulePanel extends Component {
         <Fragment>
           <Button
             variant="contained"
-            style={{ backgroundColor: gordonColors.secondary.red, color: 'white' }}
+            style={{
+              backgroundColor: theme.palette.error.main,
+              color: theme.palette.error.contrastText,
+            }}
             onClick={this.handleRemoveMyScheduleOpen}
             disabled={this.state.disabled} //disabled
           >
@@ -443,4 +445,4 @@ class GordonSchedulePanel extends Component {
   }
 }
 
-export default withStyles(styles2)(GordonSchedulePanel);
+export default withStyles(styles2, { withTheme: true })(GordonSchedulePanel);
@@ -1,9 +1,8 @@
 import React from 'react';
-import { gordonColors } from 'theme';
 import { Polar } from 'react-chartjs-2';
 import victory from 'services/victory';
 import styles from './VictoryPromiseDisplay.module.css';
-import { withStyles } from '@material-ui/core/styles';
+import { withStyles, withTheme } from '@material-ui/core/styles';
 import { ReactComponent as OffCC } from './images/Off-CC.svg';
 import { ReactComponent as OnCC } from './images/On-CC.svg';
 import { ReactComponent as OffIM } from './images/Off-IM.svg';
@@ -23,7 +22,7 @@ import {
   CardContent,
 } from '@material-ui/core';
 
-export default class VictoryPromiseDisplay extends React.Component {
+class VictoryPromiseDisplay extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
@@ -36,12 +35,6 @@ export default class VictoryPromiseDisplay extends React.Component {
       datasets: [
         {
           data: [0, 0, 0, 0],
-          backgroundColor: [
-            gordonColors.neutral.lightGray,
-            gordonColors.neutral.lightGray,
-            gordonColors.neutral.lightGray,
-            gordonColors.neutral.lightGray,
-          ],
         },
       ],
       options: '',
@@ -49,10 +42,6 @@ export default class VictoryPromiseDisplay extends React.Component {
       IM: 0,
       LS: 0,
       LW: 0,
-      CCColor: gordonColors.neutral.lightGray,
-      IMColor: gordonColors.neutral.lightGray,
-      LSColor: gordonColors.neutral.lightGray,
-      LWColor: gordonColors.neutral.lightGray,
       defaultVPMode: true,
       CC_ON: false,
       IM_ON: false,
@@ -84,22 +73,22 @@ export default class VictoryPromiseDisplay extends React.Component {
     var emptySlice = min - 0.3;
 
     if (CC > 0) {
-      this.setState({ CCColor: gordonColors.secondary.red, CC_ON: true });
+      this.setState({ CC_ON: true });
     } else {
       this.setState({ CC: emptySlice });
     }
     if (IM > 0) {
-      this.setState({ IMColor: gordonColors.secondary.green, IM_ON: true });
+      this.setState({ IM_ON: true });
     } else {
       this.setState({ IM: emptySlice });
     }
     if (LS > 0) {
-      this.setState({ LSColor: gordonColors.secondary.yellow, LS_ON: true });
+      this.setState({ LS_ON: true });
     } else {
       this.setState({ LS: emptySlice });
     }
     if (LW > 0) {
-      this.setState({ LWColor: gordonColors.primary.cyan, LW_ON: true });
+      this.setState({ LW_ON: true });
     } else {
       this.setState({ LW: emptySlice });
     }
@@ -170,20 +159,14 @@ export default class VictoryPromiseDisplay extends React.Component {
       });
     }
 
-    this.setColor();
+    this.setData();
   }
 
-  setColor() {
+  setData() {
     this.setState({
       datasets: [
         {
           data: [this.state.CC, this.state.IM, this.state.LS, this.state.LW],
-          backgroundColor: [
-            this.state.CCColor,
-            this.state.IMColor,
-            this.state.LSColor,
-            this.state.LWColor,
-          ],
           borderAlign: 'center',
           borderWidth: 3,
         },
@@ -195,6 +178,21 @@ export default class VictoryPromiseDisplay extends React.Component {
     window.open('https://www.gordon.edu/victorypromise');
   }
 
+  /**
+   * Get the color of each pillar's slice of the chart, which is grayed out until the user has a
+   * score in the pillar
+   * @returns {string[]} The colors, in the order of `this.state.labels`
+   */
+  getPillarColors() {
+    const { palette } = this.props.theme;
+    return [
+      [this.state.CC_ON, palette.error.main],
+      [this.state.IM_ON, palette.success.main],
+      [this.state.LS_ON, palette.warning.main],
+      [this.state.LW_ON, palette.secondary.main],
+    ].map(([isOn, color]) => (isOn ? color : palette.action.disabledBackground));
+  }
+
   render() {
     let IMG_CC;
     let IMG_IM;
@@ -306,7 +304,13 @@ export default class VictoryPromiseDisplay extends React.Component {
         <Grid container justifyContent="center">
           <Polar
             className={styles.victory_promise}
-            data={{ labels: this.state.labels, datasets: this.state.datasets }}
+            data={{
+              labels: this.state.labels,
+              datasets: this.state.datasets.map((dataset) => ({
+                ...dataset,
+                backgroundColor: this.getPillarColors(),
+              })),
+            }}
             options={this.state.options}
           />
         </Grid>
@@ -364,3 +368,5 @@ export default class VictoryPromiseDisplay extends React.Component {
     );
   }
 }
+
+export default withTheme(VictoryPromiseDisplay);
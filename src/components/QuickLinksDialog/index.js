@@ -5,12 +5,7 @@ import GordonDialogBox from 'components/GordonDialogBox/index';
 
 const GordonQuickLinksDialog = (props) => {
   return (
-    <GordonDialogBox
-      onClose={props.handleLinkClose}
-      aria-labelledby="useful-links"
-      open={props.linkopen}
-      title="Useful Links"
-    >
+    <GordonDialogBox onClose={props.handleLinkClose} open={props.linkopen} title="Useful Links">
       <GordonLinksList onClose={props.handleLinkClose} />
     </GordonDialogBox>
   );
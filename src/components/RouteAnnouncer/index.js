@@ -0,0 +1,43 @@
+import React, { useEffect, useRef, useState } from 'react';
+import DocumentTitle from 'react-document-title';
+import { matchPath, useLocation } from 'react-router-dom';
+import { projectName } from 'project-name';
+import routes from 'routes';
+import accessibility from 'services/accessibility';
+
+/**
+ * Title the document after the current page, and announce the new title to screen readers on
+ * navigation
+ *
+ * Focus moves to the new page's content on navigation, so that keyboard users continue from the
+ * top of the page rather than from the link they followed. The first page is left alone, since
+ * screen readers announce it as the document loads.
+ *
+ * @returns {JSX.Element} A live region holding the title of the page navigated to
+ */
+const GordonRouteAnnouncer = () => {
+  const { pathname } = useLocation();
+  const [announcement, setAnnouncement] = useState('');
+  const previousPathname = useRef(pathname);
+
+  const route = routes.find((candidate) => matchPath(pathname, candidate));
+  const title = route?.name ? `${route.name} | ${projectName}` : projectName;
+
+  useEffect(() => {
+    if (pathname === previousPathname.current) return;
+
+    previousPathname.current = pathname;
+    setAnnouncement(title);
+    accessibility.focusMainContent();
+  }, [pathname, title]);
+
+  return (
+    <DocumentTitle title={title}>
+      <div className="visually_hidden" role="status" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+    </DocumentTitle>
+  );
+};
+
+export default GordonRouteAnnouncer;
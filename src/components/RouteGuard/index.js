@@ -0,0 +1,41 @@
+import React from 'react';
+import { Grid } from '@material-ui/core';
+import GordonLoader from 'components/Loader';
+import GordonOffline from 'components/GordonOffline';
+import GordonUnauthorized from 'components/GordonUnauthorized';
+import LoginDialogue from 'components/LoginDialogue';
+import useAuth from 'hooks/useAuth';
+import useNetworkStatus from 'hooks/useNetworkStatus';
+
+/**
+ * Enforce a route's access requirements before its view mounts
+ *
+ * @param {RouteConfig} route - The route being rendered
+ * @param {ReactNode} children - The route's view, rendered only if the user may access it
+ *
+ * @returns {JSX.Element} The route's view, or what to show the user instead
+ */
+const RouteGuard = ({ route, children }) => {
+  const { authenticated, loading, roles } = useAuth();
+  const isOnline = useNetworkStatus();
+
+  if (!isOnline && !route.offlineCapable) {
+    return <GordonOffline feature={route.name} />;
+  } else if (route.requiresAuth && !authenticated) {
+    return (
+      <Grid container justifyContent="center">
+        <Grid item xs={12} sm={8} md={6} lg={4}>
+          <LoginDialogue />
+        </Grid>
+      </Grid>
+    );
+  } else if (route.roles && loading) {
+    return <GordonLoader />;
+  } else if (route.roles && !route.roles.some((role) => roles[role])) {
+    return <GordonUnauthorized feature={`the ${route.name} page`} {...route.unauthorized} />;
+  }
+
+  return children;
+};
+
+export default RouteGuard;
@@ -0,0 +1,30 @@
+import React from 'react';
+import useLocale from 'hooks/useLocale';
+import accessibility, { mainContentId } from 'services/accessibility';
+
+/**
+ * A link past the header and navigation to the page's content, for keyboard users to reach first
+ *
+ * @param {Object} props The component props
+ * @param {String} [props.className] Class of the link, which should hide it until it is focused
+ * @returns {JSX.Element} The skip link
+ */
+const GordonSkipLink = ({ className }) => {
+  const { t } = useLocale();
+
+  return (
+    <a
+      className={className}
+      href={`#${mainContentId}`}
+      onClick={(event) => {
+        // Focusing the content directly keeps the fragment out of the URL
+        event.preventDefault();
+        accessibility.focusMainContent();
+      }}
+    >
+      {t('app.skipToContent')}
+    </a>
+  );
+};
+
+export default GordonSkipLink;
@@ -26,11 +26,19 @@ const SimpleSnackbar = ({
   duration = 10000,
   onClose,
   alertStyle,
+  action,
   ...otherProps
 }) => {
   return (
     <Snackbar open={open} autoHideDuration={duration} onClose={onClose} {...otherProps}>
-      <Alert style={alertStyle || { textAlign: 'center' }} onClose={onClose} severity={severity}>
+      <Alert
+        style={alertStyle || { textAlign: 'center' }}
+        onClose={onClose}
+        severity={severity}
+        action={action}
+        // Only errors and warnings interrupt what a screen reader is saying
+        role={severity === 'error' || severity === 'warning' ? 'alert' : 'status'}
+      >
         {text}
       </Alert>
     </Snackbar>
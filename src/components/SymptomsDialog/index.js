@@ -7,10 +7,13 @@ import {
   DialogContentText,
   DialogTitle,
 } from '@material-ui/core';
+import useLocale from 'hooks/useLocale';
 import wellness, { StatusColors } from 'services/wellness';
 import styles from './SymptomsDialog.module.css';
 
 const SymptomsDialog = ({ isOpen, setIsOpen, setStatus }) => {
+  const { t } = useLocale();
+
   return (
     <Dialog
       open={isOpen}
@@ -19,15 +22,13 @@ const SymptomsDialog = ({ isOpen, setIsOpen, setStatus }) => {
       aria-describedby="submit-symptoms"
       className={styles.symptoms_dialog}
     >
-      <DialogTitle>Symptom Confirmation</DialogTitle>
+      <DialogTitle>{t('wellness.symptomConfirmation')}</DialogTitle>
       <DialogContent>
-        <DialogContentText>
-          You are about to confirm that you have recently experienced COVID-19 symptoms.
-        </DialogContentText>
+        <DialogContentText>{t('wellness.confirmSymptoms')}</DialogContentText>
       </DialogContent>
       <DialogActions>
         <Button variant="contained" onClick={() => setIsOpen(false)}>
-          Cancel
+          {t('common.cancel')}
         </Button>
         <Button
           variant="contained"
@@ -37,7 +38,7 @@ const SymptomsDialog = ({ isOpen, setIsOpen, setStatus }) => {
           }}
           className={styles.confirm_symptoms}
         >
-          Confirm
+          {t('common.confirm')}
         </Button>
       </DialogActions>
     </Dialog>
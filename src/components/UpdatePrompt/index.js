@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from '@material-ui/core';
+import GordonSnackbar from 'components/Snackbar';
+import versionService from 'services/version';
+
+/**
+ * Get the service worker for a new version of 360 that is waiting to activate
+ *
+ * @returns {Promise.<ServiceWorker|undefined>} The waiting service worker, if there is one
+ */
+const getWaitingWorker = async () => {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  // Without a controlling service worker, a new one activates on its own
+  return navigator.serviceWorker?.controller ? registration?.waiting : undefined;
+};
+
+/**
+ * Offer to reload into a new version of 360 once its service worker has installed
+ *
+ * New versions don't activate until the user agrees, so that they never take over while the
+ * previous version's code is still running. Once the new service worker activates, public/pwa.js
+ * reloads every open tab.
+ *
+ * @returns {JSX.Element} A snackbar asking the user to reload, when a new version is available
+ */
+const UpdatePrompt = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const [versions, setVersions] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const checkForUpdate = () =>
+      getWaitingWorker().then((worker) => {
+        if (worker) {
+          setWaitingWorker(worker);
+          setOpen(true);
+        }
+      });
+
+    // The update may have been found before the app rendered
+    checkForUpdate();
+
+    // public/pwa.js sends a message when an update is found later. The origin of the message is
+    // checked to prevent cross-site scripting attacks
+    const onMessage = (event) => {
+      if (event.origin === window.location.origin && event.data === 'update-available') {
+        checkForUpdate();
+      }
+    };
+    window.addEventListener('message', onMessage);
+    return () => window.removeEventListener('message', onMessage);
+  }, []);
+
+  useEffect(() => {
+    if (!waitingWorker) {
+      return;
+    }
+
+    let isCurrentWorker = true;
+    Promise.all([versionService.getUIVersion(waitingWorker), versionService.getVersion()])
+      .then(([ui, api]) => isCurrentWorker && setVersions({ ui, api }))
+      .catch(() => isCurrentWorker && setVersions(null));
+
+    return () => {
+      isCurrentWorker = false;
+    };
+  }, [waitingWorker]);
+
+  const handleClose = (_event, reason) => {
+    // The prompt stays up until the user answers it
+    if (reason !== 'clickaway') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <GordonSnackbar
+      open={open}
+      severity="info"
+      duration={null}
+      onClose={handleClose}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      text={
+        <>
+          New version available – reload to update.
+          {versions?.ui && (
+            <>
+              <br />
+              UI {versions.ui}
+              {versions.api && `, API ${versions.api}`}
+            </>
+          )}
+        </>
+      }
+      action={
+        <>
+          <Button color="inherit" size="small" onClick={handleClose}>
+            Later
+          </Button>
+          <Button
+            color="inherit"
+            size="small"
+            onClick={() => waitingWorker.postMessage('skip-waiting')}
+          >
+            Reload
+          </Button>
+        </>
+      }
+    />
+  );
+};
+
+export default UpdatePrompt;
@@ -16,6 +16,7 @@ import {
 
 import GordonLoader from 'components/Loader';
 import SymptomsDialog from 'components/SymptomsDialog';
+import useLocale from 'hooks/useLocale';
 import wellness, { StatusColors } from 'services/wellness.js';
 
 import styles from './WellnessQuestion.module.css';
@@ -25,6 +26,7 @@ const WellnessQuestion = ({ setStatus }) => {
   const [answer, setAnswer] = useState();
   const [wellnessQuestion, setWellnessQuestion] = useState();
   const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const { t } = useLocale();
 
   useEffect(() => {
     loadQuestion();
@@ -49,7 +51,7 @@ const WellnessQuestion = ({ setStatus }) => {
     <Grid container justifyContent="center" spacing={2}>
       <Grid item xs={10} md={4}>
         <Card className={styles.wellness_question}>
-          <CardHeader title="Wellness Check" className={styles.wellness_header} />
+          <CardHeader title={t('wellness.title')} className={styles.wellness_header} />
           <CardContent>
             <Grid container direction="column" spacing={2}>
               <Grid item>
@@ -64,7 +66,7 @@ const WellnessQuestion = ({ setStatus }) => {
                     <FormControlLabel
                       value="Yes"
                       control={<Radio />}
-                      label={`Yes`}
+                      label={t('common.yes')}
                       onChange={() => {
                         setAnswer(StatusColors.YELLOW);
                       }}
@@ -73,7 +75,7 @@ const WellnessQuestion = ({ setStatus }) => {
                     <FormControlLabel
                       value="No"
                       control={<Radio />}
-                      label={'No'}
+                      label={t('common.no')}
                       onChange={() => {
                         setAnswer(StatusColors.GREEN);
                       }}
@@ -99,7 +101,7 @@ const WellnessQuestion = ({ setStatus }) => {
                       : wellnessQuestion.noPrompt}
                     {answer === StatusColors.YELLOW ? (
                       <a href={wellnessQuestion.link} target="_blank" rel="noopener noreferrer">
-                        this link
+                        {t('wellness.thisLink')}
                       </a>
                     ) : null}
                   </Typography>
@@ -111,13 +113,13 @@ const WellnessQuestion = ({ setStatus }) => {
                       answer === StatusColors.YELLOW ? setIsDialogOpen(true) : submitAnswer();
                     }}
                   >
-                    Submit
+                    {t('common.submit')}
                   </Button>
                 </Grid>
               </Grid>
             </Collapse>
           </Grid>
-          <div className={styles.wellness_header}>Health Center (for students): (978) 867-4300</div>
+          <div className={styles.wellness_header}>{t('wellness.healthCenterForStudents')}</div>
           <SymptomsDialog isOpen={isDialogOpen} setIsOpen={setIsDialogOpen} setStatus={setStatus} />
         </Card>
       </Grid>
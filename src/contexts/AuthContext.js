@@ -0,0 +1,142 @@
+import React, { createContext, useEffect, useMemo, useState } from 'react';
+import { authenticate, isAuthenticated, onAuthenticationChange, signOut } from 'services/auth';
+import { NotFoundError } from 'services/error';
+import housing from 'services/housing';
+import user from 'services/user';
+
+export const AuthContext = createContext();
+
+/**
+ * @global
+ * @typedef Roles
+ * @property {boolean} isStudent Whether the user is a student
+ * @property {boolean} isFacStaff Whether the user is faculty or staff
+ * @property {boolean} isAlumni Whether the user is an alumnus
+ * @property {boolean} isHousingAdmin Whether the user administers apartment applications
+ * @property {boolean} isSiteAdmin Whether the user administers Gordon 360
+ */
+
+/**
+ * @type {Roles}
+ */
+const guestRoles = {
+  isStudent: false,
+  isFacStaff: false,
+  isAlumni: false,
+  isHousingAdmin: false,
+  isSiteAdmin: false,
+};
+
+/**
+ * Get the username of the signed in user
+ * @return {String|null} Username in firstname.lastname format, or null if no user is signed in
+ */
+const getUsername = () => {
+  try {
+    return user.getLocalInfo().user_name;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Check whether the signed in user administers apartment applications
+ * @return {Promise.<boolean>} Whether the user is a housing admin
+ */
+const checkHousingAdmin = async () => {
+  try {
+    return Boolean(await housing.checkHousingAdmin());
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) {
+      console.debug(err);
+    }
+    return false;
+  }
+};
+
+/**
+ * Load the signed in user's profile and roles
+ * @return {Promise.<{profile: ?Object, roles: Roles}>} The user's profile and roles. The profile is
+ * null if it could not be loaded, in which case only the roles encoded in the token are known.
+ */
+const loadUser = async () => {
+  const isSiteAdmin = user.getLocalInfo().college_role === 'god';
+  const [profile, isHousingAdmin] = await Promise.all([
+    user.getProfileInfo().catch((error) => {
+      console.error('Could not load the signed in user:', error);
+      return null;
+    }),
+    checkHousingAdmin(),
+  ]);
+  const personType = profile?.PersonType ?? '';
+
+  return {
+    profile,
+    roles: {
+      isStudent: personType.includes('stu'),
+      isFacStaff: personType.includes('fac'),
+      isAlumni: personType.includes('alu'),
+      isHousingAdmin,
+      isSiteAdmin,
+    },
+  };
+};
+
+const AuthContextProvider = ({ children }) => {
+  const [username, setUsername] = useState(() => (isAuthenticated() ? getUsername() : null));
+  const [profile, setProfile] = useState(null);
+  const [roles, setRoles] = useState(guestRoles);
+  // The user whose profile and roles have loaded, so that the render right after a user signs in
+  // is already loading, rather than showing guest roles as if they were the user's
+  const [loadedUsername, setLoadedUsername] = useState(null);
+  const loading = Boolean(username) && loadedUsername !== username;
+
+  useEffect(
+    // Also updates when the user signs in or out in another tab
+    () =>
+      onAuthenticationChange((authenticated) => setUsername(authenticated ? getUsername() : null)),
+    [],
+  );
+
+  useEffect(() => {
+    // Clear out the previous user's state so that it isn't preserved falsely for the next user
+    setProfile(null);
+    setRoles(guestRoles);
+
+    if (!username) {
+      setLoadedUsername(null);
+      return;
+    }
+
+    let isCurrentUser = true;
+    loadUser()
+      .then((signedInUser) => {
+        if (isCurrentUser) {
+          setProfile(signedInUser.profile);
+          setRoles(signedInUser.roles);
+        }
+      })
+      .catch((error) => console.error('Could not load the signed in user:', error))
+      .finally(() => isCurrentUser && setLoadedUsername(username));
+
+    return () => {
+      isCurrentUser = false;
+    };
+  }, [username]);
+
+  const value = useMemo(
+    () => ({
+      authenticated: Boolean(username),
+      loading,
+      profile,
+      roles,
+      login: authenticate,
+      logout: signOut,
+    }),
+    [username, loading, profile, roles],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthContextProvider;
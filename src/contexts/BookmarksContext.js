@@ -0,0 +1,44 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import useAuth from 'hooks/useAuth';
+import bookmarks from 'services/bookmarks';
+
+export const BookmarksContext = createContext();
+
+const BookmarksContextProvider = ({ children }) => {
+  const { authenticated } = useAuth();
+  const [eventIDs, setEventIDs] = useState([]);
+
+  // Also updates when the bookmarks change in another tab
+  useEffect(() => bookmarks.onBookmarksChange(setEventIDs), []);
+
+  useEffect(() => {
+    // Bookmarks are stored separately for each user, so they are loaded again whenever the user
+    // signs in or out
+    let isCurrentUser = true;
+    setEventIDs([]);
+    bookmarks.getBookmarks().then((storedIDs) => isCurrentUser && setEventIDs(storedIDs));
+
+    return () => {
+      isCurrentUser = false;
+    };
+  }, [authenticated]);
+
+  const isBookmarked = useCallback((eventID) => eventIDs.includes(eventID), [eventIDs]);
+
+  const setBookmarked = useCallback(
+    (eventID, bookmarked) =>
+      bookmarks
+        .setBookmarked(eventID, bookmarked)
+        .catch((error) => console.error('Could not save bookmark:', error)),
+    [],
+  );
+
+  const value = useMemo(
+    () => ({ bookmarks: eventIDs, isBookmarked, setBookmarked }),
+    [eventIDs, isBookmarked, setBookmarked],
+  );
+
+  return <BookmarksContext.Provider value={value}>{children}</BookmarksContext.Provider>;
+};
+
+export default BookmarksContextProvider;
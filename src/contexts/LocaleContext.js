@@ -0,0 +1,57 @@
+import React, { Children, createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import i18n, { supportedLocales } from 'services/i18n';
+import storage from 'services/storage';
+
+export const LocaleContext = createContext();
+
+const LOCALE_KEY = 'locale';
+
+const translate = (locale, key, values) => {
+  const message = i18n.translate(locale, key, values);
+  // Keys the elements placed in the message, so that it can be rendered like any other text
+  return Array.isArray(message) ? Children.toArray(message) : message;
+};
+
+const LocaleContextProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(i18n.detectLocale);
+
+  useEffect(() => {
+    storage
+      .get(LOCALE_KEY)
+      .then((storedLocale) => {
+        if (supportedLocales.includes(storedLocale)) {
+          setLocaleState(storedLocale);
+        }
+      })
+      // Nothing is stored until the user chooses a language
+      .catch(() => {});
+  }, []);
+
+  // Lets screen readers and the browser's own translation know which language the page is in
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((newLocale) => {
+    setLocaleState(newLocale);
+    storage
+      .store(LOCALE_KEY, newLocale)
+      .catch((error) => console.error('Could not save language:', error));
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale,
+      t: (key, values) => translate(locale, key, values),
+      formatDate: (date, options) => i18n.formatDate(locale, date, options),
+      formatDateTime: (date) => i18n.formatDateTime(locale, date),
+      formatTime: (date) => i18n.formatTime(locale, date),
+    }),
+    [locale, setLocale],
+  );
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export default LocaleContextProvider;
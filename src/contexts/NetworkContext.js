@@ -8,13 +8,13 @@ const NetworkContextProvider = ({ children }) => {
 
   useEffect(() => {
     // Retrieve network status from local storage or default to online
-    try {
-      const networkStatus = storage.get('network-status');
-      setIsOnline(networkStatus === 'online');
-    } catch (error) {
-      console.error(error);
-      setIsOnline(true);
-    }
+    storage
+      .get('network-status')
+      .then((networkStatus) => setIsOnline(networkStatus === 'online'))
+      .catch((error) => {
+        console.error(error);
+        setIsOnline(true);
+      });
 
     /* Used to re-render the page when the network connection changes.
      * The origin of the message is checked to prevent cross-site scripting attacks
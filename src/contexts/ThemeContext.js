@@ -0,0 +1,93 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import { makeStyles, ThemeProvider } from '@material-ui/core/styles';
+import useMediaQuery from '@material-ui/core/useMediaQuery';
+import storage from 'services/storage';
+import { createGordonTheme } from 'theme';
+
+export const ThemeContext = createContext();
+
+/**
+ * @global
+ * @typedef {'light'|'dark'|'system'} ThemePreference The theme the user chose; `system` follows
+ * their device's setting
+ */
+
+const PREFERENCE_KEY = 'theme-preference';
+
+/**
+ * The preferences the user can choose from
+ * @type {ThemePreference[]}
+ */
+export const themePreferences = ['light', 'dark', 'system'];
+
+// Makes the palette available to `.scss` files as CSS variables (see `$theme-*` in src/_vars.scss)
+const useThemeVariables = makeStyles((theme) => ({
+  '@global': {
+    ':root': {
+      '--theme-primary': theme.palette.primary.main,
+      '--theme-primary-contrast': theme.palette.primary.contrastText,
+      '--theme-secondary': theme.palette.secondary.main,
+      '--theme-error': theme.palette.error.main,
+      '--theme-background': theme.palette.background.default,
+      '--theme-paper': theme.palette.background.paper,
+      '--theme-text-primary': theme.palette.text.primary,
+      '--theme-text-secondary': theme.palette.text.secondary,
+      '--theme-text-disabled': theme.palette.text.disabled,
+      '--theme-divider': theme.palette.divider,
+      '--theme-hover': theme.palette.action.hover,
+      '--theme-selected': theme.palette.action.selected,
+      colorScheme: theme.palette.type,
+    },
+    body: {
+      backgroundColor: theme.palette.background.default,
+      color: theme.palette.text.primary,
+    },
+  },
+}));
+
+const ThemeVariables = () => {
+  useThemeVariables();
+  return null;
+};
+
+const ThemeContextProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState('system');
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)', { noSsr: true });
+
+  useEffect(() => {
+    storage
+      .get(PREFERENCE_KEY)
+      .then((storedPreference) => {
+        if (themePreferences.includes(storedPreference)) {
+          setPreferenceState(storedPreference);
+        }
+      })
+      // Nothing is stored until the user chooses a theme
+      .catch(() => {});
+  }, []);
+
+  const setPreference = useCallback((newPreference) => {
+    setPreferenceState(newPreference);
+    storage
+      .store(PREFERENCE_KEY, newPreference)
+      .catch((error) => console.error('Could not save theme preference:', error));
+  }, []);
+
+  const type = preference === 'system' ? (prefersDark ? 'dark' : 'light') : preference;
+  const theme = useMemo(() => createGordonTheme(type), [type]);
+  const value = useMemo(
+    () => ({ preference, setPreference, type }),
+    [preference, setPreference, type],
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <ThemeProvider theme={theme}>
+        <ThemeVariables />
+        {children}
+      </ThemeProvider>
+    </ThemeContext.Provider>
+  );
+};
+
+export default ThemeContextProvider;
@@ -0,0 +1,23 @@
+import { useContext } from 'react';
+import { AuthContext } from 'contexts/AuthContext.js';
+
+/**
+ * Custom hook to subscribe to the signed in user.
+ *
+ * Value is updated whenever the user signs in or out, including in another open tab
+ *
+ * Can be used by any functional component under the AuthContextProvider in App.js
+ *
+ * @returns {Object} `authenticated` whether a user is signed in, `loading` whether their profile is
+ * still loading, `profile` and `roles` (`null` and all `false` for guests), and `login(username,
+ * password)` and `logout()` actions.
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error(`useAuth must be called within AuthContextProvider`);
+  }
+
+  return context;
+};
+export default useAuth;
@@ -0,0 +1,24 @@
+import { useContext } from 'react';
+import { BookmarksContext } from 'contexts/BookmarksContext.js';
+
+/**
+ * Custom hook to subscribe to the events the user bookmarked.
+ *
+ * Value is retrieved from storage initially, and updated whenever the user bookmarks an event in
+ * this tab or another
+ *
+ * Can be used by any functional component under the BookmarksContextProvider in App.js
+ *
+ * @returns {Object} `bookmarks` the IDs of the bookmarked events, `isBookmarked(eventID)` to check
+ * whether an event is bookmarked, and `setBookmarked(eventID, bookmarked)` to bookmark an event or
+ * remove its bookmark
+ */
+const useBookmarks = () => {
+  const context = useContext(BookmarksContext);
+  if (context === undefined) {
+    throw new Error(`useBookmarks must be called within BookmarksContextProvider`);
+  }
+
+  return context;
+};
+export default useBookmarks;
@@ -0,0 +1,24 @@
+import { useContext } from 'react';
+import { LocaleContext } from 'contexts/LocaleContext.js';
+
+/**
+ * Custom hook to subscribe to the language the user reads 360 in.
+ *
+ * Value is retrieved from storage initially, and follows the browser's preferred languages until
+ * the user chooses one
+ *
+ * Can be used by any functional component under the LocaleContextProvider in App.js
+ *
+ * @returns {Object} `locale` the language shown (`en` or `es`), `setLocale(locale)` to choose
+ * another, `t(key, values)` to translate a message, and `formatDate(date, preset)`,
+ * `formatDateTime(date)` and `formatTime(date)` to format dates for the language
+ */
+const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (context === undefined) {
+    throw new Error(`useLocale must be called within LocaleContextProvider`);
+  }
+
+  return context;
+};
+export default useLocale;
@@ -0,0 +1,23 @@
+import { useContext } from 'react';
+import { ThemeContext } from 'contexts/ThemeContext.js';
+
+/**
+ * Custom hook to subscribe to the theme the user chose.
+ *
+ * Value is retrieved from storage initially, and follows the device's setting until the user
+ * chooses a theme
+ *
+ * Can be used by any functional component under the ThemeContextProvider in App.js
+ *
+ * @returns {Object} `preference` the theme the user chose (`light`, `dark` or `system`),
+ * `setPreference(preference)` to choose another, and `type` the theme shown (`light` or `dark`)
+ */
+const useThemePreference = () => {
+  const context = useContext(ThemeContext);
+  if (context === undefined) {
+    throw new Error(`useThemePreference must be called within ThemeContextProvider`);
+  }
+
+  return context;
+};
+export default useThemePreference;
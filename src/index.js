@@ -1,5 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import App from './app';
+import { initialize } from './services/auth';
 
-ReactDOM.render(<App />, document.getElementById('root'));
+// The signed in user's token must be loaded from storage before anything can use it
+initialize().then(() => ReactDOM.render(<App />, document.getElementById('root')));
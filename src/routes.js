@@ -1,48 +1,93 @@
-import About from './views/About';
-import InvolvementsAll from './views/InvolvementsAll';
-import InvolvementProfile from './views/InvolvementProfile';
-import Home from './views/Home';
-import WellnessCheck from './views/WellnessCheck';
-import ApartmentApp from './views/ApartmentApp';
-import Help from './views/Help';
-import CoCurricularTranscript from './views/CoCurricularTranscript';
-import Events from './views/Events';
-import EventsAttended from './views/EventsAttended';
-import PublicProfile from './views/PublicProfile';
-import MyProfile from './views/MyProfile';
-import Feedback from './views/Feedback';
-import PeopleSearch from './views/PeopleSearch';
-import ProfileNotFound from './views/ProfileNotFound';
-import IDUploader from './views/IDUploader';
-import Admin from './views/Admin';
-import Timesheets from './views/Timesheets';
-import BannerSubmission from './views/BannerSubmission';
-import News from './views/News';
-import Page404 from './views/Page404';
-import AcademicCheckIn from './views/AcademicCheckIn';
+import { lazy } from 'react';
+import { matchPath } from 'react-router-dom';
 
-// Route order must be from most specific to least specific (i.e. `/user/:username` before `/user`)
+/**
+ * Lazily load a view, so that it is split into its own chunk and only downloaded when needed
+ * @param {Function} load Imports the view's module
+ * @return {React.LazyExoticComponent} The view, with a `prefetch` function that downloads its chunk
+ * ahead of time
+ */
+const lazyView = (load) => {
+  const View = lazy(load);
+  View.prefetch = load;
+  return View;
+};
+
+const About = lazyView(() => import('./views/About'));
+const InvolvementsAll = lazyView(() => import('./views/InvolvementsAll'));
+const InvolvementProfile = lazyView(() => import('./views/InvolvementProfile'));
+const Home = lazyView(() => import('./views/Home'));
+const WellnessCheck = lazyView(() => import('./views/WellnessCheck'));
+const ApartmentApp = lazyView(() => import('./views/ApartmentApp'));
+const Help = lazyView(() => import('./views/Help'));
+const CoCurricularTranscript = lazyView(() => import('./views/CoCurricularTranscript'));
+const Events = lazyView(() => import('./views/Events'));
+const EventsAttended = lazyView(() => import('./views/EventsAttended'));
+const EventDetails = lazyView(() => import('./views/EventDetails'));
+const MyEvents = lazyView(() => import('./views/MyEvents'));
+const PublicProfile = lazyView(() => import('./views/PublicProfile'));
+const MyProfile = lazyView(() => import('./views/MyProfile'));
+const Feedback = lazyView(() => import('./views/Feedback'));
+const PeopleSearch = lazyView(() => import('./views/PeopleSearch'));
+const ProfileNotFound = lazyView(() => import('./views/ProfileNotFound'));
+const IDUploader = lazyView(() => import('./views/IDUploader'));
+const Admin = lazyView(() => import('./views/Admin'));
+const Timesheets = lazyView(() => import('./views/Timesheets'));
+const BannerSubmission = lazyView(() => import('./views/BannerSubmission'));
+const News = lazyView(() => import('./views/News'));
+const Page404 = lazyView(() => import('./views/Page404'));
+const AcademicCheckIn = lazyView(() => import('./views/AcademicCheckIn'));
+const NotificationSettings = lazyView(() => import('./views/NotificationSettings'));
+
+/**
+ * @global
+ * @typedef RouteConfig
+ * @property {String} name Name of the page, shown in the header
+ * @property {String} path URL path of the page
+ * @property {boolean} [exact] Whether the path must match exactly
+ * @property {React.ComponentType} component The view to render
+ * @property {boolean} [requiresAuth] Whether the user must be logged in to view the page
+ * @property {String[]} [roles] Roles (see `Roles` in contexts/AuthContext), at least one of which
+ * the user must have to view the page
+ * @property {{title: String, message: String}} [unauthorized] What to tell a logged in user without
+ * any of `roles`, instead of that their account does not have access to the page
+ * @property {boolean} [offlineCapable] Whether the page can be viewed offline
+ */
+
+/**
+ * Route order must be from most specific to least specific (i.e. `/user/:username` before `/user`)
+ * @type {RouteConfig[]}
+ */
 const routes = [
   {
     name: 'Home',
     path: '/',
     exact: true,
     component: Home,
+    offlineCapable: true,
   },
   {
     name: 'About',
     path: '/about',
     component: About,
+    offlineCapable: true,
   },
   {
     name: 'Wellness',
     path: '/wellness',
     component: WellnessCheck,
+    requiresAuth: true,
   },
   {
     name: 'Apartment Application',
     path: '/ApartApp',
     component: ApartmentApp,
+    requiresAuth: true,
+    roles: ['isStudent', 'isHousingAdmin'],
+    unauthorized: {
+      title: 'Apartment Application Unavailable',
+      message: 'Apartment application is available for students or housing staff only.',
+    },
   },
   {
     name: 'Involvement Profile',
@@ -53,26 +98,45 @@ const routes = [
     name: 'Involvements',
     path: '/involvements',
     component: InvolvementsAll,
+    offlineCapable: true,
   },
   {
     name: 'Help',
     path: '/help',
     component: Help,
+    offlineCapable: true,
   },
   {
     name: 'Experience Transcript',
     path: '/transcript',
     component: CoCurricularTranscript,
+    requiresAuth: true,
+    offlineCapable: true,
+  },
+  {
+    name: 'Event',
+    path: '/events/:eventId',
+    component: EventDetails,
+    offlineCapable: true,
   },
   {
     name: 'Events',
     path: '/events',
     component: Events,
+    offlineCapable: true,
+  },
+  {
+    name: 'My Events',
+    path: '/myevents',
+    component: MyEvents,
+    offlineCapable: true,
   },
   {
     name: 'Attended',
     path: '/attended',
     component: EventsAttended,
+    requiresAuth: true,
+    offlineCapable: true,
   },
   {
     name: 'Feedback',
@@ -83,57 +147,93 @@ const routes = [
     name: 'Not Found',
     path: '/profile/null',
     component: ProfileNotFound,
+    offlineCapable: true,
   },
   {
     name: 'Profile',
     path: '/profile/:username',
     component: PublicProfile,
+    requiresAuth: true,
   },
   {
     name: 'My Profile',
     path: '/myprofile',
     component: MyProfile,
+    requiresAuth: true,
+    offlineCapable: true,
   },
   {
     name: 'Academic Check In',
     path: '/academiccheckin',
     component: AcademicCheckIn,
+    requiresAuth: true,
   },
   {
     name: 'People',
     path: '/people',
     component: PeopleSearch,
+    requiresAuth: true,
   },
   {
     name: 'ID Uploader',
     path: '/id',
     component: IDUploader,
+    requiresAuth: true,
   },
   {
     name: 'Admin',
     path: '/admin',
     component: Admin,
+    requiresAuth: true,
+    roles: ['isSiteAdmin'],
   },
   {
     name: 'Timesheets',
     path: '/timesheets',
     component: Timesheets,
+    requiresAuth: true,
+    roles: ['isStudent'],
+    unauthorized: {
+      title: 'Timesheets Unavailable',
+      message:
+        'Timesheets is currently available for students only. Support for staff will come soon!',
+    },
   },
   {
     name: 'Banner',
     path: '/banner',
     component: BannerSubmission,
+    offlineCapable: true,
   },
   {
     name: 'News',
     path: '/news',
     component: News,
+    requiresAuth: true,
+  },
+  {
+    name: 'Notifications',
+    path: '/notifications',
+    component: NotificationSettings,
+    requiresAuth: true,
   },
   {
     name: 'Page Not Found',
     path: '*',
     component: Page404,
+    offlineCapable: true,
   },
 ];
 
+/**
+ * Download the chunk of the view at a path, so that it renders immediately when navigated to
+ * @description A chunk that fails to download, e.g. offline, is downloaded again when the view is
+ * navigated to, so the failure is ignored here
+ * @param {String} path URL path of the view
+ */
+export const prefetchRoute = (path) => {
+  const route = routes.find((candidate) => matchPath(path, candidate));
+  route?.component.prefetch?.().catch(() => {});
+};
+
 export default routes;
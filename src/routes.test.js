@@ -0,0 +1,288 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+import App from './app';
+import routes from './routes';
+import accessibility from './services/accessibility';
+import { initialize } from './services/auth';
+import sessionService from './services/session';
+import storage from './services/storage';
+
+// Stands in for each route's parameters, so that every route can be visited
+const examplePaths = {
+  '/activity/:sessionCode/:involvementCode': '/activity/202109/AJG',
+  '/events/:eventId': '/events/123',
+  '/profile/:username': '/profile/first.last',
+  '*': '/page-that-does-not-exist',
+};
+
+// An event next week, so that it is listed as upcoming
+const eventDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Encode a value as the base64url JSON that tokens are made of
+ * @param {Object} value The value
+ * @returns {string} The encoded value
+ */
+const encodeTokenPart = (value) =>
+  btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// A student who also administers the site, so that every guarded page renders its view. The API is
+// stubbed, so the token needs no valid signature.
+const signedInToken = [
+  encodeTokenPart({ alg: 'none', typ: 'JWT' }),
+  encodeTokenPart({ user_name: 'first.last', id: '50000000', college_role: 'god' }),
+  'signature',
+].join('.');
+
+const session = {
+  SessionBeginDate: '2021-08-25T00:00:00',
+  SessionCode: '202109',
+  SessionDescription: 'Fall 2021',
+  SessionEndDate: '2021-12-17T00:00:00',
+};
+
+const involvement = {
+  ActivityBlurb: 'Juggling for everyone',
+  ActivityCode: 'AJG',
+  ActivityDescription: 'Juggling Club',
+  ActivityImagePath: '',
+  ActivityJoinInfo: '',
+  ActivityType: 'CLU',
+  ActivityTypeDescription: 'Club',
+  ActivityURL: '',
+  Privacy: false,
+};
+
+const events = [
+  {
+    Event_ID: '123',
+    Event_Name: 'Juggling Night',
+    Event_Title: 'Juggling Night',
+    Event_Type_Name: 'Meeting',
+    Organization: 'Juggling Club',
+    HasCLAWCredit: false,
+    Description: 'Learn to juggle',
+    Occurrences: [
+      {
+        StartDate: `${eventDate}T19:00:00`,
+        EndDate: `${eventDate}T20:00:00`,
+        Location: 'Lane Student Center',
+      },
+    ],
+  },
+];
+
+/**
+ * Make a part of a meal plan
+ * @param {string} PlanDescription The part's description
+ * @param {number} InitialBalance The balance the part starts the session with
+ * @param {string} CurrentBalance The balance left
+ * @returns {MealPlanComponent} The part
+ */
+const mealPlanComponent = (PlanDescription, InitialBalance, CurrentBalance) => ({
+  PlanDescription,
+  PlanID: PlanDescription,
+  InitialBalance,
+  CurrentBalance,
+});
+
+// The signed in user's profile
+const profile = {
+  ID: '50000000',
+  FirstName: 'First',
+  LastName: 'Last',
+  NickName: '',
+  AD_Username: 'first.last',
+  Email: 'first.last@gordon.edu',
+  PersonType: 'stu',
+  Class: '2',
+  Major1Description: 'Computer Science',
+  OnOffCampus: '',
+  OnCampusBuilding: 'FUL',
+  OnCampusRoom: '101',
+  BuildingDescription: 'Fulton',
+  HomeCity: 'Wenham',
+  HomeState: 'MA',
+  Country: 'United States Of America',
+  Mail_Location: '100',
+  MobilePhone: '',
+  IsMobilePhonePrivate: 0,
+  KeepPrivate: '0',
+  show_pic: 1,
+  preferred_photo: 0,
+  ChapelRequired: 30,
+  ChapelAttended: 10,
+};
+
+// Responses to the API requests that views make, by path, so that pages are audited with their
+// content rather than while it loads
+const fixtures = {
+  '/admins': [],
+  'activities/202109/AJG/status': 'OPEN',
+  'activities/AJG': involvement,
+  'activities/closed': [],
+  'activities/open': [],
+  'activities/session/202109': [involvement],
+  'activities/session/202109/types': ['Club'],
+  'advanced-search/buildings': [],
+  'advanced-search/countries': [],
+  'advanced-search/departments': [],
+  'advanced-search/halls': [],
+  'advanced-search/majors': [],
+  'advanced-search/minors': [],
+  'advanced-search/states': [],
+  'checkIn/holds': {
+    RegistrarHold: false,
+    HighSchoolTranscriptHold: false,
+    FinancialHold: false,
+    MedicalHold: false,
+    MajorHold: false,
+    MustRegisterForClasses: false,
+  },
+  'checkIn/status': false,
+  'cms/slider': [],
+  dining: {
+    ChoiceDescription: 'Block 250',
+    Swipes: mealPlanComponent('Swipes', 250, '200'),
+    DiningDollars: mealPlanComponent('Dining Dollars', 200, '150'),
+    GuestSwipes: mealPlanComponent('Guest Swipes', 5, '5'),
+    CurrentBalance: mealPlanComponent('Current Balance', 0, '0'),
+  },
+  'emails/activity/AJG': [],
+  'emails/activity/AJG/advisors/session/202109': [],
+  'emails/activity/AJG/group-admin/session/202109': [],
+  'events/25Live/All': events,
+  'events/25Live/Public': events,
+  [`events/chapel/${sessionService.getTermCode()}`]: [],
+  'housing/admin': false,
+  'housing/apartment': 0,
+  'jobs/canUsePage': false,
+  'jobs/clockOut': [{ currentState: false }],
+  'jobs/getSavedShifts/': [],
+  'memberships/activity/AJG': [],
+  'memberships/activity/AJG/followers/202109': 4,
+  'memberships/activity/AJG/members/202109': 12,
+  'memberships/activity/AJG/group-admin': [],
+  'memberships/student/50000000': [],
+  myschedule: [],
+  'news/categories': [],
+  'news/new': [],
+  'news/not-expired': [],
+  'news/personal-unapproved': [],
+  'notifications/preferences': {},
+  profiles: profile,
+  'profiles/Advisors/first.last/': [],
+  'profiles/clifton/first.last/': { Strengths: [] },
+  'profiles/emergency-contact/first.last/': [],
+  'profiles/Image': { def: '', pref: '' },
+  'requests/activity/AJG': [],
+  'requests/student/': [],
+  'schedule/first.last/': [],
+  sessions: [session],
+  'sessions/202109': session,
+  'sessions/current': session,
+  'sessions/daysLeft': [17, 113],
+  'sessions/firstDay': session.SessionBeginDate,
+  'sessions/lastDay': session.SessionEndDate,
+  'studentemployment/': [],
+  version: '1.0.0',
+  wellness: { Status: 'GREEN', Created: new Date().toISOString(), IsValid: true },
+};
+
+/**
+ * Respond to a request with its fixture
+ * @param {Request} request The request
+ * @returns {Promise<Response>} The fixture, or a 404 if there is none
+ */
+const fetchFixture = async (request) => {
+  const path = request.url.replace(/^.*?\/api\//, '');
+  if (!(path in fixtures)) {
+    return new Response('{}', { status: 404 });
+  }
+  return new Response(JSON.stringify(fixtures[path]), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
+
+// Auditing the whole app takes several seconds in jsdom
+const AUDIT_TIMEOUT = 30000;
+
+// jsdom doesn't lay out or paint the page, so contrast can't be checked here
+const auditOptions = { rules: { 'color-contrast': { enabled: false } } };
+
+// Renders are given time for their views to load before being audited
+const settle = () => act(() => new Promise((resolve) => setTimeout(resolve, 500)));
+
+describe('accessibility of every route', () => {
+  const { fetch, matchMedia } = window;
+  let container;
+
+  beforeAll(() => {
+    window.fetch = fetchFixture;
+    // jsdom doesn't implement media queries
+    window.matchMedia = (media) => ({
+      matches: false,
+      media,
+      addListener: () => {},
+      removeListener: () => {},
+      addEventListener: () => {},
+      removeEventListener: () => {},
+    });
+  });
+
+  afterAll(() => {
+    window.fetch = fetch;
+    window.matchMedia = matchMedia;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+    container.remove();
+  });
+
+  /**
+   * Render each route, and audit the page once its view has loaded
+   */
+  const auditEveryRoute = () => {
+    it.each(routes.map((route) => [route.name, examplePaths[route.path] ?? route.path]))(
+      'has no violations on the %s page (%s)',
+      async (name, path) => {
+        window.history.pushState({}, '', path);
+
+        act(() => {
+          ReactDOM.render(<App />, container);
+        });
+        await settle();
+
+        expect(await accessibility.audit(container, auditOptions)).toEqual([]);
+      },
+      AUDIT_TIMEOUT,
+    );
+  };
+
+  describe('as a guest', () => {
+    auditEveryRoute();
+  });
+
+  // Guarded pages only render their views for a signed in user with the roles they require
+  describe('as a signed in user', () => {
+    beforeAll(async () => {
+      await storage.store('token', signedInToken);
+      await initialize();
+    });
+
+    afterAll(async () => {
+      await storage.remove('token');
+      await initialize();
+    });
+
+    auditEveryRoute();
+  });
+});
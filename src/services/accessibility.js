@@ -0,0 +1,104 @@
+/**
+ * Accessibility
+ *
+ * @description Keeps keyboard focus where users expect it and audits pages against WCAG 2.1 AA.
+ *
+ * Audits use axe-core. In development, every page is audited as it is viewed when
+ * `REACT_APP_ACCESSIBILITY_AUDIT` is `true`, and the violations found are logged to the console.
+ * The jest suite audits every route the same way.
+ *
+ * @module accessibility
+ */
+
+/** ID of the element holding each page's content, which the skip link and route changes focus */
+export const mainContentId = 'main-content';
+
+/** Whether pages are audited as they are viewed */
+export const isAuditEnabled = process.env.REACT_APP_ACCESSIBILITY_AUDIT === 'true';
+
+// Views load their data after they render, so audits wait for the page to settle first
+const AUDIT_DELAY = 3000;
+
+let auditTimeout;
+
+/**
+ * Move focus to the current page's content
+ */
+const focusMainContent = () => {
+  document.getElementById(mainContentId)?.focus();
+};
+
+/**
+ * Return focus to the page after a dialog has closed, if the element that opened the dialog could
+ * not take it back, e.g. because it was an item of a menu that has since closed
+ *
+ * @param {HTMLElement} [fallback] Element to focus instead of the page's content
+ */
+const restoreFocus = (fallback) => {
+  if (document.activeElement && document.activeElement !== document.body) return;
+
+  if (fallback?.isConnected) {
+    fallback.focus();
+  } else {
+    focusMainContent();
+  }
+};
+
+/**
+ * Audit part of the page against WCAG 2.1 A and AA
+ *
+ * @param {Element|Document} [context] The part of the page to audit; defaults to the whole page
+ * @param {Object} [options] axe-core run options, merged with the WCAG rules to run
+ * @return {Promise.<Object[]>} The violations found, as reported by axe-core
+ */
+const audit = async (context = document, options = {}) => {
+  const { default: axe } = await import('axe-core');
+  const { violations } = await axe.run(context, {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    ...options,
+  });
+
+  return violations;
+};
+
+const logViolations = (violations) => {
+  const { pathname } = window.location;
+
+  if (violations.length === 0) {
+    console.info(`No accessibility violations found on ${pathname}`);
+    return;
+  }
+
+  console.group(`${violations.length} accessibility violation(s) found on ${pathname}`);
+  violations.forEach(({ id, impact, help, helpUrl, nodes }) => {
+    console.groupCollapsed(`[${impact}] ${help} (${id})`);
+    console.info(helpUrl);
+    nodes.forEach(({ target, failureSummary }) => console.info(target.join(' '), failureSummary));
+    console.groupEnd();
+  });
+  console.groupEnd();
+};
+
+/**
+ * Audit the current page once it has settled and log the violations found. Only one audit runs at
+ * a time, so navigating again before the page settles restarts the wait
+ */
+const auditPage = () => {
+  clearTimeout(auditTimeout);
+  auditTimeout = setTimeout(
+    () =>
+      audit()
+        .then(logViolations)
+        .catch((error) => console.error('Could not audit page for accessibility:', error)),
+    AUDIT_DELAY,
+  );
+};
+
+const accessibilityService = {
+  audit,
+  auditPage,
+  focusMainContent,
+  restoreFocus,
+};
+
+export default accessibilityService;
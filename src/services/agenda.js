@@ -0,0 +1,205 @@
+/**
+ * Personal agenda
+ *
+ * @description Gathers what the user has planned for a day from across 360: the events they
+ * bookmarked, the chapel events they attended, their classes and the entries in their personal
+ * schedule. Guests only have bookmarks.
+ *
+ * Times of items are wall-clock times in the user's time zone, as datetime.js places times of day,
+ * so that events are at their campus times and classes at the same hours as in the user's schedule.
+ *
+ * @module agenda
+ */
+
+import datetime from './datetime';
+import gordonEvent from './event';
+import myschedule from './myschedule';
+import schedule from './schedule';
+import user from './user';
+
+/**
+ * @global
+ * @typedef {'bookmark'|'chapel'|'class'|'personal'} AgendaItemKind Where an agenda item came from
+ */
+
+/**
+ * @global
+ * @typedef AgendaItem
+ * @property {String} id Identifies the item
+ * @property {AgendaItemKind} kind Where the item came from
+ * @property {String} title What the item is
+ * @property {String} [location] Where the item happens
+ * @property {Date} start When the item starts, as a wall-clock time in the user's time zone
+ * @property {Date} end When the item ends, as a wall-clock time in the user's time zone
+ * @property {boolean} allDay Whether the item lasts all day, so its times don't matter
+ * @property {String} [link] Path of the page about the item
+ */
+
+// The field of a class that says whether it meets on each day of the week, and the code it has if
+// the class does
+const courseDays = {
+  Mon: ['MONDAY_CDE', 'M'],
+  Tue: ['TUESDAY_CDE', 'T'],
+  Wed: ['WEDNESDAY_CDE', 'W'],
+  Thu: ['THURSDAY_CDE', 'R'],
+  Fri: ['FRIDAY_CDE', 'F'],
+};
+
+// The field of a personal schedule entry that says whether it happens on each day of the week, and
+// the code it has if the entry does
+const myScheduleDays = {
+  Sun: ['SUN_CDE', 'N'],
+  Mon: ['MON_CDE', 'M'],
+  Tue: ['TUE_CDE', 'T'],
+  Wed: ['WED_CDE', 'W'],
+  Thu: ['THU_CDE', 'R'],
+  Fri: ['FRI_CDE', 'F'],
+  Sat: ['SAT_CDE', 'S'],
+};
+
+/**
+ * Check whether a weekly entry, like a class, happens on a day
+ * @param {Schedule|MySchedule} entry The entry
+ * @param {Object} days The field and code of each day of the week, e.g. `courseDays`
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @return {boolean} Whether the entry happens on the day
+ */
+const happensOn = (entry, days, day) => {
+  const [field, code] = days[datetime.format(day, { weekday: 'short' })] ?? [];
+  return Boolean(field) && entry[field] === code;
+};
+
+/**
+ * Get the start of a day in the user's time zone, to place times of day on
+ * @param {String} day The date, e.g. '2021-04-27'
+ * @return {Date} Midnight at the start of the day, in the user's time zone
+ */
+const toLocalDate = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+/**
+ * Make agenda items of the occurrences of events that happen on a day
+ * @param {Event[]} events The events
+ * @param {AgendaItemKind} kind Where the events came from
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @return {AgendaItem[]} An item for each occurrence on the day
+ */
+const makeEventItems = (events, kind, day) =>
+  events.flatMap((event) =>
+    (event.Occurrences ?? [])
+      .filter((occurrence) => datetime.toISODate(occurrence.StartDate) === day)
+      .map((occurrence) => ({
+        // The same for both kinds, so that an attended event that was bookmarked is shown once
+        id: `event-${event.Event_ID ?? event.Event_Name}-${occurrence.StartDate}`,
+        kind,
+        title: event.title,
+        location: occurrence.Location,
+        start: datetime.toCampusWallClock(occurrence.StartDate),
+        end: datetime.toCampusWallClock(occurrence.EndDate),
+        allDay: false,
+        link: event.Event_ID && `/events/${event.Event_ID}`,
+      })),
+  );
+
+/**
+ * Get the events the user bookmarked
+ * @param {String[]} bookmarks IDs of the bookmarked events
+ * @param {boolean} [isGuest] Whether the user is a guest, who can only see public events
+ * @return {Promise.<Event[]>} The bookmarked events that can still be found, sorted by time
+ */
+const getBookmarkedEvents = async (bookmarks, isGuest = false) => {
+  const events = isGuest ? await gordonEvent.getAllGuestEvents() : await gordonEvent.getAllEvents();
+  return events.filter((event) => bookmarks.includes(event.Event_ID));
+};
+
+/**
+ * Get the chapel events the user attended on a day
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @return {Promise.<AgendaItem[]>} An item for each attended event on the day
+ */
+const getChapelItems = async (day) =>
+  makeEventItems(await gordonEvent.getAttendedChapelEvents(), 'chapel', day);
+
+/**
+ * Get the user's classes on a day
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @return {Promise.<AgendaItem[]>} An item for each class that meets on the day
+ */
+const getClassItems = async (day) => {
+  const courses = await schedule.getSchedule(user.getLocalInfo().user_name);
+  const dayDate = toLocalDate(day);
+  return courses
+    .filter((course) => happensOn(course, courseDays, day))
+    .map((course) => ({
+      id: `class-${course.CRS_CDE.trim()}-${course.BEGIN_TIME}`,
+      kind: 'class',
+      title: `${course.CRS_CDE.trim()} ${course.CRS_TITLE.trim()}`,
+      location: `${course.BLDG_CDE} ${course.ROOM_CDE}`,
+      start: datetime.timeOnDate(course.BEGIN_TIME, dayDate),
+      end: datetime.timeOnDate(course.END_TIME, dayDate),
+      allDay: false,
+    }));
+};
+
+/**
+ * Get the entries in the user's personal schedule on a day
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @return {Promise.<AgendaItem[]>} An item for each entry that happens on the day
+ */
+const getPersonalItems = async (day) => {
+  const entries = await myschedule.getMySchedule();
+  const dayDate = toLocalDate(day);
+  return entries
+    .filter((entry) => happensOn(entry, myScheduleDays, day))
+    .map((entry) => ({
+      id: `personal-${entry.EVENT_ID}`,
+      kind: 'personal',
+      title: entry.DESCRIPTION,
+      location: entry.LOCATION,
+      start: datetime.timeOnDate(entry.BEGIN_TIME, dayDate),
+      end: datetime.timeOnDate(entry.END_TIME, dayDate),
+      allDay: Boolean(entry.IS_ALLDAY),
+    }));
+};
+
+/**
+ * Get the user's agenda for a day
+ * @description A source that fails to load is left out, so that the rest are still shown, e.g.
+ * offline
+ * @param {String} day The campus date, e.g. '2021-04-27'
+ * @param {String[]} bookmarks IDs of the events the user bookmarked
+ * @param {boolean} [isGuest] Whether the user is a guest, who only has bookmarks
+ * @return {Promise.<AgendaItem[]>} The items, all-day items first and the rest by start time
+ */
+const getItems = async (day, bookmarks, isGuest = false) => {
+  const sources = [
+    async () => makeEventItems(await getBookmarkedEvents(bookmarks, isGuest), 'bookmark', day),
+  ];
+  if (!isGuest) {
+    // Before bookmarks, so that an attended event is shown as attended
+    sources.unshift(getChapelItems, getClassItems, getPersonalItems);
+  }
+
+  const itemsBySource = await Promise.all(
+    sources.map((source) =>
+      source(day).catch((error) => {
+        console.error('Could not load agenda:', error);
+        return [];
+      }),
+    ),
+  );
+
+  return itemsBySource
+    .flat()
+    .filter((item, index, items) => items.findIndex(({ id }) => id === item.id) === index)
+    .sort((a, b) => b.allDay - a.allDay || datetime.compare(a.start, b.start));
+};
+
+const agendaService = {
+  getBookmarkedEvents,
+  getItems,
+};
+
+export default agendaService;
@@ -4,11 +4,28 @@
  * @module auth
  */
 
+import jwtDecode from 'jwt-decode';
+
+import cache from './cache';
 import { parseResponse } from './http';
 import storage from './storage';
 
 const base = process.env.REACT_APP_API_URL;
 
+// Name of the channel used to tell other open tabs that the user signed in or out
+const AUTH_CHANNEL_NAME = 'gordon-360-auth';
+// Key written to `localStorage` to tell other open tabs that the user signed in or out, in browsers
+// without BroadcastChannel
+const AUTH_EVENT_KEY = 'auth-event';
+
+// Token for the signed in user. Kept in memory so that it can be read synchronously; loaded from
+// storage by `initialize`.
+let token = null;
+// Channel to other open tabs, opened by `initialize` where BroadcastChannel is supported
+let authChannel = null;
+// Callbacks invoked whenever the user signs in or out, in this tab or another
+const authenticationListeners = [];
+
 /**
  * Handle an authentication error
  * @param {Error} err An authentication error
@@ -54,6 +71,118 @@ const getAuth = (username, password) => {
     .catch(handleError);
 };
 
+/**
+ * Set the token for the signed in user, and use that user's namespace in storage
+ * @param {String} [newToken] Token for the signed in user; omit when no user is signed in
+ */
+const setToken = (newToken) => {
+  token = newToken || null;
+  let username;
+  try {
+    username = token && jwtDecode(token).user_name;
+  } catch (err) {
+    // An unparseable token is rejected by the API, and the user is asked to sign in again
+  }
+  storage.setNamespace(username);
+};
+
+/**
+ * Load the signed in user's token from storage
+ * @return {Promise.<undefined>} Resolved when the token is loaded
+ */
+const loadToken = async () => {
+  try {
+    setToken(await storage.get('token'));
+  } catch (err) {
+    setToken(null);
+  }
+};
+
+/**
+ * Notify listeners that the user signed in or out
+ */
+const notifyAuthenticationChange = () => {
+  const authenticated = isAuthenticated();
+  authenticationListeners.forEach((listener) => listener(authenticated));
+};
+
+/**
+ * Tell other open tabs that the user signed in or out
+ * @param {String} event Either `sign-in` or `sign-out`
+ */
+const broadcastAuthEvent = (event) => {
+  if (authChannel) {
+    authChannel.postMessage(event);
+  } else {
+    // Other tabs receive a `storage` event when the value changes, so include the time to make
+    // sure that it does
+    localStorage.setItem(AUTH_EVENT_KEY, JSON.stringify({ event, time: Date.now() }));
+  }
+};
+
+/**
+ * Update this tab after the user signed in or out in another tab
+ * @param {String} event Either `sign-in` or `sign-out`
+ * @return {Promise.<undefined>} Resolved when this tab has been updated
+ */
+const receiveAuthEvent = async (event) => {
+  if (event === 'sign-in') {
+    await loadToken();
+  } else if (event === 'sign-out') {
+    // The tab that signed out already wiped the user's data, so just forget it in this tab
+    setToken(null);
+  } else {
+    return;
+  }
+  // Cached responses may belong to a different user
+  cache.clear();
+  notifyAuthenticationChange();
+};
+
+/**
+ * Load the signed in user's token from storage, and listen for other tabs signing in or out
+ * @description Must be called before the app renders, since the rest of the app reads the token
+ * synchronously
+ * @return {Promise.<undefined>} Resolved when the token is loaded
+ */
+const initialize = async () => {
+  if ('BroadcastChannel' in window) {
+    if (!authChannel) {
+      authChannel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+      authChannel.addEventListener('message', (event) => receiveAuthEvent(event.data));
+    }
+  } else {
+    window.addEventListener('storage', (event) => {
+      if (event.key === AUTH_EVENT_KEY && event.newValue) {
+        receiveAuthEvent(JSON.parse(event.newValue).event);
+      }
+    });
+  }
+
+  await loadToken();
+};
+
+/**
+ * Subscribe to be notified whenever the user signs in or out, in this tab or another
+ * @param {function(boolean)} listener called with whether the user is now authenticated
+ * @return {Function} A function that unsubscribes `listener`
+ */
+const onAuthenticationChange = (listener) => {
+  authenticationListeners.push(listener);
+  return () => {
+    const index = authenticationListeners.indexOf(listener);
+    if (index !== -1) {
+      authenticationListeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Get the token for the signed in user
+ * @return {String|null} Token for use on API requests, or null if no user is signed in
+ */
+const getToken = () => token;
+
 /**
  * Authenticate a user, saving the returned token for later use and caching the user's credentials
  * for refreshing the token when it expires.
@@ -64,10 +193,15 @@ const getAuth = (username, password) => {
 const authenticate = (username, password) =>
   getAuth(username, password)
     .then((token) => {
-      storage.store('token', token);
+      setToken(token);
+      // Cached responses may belong to a previous user
+      cache.clear();
+      return storage.store('token', token);
     })
     .then(() => {
       console.log('auth.js: authenticate() - done');
+      notifyAuthenticationChange();
+      broadcastAuthEvent('sign-in');
     });
 
 /**
@@ -76,48 +210,108 @@ const authenticate = (username, password) =>
  * @return {boolean} Whether session is authenticated or not
  */
 const isAuthenticated = () => {
-  try {
-    const token = storage.get('token');
-    // Check that auth contains a token
-    return token && token.length > 0;
-  } catch (err) {
-    console.log('auth.js: error occured getting token');
-    // Checks to see if Cache API is available
-    if ('caches' in window) {
-      /**
-       * Checks to see if the Service Worker is available since these values would not exist
-       * without it. If it does exist, a message is sent to the service worker to remove all of the
-       * user's data from cache and to cancel all fetches since it might contain information of
-       * the logged out user
-       */
-      if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-        navigator.serviceWorker.controller.postMessage('remove-user-data');
-        navigator.serviceWorker.controller.postMessage('cancel-fetches');
-        if (localStorage.length > 0) {
-          storage.remove('currentTerm');
-        }
-      }
+  // Check that auth contains a token
+  if (token && token.length > 0) {
+    return true;
+  }
+
+  // Checks to see if Cache API is available
+  if ('caches' in window) {
+    /**
+     * Checks to see if the Service Worker is available since these values would not exist
+     * without it. If it does exist, a message is sent to the service worker to remove all of the
+     * user's data from cache and to cancel all fetches since it might contain information of
+     * the logged out user
+     */
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage('remove-user-data');
+      navigator.serviceWorker.controller.postMessage('cancel-fetches');
+    }
+  }
+  return false;
+};
+
+/**
+ * Ask the service worker to cache the files needed to use the app offline
+ * @description Sends the token and current term code, so that the signed in user's data is cached
+ * @return {Promise.<undefined>} Resolved when the message has been sent
+ */
+const updateOfflineCache = async () => {
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    let termCode = null;
+    try {
+      termCode = await storage.get('currentTerm');
+    } catch (err) {
+      // The term code is only stored for signed in users
     }
-    return false;
+    navigator.serviceWorker.controller.postMessage({
+      message: 'update-cache-files',
+      token,
+      termCode,
+    });
+  }
+};
+
+/**
+ * Remove every API response stored with the Cache API
+ * @description Stored responses are not labeled by user, so all of them are removed. Guest data is
+ * cached again by the service worker once it receives the `remove-user-data` message.
+ * @return {Promise.<undefined>} Resolved when all API responses are removed
+ */
+const removeCachedResponses = async () => {
+  if (!('caches' in window)) {
+    return;
+  }
+
+  const apiSource = `${base}api`.toLowerCase();
+  for (const cacheName of await caches.keys()) {
+    const responseCache = await caches.open(cacheName);
+    const requests = await responseCache.keys();
+    await Promise.all(
+      requests
+        .filter((request) => request.url.toLowerCase().startsWith(apiSource))
+        .map((request) => responseCache.delete(request)),
+    );
   }
 };
 
 /**
  * Sign a user out
- * @description Removes all data from storage and cache
+ * @description Removes all of the user's data from storage and cache, and discards the changes
+ * they made offline that are still queued, then tells listeners and other open tabs that the user
+ * signed out. The user is signed out of this tab immediately; the returned promise is for callers
+ * that need to wait until the data is gone.
+ * @return {Promise.<undefined>} Resolved when all of the user's data is removed
  */
 const signOut = () => {
-  storage.remove('token');
-  // Checks to see if Cache API is available before attempting to access it
-  if ('caches' in window) {
-    // Checks to see if Service Worker is available since these values would not exist
-    // if the service worker was unavailable
-    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
-      navigator.serviceWorker.controller.postMessage('cancel-fetches');
-      storage.remove('status');
-      storage.remove('currentTerm');
-    }
+  // Start removing the user's data before switching to the guest namespace
+  const removal = Promise.all([
+    storage.clear(),
+    storage.remove('token'),
+    removeCachedResponses(),
+  ]).catch((err) => console.error('Could not remove all user data while signing out:', err));
+
+  cache.clear();
+  // Checks to see if Service Worker is available since it holds the user's token and term code
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage('cancel-fetches');
+    navigator.serviceWorker.controller.postMessage('remove-user-data');
+    // Changes queued while offline would otherwise be sent once the network is back
+    navigator.serviceWorker.controller.postMessage({ message: 'clear-mutation-queue' });
   }
+  setToken(null);
+  notifyAuthenticationChange();
+  broadcastAuthEvent('sign-out');
+
+  return removal;
 };
 
-export { authenticate, isAuthenticated, signOut };
+export {
+  authenticate,
+  getToken,
+  initialize,
+  isAuthenticated,
+  onAuthenticationChange,
+  signOut,
+  updateOfflineCache,
+};
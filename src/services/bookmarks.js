@@ -0,0 +1,124 @@
+/**
+ * Event bookmarks
+ *
+ * @description Remembers the events the user bookmarked because they intend to attend them.
+ * Bookmarks are kept in storage, so they persist across sessions, work offline and are separate for
+ * each user, including guests. Changes are shared with the user's other open tabs.
+ *
+ * @module bookmarks
+ */
+
+import storage from './storage';
+
+const BOOKMARKS_KEY = 'event-bookmarks';
+
+// Name of the channel used to tell other open tabs that the bookmarks changed
+const BOOKMARKS_CHANNEL_NAME = 'gordon-360-bookmarks';
+// Key written to `localStorage` to tell other open tabs that the bookmarks changed, in browsers
+// without BroadcastChannel
+const BOOKMARKS_EVENT_KEY = 'bookmarks-event';
+
+// Channel to other open tabs, opened by `onBookmarksChange` where BroadcastChannel is supported
+let bookmarksChannel = null;
+// Whether this tab is listening for other tabs changing the bookmarks
+let isListening = false;
+// Callbacks invoked whenever the bookmarks change, in this tab or another
+const bookmarksListeners = [];
+// The latest change to the bookmarks, which the next change waits for so that it doesn't overwrite
+// it with bookmarks read before it was stored
+let bookmarksWrite = Promise.resolve();
+
+/**
+ * Get the IDs of the events the user bookmarked
+ * @return {Promise.<String[]>} IDs of the events, from 25Live, oldest bookmark first
+ */
+const getBookmarks = () => storage.get(BOOKMARKS_KEY).catch(() => []);
+
+/**
+ * Notify listeners that the bookmarks changed
+ * @param {String[]} eventIDs IDs of the events now bookmarked
+ */
+const notifyBookmarksChange = (eventIDs) => {
+  bookmarksListeners.forEach((listener) => listener(eventIDs));
+};
+
+/**
+ * Tell other open tabs that the bookmarks changed
+ */
+const broadcastBookmarksChange = () => {
+  if (bookmarksChannel) {
+    bookmarksChannel.postMessage('change');
+  } else if (isListening) {
+    // Other tabs receive a `storage` event when the value changes, so include the time to make
+    // sure that it does
+    localStorage.setItem(BOOKMARKS_EVENT_KEY, String(Date.now()));
+  }
+};
+
+/**
+ * Update this tab after the bookmarks changed in another tab
+ * @return {Promise.<undefined>} Resolved when listeners have been notified
+ */
+const receiveBookmarksChange = async () => notifyBookmarksChange(await getBookmarks());
+
+/**
+ * Bookmark an event, or remove its bookmark
+ * @description Changes are made one at a time, in the order requested, so that bookmarking several
+ * events quickly keeps all of them
+ * @param {String} eventID ID of the event, from 25Live
+ * @param {boolean} bookmarked Whether the event should be bookmarked
+ * @return {Promise.<String[]>} IDs of the events now bookmarked
+ */
+const setBookmarked = (eventID, bookmarked) => {
+  const write = bookmarksWrite.then(async () => {
+    const eventIDs = (await getBookmarks()).filter((id) => id !== eventID);
+    if (bookmarked) {
+      eventIDs.push(eventID);
+    }
+    await storage.store(BOOKMARKS_KEY, eventIDs);
+
+    notifyBookmarksChange(eventIDs);
+    broadcastBookmarksChange();
+    return eventIDs;
+  });
+  // A failed change mustn't stop the ones after it
+  bookmarksWrite = write.catch(() => {});
+  return write;
+};
+
+/**
+ * Subscribe to be notified whenever the bookmarks change, in this tab or another
+ * @param {function(String[])} listener called with the IDs of the events now bookmarked
+ * @return {Function} A function that unsubscribes `listener`
+ */
+const onBookmarksChange = (listener) => {
+  if (!isListening) {
+    isListening = true;
+    if ('BroadcastChannel' in window) {
+      bookmarksChannel = new BroadcastChannel(BOOKMARKS_CHANNEL_NAME);
+      bookmarksChannel.addEventListener('message', receiveBookmarksChange);
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === BOOKMARKS_EVENT_KEY && event.newValue) {
+          receiveBookmarksChange();
+        }
+      });
+    }
+  }
+
+  bookmarksListeners.push(listener);
+  return () => {
+    const index = bookmarksListeners.indexOf(listener);
+    if (index !== -1) {
+      bookmarksListeners.splice(index, 1);
+    }
+  };
+};
+
+const bookmarksService = {
+  getBookmarks,
+  onBookmarksChange,
+  setBookmarked,
+};
+
+export default bookmarksService;
@@ -0,0 +1,156 @@
+/**
+ * Cache responses from read-only API calls in memory
+ *
+ * @description Responses are served from the cache while they are fresh. Once a response is older
+ * than its endpoint's TTL it is stale: it is still served immediately, but a request is made in the
+ * background to revalidate it for the next caller. Concurrent requests for the same URL share a
+ * single in-flight request.
+ *
+ * Services that modify data are responsible for invalidating the endpoints they affect.
+ *
+ * @module cache
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * @global
+ * @typedef CachePolicy
+ * @property {String} pattern URL pattern, relative to the API base, where `*` matches anything
+ * @property {Number} ttl How long a response is fresh, in milliseconds
+ */
+
+/**
+ * Endpoints whose responses are cached, and for how long they stay fresh. The first match is used.
+ * @type {CachePolicy[]}
+ */
+const policies = [
+  { pattern: 'sessions', ttl: DAY },
+  { pattern: 'sessions/current', ttl: HOUR },
+  { pattern: 'sessions/firstDay', ttl: DAY },
+  { pattern: 'sessions/lastDay', ttl: DAY },
+  { pattern: 'advanced-search/*', ttl: DAY },
+  { pattern: 'activities/session/*/types', ttl: DAY },
+  { pattern: 'news/categories', ttl: DAY },
+  { pattern: 'memberships/activity/*', ttl: 5 * MINUTE },
+];
+
+/**
+ * Convert a URL pattern to a regular expression that matches the whole URL
+ * @param {String} pattern URL pattern, where `*` matches anything
+ * @return {RegExp} The equivalent regular expression
+ */
+const patternToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`,
+  );
+
+const compiledPolicies = policies.map((policy) => ({
+  ...policy,
+  regExp: patternToRegExp(policy.pattern),
+}));
+
+// Cached entries by URL. Each has the cached `data` and when it was `fetchedAt` (once a response
+// has been received), and the `pending` request (while one is in flight).
+const entries = new Map();
+
+/**
+ * Get the caching policy for a URL
+ * @param {String} url relative URL from base, ex: `sessions/current` (no leading slash)
+ * @return {CachePolicy|undefined} The policy, or undefined if the URL should not be cached
+ */
+const getPolicy = (url) => compiledPolicies.find(({ regExp }) => regExp.test(url));
+
+/**
+ * Copy a cached value, so that callers modifying what they receive do not modify the cache
+ * @param {any} data Cached response body, parsed from JSON
+ * @return {any} A deep copy of `data`
+ */
+const copy = (data) => JSON.parse(JSON.stringify(data));
+
+/**
+ * Fetch a URL and store the response in its cache entry
+ * @param {String} url relative URL from base
+ * @param {Object} entry The URL's cache entry
+ * @param {Function} fetcher Makes the request; returns a promise of the response body
+ * @return {Promise.<any>} Response body
+ */
+const revalidate = (url, entry, fetcher) => {
+  if (!entry.pending) {
+    entry.pending = fetcher()
+      .then((data) => {
+        // Only store the response if the entry was not invalidated while the request was in flight
+        if (entries.get(url) === entry) {
+          entry.data = data;
+          entry.fetchedAt = Date.now();
+        }
+        return data;
+      })
+      .finally(() => {
+        entry.pending = null;
+        if (entry.fetchedAt === undefined && entries.get(url) === entry) {
+          entries.delete(url);
+        }
+      });
+  }
+  return entry.pending;
+};
+
+/**
+ * Read a URL through the cache
+ * @param {String} url relative URL from base
+ * @param {CachePolicy} policy The URL's caching policy
+ * @param {Function} fetcher Makes the request; returns a promise of the response body
+ * @return {Promise.<any>} Response body, from the cache when available
+ */
+const read = (url, { ttl }, fetcher) => {
+  let entry = entries.get(url);
+  if (!entry) {
+    entry = {};
+    entries.set(url, entry);
+  }
+
+  if (entry.fetchedAt === undefined) {
+    return revalidate(url, entry, fetcher).then(copy);
+  }
+
+  if (Date.now() - entry.fetchedAt > ttl) {
+    // Serve the stale response now; failures are ignored since the caller already has data
+    revalidate(url, entry, fetcher).catch(() => {});
+  }
+  return Promise.resolve(copy(entry.data));
+};
+
+/**
+ * Remove cached responses, so that they are requested again the next time they are needed
+ * @param {...String} patterns URL patterns to invalidate, where `*` matches anything
+ */
+const invalidate = (...patterns) => {
+  const regExps = patterns.map(patternToRegExp);
+  for (const url of [...entries.keys()]) {
+    if (regExps.some((regExp) => regExp.test(url))) {
+      entries.delete(url);
+    }
+  }
+};
+
+/**
+ * Remove every cached response, e.g. when the user changes
+ */
+const clear = () => {
+  entries.clear();
+};
+
+const cacheService = {
+  clear,
+  getPolicy,
+  invalidate,
+  read,
+};
+
+export default cacheService;
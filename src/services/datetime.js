@@ -0,0 +1,261 @@
+/**
+ * Date and Time
+ *
+ * @description Parses, formats and compares dates the same way throughout 360.
+ *
+ * The API sends timestamps in campus time (America/New_York), usually without an offset, so they
+ * are parsed as campus time wherever the user is, and are formatted in campus time as well. An
+ * event at 10 AM is therefore shown at 10 AM to a student studying abroad, just as it is on its
+ * poster.
+ *
+ * Times of day without a date, such as when a course meets, and the dates picked in date pickers
+ * are the user's own wall-clock times instead, so the arithmetic helpers work in the user's time
+ * zone.
+ *
+ * @module datetime
+ */
+
+import { addDays, isSameDay, isValid, set, startOfMinute } from 'date-fns';
+
+/** The time zone of campus, which the API's timestamps are in */
+export const campusTimeZone = 'America/New_York';
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @global
+ * @typedef {'date'|'dateTime'|'time'|'shortDate'|'numericDate'|'numericDateTime'|'weekdayDate'|'monthYear'} DatePreset
+ * A named way of formatting dates, so that the same kind of date looks the same on every page
+ */
+
+const presets = {
+  // Apr 27, 2021
+  date: { dateStyle: 'medium' },
+  // Apr 27, 2021, 3:30 PM
+  dateTime: { dateStyle: 'medium', timeStyle: 'short' },
+  // 3:30 PM
+  time: { timeStyle: 'short' },
+  // 4/27
+  shortDate: { month: 'numeric', day: 'numeric' },
+  // 4/27/2021
+  numericDate: { year: 'numeric', month: 'numeric', day: 'numeric' },
+  // 04/27/2021, 3:30 PM
+  numericDateTime: {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: 'numeric',
+    minute: 'numeric',
+  },
+  // Tue, April 27
+  weekdayDate: { weekday: 'short', month: 'long', day: 'numeric' },
+  // Apr 2021
+  monthYear: { month: 'short', year: 'numeric' },
+};
+
+// Matches ISO 8601 dates and timestamps that have no offset, e.g. '2021-04-27T15:30:00'
+const campusTimestampPattern =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// Creating formatters is slow, so each is created once
+const formatters = new Map();
+
+const getFormatter = (locale, options) => {
+  const key = `${locale} ${JSON.stringify(options)}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(locale, { timeZone: campusTimeZone, ...options }));
+  }
+
+  return formatters.get(key);
+};
+
+const getCampusParts = (date) =>
+  Object.fromEntries(
+    getFormatter('en-US', {
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .filter(({ type }) => type !== 'literal')
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+
+// How far campus time is ahead of UTC at the given moment, in milliseconds
+const getCampusOffset = (date) => {
+  const { year, month, day, hour, minute, second } = getCampusParts(date);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+};
+
+/**
+ * Get the moment that a campus wall-clock time refers to
+ *
+ * @param {Number} year The year
+ * @param {Number} month The month, from 1 for January
+ * @param {Number} day The day of the month
+ * @param {Number} [hour] The hour, from 0 to 23
+ * @param {Number} [minute] The minute
+ * @param {Number} [second] The second
+ * @param {Number} [millisecond] The millisecond
+ * @return {Date} The moment
+ */
+const fromCampusTime = (year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) => {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const estimate = asUTC - getCampusOffset(new Date(asUTC));
+
+  // Daylight saving time may start or end between the estimate and the time itself
+  return new Date(asUTC - getCampusOffset(new Date(estimate)));
+};
+
+/**
+ * Parse a date, such as a timestamp from the API
+ *
+ * @param {Date|String|Number} value The date. ISO 8601 timestamps without an offset are read as
+ * campus time, and dates without a time as midnight on campus
+ * @return {Date} The parsed date, which is invalid if `value` isn't a date
+ */
+const parse = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  const match = typeof value === 'string' && value.trim().match(campusTimestampPattern);
+  if (match) {
+    const [year, month, day, hour, minute, second] = match
+      .slice(1, 7)
+      .map((part) => Number(part ?? 0));
+    const millisecond = Number((match[7] ?? '').padEnd(3, '0'));
+    return fromCampusTime(year, month, day, hour, minute, second, millisecond);
+  }
+
+  return new Date(value);
+};
+
+/**
+ * Format a date in campus time
+ *
+ * @param {Date|String|Number} date The date to format, parsed as by `parse`
+ * @param {DatePreset|Intl.DateTimeFormatOptions} [preset] How to format the date
+ * @param {String} [locale] The language to format the date in
+ * @return {String} The formatted date
+ */
+const format = (date, preset = 'date', locale = 'en') =>
+  getFormatter(locale, presets[preset] ?? preset).format(parse(date));
+
+/**
+ * Format how many days a date is from today, on campus
+ *
+ * @param {Date|String|Number} date The date, parsed as by `parse`
+ * @param {String} [locale] The language to format the difference in
+ * @return {String} The difference, e.g. "Today", "Yesterday" or "3 days ago"
+ */
+const formatRelative = (date, locale = 'en') => {
+  const toCampusDay = (moment) => {
+    const { year, month, day } = getCampusParts(moment);
+    return Date.UTC(year, month - 1, day) / MILLISECONDS_PER_DAY;
+  };
+  const days = toCampusDay(parse(date)) - toCampusDay(new Date());
+  const text = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(days, 'day');
+
+  return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+};
+
+/**
+ * Compare two dates, e.g. to sort them with `Array.prototype.sort`
+ *
+ * @param {Date|String|Number} a The first date, parsed as by `parse`
+ * @param {Date|String|Number} b The second date, parsed as by `parse`
+ * @return {Number} Less than 0 if `a` is earlier, more than 0 if `b` is, or 0 if they are the same
+ */
+const compare = (a, b) => parse(a) - parse(b);
+
+/**
+ * Get the campus date of a moment as an ISO 8601 date, e.g. to send to the API
+ *
+ * @param {Date|String|Number} [date] The moment, parsed as by `parse`; defaults to now
+ * @return {String} The date, e.g. '2021-04-27'
+ */
+const toISODate = (date = new Date()) => {
+  const { year, month, day } = getCampusParts(parse(date));
+  return [year, month, day].map((part) => String(part).padStart(2, '0')).join('-');
+};
+
+/**
+ * Place a time of day on a date, in the user's time zone
+ *
+ * @param {String} time The time of day, e.g. '15:30' or '15:30:00'
+ * @param {Date} [date] The date; defaults to today
+ * @return {Date} The time on the date
+ */
+const timeOnDate = (time, date = new Date()) => {
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  return set(date, { hours, minutes, seconds, milliseconds: 0 });
+};
+
+/**
+ * Get a date whose wall-clock time in the user's time zone is the campus time of a moment, for
+ * components such as calendars that can only lay dates out in the user's time zone
+ *
+ * @param {Date|String|Number} date The moment, parsed as by `parse`
+ * @return {Date} The campus time, as a time in the user's time zone
+ */
+const toCampusWallClock = (date) => {
+  const { year, month, day, hour, minute, second } = getCampusParts(parse(date));
+  return new Date(year, month - 1, day, hour, minute, second);
+};
+
+/**
+ * @global
+ * @typedef Term
+ * @property {String} code The term's code, e.g. '21FA'
+ * @property {'fall'|'spring'} season The season of the term
+ * @property {Number} academicYear The year that the term's academic year begins in
+ * @property {Date} start The first moment of the term on campus
+ * @property {Date} end The first moment after the term on campus
+ */
+
+/**
+ * Get the term that a date falls in. Spring runs from January through July, and fall from August
+ * through December, so that summer belongs to the academic year it follows
+ *
+ * @param {Date|String|Number} [date] The date, parsed as by `parse`; defaults to now
+ * @return {Term} The term
+ */
+const getTerm = (date = new Date()) => {
+  const { year, month } = getCampusParts(parse(date));
+  const isSpring = month <= 7;
+  const academicYear = isSpring ? year - 1 : year;
+
+  return {
+    code: `${String(academicYear).slice(-2)}${isSpring ? 'SP' : 'FA'}`,
+    season: isSpring ? 'spring' : 'fall',
+    academicYear,
+    start: isSpring ? fromCampusTime(year, 1, 1) : fromCampusTime(year, 8, 1),
+    end: isSpring ? fromCampusTime(year, 8, 1) : fromCampusTime(year + 1, 1, 1),
+  };
+};
+
+const datetimeService = {
+  addDays,
+  compare,
+  format,
+  formatRelative,
+  fromCampusTime,
+  getTerm,
+  isSameDay,
+  isValid,
+  parse,
+  startOfMinute,
+  timeOnDate,
+  toCampusWallClock,
+  toISODate,
+};
+
+export default datetimeService;
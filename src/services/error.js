@@ -28,20 +28,88 @@ function NotFoundError(message) {
 }
 NotFoundError.prototype = Object.create(Error.prototype);
 
+/**
+ * HTTP Error, for any other non-2xx response from the backend
+ * @description The properties of an object response body (e.g. `Message`) are copied onto the error
+ * so that they can still be inspected by callers. A string response body is the error's message.
+ * @global
+ * @class
+ * @param {Object|String} body Parsed response body
+ * @param {Number} status HTTP status code
+ */
+function HttpError(body, status) {
+  if (typeof body === 'string') {
+    this.message = body || `Request failed with status ${status}`;
+  } else {
+    Object.assign(this, body);
+    this.message = (body && body.Message) || `Request failed with status ${status}`;
+  }
+  this.name = 'HttpError';
+  this.status = status;
+}
+HttpError.prototype = Object.create(Error.prototype);
+
+/**
+ * Network Error, for a request that could not reach the backend
+ * @global
+ * @class
+ * @param {String} message Error message
+ */
+function NetworkError(message) {
+  this.name = 'NetworkError';
+  this.message = message || 'Could not connect to the server';
+}
+NetworkError.prototype = Object.create(Error.prototype);
+
+/**
+ * Queued Error, for a request that modifies data and was queued because the backend could not be
+ * reached. The service worker sends it once the network is back.
+ * @global
+ * @class
+ * @param {String} message Error message
+ */
+function QueuedError(message) {
+  this.name = 'QueuedError';
+  this.message = message || 'You are offline. Your change will be sent once you are back online.';
+}
+QueuedError.prototype = Object.create(NetworkError.prototype);
+
+/**
+ * Timeout Error, for a request that took too long to complete
+ * @global
+ * @class
+ * @param {String} message Error message
+ */
+function TimeoutError(message) {
+  this.name = 'TimeoutError';
+  this.message = message || 'The request timed out';
+}
+TimeoutError.prototype = Object.create(Error.prototype);
+
 /**
  * Create an error object based on an HTTP error from the backend
  * @param {Error} err Error caught from HTTP request
  * @param {Response} res HTTP response
- * @return {Error|AuthError} An error
+ * @return {Error|AuthError|NotFoundError|HttpError} An error
  */
 const createError = (err, res) => {
   if (res.status === 401) {
     return new AuthError(err.Message);
   } else if (res.status === 404) {
     return new NotFoundError();
+  } else if (res.ok === false) {
+    return new HttpError(err, res.status);
   }
 
   return err;
 };
 
-export { AuthError, createError, NotFoundError };
+export {
+  AuthError,
+  createError,
+  HttpError,
+  NetworkError,
+  NotFoundError,
+  QueuedError,
+  TimeoutError,
+};
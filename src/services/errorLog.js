@@ -4,15 +4,29 @@
  * @module errorLog
  */
 
+import { NetworkError } from './error';
 import http from './http.js';
+import storage from './storage';
 
-const postErrorLog = (message) => {
-  let currentTime = new Date();
+// Reports beyond this many per minute are dropped, so that an error in a render loop cannot flood
+// the log
+const MAX_REPORTS_PER_MINUTE = 5;
+// Reports beyond this many are dropped while offline
+const MAX_QUEUED_REPORTS = 20;
+const QUEUED_REPORTS_KEY = 'queued-error-reports';
+
+// Signatures of the errors already reported since the app loaded
+const reportedErrors = new Set();
+// When each report in the last minute was sent
+let reportTimes = [];
+
+const postErrorLog = (message, time = new Date()) => {
   let data = {
     LOG_MESSAGE: message,
-    LOG_TIME: currentTime,
+    LOG_TIME: time,
   };
-  return http.post('log/add', data);
+  // Reports are queued by `reportError` instead, so that they can be dropped when too many pile up
+  return http.post('log/add', data, undefined, { queueOffline: false });
 };
 
 const postErrorMessage = (message) => {
@@ -78,10 +92,106 @@ const parseNavigator = (navigator) => {
   return result;
 };
 
+/**
+ * Save a report to send once the user is back online
+ * @param {QueuedErrorReport} report The report to send later
+ * @return {Promise.<undefined>} Resolved when the report is saved
+ */
+const queueReport = async (report) => {
+  let queuedReports = [];
+  try {
+    queuedReports = await storage.get(QUEUED_REPORTS_KEY);
+  } catch (err) {
+    // No reports are queued yet
+  }
+  if (queuedReports.length < MAX_QUEUED_REPORTS) {
+    await storage.store(QUEUED_REPORTS_KEY, [...queuedReports, report]);
+  }
+};
+
+/**
+ * Send a report to the log, or queue it if the user is offline
+ * @param {QueuedErrorReport} report The report to send
+ * @return {Promise.<undefined>} Resolved when the report is sent or queued
+ */
+const sendReport = async (report) => {
+  if (!navigator.onLine) {
+    return queueReport(report);
+  }
+  try {
+    await postErrorLog(report.message, new Date(report.time));
+  } catch (err) {
+    if (err instanceof NetworkError) {
+      return queueReport(report);
+    }
+    console.error('Could not report error:', err);
+  }
+};
+
+/**
+ * Send the reports that were queued while the user was offline
+ * @return {Promise.<undefined>} Resolved when every queued report is sent or queued again
+ */
+const sendQueuedReports = async () => {
+  let queuedReports;
+  try {
+    queuedReports = await storage.get(QUEUED_REPORTS_KEY);
+  } catch (err) {
+    return;
+  }
+  await storage.remove(QUEUED_REPORTS_KEY);
+  for (const report of queuedReports) {
+    await sendReport(report);
+  }
+};
+
+window.addEventListener('online', sendQueuedReports);
+
+/**
+ * @global
+ * @typedef QueuedErrorReport
+ * @property {String} message The message to log
+ * @property {Number} time When the error happened, in milliseconds since the epoch
+ */
+
+/**
+ * Report an error that crashed part of the app
+ * @description Each error is only reported once, at most `MAX_REPORTS_PER_MINUTE` reports are sent
+ * per minute, and reports are queued while the user is offline.
+ * @param {Error} error The error that was thrown
+ * @param {String} componentStack The component stack where the error was thrown
+ * @param {String} route URL path of the page where the error was thrown
+ * @return {Promise.<undefined>} Resolved when the report is sent, queued, or dropped
+ */
+const reportError = async (error, componentStack, route) => {
+  const signature = `${route} ${error} ${componentStack}`;
+  if (reportedErrors.has(signature)) {
+    return;
+  }
+  reportedErrors.add(signature);
+
+  const now = Date.now();
+  reportTimes = reportTimes.filter((time) => now - time < 60 * 1000);
+  if (reportTimes.length >= MAX_REPORTS_PER_MINUTE) {
+    console.warn('Too many errors to report, dropping:', error);
+    return;
+  }
+  reportTimes.push(now);
+
+  const message = [
+    `Error on ${route}: ${error}`,
+    parseNavigator(navigator),
+    `Component stack:${componentStack}`,
+  ].join('\n');
+  await sendReport({ message, time: now });
+};
+
 const errorLogService = {
   postErrorLog,
   postErrorMessage,
   parseNavigator,
+  reportError,
+  sendQueuedReports,
 };
 
 export default errorLogService;
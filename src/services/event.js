@@ -3,7 +3,9 @@
  *
  * @module event
  */
-import { DateTime } from 'luxon';
+import activity from './activity';
+import datetime from './datetime';
+import { NotFoundError } from './error';
 import http from './http';
 import session from './session';
 
@@ -23,6 +25,8 @@ import session from './session';
  * @property {String} Event_ID The ID of the event, from 25Live
  * @property {String} Event_Name The internal name of the event
  * @property {String} Event_Title The title, to be displayed, of the event
+ * @property {String} Event_Type_Name The type of the event, e.g. 'Lecture'
+ * @property {String} Organization The organization hosting the event
  * @property {boolean} HasCLAWCredit Whether the event offers CL&W Credit
  * @property {String} Description The description of the event
  * @property {EventOccurrence[]} Occurrences All scheduled occurrences of the event
@@ -59,7 +63,7 @@ const getCLWEvents = async () => {
   const allEvents = await http.get('events/25Live/CLAW');
   const now = Date.now();
   return allEvents
-    .filter((e) => new Date(e.Occurrences[0].StartDate).getTime() > now)
+    .filter((e) => datetime.parse(e.Occurrences[0].StartDate) > now)
     .map((e) => formatevent(e))
     .sort(sortEventsByTime);
 };
@@ -73,6 +77,45 @@ const getAllGuestEvents = async () => {
   return allGuest.map((e) => formatevent(e)).sort(sortEventsByTime);
 };
 
+/**
+ * Get a single event, formatted for display
+ *
+ * The event is found in the list of all events, which the service worker caches, so that events
+ * can be viewed offline too
+ *
+ * @param {string} eventId The ID of the event, from 25Live
+ * @param {boolean} [isGuest] Whether the user is a guest, who can only see public events
+ * @returns {Promise<Event>} The event
+ * @throws {NotFoundError} If there is no such event, or the user can't see it
+ */
+const getEvent = async (eventId, isGuest = false) => {
+  const events = isGuest ? await getAllGuestEvents() : await getAllEvents();
+  const event = events.find((e) => e.Event_ID === eventId);
+  if (!event) {
+    throw new NotFoundError(`Event ${eventId} was not found`);
+  }
+  return event;
+};
+
+/**
+ * Get the involvement that hosts an event, if the event's organization is one this session
+ * @param {Event} event The event
+ * @returns {Promise<{involvement: ?Activity, sessionCode: string}>} The involvement, or null if the
+ * event isn't hosted by one, and the session that it was found in
+ */
+const getHostingInvolvement = async (event) => {
+  const { SessionCode: sessionCode } = await session.getCurrent();
+  if (!event.Organization) {
+    return { involvement: null, sessionCode };
+  }
+
+  const involvements = await activity.getAll(sessionCode);
+  const involvement =
+    involvements.find((involvement) => involvement.ActivityDescription === event.Organization) ??
+    null;
+  return { involvement, sessionCode };
+};
+
 /**
  * Get chapel events attended by the user during the current term
  * @return {Promise<AttendedEvent[]>} all CL&W events attended by the user, formatted and sorted
@@ -91,10 +134,10 @@ const getAttendedChapelEvents = async () => {
 function formatevent(event) {
   let formattedEvent = { ...event };
   if (event.Occurrences?.[0]) {
-    const beginTime = DateTime.fromISO(event.Occurrences[0].StartDate).toFormat('t');
-    const endTime = DateTime.fromISO(event.Occurrences[0].EndDate).toFormat('t');
+    const beginTime = datetime.format(event.Occurrences[0].StartDate, 'time');
+    const endTime = datetime.format(event.Occurrences[0].EndDate, 'time');
     formattedEvent.timeRange = `${beginTime} - ${endTime}`;
-    formattedEvent.date = DateTime.fromISO(event.Occurrences[0].StartDate).toFormat('LLL d, yyyy');
+    formattedEvent.date = datetime.format(event.Occurrences[0].StartDate, 'date');
   }
 
   formattedEvent.title = event.Event_Title || event.Event_Name;
@@ -118,15 +161,11 @@ function formatevent(event) {
  * Compares two events by the time of their first occurrence
  * @param {Event} a the first event to compare
  * @param {Event} b the second event to compare
- * @returns {int} the sort order of the two events. -1 if a is first, 1 if b is first, 0 otherwise
+ * @returns {int} the sort order of the two events. Negative if a is first, positive if b is first,
+ * 0 otherwise
  */
 function sortEventsByTime(a, b) {
-  const timeA = a.Occurrences[0].StartDate;
-  const timeB = b.Occurrences[0].StartDate;
-
-  if (timeA < timeB) return -1;
-  if (timeA > timeB) return 1;
-  return 0;
+  return datetime.compare(a.Occurrences[0].StartDate, b.Occurrences[0].StartDate);
 }
 
 /**
@@ -136,15 +175,13 @@ function sortEventsByTime(a, b) {
  *
  * @param {AttendedEvent} a the first event to compare
  * @param {AttendedEvent} b the second event to compare
- * @returns {int} -1 if a's time is less than b's, 1 if it's more, 0 if they're equal
+ * @returns {int} negative if a's time is less than b's, positive if it's more, 0 if they're equal
  */
 function sortAtndEventsByTime(a, b) {
-  const timeA = a.Occurrences?.[0]?.StartDate || a.CHDate;
-  const timeB = b.Occurrences?.[0]?.StartDate || b.CHDate;
-
-  if (timeA < timeB) return -1;
-  if (timeA > timeB) return 1;
-  return 0;
+  return datetime.compare(
+    a.Occurrences?.[0]?.StartDate || a.CHDate,
+    b.Occurrences?.[0]?.StartDate || b.CHDate,
+  );
 }
 
 /**
@@ -155,43 +192,131 @@ function sortAtndEventsByTime(a, b) {
 const getFutureEvents = (allEvents) => {
   const now = Date.now();
   return allEvents
-    .filter((e) => new Date(e.Occurrences[0].StartDate).getTime() > now)
+    .filter((e) => datetime.parse(e.Occurrences[0].StartDate) > now)
     .sort(sortEventsByTime);
 };
 
 /**
- * The list of valid event filters
+ * Filters events for those that offer CL&W credit or are hosted by one of the given involvements
+ * @param {Event[]} events The events to filter
+ * @param {Member[]} memberships Memberships, including follows, in the involvements to keep events of
+ * @returns {Event[]} the CL&W events and the involvements' events
+ */
+const getFollowedEvents = (events, memberships) => {
+  const involvements = new Set(memberships.map((membership) => membership.ActivityDescription));
+  return events.filter((e) => e.HasCLAWCredit || involvements.has(e.Organization));
+};
+
+/**
+ * @global
+ * @typedef EventFacets
+ * @property {string[]} organization Organizations, any of which hosts the events to keep
+ * @property {string[]} type Types, any of which the events to keep are
+ * @property {string[]} location Locations, any of which the events to keep occur at
+ * @property {boolean} credit Whether to keep only events that offer CL&W credit
+ * @property {?string} from The first campus date, e.g. '2021-04-27', of the events to keep
+ * @property {?string} to The last campus date of the events to keep
  */
-export const EVENT_FILTERS = Object.freeze([
-  'CLW Credits',
-  'Admissions',
-  'Arts',
-  'Athletics',
-  'CEC',
-  'Chapel Office',
-  'Student Life',
-]);
 
 /**
- * Filter a list of events for a given list of filters and a given search string
+ * @global
+ * @typedef FacetCount
+ * @property {string} value A value of the facet, e.g. an organization
+ * @property {number} count How many events would be kept if the value were chosen
+ */
+
+/**
+ * Facets that keep every event
+ * @type {EventFacets}
+ */
+export const NO_FACETS = Object.freeze({
+  organization: [],
+  type: [],
+  location: [],
+  credit: false,
+  from: null,
+  to: null,
+});
+
+// Each facet that an event can have several values for, with how to get an event's values for it
+const facetValueGetters = {
+  organization: (event) => (event.Organization ? [event.Organization] : []),
+  type: (event) => (event.Event_Type_Name ? [event.Event_Type_Name] : []),
+  location: (event) => [
+    ...new Set((event.Occurrences ?? []).map((occurrence) => occurrence.Location).filter(Boolean)),
+  ],
+};
+
+/**
+ * The facets that can be chosen from the values found in the events, e.g. organizations
+ */
+export const VALUE_FACETS = Object.freeze(Object.keys(facetValueGetters));
+
+/**
+ * Whether any facet would filter events out
+ *
+ * @param {EventFacets} facets The facets
+ * @returns {boolean} Whether any of `facets` is chosen
+ */
+const hasFacets = (facets) =>
+  VALUE_FACETS.some((facet) => facets[facet].length > 0) ||
+  facets.credit ||
+  Boolean(facets.from || facets.to);
+
+/**
+ * Filter a list of events for a given set of facets and a given search string
+ *
+ * Events are kept if they match every facet, matching a facet that has several values chosen if
+ * they match any of the values
  *
  * @param {Event[]} events the events to filter
- * @param {string[]} filters the list of filters to use
+ * @param {EventFacets} facets the facets to filter by
  * @param {string} search the string to search against
  * @returns {Event[]} The filtered list of events
  */
-const getFilteredEvents = (events, filters, search) => {
+const getFilteredEvents = (events, facets, search) => {
   const matchesSearch = makeMatchesSearch(search);
-  const matchesFilters = makeMatchesFilters(filters);
-  if (search && filters.length) {
-    return events.filter((event) => matchesSearch(event) && matchesFilters(event));
-  } else if (search) {
-    return events.filter(matchesSearch);
-  } else if (filters.length) {
-    return events.filter(matchesFilters);
-  } else {
-    return events;
+  const matchesFacets = makeMatchesFacets(facets);
+  return events.filter((event) => matchesSearch(event) && matchesFacets(event));
+};
+
+/**
+ * Count, for each value of each facet, how many events would be kept if that value were chosen
+ *
+ * The events are filtered by every other facet first, so that values of the same facet, which
+ * widen the events kept, can be compared with each other
+ *
+ * @param {Event[]} events the events to count
+ * @param {EventFacets} facets the facets chosen so far
+ * @param {string} search the string that events are searched for
+ * @returns {{organization: FacetCount[], type: FacetCount[], location: FacetCount[], credit: number}}
+ * The counts of each facet's values, most common first, including every chosen value. `credit` is
+ * how many events offer CL&W credit
+ */
+const getFacetCounts = (events, facets, search) => {
+  const searchedEvents = events.filter(makeMatchesSearch(search));
+  const counts = {};
+
+  for (const facet of VALUE_FACETS) {
+    const matchesOtherFacets = makeMatchesFacets({ ...facets, [facet]: [] });
+    const valueCounts = new Map(facets[facet].map((value) => [value, 0]));
+
+    for (const event of searchedEvents.filter(matchesOtherFacets)) {
+      for (const value of facetValueGetters[facet](event)) {
+        valueCounts.set(value, (valueCounts.get(value) ?? 0) + 1);
+      }
+    }
+
+    counts[facet] = [...valueCounts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
   }
+
+  counts.credit = searchedEvents
+    .filter(makeMatchesFacets({ ...facets, credit: false }))
+    .filter((event) => event.HasCLAWCredit).length;
+
+  return counts;
 };
 
 /**
@@ -203,6 +328,10 @@ const getFilteredEvents = (events, filters, search) => {
  * @returns {function(Event): boolean} A function that matches a given event against `search`
  */
 const makeMatchesSearch = (search) => (event) => {
+  // Every event matches an empty search, even those without a time or date to search
+  if (!search) {
+    return true;
+  }
   const matchableSearchString = search.toLowerCase();
   return (
     event.title.toLowerCase().includes(matchableSearchString) ||
@@ -213,73 +342,53 @@ const makeMatchesSearch = (search) => (event) => {
 };
 
 /**
- * Make a closure over a list of filters.
+ * Make a closure over a set of facets.
  *
- * The returned closure determines whether a given `event` matches any filter in `filters`
+ * The returned closure determines whether a given `event` matches every facet in `facets`
  *
- * @param {string[]} filters The list of filters to match an event against
- * @returns {function(Event): boolean} A function that matches a given event against `filters`
+ * @param {EventFacets} facets The facets to match an event against
+ * @returns {function(Event): boolean} A function that matches a given event against `facets`
  */
-const makeMatchesFilters = (filters) => (event) => {
-  // Since we've closed over filters, we can match the event against only the enabled filters
-  // Because most cases involve only 1-2 concurrently active filters, this should improve filtering speed
-  for (const filter of filters) {
-    // For each of our enabled filters, stop matching and return true if the event matches
-    // This allows us to skip checking other filters once we've found a matching one
-    switch (filter) {
-      case 'Chapel Office':
-        if (event.organization === 'Chapel Office') {
-          return true;
-        }
-        break;
-      case 'Arts':
-        if (
-          event.Organization === 'Music Department' ||
-          event.Organization === 'Theatre' ||
-          event.Organization === 'Art Department'
-        ) {
-          return true;
-        }
-        break;
-      case 'CEC':
-        if (event.Organization === 'Campus Events Council (CEC)') {
-          return true;
-        }
-        break;
-      case 'Admissions':
-        if (event.Organization === 'Admissions') {
-          return true;
-        }
-        break;
-      case 'Athletics':
-        if (event.Organization === 'Athletics') {
-          return true;
-        }
-        break;
-      case 'Student Life':
-        if (event.Organization === 'Office of Student Life') {
-          return true;
-        }
-        break;
-      case 'CLW Credits':
-        if (event.HasCLAWCredit) {
-          return true;
-        }
-        break;
-      default:
-        break;
+const makeMatchesFacets = (facets) => {
+  const chosenValueFacets = VALUE_FACETS.filter((facet) => facets[facet].length > 0);
+
+  return (event) => {
+    if (facets.credit && !event.HasCLAWCredit) {
+      return false;
     }
-  }
-  return false;
+
+    const matchesValues = chosenValueFacets.every((facet) =>
+      facetValueGetters[facet](event).some((value) => facets[facet].includes(value)),
+    );
+    if (!matchesValues) {
+      return false;
+    }
+
+    if (facets.from || facets.to) {
+      // ISO dates sort as strings, so occurrences can be compared with the range without parsing it
+      return (event.Occurrences ?? []).some(
+        (occurrence) =>
+          (!facets.from || datetime.toISODate(occurrence.EndDate) >= facets.from) &&
+          (!facets.to || datetime.toISODate(occurrence.StartDate) <= facets.to),
+      );
+    }
+
+    return true;
+  };
 };
 
 const eventService = {
   getAllEvents,
+  getFacetCounts,
   getFutureEvents,
   getCLWEvents,
+  getEvent,
   getFilteredEvents,
+  getFollowedEvents,
   getAllGuestEvents,
   getAttendedChapelEvents,
+  getHostingInvolvement,
+  hasFacets,
 };
 
 export default eventService;
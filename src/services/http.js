@@ -4,12 +4,50 @@
  * @module http
  */
 
-import { createError } from './error';
-import storage from './storage';
-import { isAuthenticated } from './auth';
+import jwtDecode from 'jwt-decode';
+import cache from './cache';
+import {
+  AuthError,
+  createError,
+  HttpError,
+  NetworkError,
+  QueuedError,
+  TimeoutError,
+} from './error';
+import { getToken, isAuthenticated } from './auth';
 
 const base = process.env.REACT_APP_API_URL;
 
+// How long to wait for a response before giving up on a request, in milliseconds
+const DEFAULT_TIMEOUT = 30000;
+// How many times to retry a failed GET request
+const DEFAULT_RETRIES = 2;
+// How long to wait before the first retry, in milliseconds. Doubled after each retry.
+const RETRY_DELAY = 500;
+// Header that asks the service worker to queue a request if the network is down (see
+// `public/sw_mutation_queue.js`)
+const QUEUE_REQUEST_HEADER = 'X-Gordon-360-Queue-Offline';
+// Header on the service worker's response to a request that it queued
+const QUEUED_RESPONSE_HEADER = 'X-Gordon-360-Queued';
+
+/**
+ * @global
+ * @typedef RequestOptions
+ * @property {AbortSignal} [signal] Signal used to cancel the request, e.g. when a component unmounts
+ * @property {Number} [timeout] How long to wait for a response, in milliseconds
+ * @property {Number} [retries] How many times to retry a failed request (GET requests only)
+ * @property {boolean} [cache] Whether a cached response may be used (GET requests only)
+ * @property {boolean} [queueOffline] Whether the service worker may queue the request to send once
+ * the network is back, instead of failing (PUT, POST and DELETE requests only; defaults to true)
+ */
+
+// Requests held back while the user logs in again, in the order they were made
+let queuedRequests = [];
+// Whether the user is currently being asked to log in again
+let isReauthenticating = false;
+// Callbacks invoked when the user's session has expired and they must log in again
+const reauthenticationListeners = [];
+
 /**
  * Make a headers object with just authentication options for use with the API
  * @description Provides the correct authorization for API requests.
@@ -18,25 +56,16 @@ const base = process.env.REACT_APP_API_URL;
  */
 const makeHeaders = (headerOptions) => {
   if (isAuthenticated()) {
+    const token = getToken();
     if (headerOptions === undefined) {
-      try {
-        const token = storage.get('token');
-        return new Headers({
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        });
-      } catch (err) {
-        throw new Error('Token is not available');
-      }
+      return new Headers({
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      });
     } else {
-      try {
-        const token = storage.get('token');
-        return new Headers({
-          Authorization: `Bearer ${token}`,
-        });
-      } catch (err) {
-        throw new Error('Token is not available');
-      }
+      return new Headers({
+        Authorization: `Bearer ${token}`,
+      });
     }
   } else {
     return new Headers({
@@ -84,57 +113,320 @@ export const parseResponse = (res) => {
   return json;
 };
 
+/**
+ * Check whether the stored token has expired
+ * @description Decodes the token's payload and compares its `exp` claim to the current time. A
+ * missing or unparseable token is not considered expired; the API will reject it instead.
+ * @return {boolean} Whether the stored token has expired
+ */
+const isTokenExpired = () => {
+  try {
+    const { exp } = jwtDecode(getToken());
+    return exp !== undefined && exp * 1000 <= Date.now();
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Create the error used to reject a request that was canceled by the caller
+ * @return {Error} An error named `AbortError`, matching what `fetch` rejects with
+ */
+const createAbortError = () => {
+  const error = new Error('The request was canceled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Wait before retrying a request
+ * @param {Number} delay How long to wait, in milliseconds
+ * @param {AbortSignal} [signal] Signal that cancels the wait
+ * @return {Promise.<undefined>} Resolves after `delay`; rejects if `signal` is aborted first
+ */
+const wait = (delay, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort);
+  });
+
+/**
+ * Fetch a request, giving up if it takes longer than the timeout
+ * @param {Request} request The request to fetch
+ * @param {RequestOptions} options Options for the request
+ * @return {Promise.<Response>} HTTP response
+ * @throws {TimeoutError} When the timeout elapses before a response arrives
+ * @throws {NetworkError} When the backend cannot be reached
+ * @throws {Error} An `AbortError` when the caller cancels the request
+ */
+const fetchWithTimeout = async (request, { signal, timeout = DEFAULT_TIMEOUT }) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  signal?.addEventListener('abort', abort);
+
+  try {
+    return await fetch(request, { signal: controller.signal });
+  } catch (err) {
+    if (timedOut) {
+      throw new TimeoutError();
+    } else if (signal?.aborted) {
+      throw createAbortError();
+    }
+    throw new NetworkError();
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+/**
+ * Whether a failed request may succeed if it is retried
+ * @param {Error} err The error the request failed with
+ * @return {boolean} True for timeouts, network failures and server errors
+ */
+const isRetryable = (err) =>
+  err instanceof TimeoutError ||
+  err instanceof NetworkError ||
+  (err instanceof HttpError && err.status >= 500);
+
+/**
+ * Hold a request until the user has logged in again
+ * @description The first queued request notifies the reauthentication listeners, so the user is
+ * only asked to log in once no matter how many requests fail. If nothing is listening, the request
+ * is rejected immediately since there is no way to log in again.
+ * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
+ * @param {String} method HTTP method
+ * @param {object|array} body data to send with request
+ * @param {object|array} headerOptions options to send to the header, only auth is added
+ * @param {RequestOptions} options Options for the request
+ * @return {Promise.<Object>} Response body, once the request has been replayed
+ */
+const queueRequest = (url, method, body, headerOptions, options) => {
+  if (reauthenticationListeners.length === 0) {
+    return Promise.reject(new AuthError('Your session has expired. Please log in again.'));
+  }
+
+  return new Promise((resolve, reject) => {
+    queuedRequests.push({
+      replay: () => makeRequest(url, method, body, headerOptions, options, true),
+      resolve,
+      reject,
+    });
+
+    if (!isReauthenticating) {
+      isReauthenticating = true;
+      reauthenticationListeners.forEach((listener) => listener());
+    }
+  });
+};
+
+/**
+ * Send a request to the API once, without retrying
+ * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
+ * @param {String} method HTTP method
+ * @param {object|array} body data to send with request
+ * @param {object|array} headerOptions options to send to the header, only auth is added
+ * @param {RequestOptions} options Options for the request
+ * @param {boolean} isReplay whether the request is being replayed after reauthentication
+ * @return {Promise.<Object>} Response body
+ */
+const sendRequest = async (url, method, body, headerOptions, options, isReplay) => {
+  const request = createRequest(url, method, body, headerOptions);
+  // Only a controlling service worker removes the header before the request reaches the API, which
+  // rejects it, so requests are only marked when one will see them
+  if (method !== 'get' && options.queueOffline !== false && navigator.serviceWorker?.controller) {
+    request.headers.set(QUEUE_REQUEST_HEADER, 'true');
+  }
+
+  const res = await fetchWithTimeout(request, options);
+  if (res.headers.get(QUEUED_RESPONSE_HEADER)) {
+    throw new QueuedError();
+  }
+  if (res.status === 401 && !isReplay && isAuthenticated()) {
+    return queueRequest(url, method, body, headerOptions, options);
+  }
+  return parseResponse(res);
+};
+
 /**
  * Make a request to the API
+ * @description Requests made with an expired token, or while the user is logging in again, are
+ * queued until reauthentication finishes. A 401 response is treated the same way, except for a
+ * request that is itself being replayed, which rejects so that the user is not asked again.
+ *
+ * GET requests that time out, fail to reach the backend, or receive a server error are retried
+ * with exponential backoff. Other methods are not idempotent, so they are never retried. Instead,
+ * if the backend cannot be reached, the service worker queues them to send once the network is
+ * back, and they reject with a `QueuedError`.
  * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
  * @param {String} method HTTP method
  * @param {object|array} body data to send with request
  * @param {object|array} headerOptions options to send to the header, only auth is added
+ * @param {RequestOptions} [options] Options for the request
+ * @param {boolean} [isReplay] whether the request is being replayed after reauthentication
  * @return {Promise.<Object>} Response body
  */
-const makeRequest = (url, method, body, headerOptions) =>
-  fetch(createRequest(url, method, body, headerOptions)).then(parseResponse);
+const makeRequest = async (url, method, body, headerOptions, options = {}, isReplay = false) => {
+  if (isReauthenticating || (isAuthenticated() && isTokenExpired())) {
+    return queueRequest(url, method, body, headerOptions, options);
+  }
+
+  const retries = method === 'get' ? options.retries ?? DEFAULT_RETRIES : 0;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(url, method, body, headerOptions, options, isReplay);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) {
+        throw err;
+      }
+      await wait(RETRY_DELAY * 2 ** attempt, options.signal);
+    }
+  }
+};
+
+/**
+ * Subscribe to be notified when the user must log in again
+ * @description Intended for the app shell, which shows a single login prompt and then calls
+ * `completeReauthentication` or `cancelReauthentication`.
+ * @param {Function} listener called when the first request is queued for reauthentication
+ * @return {Function} A function that unsubscribes `listener`
+ */
+export const onReauthenticationRequired = (listener) => {
+  reauthenticationListeners.push(listener);
+  return () => {
+    const index = reauthenticationListeners.indexOf(listener);
+    if (index !== -1) {
+      reauthenticationListeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Replay all queued requests, in order, after the user has logged in again
+ */
+export const completeReauthentication = () => {
+  const requests = queuedRequests;
+  queuedRequests = [];
+  isReauthenticating = false;
+  requests.forEach(({ replay, resolve, reject }) => replay().then(resolve, reject));
+};
+
+/**
+ * Reject all queued requests because the user declined to log in again
+ */
+export const cancelReauthentication = () => {
+  const requests = queuedRequests;
+  queuedRequests = [];
+  isReauthenticating = false;
+  requests.forEach(({ reject }) => reject(new AuthError('Your session has expired.')));
+};
+
+/**
+ * Reject a promise early if a signal is aborted
+ * @description Used for cached requests, which are shared between callers and so cannot be canceled
+ * by any one of them
+ * @param {Promise} promise The promise to wrap
+ * @param {AbortSignal} [signal] Signal that rejects the returned promise
+ * @return {Promise} Settles like `promise`, unless `signal` is aborted first
+ */
+const withSignal = (promise, signal) => {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    if (signal.aborted) {
+      onAbort();
+    }
+    signal.addEventListener('abort', onAbort);
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
 
 /**
  * Get
+ * @description Responses from endpoints with a caching policy (see the `cache` module) are served
+ * from the cache. Pass `cache: false` in `options` to always make a request.
  * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
+ * @param {RequestOptions} [options] Options for the request
  * @return {Promise.<Object>} Response body
  */
-const get = (url) => makeRequest(url, 'get');
+const get = (url, options = {}) => {
+  const { cache: useCache = true, signal, ...requestOptions } = options;
+  const policy = useCache && cache.getPolicy(url);
+  if (!policy) {
+    return makeRequest(url, 'get', undefined, undefined, options);
+  }
+
+  const response = cache.read(url, policy, () =>
+    makeRequest(url, 'get', undefined, undefined, requestOptions),
+  );
+  return withSignal(response, signal);
+};
 
 /**
  * Put
  * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
  * @param {object|array} body data to send with request
+ * @param {RequestOptions} [options] Options for the request
  * @return {Promise.<Object>} Response body
  */
-const put = (url, body) => makeRequest(url, 'put', JSON.stringify(body));
+const put = (url, body, options) =>
+  makeRequest(url, 'put', JSON.stringify(body), undefined, options);
 
 /**
  * Post
  * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
  * @param {object|array} body data to send with request, needs to be JSON object
  * @param {object|array} headerOptions options to put in the header, if not undefined options are added, if empty only auth is added
+ * @param {RequestOptions} [options] Options for the request
  * @return {Promise.<Object>} Response body
  */
-const post = (url, body, headerOptions) => {
+const post = (url, body, headerOptions, options) => {
   if (headerOptions !== undefined) {
-    return makeRequest(url, 'post', body, headerOptions);
+    return makeRequest(url, 'post', body, headerOptions, options);
   } else {
-    return makeRequest(url, 'post', JSON.stringify(body));
+    return makeRequest(url, 'post', JSON.stringify(body), undefined, options);
   }
 };
 
 /**
  * Delete
  * @param {String} url relative URL from base, ex: `activity/023487` (no leading slash)
+ * @param {RequestOptions} [options] Options for the request
  * @return {Promise.<Object>} Response body
  */
-const del = (url) => makeRequest(url, 'delete');
+const del = (url, options) => makeRequest(url, 'delete', undefined, undefined, options);
+
+/**
+ * Remove cached responses, e.g. after a request that modifies them
+ * @param {...String} patterns URL patterns to invalidate, where `*` matches anything, ex:
+ * `memberships/activity/*`
+ */
+const invalidate = (...patterns) => {
+  cache.invalidate(...patterns);
+};
 
 const httpUtils = {
   del,
   get,
+  invalidate,
   post,
   put,
 };
@@ -0,0 +1,127 @@
+/**
+ * Translate text and format dates for the user's language
+ *
+ * @description Messages live in one catalog per language in `src/locales`, nested by the view that
+ * shows them, and are looked up by their dot-separated path (e.g. `wellness.title`). A message that
+ * is missing from a catalog falls back to English, so views never show a blank while a translation
+ * is pending.
+ *
+ * Messages may contain `{name}` placeholders, which are filled in from the values passed with the
+ * key. Values need not be text: a link, for example, can be placed within a sentence so that the
+ * sentence is translated as a whole rather than in fragments.
+ *
+ * @module i18n
+ */
+
+import en from 'locales/en.json';
+import es from 'locales/es.json';
+import datetime from './datetime';
+
+/**
+ * @global
+ * @typedef {'en'|'es'} Locale The language 360 is shown in
+ */
+
+/** @type {Locale} */
+export const defaultLocale = 'en';
+
+const catalogs = { en, es };
+
+/**
+ * The languages 360 is translated into, each named in its own language
+ * @type {Object.<Locale, String>}
+ */
+export const localeNames = { en: 'English', es: 'Español' };
+
+/**
+ * The languages 360 is translated into
+ * @type {Locale[]}
+ */
+export const supportedLocales = Object.keys(catalogs);
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((messages, part) => messages?.[part], catalog);
+
+/**
+ * Get the first of the browser's preferred languages that 360 is translated into
+ *
+ * @return {Locale} The detected locale, or English if none of the browser's languages are supported
+ */
+const detectLocale = () => {
+  const preferredLanguages = navigator.languages?.length
+    ? navigator.languages
+    : [navigator.language];
+
+  return (
+    preferredLanguages
+      .filter(Boolean)
+      .map((language) => language.split('-')[0].toLowerCase())
+      .find((language) => supportedLocales.includes(language)) ?? defaultLocale
+  );
+};
+
+/**
+ * Translate a message
+ *
+ * @param {Locale} locale The language to translate into
+ * @param {String} key Dot-separated path of the message in the catalogs
+ * @param {Object} [values] Values for the message's `{name}` placeholders
+ * @return {String|Array} The translated message, or its parts in order if any of the values placed
+ * in it is neither a string nor a number
+ */
+const translate = (locale, key, values = {}) => {
+  const message = lookup(catalogs[locale], key) ?? lookup(catalogs[defaultLocale], key);
+
+  if (typeof message !== 'string') {
+    console.warn(`Missing translation for '${key}'`);
+    return key;
+  }
+
+  const parts = message
+    .split(/\{(\w+)\}/)
+    // Every odd part is the name of a placeholder
+    .map((part, index) => (index % 2 && part in values ? values[part] : part));
+
+  return parts.every((part) => typeof part === 'string' || typeof part === 'number')
+    ? parts.join('')
+    : parts;
+};
+
+/**
+ * Format a date for the given locale, in campus time
+ *
+ * @param {Locale} locale The language to format for
+ * @param {Date|String|Number} date The date to format
+ * @param {DatePreset|Intl.DateTimeFormatOptions} [preset] How to format the date; defaults to e.g.
+ * "Apr 27, 2021"
+ * @return {String} The formatted date
+ */
+const formatDate = (locale, date, preset = 'date') => datetime.format(date, preset, locale);
+
+/**
+ * Format a date and time for the given locale
+ *
+ * @param {Locale} locale The language to format for
+ * @param {Date|String|Number} date The date and time to format
+ * @return {String} The formatted date and time, e.g. "Apr 27, 2021, 3:30 PM"
+ */
+const formatDateTime = (locale, date) => formatDate(locale, date, 'dateTime');
+
+/**
+ * Format a time for the given locale
+ *
+ * @param {Locale} locale The language to format for
+ * @param {Date|String|Number} date The time to format
+ * @return {String} The formatted time, e.g. "3:30 PM"
+ */
+const formatTime = (locale, date) => formatDate(locale, date, 'time');
+
+const i18nService = {
+  detectLocale,
+  translate,
+  formatDate,
+  formatDateTime,
+  formatTime,
+};
+
+export default i18nService;
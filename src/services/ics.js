@@ -0,0 +1,177 @@
+/**
+ * iCalendar
+ *
+ * @description Exports events as iCalendar (.ics) files, which Outlook, Google Calendar, Apple
+ * Calendar and most other calendar apps can import.
+ *
+ * Each event becomes a single series in the calendar: its first occurrence is the series' start,
+ * and its other occurrences are recurrence dates. Occurrences that don't last as long as the first
+ * or are somewhere else get an override of their own within the series. Times are written in UTC,
+ * so that the file doesn't need to define campus' time zone.
+ *
+ * @module ics
+ */
+
+import datetime from './datetime';
+
+const PRODUCT_ID = '-//Gordon College//Gordon 360//EN';
+
+const UID_DOMAIN = '360.gordon.edu';
+
+const DEFAULT_NAME = 'Gordon 360 Events';
+
+// Lines longer than this many bytes must be folded onto the next line, per RFC 5545
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * Format a moment as an iCalendar UTC date-time, e.g. '20210427T193000Z'
+ * @param {Date|String} date The moment, parsed as by `datetime.parse`
+ * @return {String} The date-time
+ */
+const toDateTime = (date) =>
+  datetime
+    .parse(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escape text for use as an iCalendar property value
+ * @param {String} text The text
+ * @return {String} The escaped text
+ */
+const escapeText = (text = '') =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Counts UTF-8 bytes, since line lengths are limited in bytes rather than characters
+const byteLength = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Fold a content line so that none of its lines are too long
+ * @param {String} line The content line
+ * @return {String} The folded line, continued on each next line after a space
+ */
+const foldLine = (line) => {
+  let folded = '';
+  let length = 0;
+
+  for (const char of line) {
+    const charLength = byteLength(char);
+    if (length + charLength > MAX_LINE_LENGTH) {
+      folded += '\r\n ';
+      // The space that continues the line counts towards its length
+      length = 1;
+    }
+    folded += char;
+    length += charLength;
+  }
+
+  return folded;
+};
+
+const getDuration = (occurrence) =>
+  datetime.parse(occurrence.EndDate) - datetime.parse(occurrence.StartDate);
+
+/**
+ * Create the components that represent an event
+ * @param {Event} event The event, formatted by the event service or as received from the API
+ * @param {String} timestamp When the calendar was created, as an iCalendar date-time
+ * @return {Array.<String[]>} The content lines of each component, or none if the event has no occurrences
+ */
+const createEventComponents = (event, timestamp) => {
+  const [first, ...others] = event.Occurrences ?? [];
+  if (!first) return [];
+
+  const uid = `${event.Event_ID}@${UID_DOMAIN}`;
+  const categories = [event.Organization, event.HasCLAWCredit && 'CL&W Credit'].filter(Boolean);
+  // Overrides replace an occurrence entirely, so each component describes the event in full
+  const describe = (occurrence) =>
+    [
+      `UID:${uid}`,
+      `DTSTAMP:${timestamp}`,
+      `DTSTART:${toDateTime(occurrence.StartDate)}`,
+      `DTEND:${toDateTime(occurrence.EndDate)}`,
+      `SUMMARY:${escapeText(event.title ?? (event.Event_Title || event.Event_Name))}`,
+      occurrence.Location && `LOCATION:${escapeText(occurrence.Location)}`,
+      event.Description && `DESCRIPTION:${escapeText(event.Description)}`,
+      categories.length && `CATEGORIES:${categories.map(escapeText).join(',')}`,
+    ].filter(Boolean);
+
+  const series = ['BEGIN:VEVENT', ...describe(first)];
+  if (others.length) {
+    series.push(`RDATE:${others.map((occurrence) => toDateTime(occurrence.StartDate)).join(',')}`);
+  }
+  series.push('END:VEVENT');
+
+  const overrides = others
+    .filter(
+      (occurrence) =>
+        getDuration(occurrence) !== getDuration(first) ||
+        (occurrence.Location || '') !== (first.Location || ''),
+    )
+    .map((occurrence) => [
+      'BEGIN:VEVENT',
+      `RECURRENCE-ID:${toDateTime(occurrence.StartDate)}`,
+      ...describe(occurrence),
+      'END:VEVENT',
+    ]);
+
+  return [series, ...overrides];
+};
+
+/**
+ * Create an iCalendar file's contents from a list of events
+ * @param {Event[]} events The events to include. Events without occurrences are left out
+ * @param {String} [name] The name that calendar apps show for the calendar
+ * @return {String} The calendar
+ */
+const createCalendar = (events, name = DEFAULT_NAME) => {
+  const timestamp = toDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => createEventComponents(event, timestamp)).flat(),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Download a list of events as an iCalendar file, to be opened in a calendar app
+ * @param {Event[]} events The events to include
+ * @param {String} [name] The name of the calendar, which its file is named after
+ */
+const downloadCalendar = (events, name = DEFAULT_NAME) => {
+  const calendar = createCalendar(events, name);
+  const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'events'}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers only start the download after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url));
+};
+
+const icsService = {
+  createCalendar,
+  downloadCalendar,
+};
+
+export default icsService;
@@ -3,15 +3,19 @@
  * @module jobs
  */
 
+import datetime from './datetime';
 import http from './http';
 
-const dateFormatter = Intl.DateTimeFormat('en', {
-  day: '2-digit',
-  month: '2-digit',
+// Shift times are picked in date pickers, so they are the user's own wall-clock times and are sent
+// to the API as such, e.g. '04/27/2021, 3:30 PM'
+const shiftTimeFormatter = new Intl.DateTimeFormat('en', {
   year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
   hour: 'numeric',
   minute: 'numeric',
 });
+const formatShiftTime = (date) => shiftTimeFormatter.format(date);
 
 /**
  * Get Whether or not the user can use staff timesheets
@@ -29,9 +33,9 @@ const getStaffPageForUser = async () => {
  * @return {Promise.<String>} User's active jobs
  */
 const getJobs = (canUseStaff, shiftStart, shiftEnd) => {
-  const urlParams = `?shiftStart=${dateFormatter.format(
-    shiftStart,
-  )}&shiftEnd=${dateFormatter.format(shiftEnd)}`;
+  const urlParams = `?shiftStart=${formatShiftTime(shiftStart)}&shiftEnd=${formatShiftTime(
+    shiftEnd,
+  )}`;
 
   if (canUseStaff) {
     return http.get('jobs/staff' + urlParams);
@@ -74,8 +78,8 @@ const saveShiftForUser = async (
 ) => {
   const shiftDetails = {
     EML: eml,
-    SHIFT_START_DATETIME: dateFormatter.format(shiftStart),
-    SHIFT_END_DATETIME: dateFormatter.format(shiftEnd),
+    SHIFT_START_DATETIME: formatShiftTime(shiftStart),
+    SHIFT_END_DATETIME: formatShiftTime(shiftEnd),
     HOURS_WORKED: hoursWorked,
     HOURS_TYPE: canUseStaff ? hoursType : null,
     SHIFT_NOTES: shiftNotes,
@@ -91,8 +95,8 @@ const editShift = async (canUseStaff, rowID, newShiftStart, newShiftEnd, newHour
   let newShiftDetails = {
     ID: rowID,
     EML: null,
-    SHIFT_START_DATETIME: dateFormatter.format(newShiftStart),
-    SHIFT_END_DATETIME: dateFormatter.format(newShiftEnd),
+    SHIFT_START_DATETIME: formatShiftTime(newShiftStart),
+    SHIFT_END_DATETIME: formatShiftTime(newShiftEnd),
     HOURS_WORKED: newHoursWorked,
     SHIFT_NOTES: null,
     LAST_CHANGED_BY: null,
@@ -121,7 +125,8 @@ const submitShiftsForUser = (canUseStaff, shifts, submittedTo) => {
   const shiftDetails = (shift) => ({
     ID_NUM: shift.ID_NUM,
     EML: shift.EML,
-    SHIFT_END_DATETIME: dateFormatter.format(new Date(shift.SHIFT_END_DATETIME)),
+    // Sent back as the API sent it, in campus time
+    SHIFT_END_DATETIME: datetime.format(shift.SHIFT_END_DATETIME, 'numericDateTime'),
     SUBMITTED_TO: submittedTo,
     HOURS_TYPE: canUseStaff ? shift.HOURS_TYPE : null,
     LAST_CHANGED_BY: shift.LAST_CHANGED_BY,
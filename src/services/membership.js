@@ -47,13 +47,21 @@ import http from './http';
  * @property {String} SessionDescription Session description
  */
 
+/**
+ * Invalidate cached activity memberships once a request that changes them has finished
+ * @param {Promise<any>} request A request that adds, removes, or modifies memberships
+ * @return {Promise<any>} The same response as `request`
+ */
+const invalidatesMemberships = (request) =>
+  request.finally(() => http.invalidate('memberships/activity/*'));
+
 /**
  * Create a new membership
  * @param {Object} data Data passed in
  * @return {Promise<any>} Response
  */
 function addMembership(data) {
-  return http.post('memberships', data);
+  return invalidatesMemberships(http.post('memberships', data));
 }
 
 /**
@@ -62,7 +70,7 @@ function addMembership(data) {
  * @return {Promise<any>} Response
  */
 const approveRequest = (requestID) => {
-  return http.post(`requests/${requestID}/approve`);
+  return invalidatesMemberships(http.post(`requests/${requestID}/approve`));
 };
 
 /**
@@ -113,7 +121,7 @@ const cancelRequest = (requestID) => {
  * @return {Promise.<Object>} Response body
  */
 const editMembership = (id, data) => {
-  return http.put(`memberships/${id}`, data);
+  return invalidatesMemberships(http.put(`memberships/${id}`, data));
 };
 
 /**
@@ -147,9 +155,11 @@ const get = (activityCode, sessionCode) => {
 
 //Change the privacy value for a club membership
 const toggleMembershipPrivacy = async (userMembership) => {
-  return await http.put(
-    `memberships/${userMembership.MembershipID}/privacy/${!userMembership.Privacy}`,
-    !userMembership.Privacy,
+  return await invalidatesMemberships(
+    http.put(
+      `memberships/${userMembership.MembershipID}/privacy/${!userMembership.Privacy}`,
+      !userMembership.Privacy,
+    ),
   );
 };
 
@@ -237,31 +247,13 @@ const filterCurrentRequests = (requestsArray, sessionCode) => {
   return filteredRequestsArray;
 };
 
-// Get the difference in days bewteen today and specified date
-// Returns integer and printable string
-const getDiffDays = function (date) {
-  let currentDate = new Date();
-  let requestDate = new Date(date);
-  let timeDiff = Math.abs(currentDate.getTime() - requestDate.getTime());
-  let diffDays = Math.floor(timeDiff / (1000 * 3600 * 24));
-  let diffString;
-  if (diffDays === 0) {
-    diffString = 'Today';
-  } else if (diffDays === 1) {
-    diffString = 'Yesterday';
-  } else {
-    diffString = diffDays.toString() + ' days ago';
-  }
-  return diffString;
-};
-
 /**
  * Remove given membershipID from membership table (Example of successful delete)
  * @param {String} membershipID The membershipID to remove
  * @return {Promise.<Object>} Response body
  */
 const remove = (membershipID) => {
-  return http.del(`memberships/${membershipID}`);
+  return invalidatesMemberships(http.del(`memberships/${membershipID}`));
 };
 
 /**
@@ -302,7 +294,7 @@ const search = (id, sessionCode, activityCode) => {
  * @return {Promise<any>} Response
  */
 const toggleGroupAdmin = async (membershipID, data) => {
-  return await http.put(`memberships/${membershipID}/group-admin`, data);
+  return await invalidatesMemberships(http.put(`memberships/${membershipID}/group-admin`, data));
 };
 
 const membershipService = {
@@ -321,7 +313,6 @@ const membershipService = {
   getIndividualMembership,
   getRequests,
   filterCurrentRequests,
-  getDiffDays,
   remove,
   requestMembership,
   search,
@@ -0,0 +1,107 @@
+/**
+ * Track requests that the service worker queued while the network was down
+ *
+ * @description PUT, POST and DELETE requests that cannot reach the backend are queued by the
+ * service worker (see `public/sw_mutation_queue.js`) and replayed in order once the network is
+ * back. This service mirrors that queue for the UI, and lets the user retry or discard requests
+ * that the backend rejected when they were replayed, e.g. because they conflict with a change made
+ * in the meantime.
+ *
+ * @module mutationQueue
+ */
+
+import { getToken } from './auth';
+import cache from './cache';
+
+/**
+ * @global
+ * @typedef QueuedMutation
+ * @property {Number} id Identifies the request in the queue
+ * @property {String} url URL of the request
+ * @property {String} method HTTP method, e.g. `POST`
+ * @property {Number} time When the request was queued, in milliseconds since the epoch
+ * @property {String} status `pending` until it is replayed, or `failed` if the backend rejected it
+ * @property {String|null} error Why the backend rejected the request
+ */
+
+// The queue as last reported by the service worker
+let mutations = [];
+// Callbacks invoked whenever the queue changes
+const mutationQueueListeners = [];
+
+/**
+ * Send a message to the service worker, if one controls the page
+ * @param {Object} message The message
+ */
+const postToServiceWorker = (message) => {
+  navigator.serviceWorker?.controller?.postMessage(message);
+};
+
+/**
+ * Get the requests waiting in the queue, oldest first
+ * @return {QueuedMutation[]} The queued requests
+ */
+const getMutations = () => mutations;
+
+/**
+ * Subscribe to be notified whenever the queue changes
+ * @param {function(QueuedMutation[])} listener called with the queued requests
+ * @return {Function} A function that unsubscribes `listener`
+ */
+const onMutationQueueChange = (listener) => {
+  mutationQueueListeners.push(listener);
+  return () => {
+    const index = mutationQueueListeners.indexOf(listener);
+    if (index !== -1) {
+      mutationQueueListeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Replay every pending request, e.g. once the network is back
+ * @description Browsers with Background Sync replay requests on their own; this is for the rest
+ */
+const replayMutations = () => {
+  postToServiceWorker({ message: 'replay-mutations', token: getToken() });
+};
+
+/**
+ * Replay a request that the backend rejected
+ * @param {Number} id Identifies the request in the queue
+ */
+const retryMutation = (id) => {
+  postToServiceWorker({ message: 'retry-mutation', id, token: getToken() });
+};
+
+/**
+ * Remove a request from the queue without sending it
+ * @param {Number} id Identifies the request in the queue
+ */
+const discardMutation = (id) => {
+  postToServiceWorker({ message: 'discard-mutation', id });
+};
+
+if (navigator.serviceWorker) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.message === 'mutation-queue') {
+      mutations = event.data.mutations;
+      mutationQueueListeners.forEach((listener) => listener(mutations));
+    } else if (event.data?.message === 'mutation-replayed') {
+      // Cached responses may predate the change that was just sent
+      cache.clear();
+    }
+  });
+  postToServiceWorker({ message: 'get-mutation-queue' });
+  window.addEventListener('online', replayMutations);
+}
+
+const mutationQueueService = {
+  discardMutation,
+  getMutations,
+  onMutationQueueChange,
+  replayMutations,
+  retryMutation,
+};
+
+export default mutationQueueService;
@@ -4,7 +4,7 @@
  * @module myschedule
  */
 
-import moment from 'moment';
+import datetime from './datetime';
 import http from './http';
 
 /**
@@ -96,25 +96,19 @@ async function makeMySchedule(myschedule) {
   let events = await myschedule.then((mySchedule) => {
     return mySchedule;
   });
-  let today = moment();
   let eventArray = [];
   for (let i = 0; i < events.length; i++) {
-    let beginTime = moment(events[i].BEGIN_TIME, 'HH:mm:ss');
-    beginTime.set('y', today.year());
-    beginTime.set('M', today.month());
-    beginTime.set('d', today.day());
-    let endTime = moment(events[i].END_TIME, 'HH:mm:ss');
-    endTime.set('y', today.year());
-    endTime.set('M', today.month());
-    endTime.set('d', today.day());
+    // The calendar shows a single day, with a column for each day of the week
+    let beginTime = datetime.timeOnDate(events[i].BEGIN_TIME);
+    let endTime = datetime.timeOnDate(events[i].END_TIME);
     let dayArray = checkDayofWeek(events[i]);
     let eventTitle = events[i].DESCRIPTION + ' in ' + events[i].LOCATION;
     for (let j = 0; j < dayArray.length; j++) {
       const customEvent = {
         id: parseInt(events[i].EVENT_ID, 10),
         title: eventTitle,
-        start: beginTime.toDate(),
-        end: endTime.toDate(),
+        start: beginTime,
+        end: endTime,
         resourceId: dayArray[j],
         allDay: events[i].IS_ALLDAY,
       };
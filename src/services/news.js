@@ -4,7 +4,7 @@
  * @module studentNews
  */
 
-import { DateTime } from 'luxon';
+import datetime from './datetime';
 import http from './http';
 
 /**
@@ -52,10 +52,9 @@ const getPostingByID = (id) => http.get(`news/${id}`);
  * @param {*} posting The news posting to format
  */
 function formatPosting(posting) {
-  const timestamp = DateTime.fromISO(posting.Entered);
-  posting.dayPosted = timestamp.weekdayShort + ', ' + timestamp.monthLong + ' ' + timestamp.day;
-  posting.yearPosted = timestamp.year;
-  posting.datePosted = timestamp.month + '/' + timestamp.day;
+  posting.dayPosted = datetime.format(posting.Entered, 'weekdayDate');
+  posting.yearPosted = datetime.format(posting.Entered, { year: 'numeric' });
+  posting.datePosted = datetime.format(posting.Entered, 'shortDate');
 
   let author = posting.ADUN;
   let fname, lname;
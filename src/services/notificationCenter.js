@@ -0,0 +1,232 @@
+/**
+ * Notification center
+ *
+ * @description Gathers the items that need the signed in user's attention from across 360, and
+ * tracks which of them the user has read. Read state is kept in storage, so it persists across
+ * sessions and is separate for each user.
+ *
+ * @module notificationCenter
+ */
+
+import checkIn from './checkIn';
+import datetime from './datetime';
+import { NotFoundError } from './error';
+import housing from './housing';
+import membership from './membership';
+import news from './news';
+import session from './session';
+import storage from './storage';
+import user from './user';
+
+const READ_KEY = 'notification-center-read';
+const APARTMENT_EDITORS_KEY = 'notification-center-apartment-editors';
+const SENT_REQUESTS_KEY = 'notification-center-sent-requests';
+
+// Most read items to remember. Older ids are forgotten, since their items have long since gone.
+const MAX_READ_IDS = 200;
+
+/**
+ * @global
+ * @typedef NotificationItem
+ * @property {String} id Identifies the item, and changes when the item needs attention again
+ * @property {String} title Short summary of the item
+ * @property {String} description What happened, or what the user needs to do
+ * @property {String} link Path of the page where the user can act on the item
+ * @property {String} [date] When the item happened
+ * @property {boolean} read Whether the user has read the item
+ */
+
+/**
+ * Get a value from storage, or a default if it was never stored
+ * @param {String} key Where the value is stored
+ * @param {any} defaultValue Value used when nothing is stored at `key`
+ * @return {Promise.<any>} The stored value, or `defaultValue`
+ */
+const getStored = (key, defaultValue) => storage.get(key).catch(() => defaultValue);
+
+/**
+ * Get the pending membership requests for the involvements the user leads
+ * @return {Promise.<NotificationItem[]>} An item for each pending request
+ */
+const getReceivedRequestItems = async () => {
+  const leaderPositions = await user.getLeaderPositions(user.getLocalInfo().id);
+  const requestsByInvolvement = await Promise.all(
+    leaderPositions.map((position) =>
+      membership.getRequests(position.ActivityCode, position.SessionCode),
+    ),
+  );
+  return requestsByInvolvement.flat().map((request) => ({
+    id: `membership-request-${request.RequestID}`,
+    title: `${request.ActivityDescription}: membership request`,
+    description: `${request.FirstName} ${request.LastName} asked to join as ${request.ParticipationDescription}`,
+    link: `/activity/${request.SessionCode}/${request.ActivityCode}`,
+    date: request.DateSent,
+  }));
+};
+
+/**
+ * Get the membership requests the user sent that have been approved or denied
+ * @description The status of each request when it is first seen is remembered, and an item is made
+ * whenever a request has been approved or denied since. Requests sent after the first time are
+ * remembered as pending, so that their approval is shown too.
+ * @return {Promise.<NotificationItem[]>} An item for each request whose status changed
+ */
+const getSentRequestItems = async () => {
+  const requests = await user.getSentMembershipRequests();
+  const knownStatuses = await getStored(SENT_REQUESTS_KEY, null);
+  const newStatuses = Object.fromEntries(
+    requests
+      .filter((request) => !knownStatuses?.[request.RequestID])
+      .map((request) => [request.RequestID, knownStatuses ? 'Pending' : request.RequestApproved]),
+  );
+  if (!knownStatuses || Object.keys(newStatuses).length > 0) {
+    await storage.store(SENT_REQUESTS_KEY, { ...knownStatuses, ...newStatuses });
+  }
+  if (!knownStatuses) {
+    return [];
+  }
+
+  return requests
+    .filter(
+      (request) =>
+        request.RequestApproved !== 'Pending' &&
+        request.RequestApproved !== knownStatuses[request.RequestID],
+    )
+    .map((request) => ({
+      // The status is part of the id, so that each change of status is a new item
+      id: `sent-request-${request.RequestID}-${request.RequestApproved}`,
+      title: `Membership request ${request.RequestApproved.toLowerCase()}`,
+      description: `Your request to join ${
+        request.ActivityDescription
+      } was ${request.RequestApproved.toLowerCase()}`,
+      link: '/involvements',
+      date: request.DateSent,
+    }));
+};
+
+/**
+ * Get the news items the user posted that are waiting to be approved
+ * @return {Promise.<NotificationItem[]>} An item for each unapproved news item
+ */
+const getUnapprovedNewsItems = async () => {
+  const postings = await news.getPersonalUnapproved();
+  return postings.map((posting) => ({
+    id: `news-unapproved-${posting.SNID}`,
+    title: 'News awaiting approval',
+    description: `"${posting.Subject}" will be posted once it is approved`,
+    link: '/news',
+    date: posting.Entered,
+  }));
+};
+
+/**
+ * Get a change of editor of the user's apartment application
+ * @description The editor of the application when it is first seen is remembered, and an item is
+ * made whenever the editor is someone else
+ * @return {Promise.<NotificationItem[]>} An item for the application's current editor, if they
+ * changed
+ */
+const getApartmentEditorItems = async () => {
+  const applicationID = await housing.getCurrentApplicationID().catch((error) => {
+    // The user isn't on an application
+    if (error instanceof NotFoundError) {
+      return 0;
+    }
+    throw error;
+  });
+  if (!(applicationID > 0)) {
+    return [];
+  }
+
+  const application = await housing.getApartmentApplication(applicationID);
+  const editor = application.EditorProfile;
+  const knownEditors = await getStored(APARTMENT_EDITORS_KEY, {});
+  if (!knownEditors[applicationID]) {
+    await storage.store(APARTMENT_EDITORS_KEY, {
+      ...knownEditors,
+      [applicationID]: editor.AD_Username,
+    });
+    return [];
+  } else if (knownEditors[applicationID] === editor.AD_Username) {
+    return [];
+  }
+
+  const isEditor = editor.AD_Username.toLowerCase() === user.getLocalInfo().user_name.toLowerCase();
+  return [
+    {
+      id: `apartment-editor-${applicationID}-${editor.AD_Username}`,
+      title: 'Apartment application editor changed',
+      description: isEditor
+        ? 'You are now the editor of your apartment application'
+        : `${editor.FirstName} ${editor.LastName} is now the editor of your apartment application`,
+      link: '/ApartApp',
+      date: application.DateModified,
+    },
+  ];
+};
+
+/**
+ * Get a reminder to complete Academic Check In, if the user hasn't
+ * @return {Promise.<NotificationItem[]>} An item for this session's check in, if it is incomplete
+ */
+const getCheckInItems = async () => {
+  // The status is undefined when it could not be loaded
+  if ((await checkIn.getStatus()) !== false) {
+    return [];
+  }
+  const { SessionCode: sessionCode } = await session.getCurrent();
+  return [
+    {
+      id: `academic-check-in-${sessionCode}`,
+      title: 'Academic Check In',
+      description: 'Check in to confirm your details for this semester',
+      link: '/academiccheckin',
+    },
+  ];
+};
+
+/**
+ * Get the items that need the user's attention
+ * @description A source that fails to load is left out, so that the rest are still shown
+ * @param {Roles} roles The user's roles
+ * @return {Promise.<NotificationItem[]>} The items, newest first
+ */
+const getItems = async (roles) => {
+  const sources = [getReceivedRequestItems, getSentRequestItems, getUnapprovedNewsItems];
+  if (roles.isStudent) {
+    sources.push(getApartmentEditorItems, getCheckInItems);
+  }
+
+  const [readIDs, ...itemsBySource] = await Promise.all([
+    getStored(READ_KEY, []),
+    ...sources.map((source) =>
+      source().catch((error) => {
+        console.error('Could not load notifications:', error);
+        return [];
+      }),
+    ),
+  ]);
+
+  return itemsBySource
+    .flat()
+    .map((item) => ({ ...item, read: readIDs.includes(item.id) }))
+    .sort((a, b) => datetime.compare(b.date ?? 0, a.date ?? 0));
+};
+
+/**
+ * Mark items as read
+ * @param {String[]} ids Identifiers of the items
+ * @return {Promise.<undefined>} Resolved when the items are marked as read
+ */
+const markRead = async (ids) => {
+  const readIDs = await getStored(READ_KEY, []);
+  const newReadIDs = [...readIDs.filter((id) => !ids.includes(id)), ...ids];
+  await storage.store(READ_KEY, newReadIDs.slice(-MAX_READ_IDS));
+};
+
+const notificationCenterService = {
+  getItems,
+  markRead,
+};
+
+export default notificationCenterService;
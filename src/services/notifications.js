@@ -0,0 +1,208 @@
+/**
+ * Push notifications
+ *
+ * @description The API sends push notifications to each device the user subscribed on, for the
+ * categories they opted in to. The service worker shows them (see `public/sw_push.js`).
+ *
+ * @module notifications
+ */
+
+import { isAuthenticated, onAuthenticationChange } from './auth';
+import http from './http';
+
+/**
+ * @global
+ * @typedef NotificationCategory
+ * @property {String} id Identifier used by the API, ex: `NewsApproved`
+ * @property {String} name Name shown to the user
+ * @property {String} description What the user is notified about
+ */
+
+/**
+ * Categories of push notification that the user can opt in to
+ * @type {NotificationCategory[]}
+ */
+const categories = [
+  {
+    id: 'MembershipRequestReceived',
+    name: 'Membership requests',
+    description: 'Someone asks to join an involvement you lead',
+  },
+  {
+    id: 'MembershipRequestApproved',
+    name: 'Membership approvals',
+    description: 'Your request to join an involvement is approved',
+  },
+  {
+    id: 'NewsApproved',
+    name: 'Student News',
+    description: 'A news item you posted is approved',
+  },
+  {
+    id: 'EventStartingSoon',
+    name: 'Upcoming events',
+    description: 'An event hosted by an involvement you are in starts soon',
+  },
+];
+
+/**
+ * Check whether this browser can receive push notifications
+ * @return {boolean} Whether push notifications are supported
+ */
+const isSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/**
+ * Convert a base64url encoded key to bytes
+ * @param {String} base64Url The key, base64url encoded
+ * @return {Uint8Array} The key's bytes
+ */
+const toBytes = (base64Url) => {
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), (c) =>
+    c.charCodeAt(0),
+  );
+};
+
+/**
+ * Check whether a push subscription was made with a key
+ * @param {PushSubscription} subscription The subscription
+ * @param {Uint8Array} key The API's public key
+ * @return {boolean} Whether the subscription was made with `key`
+ */
+const isSubscribedWithKey = (subscription, key) => {
+  const subscriptionKey = new Uint8Array(subscription.options?.applicationServerKey ?? []);
+  return (
+    subscriptionKey.length === key.length && subscriptionKey.every((byte, i) => byte === key[i])
+  );
+};
+
+/**
+ * Get this device's push subscription
+ * @return {Promise.<PushSubscription|null>} The subscription, or null if this device is not
+ * subscribed
+ */
+const getSubscription = async () => {
+  if (!isSupported()) {
+    return null;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+/**
+ * Subscribe this device to push notifications
+ * @description Asks the user for permission first, if they haven't already granted it
+ * @return {Promise.<PushSubscription>} The subscription
+ * @throws {Error} When push notifications are unsupported, or the user denies permission
+ */
+const subscribe = async () => {
+  if (!isSupported()) {
+    throw new Error('This browser does not support push notifications.');
+  }
+  if ((await Notification.requestPermission()) !== 'granted') {
+    throw new Error('Notifications are blocked. Allow them in your browser settings to continue.');
+  }
+
+  const key = toBytes(await http.get('notifications/vapid-public-key'));
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+  // A subscription made with a key the API no longer uses can't receive pushes
+  if (subscription && !isSubscribedWithKey(subscription, key)) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: key,
+    });
+  }
+
+  await http.post('notifications/subscriptions', subscription.toJSON());
+  return subscription;
+};
+
+/**
+ * Unsubscribe this device from push notifications
+ * @return {Promise.<undefined>} Resolved when this device is unsubscribed
+ */
+const unsubscribe = async () => {
+  const subscription = await getSubscription();
+  if (subscription) {
+    await http.del(
+      `notifications/subscriptions?endpoint=${encodeURIComponent(subscription.endpoint)}`,
+    );
+    await subscription.unsubscribe();
+  }
+};
+
+/**
+ * Get which categories of push notification the user opted in to
+ * @return {Promise.<Object.<String, boolean>>} Whether the user opted in to each category, by id
+ */
+const getPreferences = () => http.get('notifications/preferences', { cache: false });
+
+/**
+ * Set which categories of push notification the user opted in to
+ * @param {Object.<String, boolean>} preferences Whether the user opted in to each category, by id
+ * @return {Promise.<Object>} Response body
+ */
+const updatePreferences = (preferences) => http.put('notifications/preferences', preferences);
+
+/**
+ * Ask the API to send a sample notification of a category to each of the user's devices
+ * @param {String} category Identifier of the category
+ * @return {Promise.<Object>} Response body
+ */
+const sendTestNotification = (category) => http.post(`notifications/test/${category}`);
+
+/**
+ * Send this device's subscription to the API, or stop receiving pushes once no one is signed in
+ * @param {boolean} authenticated Whether a user is signed in
+ * @return {Promise.<undefined>} Resolved when the subscription is updated
+ */
+const syncSubscription = async (authenticated) => {
+  try {
+    const subscription = await getSubscription();
+    if (!subscription) {
+      return;
+    } else if (authenticated) {
+      await http.post('notifications/subscriptions', subscription.toJSON());
+    } else {
+      // The user's token is already gone, so the API drops the subscription the next time a push to
+      // it fails
+      await subscription.unsubscribe();
+    }
+  } catch (err) {
+    console.error('Could not update push subscription:', err);
+  }
+};
+
+/**
+ * Keep the API's record of this device's subscription in step with who is signed in
+ * @description The signed in user's subscription is sent again when the app loads and when they
+ * sign in, in case the browser replaced it in the meantime. When they sign out, this device stops
+ * receiving pushes, so that the next person to use it doesn't see their notifications.
+ * @return {Function} A function that stops keeping the subscription in step
+ */
+const initialize = () => {
+  if (isAuthenticated()) {
+    syncSubscription(true);
+  }
+  return onAuthenticationChange(syncSubscription);
+};
+
+const notificationsService = {
+  categories,
+  getPreferences,
+  getSubscription,
+  initialize,
+  isSupported,
+  sendTestNotification,
+  subscribe,
+  unsubscribe,
+  updatePreferences,
+};
+
+export default notificationsService;
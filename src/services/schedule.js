@@ -4,7 +4,7 @@
  * @module schedule
  */
 
-import moment from 'moment';
+import datetime from './datetime';
 import http from './http';
 
 /**
@@ -85,28 +85,22 @@ async function makeScheduleCourses(schedule) {
   let course = await schedule.then((courseSchedule) => {
     return courseSchedule;
   });
-  let today = moment();
   let eventArray = [];
   let eventId = 0;
   for (let i = 0; i < course.length; i++) {
     course[i].CRS_CDE = course[i].CRS_CDE.trim();
     course[i].CRS_TITLE = course[i].CRS_TITLE.trim();
-    let beginTime = moment(course[i].BEGIN_TIME, 'HH:mm:ss');
-    beginTime.set('y', today.year());
-    beginTime.set('M', today.month());
-    beginTime.set('d', today.day());
-    let endTime = moment(course[i].END_TIME, 'HH:mm:ss');
-    endTime.set('y', today.year());
-    endTime.set('M', today.month());
-    endTime.set('d', today.day());
+    // The calendar shows a single day, with a column for each day of the week
+    let beginTime = datetime.timeOnDate(course[i].BEGIN_TIME);
+    let endTime = datetime.timeOnDate(course[i].END_TIME);
     let dayArray = checkDayofWeek(course[i]);
     let courseTitle = course[i].CRS_CDE + ' in ' + course[i].BLDG_CDE + ' ' + course[i].ROOM_CDE;
     for (let j = 0; j < dayArray.length; j++) {
       const courseEvent = {
         id: eventId,
         title: courseTitle,
-        start: beginTime.toDate(),
-        end: endTime.toDate(),
+        start: beginTime,
+        end: endTime,
         resourceId: dayArray[j],
       };
       eventArray.push(courseEvent);
@@ -4,6 +4,7 @@
  * @module session
  */
 
+import datetime from './datetime';
 import http from './http';
 
 /**
@@ -66,24 +67,7 @@ const getDaysLeft = () => http.get('sessions/daysLeft');
  * Get current term code
  * @return {String} Term code, ex: '17SP'
  */
-const getTermCode = () => {
-  const now = new Date();
-  const terms = {
-    spring: 'SP',
-    fall: 'FA',
-  };
-
-  // Decide what term it is, defaulting to fall
-  let term = terms.fall;
-  let year = now.getFullYear();
-  if (now.getMonth() <= 6) {
-    term = terms.spring;
-    // If spring term, decrement current year to get current academic year
-    year -= 1;
-  }
-
-  return `${year.toString().substr(-2)}${term}`;
-};
+const getTermCode = () => datetime.getTerm().code;
 
 const sessionService = {
   get,
@@ -1,39 +1,225 @@
 /**
  * Store and retrieve app data locally
  *
- * @description With app storage abstracted in this service, it is possible to change the underlying
- * storage driver from the current `localStorage` to a more featureful storage driver like
- * `IndexedDB` without needing to update any code that depends on this service.
+ * @description With app storage abstracted in this service, the underlying storage driver can be
+ * changed without needing to update any code that depends on this service. Data is stored in
+ * `IndexedDB` when it is available, and in memory otherwise (e.g. in private browsing modes that
+ * disable `IndexedDB`). All operations are asynchronous.
+ *
+ * Keys are namespaced per user, so that one user's data is never read for another user on a
+ * shared computer. Global keys, like the token that identifies the user, are not namespaced.
  *
  * @module storage
  */
 
+import jwtDecode from 'jwt-decode';
+
+const DATABASE_NAME = 'gordon-360';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'storage';
+
+// Namespace for data stored while no user is signed in
+const GUEST_NAMESPACE = 'guest';
+
+// Keys that are shared by all users, and so are not namespaced
+const globalKeys = [
+  'token',
+  'network-status',
+  'queued-error-reports',
+  'theme-preference',
+  'locale',
+];
+
+// Keys that are also read and written by `public/pwa.js`, which cannot use this module, and so must
+// stay in `localStorage`
+const sharedKeys = ['network-status'];
+
+// Keys that were stored in `localStorage` before the storage driver was swappable
+const legacyKeys = ['token', 'currentTerm', 'status'];
+
+/**
+ * @global
+ * @typedef StorageDriver
+ * @property {String} name Name of the driver
+ * @property {function(String): Promise.<any>} get Get the value at a key; resolves with
+ * `undefined` if the key is not set
+ * @property {function(String, any): Promise.<undefined>} set Set the value at a key
+ * @property {function(String): Promise.<undefined>} remove Remove the value at a key
+ * @property {function(): Promise.<String[]>} keys Get every key that is set
+ */
+
+/**
+ * Create a driver that stores data in `IndexedDB`
+ * @return {Promise.<StorageDriver>} The driver; rejects if `IndexedDB` is unavailable
+ */
+const createIndexedDBDriver = () =>
+  new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const database = request.result;
+      const transact = (mode, operation) =>
+        new Promise((resolve, reject) => {
+          const request = operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+
+      resolve({
+        name: 'indexedDB',
+        get: (key) => transact('readonly', (store) => store.get(key)),
+        set: (key, value) => transact('readwrite', (store) => store.put(value, key)),
+        remove: (key) => transact('readwrite', (store) => store.delete(key)),
+        keys: () => transact('readonly', (store) => store.getAllKeys()),
+      });
+    };
+  });
+
+/**
+ * Create a driver that stores data in memory, for when no persistent storage is available
+ * @return {StorageDriver} The driver
+ */
+const createMemoryDriver = () => {
+  const values = new Map();
+  return {
+    name: 'memory',
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+    remove: async (key) => {
+      values.delete(key);
+    },
+    keys: async () => [...values.keys()],
+  };
+};
+
+/**
+ * Driver that stores data in `localStorage`, used for keys shared with `public/pwa.js`
+ * @type {StorageDriver}
+ */
+const localStorageDriver = {
+  name: 'localStorage',
+  get: async (key) => {
+    const storedValue = localStorage.getItem(key);
+    if (storedValue === null) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(storedValue);
+    } catch (err) {
+      throw new Error(`Could not parse value stored at '${key}'`);
+    }
+  },
+  set: async (key, value) => {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+  remove: async (key) => {
+    localStorage.removeItem(key);
+  },
+  keys: async () => Object.keys(localStorage),
+};
+
+let namespace = GUEST_NAMESPACE;
+let driverPromise;
+
+/**
+ * Get the key that a value is actually stored at, accounting for the user namespace
+ * @description Resolved before awaiting the driver, so that an operation started before the user
+ * changes still applies to the user who started it
+ * @param {String} key Key used by callers of this service
+ * @return {String} Key used by the storage driver
+ */
+const toStoredKey = (key) => (globalKeys.includes(key) ? key : `${namespace}/${key}`);
+
+/**
+ * Move values stored in `localStorage` by older versions of the app into the storage driver
+ * @param {StorageDriver} driver The storage driver to move values into
+ */
+const migrateLegacyKeys = async (driver) => {
+  let legacyNamespace = GUEST_NAMESPACE;
+  try {
+    legacyNamespace = jwtDecode(JSON.parse(localStorage.getItem('token'))).user_name;
+  } catch (err) {
+    // Without a valid token, any remaining values belong to a guest
+  }
+
+  for (const key of legacyKeys) {
+    const storedValue = localStorage.getItem(key);
+    if (storedValue === null) {
+      continue;
+    }
+    try {
+      const storedKey = globalKeys.includes(key) ? key : `${legacyNamespace}/${key}`;
+      await driver.set(storedKey, JSON.parse(storedValue));
+    } catch (err) {
+      console.error(`Could not migrate value stored at '${key}'`, err);
+    }
+    localStorage.removeItem(key);
+  }
+};
+
+/**
+ * Select the storage driver to use and migrate any legacy data into it
+ * @return {Promise.<StorageDriver>} The storage driver
+ */
+const getDriver = () => {
+  if (!driverPromise) {
+    driverPromise = createIndexedDBDriver()
+      .catch(() => createMemoryDriver())
+      .then(async (driver) => {
+        await migrateLegacyKeys(driver);
+        return driver;
+      });
+  }
+  return driverPromise;
+};
+
+/**
+ * Get the storage driver for a key
+ * @param {String} key Key used by callers of this service
+ * @return {Promise.<StorageDriver>} The storage driver that holds `key`
+ */
+const getDriverFor = (key) =>
+  sharedKeys.includes(key) ? Promise.resolve(localStorageDriver) : getDriver();
+
+/**
+ * Set which user's data is read and written
+ * @param {String} [username] Username in firstname.lastname format; omit when no user is signed in
+ */
+const setNamespace = (username) => {
+  namespace = username || GUEST_NAMESPACE;
+};
+
 /**
  * Store a value locally
  * @param {String} key Where to store the value
  * @param {any} value Data to store
+ * @return {Promise.<undefined>} Resolved when the value is stored
  */
-const store = (key, value) => {
-  localStorage.setItem(key, JSON.stringify(value));
+const store = async (key, value) => {
+  const storedKey = toStoredKey(key);
+  const driver = await getDriverFor(key);
+  await driver.set(storedKey, value);
 };
 
 /**
  * Get a value stored locally
  * @param {String} key Where value is stored
- * @return {any} Stored value
- * @throws Will throw an error when the key is not set in local storage
+ * @return {Promise.<any>} Stored value; rejects when the key is not set
  */
-const get = (key) => {
-  const storedValue = localStorage.getItem(key);
-  if (storedValue === null) {
-    throw new Error(`Key '${key}' does not exist in local storage`);
-  }
-
-  let value;
-  try {
-    value = JSON.parse(storedValue);
-  } catch (err) {
-    throw new Error(`Could not parse value stored at '${key}'`);
+const get = async (key) => {
+  const storedKey = toStoredKey(key);
+  const driver = await getDriverFor(key);
+  const value = await driver.get(storedKey);
+  if (value === undefined) {
+    throw new Error(`Key '${key}' does not exist in ${driver.name} storage`);
   }
   return value;
 };
@@ -41,14 +227,50 @@ const get = (key) => {
 /**
  * Remove a value stored locally
  * @param {String} key Where value is stored
+ * @return {Promise.<undefined>} Resolved when the value is removed
+ */
+const remove = async (key) => {
+  const storedKey = toStoredKey(key);
+  const driver = await getDriverFor(key);
+  await driver.remove(storedKey);
+};
+
+/**
+ * Get the keys of every value stored in a namespace
+ * @param {StorageDriver} driver The storage driver
+ * @param {String} prefix Prefix of the namespace's stored keys
+ * @return {Promise.<String[]>} Stored keys, including the namespace
+ */
+const getStoredKeys = async (driver, prefix) =>
+  (await driver.keys()).filter((key) => typeof key === 'string' && key.startsWith(prefix));
+
+/**
+ * Get the keys of every value stored for the current user
+ * @return {Promise.<String[]>} Keys, without the user namespace
+ */
+const keys = async () => {
+  const prefix = `${namespace}/`;
+  const driver = await getDriver();
+  return (await getStoredKeys(driver, prefix)).map((key) => key.slice(prefix.length));
+};
+
+/**
+ * Remove every value stored for the current user
+ * @return {Promise.<undefined>} Resolved when all of the user's values are removed
  */
-const remove = (key) => {
-  localStorage.removeItem(key);
+const clear = async () => {
+  const prefix = `${namespace}/`;
+  const driver = await getDriver();
+  const storedKeys = await getStoredKeys(driver, prefix);
+  await Promise.all(storedKeys.map((key) => driver.remove(key)));
 };
 
 const storageUtils = {
+  clear,
   get,
+  keys,
   remove,
+  setNamespace,
   store,
 };
 
@@ -6,10 +6,10 @@
 
 import jwtDecode from 'jwt-decode';
 
+import { getToken } from './auth';
 import { AuthError } from './error';
 import http from './http';
 import session from './session';
-import storage from './storage';
 import { socialMediaInfo } from 'socialMedia';
 
 /**
@@ -463,10 +463,8 @@ function dataURItoBlob(dataURI) {
  * @return {Promise.<LocalInfo>} Local user info
  */
 const getLocalInfo = () => {
-  let token;
-  try {
-    token = storage.get('token');
-  } catch (err) {
+  const token = getToken();
+  if (!token) {
     throw new AuthError('Could not get local auth');
   }
   try {
@@ -16,7 +16,31 @@ const getVersion = () => {
   return version;
 };
 
+/**
+ * Get the version of the UI that a service worker serves
+ * @description The version is a hash of the files built for the UI, so it changes with every deploy
+ * @param {ServiceWorker} [worker] The service worker; defaults to the one controlling the page
+ * @return {Promise.<String|null>} The version, or null if there is no service worker or it did not
+ * answer
+ */
+const getUIVersion = (worker = navigator.serviceWorker?.controller) =>
+  new Promise((resolve) => {
+    if (!worker) {
+      resolve(null);
+      return;
+    }
+    // Service workers from before versions were introduced never answer
+    const timer = setTimeout(() => resolve(null), 1000);
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage('get-version', [channel.port2]);
+  });
+
 const versionService = {
+  getUIVersion,
   getVersion,
 };
 
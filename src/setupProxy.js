@@ -1,6 +1,11 @@
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
 module.exports = (app) => {
+  // Answers the push notification endpoints locally, when testing push notifications (see README)
+  if (process.env.PUSH_STAND_IN === 'true') {
+    app.use('/api/notifications', require('../scripts/push-stand-in'));
+  }
+
   // @PROD
   // app.use(
   //   '/api',
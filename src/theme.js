@@ -1,4 +1,4 @@
-import { createTheme } from '@material-ui/core/styles';
+import { createTheme, lighten } from '@material-ui/core/styles';
 
 // Colors from http://www.gordon.edu/brandstandards
 // Shades from https://goo.gl/AF45tZ
@@ -104,8 +104,15 @@ export const windowBreakWidths = {
   breakXL: 1920,
 };
 
-const theme = createTheme({
-  palette: {
+/**
+ * The colors of each type of theme. Views should color elements with these palette tokens (e.g.
+ * `theme.palette.primary.main`, through `useTheme`, `makeStyles` or `withStyles`) rather than with
+ * `gordonColors`, so that they stay readable in both types. Styles in `.scss` files can use the
+ * same tokens through the `$theme-*` variables in `src/_vars.scss`.
+ */
+const palettes = {
+  light: {
+    type: 'light',
     primary: gordonColors.primary.blueShades,
     secondary: gordonColors.primary.cyanShades,
     error: gordonColors.secondary.redShades,
@@ -113,17 +120,53 @@ const theme = createTheme({
     warning: gordonColors.secondary.yellowShades,
     info: gordonColors.primary.cyanShades,
     grey: gordonColors.neutral.grayShades,
+    // Not a Material-UI token, for the charts and balances that need a color between yellow and red
+    orange: { main: gordonColors.secondary.orange },
+    background: {
+      default: gordonColors.neutral.lightGray,
+      paper: '#FFF',
+    },
   },
-  typography: {
-    fontFamily: ['Gotham SSm 7r', 'Gotham SSm A', 'Gotham SSm B', 'sans-serif'].join(','),
-  },
-  overrides: {
-    MuiTooltip: {
-      tooltip: {
-        backgroundColor: gordonColors.neutral.darkGray,
-      },
+  // Gordon blue and red are too dark to read on a dark background, so lighter shades are used
+  dark: {
+    type: 'dark',
+    primary: { main: gordonColors.primary.blueShades[200] },
+    secondary: gordonColors.primary.cyanShades,
+    error: { main: gordonColors.secondary.redShades[200] },
+    success: gordonColors.secondary.greenShades,
+    warning: gordonColors.secondary.yellowShades,
+    info: gordonColors.primary.cyanShades,
+    orange: { main: lighten(gordonColors.secondary.orange, 0.2) },
+    background: {
+      default: '#121212',
+      paper: '#1E1E1E',
     },
   },
-});
+};
 
-export default theme;
+/**
+ * Create the Material-UI theme for a type of theme
+ * @param {'light'|'dark'} type The type of theme
+ * @return {Object} The theme
+ */
+export const createGordonTheme = (type) =>
+  createTheme({
+    palette: palettes[type],
+    typography: {
+      fontFamily: ['Gotham SSm 7r', 'Gotham SSm A', 'Gotham SSm B', 'sans-serif'].join(','),
+    },
+    overrides: {
+      // The header keeps Gordon blue in both types, to match the seal in its background
+      MuiAppBar: {
+        colorPrimary: {
+          backgroundColor: gordonColors.primary.blue,
+          color: '#FFF',
+        },
+      },
+      MuiTooltip: {
+        tooltip: {
+          backgroundColor: gordonColors.neutral.darkGray,
+        },
+      },
+    },
+  });
@@ -1,5 +1,4 @@
 import React, { useState, useEffect } from 'react';
-import { gordonColors } from 'theme';
 import versionService from 'services/version';
 import { projectName } from 'project-name';
 import contributors from './contributors.json';
@@ -10,9 +9,11 @@ import { Typography, Grid, Button, Card, CardHeader, CardContent } from '@materi
 
 const About = () => {
   const [version, setVersion] = useState(null);
+  const [uiVersion, setUIVersion] = useState(null);
 
   useEffect(() => {
     versionService.getVersion().then(setVersion);
+    versionService.getUIVersion().then(setUIVersion);
   }, []);
 
   return (
@@ -101,13 +102,18 @@ const About = () => {
         <Typography variant="subtitle1">
           Found a bug?
           <a href="mailto:cts@gordon.edu?Subject=Gordon 360 Bug">
-            <Button style={{ color: gordonColors.primary.cyan }}>Report to CTS</Button>
+            <Button color="secondary">Report to CTS</Button>
           </a>
         </Typography>
         <hr />
         <Typography variant="body2" paragraph>
           Api Version - {version} UTC
         </Typography>
+        {uiVersion && (
+          <Typography variant="body2" paragraph>
+            UI Version - {uiVersion}
+          </Typography>
+        )}
       </Grid>
     </Grid>
   );
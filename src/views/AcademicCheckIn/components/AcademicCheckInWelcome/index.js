@@ -1,12 +1,19 @@
 import React from 'react';
 import { Typography, Grid } from '@material-ui/core';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
+import useLocale from 'hooks/useLocale';
 
 // @TODO CSSMODULES - outside directory
 import styles from '../../AcademicCheckIn.module.css';
 
+const registrarPhone = <b>(978)-867-4243</b>;
+const registrarEmail = <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>;
+const myGordonLink = <a href="https://my.gordon.edu">my.gordon.edu</a>;
+
 const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
-  const blue = gordonColors.primary.blue;
+  const theme = useTheme();
+  const blue = theme.palette.primary.main;
+  const { t } = useLocale();
   const hasMinorHold = holds.LaVidaHold || holds.DeclarationOfMajorHold;
 
   // This function will return the corresponding JSX elements according to the major holds a student
@@ -20,9 +27,10 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
       registrationContent = (
         <>
           <li>
-            You have a "Registration Hold". Please contact the Registrar's Office at{' '}
-            <b>(978)-867-4243</b> or <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>{' '}
-            or visit Jenks 216. )
+            {t('academicCheckIn.welcome.registrarHold', {
+              phone: registrarPhone,
+              email: registrarEmail,
+            })}
           </li>
           <br />
         </>
@@ -32,9 +40,10 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
       highSchoolContent = (
         <>
           <li>
-            You have a "High School Transcript Hold". Please contact the Registrar's Office at{' '}
-            <b>(978)-867-4243</b> or <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>{' '}
-            or visit Jenks 216.
+            {t('academicCheckIn.welcome.highSchoolTranscriptHold', {
+              phone: registrarPhone,
+              email: registrarEmail,
+            })}
           </li>
           <br />
         </>
@@ -43,9 +52,7 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
     if (holds.FinancialHold) {
       financialContent = (
         <>
-          <li>
-            You have a "Financial Hold". Please visit Student Financial Services in MacDonald 205.
-          </li>
+          <li>{t('academicCheckIn.welcome.financialHold')}</li>
           <br />
         </>
       );
@@ -54,8 +61,10 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
       medicalContent = (
         <>
           <li>
-            You have a "Medical Hold". Please contact the Health Center at <b>(978)-867-4300</b> or{' '}
-            <a href="mailto:healthcenter@gordon.edu">healthcenter@gordon.edu</a> or visit Lane 135.{' '}
+            {t('academicCheckIn.welcome.medicalHold', {
+              phone: <b>(978)-867-4300</b>,
+              email: <a href="mailto:healthcenter@gordon.edu">healthcenter@gordon.edu</a>,
+            })}
           </li>
           <br />
         </>
@@ -74,20 +83,16 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
     let laVidaContent;
     let declarationOfMajorContent;
     if (holds.LaVidaHold) {
-      laVidaContent = (
-        <li>
-          You have a "La Vida Hold". Students are required to complete Discovery or La Vida in their
-          first year at Gordon College. Please come to the registrar's office (Jenks 216) so that we
-          can register you for Discovery or La Vida.
-        </li>
-      );
+      laVidaContent = <li>{t('academicCheckIn.welcome.laVidaHold')}</li>;
     }
     if (holds.MajorHold) {
       declarationOfMajorContent = (
         <li>
-          You have a "Declaration of Major Hold". Please contact the <b>Registrar's Office</b> at{' '}
-          <b>(978)-867-4243</b> or <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a> or
-          visit Jenks 216 to discuss declaring a major.
+          {t('academicCheckIn.welcome.majorHold', {
+            registrarsOffice: <b>{t('academicCheckIn.welcome.registrarsOffice')}</b>,
+            phone: registrarPhone,
+            email: registrarEmail,
+          })}
         </li>
       );
     }
@@ -103,12 +108,10 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
     <Grid container justifyContent="center" alignItems="center" direction="column">
       <Grid item>
         <Typography align="center" variant="h5" style={{ color: blue }}>
-          <b>Enrollment Check-In</b>
+          <b>{t('academicCheckIn.welcome.title')}</b>
         </Typography>
         <Typography justify="center" className={styles.checkIn}>
-          Hello, {basicInfo.studentFirstName}! Welcome to a new semester at Gordon College! Please
-          take a few moments to complete the check-in process in order to confirm your academic
-          enrollment and help Gordon College plan to provide services to you.
+          {t('academicCheckIn.welcome.greeting', { name: basicInfo.studentFirstName })}
         </Typography>
         <br />
       </Grid>
@@ -116,11 +119,10 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
         {hasMajorHold ? ( // If the student has a major hold, they cannot check in
           <Grid item>
             <Typography style={{ color: blue }} align="center" variant="h6">
-              <b>Review Your Holds</b>
+              <b>{t('academicCheckIn.welcome.reviewHolds')}</b>
             </Typography>
             <Typography align="center">
-              According to our systems, you should contact the following department(s) in order to
-              clear up certain administrative holds before beginning the check-in process.
+              {t('academicCheckIn.welcome.reviewHoldsDescription')}
             </Typography>
             {displayMajorHolds()}
           </Grid>
@@ -130,24 +132,22 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
         {holds.MustRegisterForClasses ? ( // If a student is not registered for courses they cannot check in
           <Grid item>
             <Typography variant="h6" align="center" style={{ color: blue }}>
-              <b>Register for Courses</b>
+              <b>{t('academicCheckIn.welcome.registerForCourses')}</b>
             </Typography>
             <Typography align="center" gutterBottom>
-              <b>Before you can check in, you must be registered for courses.</b>
+              <b>{t('academicCheckIn.welcome.mustRegister')}</b>
             </Typography>
             {holds.NewStudent ? ( // If a student is first year and not registered, display a special prompt
               <Typography>
-                You will meet with your advisor during Orientation and he/she can register you. The
-                name of your advisor can be found by logging onto{' '}
-                <a href="https://my.gordon.edu">my.gordon.edu</a> and clicking on the <b>Student</b>{' '}
-                tab. You will see your advisor(s) listed under "My Advisors and Majors".
+                {t('academicCheckIn.welcome.newStudentRegistration', {
+                  myGordon: myGordonLink,
+                  studentTab: <b>{t('academicCheckIn.welcome.studentTab')}</b>,
+                })}
               </Typography>
             ) : (
               // Otherwise display a standard registration prompt
               <Typography gutterBottom>
-                Visit the registrar's office in Jenks 216 to register, or visit{' '}
-                <a href="https://my.gordon.edu">my.gordon.edu</a> (Student tab {'>'} Course
-                Schedules {'>'} Course Search) to register during the first five days of classes.
+                {t('academicCheckIn.welcome.registration', { myGordon: myGordonLink })}
               </Typography>
             )}
           </Grid>
@@ -157,10 +157,7 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
         )}
         {hasMinorHold ? ( // If a student has a minor hold, warn them about it
           <Grid item>
-            <Typography>
-              Even though you can still check in while maintaining the following holds, you should
-              contact the following department(s) at your earliest availability:
-            </Typography>
+            <Typography>{t('academicCheckIn.welcome.minorHolds')}</Typography>
             {displayMinorHolds()}
           </Grid>
         ) : (
@@ -168,37 +165,32 @@ const AcademicCheckInWelcome = ({ basicInfo, hasMajorHold, holds }) => {
           ''
         )}
         <Typography>
-          If you are planning to withdraw or take a leave of absence, please contact Student Life at{' '}
-          <b>(978)-867-4263</b> or{' '}
-          <a href="mailto:studentlife@gordon.edu">studentlife@gordon.edu</a>
+          {t('academicCheckIn.welcome.withdraw', {
+            phone: <b>(978)-867-4263</b>,
+            email: <a href="mailto:studentlife@gordon.edu">studentlife@gordon.edu</a>,
+          })}
         </Typography>
         <br />
       </Grid>
       <Grid item>
         <Typography align="center" variant="h6" style={{ color: blue }}>
-          <b>Begin the Check-In Process</b>
+          <b>{t('academicCheckIn.welcome.beginTitle')}</b>
         </Typography>
         {hasMajorHold ? ( // If the student has a major hold, display this prompt to resolve them
-          <Typography>
-            Once you have resolved each of the above holds, click the button below to begin the
-            check-in process.
-          </Typography>
+          <Typography>{t('academicCheckIn.welcome.resolveHolds')}</Typography>
         ) : holds.MustRegisterForClasses ? ( // If the student is not registered, display this prompt so they can register
-          <Typography>
-            Once you have registered for courses and your advisor has approved your registration,
-            come back to this page and click the button below to begin the check-in process.
-          </Typography>
+          <Typography>{t('academicCheckIn.welcome.registerThenReturn')}</Typography>
         ) : (
           // If the student has no major holds and is registered for courses, allow them to begin check in with this message
           <>
-            <Typography>Enrollment Check-In consists of four parts: </Typography>
+            <Typography>{t('academicCheckIn.welcome.parts')}</Typography>
             <ol>
-              <li>Enter Your Emergency Contact Information</li>
-              <li>Enter Your Cell Phone</li>
-              <li>Review Privacy Policies</li>
-              <li>Provide your Race and Ethnicity (optional)</li>
+              <li>{t('academicCheckIn.welcome.partEmergencyContact')}</li>
+              <li>{t('academicCheckIn.welcome.partPhone')}</li>
+              <li>{t('academicCheckIn.welcome.partPrivacy')}</li>
+              <li>{t('academicCheckIn.welcome.partRace')}</li>
             </ol>
-            <Typography>Click the button below to begin the check-in process.</Typography>
+            <Typography>{t('academicCheckIn.welcome.begin')}</Typography>
           </>
         )}
       </Grid>
@@ -1,13 +1,16 @@
 import React from 'react';
 import { Grid, Typography, Button } from '@material-ui/core';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import { Link } from 'react-router-dom';
+import useLocale from 'hooks/useLocale';
 
 // @TODO CSSMODULES - outside directory
 import styles from '../../AcademicCheckIn.module.css';
 
 const CompletedCheckIn = ({ basicInfo }) => {
-  const cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  const cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
   return (
     <Grid
       container
@@ -18,17 +21,16 @@ const CompletedCheckIn = ({ basicInfo }) => {
     >
       <Grid item xs={8}>
         <Typography variant="h5" gutterBottom align="center" style={{ color: cyan }}>
-          Congratulations {basicInfo.studentFirstName} on completing Academic Checkin!
+          {t('academicCheckIn.completed.congratulations', { name: basicInfo.studentFirstName })}
         </Typography>
         <br />
         <Typography variant="body1" align="center" gutterBottom>
-          We are excited to welcome you to your new semester at Gordon College! Please click the
-          button below to return to the homepage.
+          {t('academicCheckIn.completed.welcome')}
         </Typography>
         <br />
         <Grid item align="center">
           <Button variant="contained" component={Link} to="/">
-            Home
+            {t('common.home')}
           </Button>
         </Grid>
       </Grid>
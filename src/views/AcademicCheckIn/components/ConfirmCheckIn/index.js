@@ -1,6 +1,7 @@
 import React from 'react';
 import { Typography, Grid } from '@material-ui/core';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
+import useLocale from 'hooks/useLocale';
 
 const ConfirmCheckIn = ({
   emergencyContact1,
@@ -9,16 +10,18 @@ const ConfirmCheckIn = ({
   phoneInfo,
   demographic,
 }) => {
-  const cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  const cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
 
   const { ethnicity, ...raceValues } = demographic;
 
   const races = {
-    NativeAmerican: 'Native American or Alaskan Native',
-    Asian: 'Asian',
-    Black: 'Black or African American',
-    Hawaiian: 'Native Hawaiian or Other Pacific Islander',
-    White: 'White',
+    NativeAmerican: t('academicCheckIn.race.nativeAmerican'),
+    Asian: t('academicCheckIn.race.asian'),
+    Black: t('academicCheckIn.race.black'),
+    Hawaiian: t('academicCheckIn.race.hawaiian'),
+    White: t('academicCheckIn.race.white'),
   };
 
   const displayRace = Object.keys(races)
@@ -30,41 +33,63 @@ const ConfirmCheckIn = ({
     <Grid container alignItems="center" justifyContent="center" direction="column">
       <Grid item>
         <Typography variant="h5" gutterBottom align="center" style={{ color: cyan }}>
-          Check-In Confirmation
+          {t('academicCheckIn.confirm.title')}
         </Typography>
         <br />
         <Typography variant="body1" align="center" gutterBottom>
-          Please examine the below data to confirm it is correct, then click Submit.
+          {t('academicCheckIn.confirm.description')}
         </Typography>
       </Grid>
       <Grid item>
         <Grid container alignItems="center" direction="row" spacing={2}>
           <Grid item>
             <Typography variant="body1">
-              <b>Emergency Contact 1:</b>
+              <b>{t('academicCheckIn.confirm.emergencyContact', { number: 1 })}</b>
             </Typography>
             <ul>
               <li>
-                Name: {emergencyContact1.firstname} {emergencyContact1.lastname}
+                {t('academicCheckIn.confirm.name', {
+                  name: `${emergencyContact1.firstname} ${emergencyContact1.lastname}`,
+                })}
+              </li>
+              <li>
+                {t('academicCheckIn.confirm.relationship', {
+                  relationship: emergencyContact1.relationship,
+                })}
+              </li>
+              <li>
+                {t('academicCheckIn.confirm.homePhone', { phone: emergencyContact1.HomePhone })}
+              </li>
+              <li>
+                {t('academicCheckIn.confirm.mobilePhone', { phone: emergencyContact1.MobilePhone })}
               </li>
-              <li>Relationship: {emergencyContact1.relationship}</li>
-              <li>Home #: {emergencyContact1.HomePhone}</li>
-              <li>Mobile #: {emergencyContact1.MobilePhone}</li>
             </ul>
             <br />
           </Grid>
           {emergencyContact2.firstname !== '' ? (
             <Grid item>
               <Typography variant="body1">
-                <b>Emergency Contact 2:</b>
+                <b>{t('academicCheckIn.confirm.emergencyContact', { number: 2 })}</b>
               </Typography>
               <ul>
                 <li>
-                  Name: {emergencyContact2.firstname} {emergencyContact2.lastname}
+                  {t('academicCheckIn.confirm.name', {
+                    name: `${emergencyContact2.firstname} ${emergencyContact2.lastname}`,
+                  })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.relationship', {
+                    relationship: emergencyContact2.relationship,
+                  })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.homePhone', { phone: emergencyContact2.HomePhone })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.mobilePhone', {
+                    phone: emergencyContact2.MobilePhone,
+                  })}
                 </li>
-                <li>Relationship: {emergencyContact2.relationship}</li>
-                <li>Home #: {emergencyContact2.HomePhone}</li>
-                <li>Mobile #: {emergencyContact2.MobilePhone}</li>
               </ul>
               <br />
             </Grid>
@@ -74,15 +99,27 @@ const ConfirmCheckIn = ({
           {emergencyContact3.firstname !== '' ? (
             <Grid item>
               <Typography variant="body1" gutterBottom>
-                <b>Emergency Contact 3:</b>
+                <b>{t('academicCheckIn.confirm.emergencyContact', { number: 3 })}</b>
               </Typography>
               <ul>
                 <li>
-                  Name: {emergencyContact3.firstname} {emergencyContact3.lastname}
+                  {t('academicCheckIn.confirm.name', {
+                    name: `${emergencyContact3.firstname} ${emergencyContact3.lastname}`,
+                  })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.relationship', {
+                    relationship: emergencyContact3.relationship,
+                  })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.homePhone', { phone: emergencyContact3.HomePhone })}
+                </li>
+                <li>
+                  {t('academicCheckIn.confirm.mobilePhone', {
+                    phone: emergencyContact3.MobilePhone,
+                  })}
                 </li>
-                <li>Relationship: {emergencyContact3.relationship}</li>
-                <li>Home #: {emergencyContact3.HomePhone}</li>
-                <li>Mobile #: {emergencyContact3.MobilePhone}</li>
               </ul>
               <br />
             </Grid>
@@ -95,23 +132,24 @@ const ConfirmCheckIn = ({
         <Grid container alignItems="flex-start" direction="column">
           <Grid item>
             <Typography variant="body1" gutterBottom>
-              <b>Personal Cell-Phone Number:</b>{' '}
-              {phoneInfo.NoPhone ? 'None' : phoneInfo.PersonalPhone}
+              <b>{t('academicCheckIn.confirm.personalPhone')}</b>{' '}
+              {phoneInfo.NoPhone ? t('academicCheckIn.confirm.none') : phoneInfo.PersonalPhone}
             </Typography>
           </Grid>
           <Grid item>
             <Typography variant="body1" gutterBottom>
-              <b>Ethnicity:</b>{' '}
+              <b>{t('academicCheckIn.race.ethnicity')}:</b>{' '}
               {demographic.Ethnicity === '-1'
-                ? 'Hispanic/Latino'
+                ? t('academicCheckIn.race.hispanic')
                 : demographic.Ethnicity === '-2'
-                ? 'Not Hispanic/Latino'
-                : 'Prefer not to say'}
+                ? t('academicCheckIn.race.notHispanic')
+                : t('academicCheckIn.race.preferNotToSay')}
             </Typography>
           </Grid>
           <Grid item>
             <Typography variant="body1" gutterBottom>
-              <b>Race:</b> {raceValues.None ? 'Prefer not to say' : displayRace}
+              <b>{t('academicCheckIn.race.race')}:</b>{' '}
+              {raceValues.None ? t('academicCheckIn.race.preferNotToSay') : displayRace}
             </Typography>
           </Grid>
         </Grid>
@@ -9,7 +9,8 @@ import {
   Typography,
   Box,
 } from '@material-ui/core';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
+import useLocale from 'hooks/useLocale';
 import { phoneMaskUS, phoneMaskINTL } from 'views/AcademicCheckIn/components/UpdatePhone/';
 
 // @TODO CSSMODULES - outside directory
@@ -29,53 +30,53 @@ const EmergencyContactUpdate = ({
   handleCheckEmergContact2,
   handleCheckEmergContact3,
 }) => {
-  let cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  let cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
 
   return (
     <Grid container justifyContent="center" alignItems="center" direction="column">
       <Typography align="center" variant="h5" gutterBottom style={{ color: cyan }}>
-        Step 1: Enter your Emergency Contact Information
+        {t('academicCheckIn.emergencyContact.title')}
       </Typography>
       <Typography variant="h6" gutterBottom>
-        <b>Who are your emergency contacts?</b>
+        <b>{t('academicCheckIn.emergencyContact.question')}</b>
       </Typography>
       <Typography variant="body1" gutterBottom>
-        HIPAA regulations prohibit sharing of medical information regarding anyone age 18 or over
-        without consent.
+        {t('academicCheckIn.emergencyContact.hipaa')}
       </Typography>
       <Typography variant="body1" gutterBottom>
-        By listing emergency contacts below, I authorize the Gordon College staff to share medical
-        information with my emergency contact(s) during my enrollment at Gordon College. I hereby
-        authorize Gordon College to contact the following person(s) listed below in the event of a
-        medical emergency.
+        {t('academicCheckIn.emergencyContact.authorization')}
       </Typography>
       {createEmergencyContactFields(
         emergencyContact1,
         emergencyContactINTL1,
         handleChangeEmergContact1,
         handleCheckEmergContact1,
+        t,
       )}
       {createEmergencyContactFields(
         emergencyContact2,
         emergencyContactINTL2,
         handleChangeEmergContact2,
         handleCheckEmergContact2,
+        t,
       )}
       {createEmergencyContactFields(
         emergencyContact3,
         emergencyContactINTL3,
         handleChangeEmergContact3,
         handleCheckEmergContact3,
+        t,
       )}
       <Grid item>
         <br />
       </Grid>
       <Typography variant="body2" gutterBottom>
-        If, during the semester your emergency contact information must be updated, please contact
-        Student Life at 978.867.4263.
+        {t('academicCheckIn.emergencyContact.updates')}
       </Typography>
       <Typography variant="body2" gutterBottom>
-        For international phone numbers, check the "International #" checkbox.
+        {t('academicCheckIn.emergencyContact.international')}
       </Typography>
     </Grid>
   );
@@ -92,6 +93,8 @@ const EmergencyContactUpdate = ({
  *
  * @param {Function} handleCheckEmergContact a function to handle the updating of the checkbox fields
  *
+ * @param {Function} t the function from `useLocale` that translates the fields' labels
+ *
  * @returns {JSX.Element} valid JSX for the emergency contact fields
  */
 function createEmergencyContactFields(
@@ -99,6 +102,7 @@ function createEmergencyContactFields(
   emergencyContactINTL,
   handleChangeEmergContact,
   handleCheckEmergContact,
+  t,
 ) {
   const contactNum = emergencyContact.SEQ_NUM;
   let required;
@@ -119,14 +123,19 @@ function createEmergencyContactFields(
       <Typography variant="body1" gutterBottom>
         {' '}
         <strong>
-          Emergency Contact {contactNum} {contactNum !== 1 ? '(optional)' : '(required)'}
+          {t(
+            contactNum !== 1
+              ? 'academicCheckIn.emergencyContact.contactOptional'
+              : 'academicCheckIn.emergencyContact.contactRequired',
+            { number: contactNum },
+          )}
         </strong>{' '}
       </Typography>
       <Grid container spacing={2} justifyContent="center">
         <Grid item>
           <FormControl className={styles.emergencyContactForm}>
             <InputLabel required={required} htmlFor="component-simple">
-              First Name
+              {t('academicCheckIn.emergencyContact.firstName')}
             </InputLabel>
             <Input
               id="component-simple"
@@ -139,7 +148,7 @@ function createEmergencyContactFields(
         <Grid item>
           <FormControl className={styles.emergencyContactForm}>
             <InputLabel required={required} htmlFor="component-simple">
-              Last Name
+              {t('academicCheckIn.emergencyContact.lastName')}
             </InputLabel>
             <Input
               id="component-simple"
@@ -153,7 +162,7 @@ function createEmergencyContactFields(
         <Grid item>
           <FormControl className={styles.emergencyContactForm}>
             <InputLabel required={required} htmlFor="component-simple">
-              Relationship
+              {t('academicCheckIn.emergencyContact.relationship')}
             </InputLabel>
             <Input
               id="component-simple"
@@ -167,7 +176,7 @@ function createEmergencyContactFields(
         <Grid item>
           <FormControl className={styles.emergencyContactForm}>
             <InputLabel required={required} htmlFor="component-simple">
-              Home Phone
+              {t('academicCheckIn.emergencyContact.homePhone')}
             </InputLabel>
             <Input
               id="formatted-text-mask-input"
@@ -186,14 +195,14 @@ function createEmergencyContactFields(
                   onChange={handleCheckEmergContact}
                 />
               }
-              label="International #"
+              label={t('academicCheckIn.emergencyContact.internationalNumber')}
             />
           </FormControl>
         </Grid>
         <Grid item>
           <FormControl className={styles.emergencyContactForm}>
             <InputLabel required={required} htmlFor="component-simple">
-              Mobile Phone
+              {t('academicCheckIn.emergencyContact.mobilePhone')}
             </InputLabel>
             <Input
               id="formatted-text-mask-input"
@@ -211,7 +220,7 @@ function createEmergencyContactFields(
                   onChange={handleCheckEmergContact}
                 />
               }
-              label="International #"
+              label={t('academicCheckIn.emergencyContact.internationalNumber')}
             />
           </FormControl>
         </Grid>
@@ -1,81 +1,87 @@
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import { FormControl, FormControlLabel, Checkbox, Grid, Typography } from '@material-ui/core';
-import privacy from './privacy.json';
+import useLocale from 'hooks/useLocale';
+
+const registrarEmail = <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>;
+
+const directoryInformation = [
+  'name',
+  'birth',
+  'major',
+  'status',
+  'activities',
+  'attendance',
+  'degrees',
+  'previousEducation',
+  'photograph',
+  'athletes',
+];
 
 const PrivacyAgreement = ({ privacyAgreements, handleCheckPrivacyAgreements }) => {
-  const cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  const cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
   return (
     <Grid container justifyContent="center" alignItems="center" direction="column" spacing={1}>
       <Grid item>
         <Typography variant="h5" gutterBottom style={{ color: cyan }}>
-          Step 3: Review Privacy Policies
+          {t('academicCheckIn.privacy.title')}
         </Typography>
       </Grid>
       <Grid item>
         <Typography variant="subtitle1" gutterBottom align="center">
-          This page explains Gordon's policies regarding student privacy. Please click each checkbox
-          before continuing with your check-in.
+          {t('academicCheckIn.privacy.description')}
         </Typography>
       </Grid>
       <Grid item>
         <Typography variant="h6" gutterBottom align="center">
-          {privacy.FERPA.header}
+          {t('academicCheckIn.privacy.ferpa.header')}
         </Typography>
         <br />
         <Typography variant="body1" gutterBottom>
-          {privacy.FERPA.description1}
+          {t('academicCheckIn.privacy.ferpa.description')}
         </Typography>
         <br />
         <Grid item>
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para1}
+            {t('academicCheckIn.privacy.ferpa.para1')}
           </Typography>
           <br />
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para2}
+            {t('academicCheckIn.privacy.ferpa.para2')}
           </Typography>
           <br />
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para2sub}
+            {t('academicCheckIn.privacy.ferpa.para2sub')}
           </Typography>
           <br />
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para3}
+            {t('academicCheckIn.privacy.ferpa.para3')}
           </Typography>
           <br />
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para4}
+            {t('academicCheckIn.privacy.ferpa.para4')}
           </Typography>
           <br />
           <Typography variant="subtitle2" gutterBottom>
-            {privacy.FERPA.para4sub}
+            {t('academicCheckIn.privacy.ferpa.para4sub')}
           </Typography>
           <br />
           <Typography variant="body1" gutterBottom>
-            {privacy.FERPA.para5}
+            {t('academicCheckIn.privacy.ferpa.para5')}
           </Typography>
           <br />
           <Typography variant="subtitle1" gutterBottom>
-            Directory information is defined as a student's:
+            {t('academicCheckIn.privacy.directoryInformation.title')}
           </Typography>
           <Typography variant="body1" component="ul" gutterBottom>
-            <li>name </li>
-            <li>month/day and place of birth </li>
-            <li>major field of study</li>
-            <li>full- or part-time status </li>
-            <li>participation in officially recognized activities and sports </li>
-            <li>dates of attendance </li>
-            <li>degrees, honors and awards received</li>
-            <li>most recent previous education agency or institution attended</li>
-            <li>photograph</li>
-            <li>weights and heights of members of athletic teams</li>
+            {directoryInformation.map((item) => (
+              <li key={item}>{t(`academicCheckIn.privacy.directoryInformation.${item}`)}</li>
+            ))}
           </Typography>
           <br />
           <Typography variant="body2" gutterBottom>
-            <b>
-              {privacy.disclaimer}
-              <a href="mailto:registrar@gordon.edu"> registrar@gordon.edu</a>.
-            </b>
+            <b>{t('academicCheckIn.privacy.disclaimer', { email: registrarEmail })}</b>
           </Typography>
           <br />
           <FormControl>
@@ -87,24 +93,21 @@ const PrivacyAgreement = ({ privacyAgreements, handleCheckPrivacyAgreements }) =
                   onChange={handleCheckPrivacyAgreements}
                 />
               }
-              label="I have read and understand the FERPA Statement above."
+              label={t('academicCheckIn.privacy.ferpa.agreement')}
               labelPlacement="end"
             />
           </FormControl>
           <br />
           <br />
           <Typography variant="h6" gutterBottom align="center">
-            {privacy.dataPolicy.header}
+            {t('academicCheckIn.privacy.dataPolicy.header')}
           </Typography>
           <br />
           <Typography variant="body1" paragraph>
-            {privacy.dataPolicy.para1}
+            {t('academicCheckIn.privacy.dataPolicy.para1')}
           </Typography>
           <Typography variant="body2" paragraph>
-            <b>
-              {privacy.disclaimer}
-              <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>.
-            </b>
+            <b>{t('academicCheckIn.privacy.disclaimer', { email: registrarEmail })}</b>
           </Typography>
           <FormControl>
             <FormControlLabel
@@ -115,24 +118,19 @@ const PrivacyAgreement = ({ privacyAgreements, handleCheckPrivacyAgreements }) =
                   onChange={handleCheckPrivacyAgreements}
                 />
               }
-              label="I have read and understand the On-Campus Data Usage paragraph above and I give
-            Gordon College consent to store and process my personal information as outline in its
-            data privacy policy"
+              label={t('academicCheckIn.privacy.dataPolicy.agreement')}
               labelPlacement="end"
             />
           </FormControl>
           <br />
           <br />
           <Typography variant="h6" gutterBottom align="center">
-            {privacy.campusPhoto.header}
+            {t('academicCheckIn.privacy.campusPhoto.header')}
           </Typography>
-          <Typography variant="body1">{privacy.campusPhoto.para1}</Typography>
+          <Typography variant="body1">{t('academicCheckIn.privacy.campusPhoto.para1')}</Typography>
           <br />
           <Typography variant="body2" gutterBottom>
-            <b>
-              {privacy.disclaimer}
-              <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>.
-            </b>
+            <b>{t('academicCheckIn.privacy.disclaimer', { email: registrarEmail })}</b>
           </Typography>
           <br />
           <FormControl>
@@ -144,9 +142,7 @@ const PrivacyAgreement = ({ privacyAgreements, handleCheckPrivacyAgreements }) =
                   onChange={handleCheckPrivacyAgreements}
                 />
               }
-              label="I have read and understand the photography statement above and I agree that the
-               College may use my photograph, without identification, in Gordon College publications
-                or on the Gordon College website."
+              label={t('academicCheckIn.privacy.campusPhoto.agreement')}
               labelPlacement="end"
             />
           </FormControl>
@@ -1,4 +1,4 @@
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import {
   FormControl,
   FormLabel,
@@ -9,84 +9,79 @@ import {
   Grid,
   Typography,
 } from '@material-ui/core';
+import useLocale from 'hooks/useLocale';
 
 const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemographic }) => {
-  const cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  const cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
   return (
     <Grid container justifyContent="center" alignItems="center" direction="column" spacing={1}>
       <Grid item style={{ color: cyan }}>
         <Typography variant="h5" gutterBottom>
-          Step 4: Provide Your Race and Ethnicity
+          {t('academicCheckIn.race.title')}
         </Typography>
       </Grid>
       <Grid item>
         <Typography variant="h6" align="center" gutterBottom>
-          <b>Federal Reporting Status</b>
+          <b>{t('academicCheckIn.race.federalReporting')}</b>
         </Typography>
         <Typography variant="body1" gutterBottom>
-          The federal government has created new aggregate categories for reporting race and
-          ethnicity. Reporting these has been mandatory for Gordon College since fall 2010. The
-          categories describe groups to which individuals belong or identify with, not scientific
-          definitions of anthropological origins. In order to transition to the new data standards,
-          we need students to self-identify their ethnicity and race by responding to two questions.
+          {t('academicCheckIn.race.federalReportingDescription')}
         </Typography>
         <br />
-        <Typography variant="body1">
-          The first question asks students to designate ethnicity as either:{' '}
-        </Typography>
+        <Typography variant="body1">{t('academicCheckIn.race.firstQuestion')}</Typography>
         <ul>
-          <li>Hispanic or Latino OR</li>
-          <li>Not Hispanic or Latino</li>
+          <li>{t('academicCheckIn.race.hispanicOrLatinoOr')}</li>
+          <li>{t('academicCheckIn.race.notHispanicOrLatino')}</li>
         </ul>
         <br />
         <Typography variant="body1" gutterBottom>
-          Note: The federal government considers 'Hispanic/Latino' to be an ethnicity, not a race.
-          It defines this ethnicity as: A person of Cuban, Mexican, Puerto Rican, South or Central
-          American, or other Spanish culture of origin, regardless of race. That is why this
-          question is asked separately and Hispanic/Latino is no longer listed as a race
-          identification category.
+          {t('academicCheckIn.race.hispanicNote')}
         </Typography>
         <br />
-        <Typography variant="body1">
-          The second question asks individuals to indicate one or more races that apply from the
-          following (you can select multiple categories):
-        </Typography>
+        <Typography variant="body1">{t('academicCheckIn.race.secondQuestion')}</Typography>
         <ul>
-          <li>
-            Native American or Alaska Native (Having origins in any of the original peoples of North
-            and South America, including Central America)
-          </li>
-
-          <li> Asian</li>
-          <li>Black or African American</li>
-          <li> Native Hawaiian or Other Pacific Islander </li>
-          <li>
-            White (Having origins in any of the original peoples of Europe, North Africa, or the
-            Middle East)
-          </li>
+          <li>{t('academicCheckIn.race.nativeAmericanDescription')}</li>
+          <li>{t('academicCheckIn.race.asian')}</li>
+          <li>{t('academicCheckIn.race.black')}</li>
+          <li>{t('academicCheckIn.race.hawaiian')}</li>
+          <li>{t('academicCheckIn.race.whiteDescription')}</li>
         </ul>
         <br />
         <Typography variant="subtitle1" gutterBottom>
-          Please provide/confirm the following information:
+          {t('academicCheckIn.race.provideInformation')}
         </Typography>
         <br />
       </Grid>
       <Grid container direction="row">
         <FormControl>
-          <FormLabel component="legend">Ethnicity:</FormLabel>
+          <FormLabel component="legend">{t('academicCheckIn.race.ethnicity')}:</FormLabel>
           <RadioGroup
-            aria-label="Ethnicity"
+            aria-label={t('academicCheckIn.race.ethnicity')}
             name="Ethnicity"
             value={demographic.Ethnicity}
             onChange={handleChangeDemographic}
           >
-            <FormControlLabel value="-2" control={<Radio />} label="Not Hispanic/Latino" />
-            <FormControlLabel value="-1" control={<Radio />} label="Hispanic/Latino" />
-            <FormControlLabel value="-3" control={<Radio />} label="Prefer not to say" />
+            <FormControlLabel
+              value="-2"
+              control={<Radio />}
+              label={t('academicCheckIn.race.notHispanic')}
+            />
+            <FormControlLabel
+              value="-1"
+              control={<Radio />}
+              label={t('academicCheckIn.race.hispanic')}
+            />
+            <FormControlLabel
+              value="-3"
+              control={<Radio />}
+              label={t('academicCheckIn.race.preferNotToSay')}
+            />
           </RadioGroup>
         </FormControl>
         <FormControl>
-          <FormLabel component="legend">Race:</FormLabel>
+          <FormLabel component="legend">{t('academicCheckIn.race.race')}:</FormLabel>
           <FormControlLabel
             control={
               <Checkbox
@@ -95,7 +90,7 @@ const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemogr
                 onChange={handleCheckDemographic}
               />
             }
-            label="Native American or Alaska Native"
+            label={t('academicCheckIn.race.nativeAmerican')}
           />
           <FormControlLabel
             control={
@@ -105,7 +100,7 @@ const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemogr
                 onChange={handleCheckDemographic}
               />
             }
-            label="Asian"
+            label={t('academicCheckIn.race.asian')}
           />
           <FormControlLabel
             control={
@@ -115,7 +110,7 @@ const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemogr
                 onChange={handleCheckDemographic}
               />
             }
-            label="Black or African American"
+            label={t('academicCheckIn.race.black')}
           />
           <FormControlLabel
             control={
@@ -125,7 +120,7 @@ const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemogr
                 onChange={handleCheckDemographic}
               />
             }
-            label="Native Hawaiian or Other Pacific Islander"
+            label={t('academicCheckIn.race.hawaiian')}
           />
           <FormControlLabel
             control={
@@ -135,21 +130,21 @@ const RaceEthnicity = ({ demographic, handleChangeDemographic, handleCheckDemogr
                 onChange={handleCheckDemographic}
               />
             }
-            label="White"
+            label={t('academicCheckIn.race.white')}
           />
           <FormControlLabel
             control={
               <Checkbox checked={demographic.None} name="None" onChange={handleCheckDemographic} />
             }
-            label="Prefer not to say"
+            label={t('academicCheckIn.race.preferNotToSay')}
           />
         </FormControl>
       </Grid>
       <Typography variant="subtitle1" gutterBottom>
         <b>
-          For questions or more information regarding this section please contact the registrar's
-          office at (978) 867-4243 or <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>
-          .
+          {t('academicCheckIn.race.questions', {
+            email: <a href="mailto:registrar@gordon.edu">registrar@gordon.edu</a>,
+          })}
         </b>
       </Typography>
     </Grid>
@@ -8,29 +8,30 @@ import {
   Typography,
 } from '@material-ui/core';
 import MaskedInput from 'react-text-mask';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
+import useLocale from 'hooks/useLocale';
 
 const UpdatePhone = ({ phoneInfo, handleChangePhoneInfo, handleCheckPhoneInfo }) => {
-  const cyan = gordonColors.primary.cyan;
+  const theme = useTheme();
+  const cyan = theme.palette.secondary.main;
+  const { t } = useLocale();
   return (
     <Grid container justifyContent="center" alignItems="center" direction="column" spacing={1}>
       <Grid item>
         <Typography variant="h5" style={{ color: cyan }} gutterBottom>
-          Step 2: Enter your Cell Phone Number
+          {t('academicCheckIn.phone.title')}
         </Typography>
       </Grid>
       <Grid item>
         <Typography gutterBottom variant="body2">
-          Note: This information will be used to contact you with information in the event of issues
-          with registration etc, not for emergencies. Your number to contact you in emergencies is
-          handled by our 3rd-party company, RAVE. This number will also be visible to current
-          students, faculty, and staff unless you choose to make your number private on People
-          Search with the box below.
+          {t('academicCheckIn.phone.note')}
         </Typography>
       </Grid>
       <Grid item>
         <FormControl>
-          <InputLabel htmlFor="formatted-text-mask-input"> Phone Number </InputLabel>
+          <InputLabel htmlFor="formatted-text-mask-input">
+            {t('academicCheckIn.phone.phoneNumber')}
+          </InputLabel>
           <Input
             id="formatted-text-mask-input"
             name="PersonalPhone"
@@ -53,7 +54,7 @@ const UpdatePhone = ({ phoneInfo, handleChangePhoneInfo, handleCheckPhoneInfo })
                 onChange={handleCheckPhoneInfo}
               />
             }
-            label="Make my number private on People Search"
+            label={t('academicCheckIn.phone.makePrivate')}
           />
           <FormControlLabel
             control={
@@ -63,7 +64,7 @@ const UpdatePhone = ({ phoneInfo, handleChangePhoneInfo, handleCheckPhoneInfo })
                 onChange={handleCheckPhoneInfo}
               />
             }
-            label="I don't have a cell-phone"
+            label={t('academicCheckIn.phone.noPhone')}
           />
         </FormControl>
       </Grid>
@@ -10,21 +10,23 @@ import RaceEthnicity from './components/RaceEthnicity';
 import ConfirmCheckIn from './components/ConfirmCheckIn';
 import CompletedCheckIn from './components/CompletedCheckIn';
 import GordonLoader from 'components/Loader';
-import GordonUnauthorized from 'components/GordonUnauthorized';
-import user from 'services/user';
+import useAuth from 'hooks/useAuth';
+import useLocale from 'hooks/useLocale';
 //🧙‍♂️
 const AcademicCheckIn = (props) => {
+  const { profile } = useAuth();
+  const { t } = useLocale();
   const [activeStep, setActiveStep] = useState(0);
 
   const getSteps = () => {
     return [
-      'Main Form',
-      'Emergency Contact',
-      'Update Phone',
-      'Privacy Terms',
-      'Race Question',
-      'Confirm',
-      'Completed Check In',
+      t('academicCheckIn.steps.mainForm'),
+      t('academicCheckIn.steps.emergencyContact'),
+      t('academicCheckIn.steps.updatePhone'),
+      t('academicCheckIn.steps.privacyTerms'),
+      t('academicCheckIn.steps.raceQuestion'),
+      t('academicCheckIn.steps.confirm'),
+      t('academicCheckIn.steps.completed'),
     ];
   };
 
@@ -107,7 +109,6 @@ const AcademicCheckIn = (props) => {
 
   useEffect(() => {
     const loadData = async () => {
-      let profile = await user.getProfileInfo();
       setBasicInfo({
         studentFirstName: profile.FirstName,
         studentLastName: profile.LastName,
@@ -165,10 +166,10 @@ const AcademicCheckIn = (props) => {
       setLoading(false);
     };
 
-    if (props.authentication) {
+    if (profile) {
       loadData();
     }
-  }, [props.authentication, loading]);
+  }, [profile, loading]);
 
   useEffect(() => {
     props.history.replace('/AcademicCheckIn', { step: activeStep });
@@ -275,14 +276,16 @@ const AcademicCheckIn = (props) => {
 
   if (loading === true) {
     content = <GordonLoader />;
-  } else if (!props.authentication) {
-    content = <GordonUnauthorized feature={'Academic Checkin'} />;
   } else {
     content = (
       <Grid container justifyContent="center" spacing={2}>
         <Grid item xs={12} md={9} lg={6}>
           <Card className={styles.academicCheckIn}>
-            <CardHeader title="Academic Check In" className={styles.checkIn_header} padding={30} />
+            <CardHeader
+              title={t('academicCheckIn.title')}
+              className={styles.checkIn_header}
+              padding={30}
+            />
             <Box m={2}>
               <Grid
                 container
@@ -374,7 +377,7 @@ const AcademicCheckIn = (props) => {
                         variant="contained"
                         onClick={handlePrev}
                       >
-                        Back
+                        {t('common.back')}
                       </Button>
                     </Grid>
                     <Grid item>
@@ -409,7 +412,7 @@ const AcademicCheckIn = (props) => {
                             ))
                         }
                       >
-                        {activeStep === 0 ? 'Begin Check-In' : 'Next'}
+                        {activeStep === 0 ? t('academicCheckIn.beginCheckIn') : t('common.next')}
                       </Button>
                     </Grid>
                     <Grid item>
@@ -418,7 +421,7 @@ const AcademicCheckIn = (props) => {
                         onClick={handleSubmit}
                         style={activeStep === steps.length - 2 ? {} : { display: 'none' }}
                       >
-                        Submit
+                        {t('common.submit')}
                       </Button>
                     </Grid>
                   </Grid>
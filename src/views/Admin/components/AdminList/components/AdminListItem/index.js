@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import admin from 'services/admin';
 
 import { Button, ListItem, ListItemText, ListItemSecondaryAction } from '@material-ui/core';
 import GordonDialogBox from 'components/GordonDialogBox';
 
 const AdminListItem = ({ Admin, onRemove }) => {
+  const theme = useTheme();
   const [isDialogOpen, setIsDialogOpen] = useState(false);
 
   const handleConfirmedRemove = () => {
@@ -15,8 +16,8 @@ const AdminListItem = ({ Admin, onRemove }) => {
   };
 
   const buttonStyle = {
-    background: gordonColors.secondary.red,
-    color: 'white',
+    background: theme.palette.error.main,
+    color: theme.palette.error.contrastText,
   };
 
   return (
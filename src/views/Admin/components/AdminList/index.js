@@ -2,13 +2,14 @@ import React, { useEffect, useState } from 'react';
 import AdminListItem from './components/AdminListItem';
 import GordonLoader from 'components/Loader';
 import admin from 'services/admin';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import membership from 'services/membership';
 
 import { Card, Button, TextField, CardHeader, List } from '@material-ui/core';
 import GordonDialogBox from 'components/GordonDialogBox';
 
 const AdminList = () => {
+  const theme = useTheme();
   const [loading, setLoading] = useState(true);
   const [admins, setAdmins] = useState([]);
   const [isDialogOpen, setIsDialogOpen] = useState(false);
@@ -51,8 +52,8 @@ const AdminList = () => {
     margin: '0.5rem',
   };
   const headerStyle = {
-    backgroundColor: gordonColors.primary.blue,
-    color: '#FFF',
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
   };
 
   return (
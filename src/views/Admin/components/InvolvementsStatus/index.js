@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import GordonLoader from 'components/Loader';
 import activity from 'services/activity';
 import session from 'services/session';
@@ -8,6 +8,7 @@ import { Typography, Card, CardHeader } from '@material-ui/core';
 import { NotFoundError } from 'services/error';
 
 const InvolvementStatusList = ({ status }) => {
+  const theme = useTheme();
   const [loading, setLoading] = useState(true);
   const [involvements, setInvolvements] = useState([]);
   const [currentSession, setCurrentSession] = useState('');
@@ -42,8 +43,8 @@ const InvolvementStatusList = ({ status }) => {
   }, [status]);
 
   const headerStyle = {
-    backgroundColor: gordonColors.primary.blue,
-    color: '#FFF',
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
   };
 
   return (
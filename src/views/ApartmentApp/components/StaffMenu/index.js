@@ -1,12 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { sortBy } from 'lodash';
-import { DateTime } from 'luxon';
 import { CSVLink } from 'react-csv';
 import { Grid, Card, CardHeader, CardContent, Button, Typography } from '@material-ui/core/';
 import GetAppIcon from '@material-ui/icons/GetApp';
 import RefreshIcon from '@material-ui/icons/Refresh';
 import GordonLoader from 'components/Loader';
 import ApplicationsTable from './components/ApplicationTable';
+import datetime from 'services/datetime';
 import { NotFoundError } from 'services/error';
 import housing from 'services/housing';
 
@@ -67,7 +67,7 @@ const StaffMenu = ({ userProfile }) => {
     loadAllCurrentApplications();
 
     // Generate string of today's date in ISO format for use in CSV filename
-    setDateStr(DateTime.now().toISODate({ includeOffset: false }));
+    setDateStr(datetime.toISODate());
   }, [userProfile, loadAllCurrentApplications]);
 
   useEffect(() => {
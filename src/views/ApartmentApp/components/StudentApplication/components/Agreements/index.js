@@ -11,6 +11,7 @@ import {
   FormControlLabel,
   FormHelperText,
 } from '@material-ui/core/';
+import useLocale from 'hooks/useLocale';
 import housing from 'services/housing';
 
 // @TODO CSSMODULES - outside directory
@@ -25,55 +26,23 @@ import styles from '../../../../ApartmentApp.module.css';
  */
 const Agreements = ({ deleting, onChange }) => {
   const [checkboxes, setCheckboxes] = useState([]);
+  const { t } = useLocale();
 
   const loadAgreements = async () => {
     const currentYear = new Date().getFullYear();
     const selectionDate = await housing.getApartmentSelectionDate();
 
     const newCheckboxes = [
-      {
-        checked: false,
-        label: 'Each individual on the application has agreed to be on the application',
-      },
-      {
-        checked: false,
-        label:
-          'We understand that if someone on this application has not agreed to be on the application, our application will be disqualified',
-      },
-      {
-        checked: false,
-        label: 'Each individual on this application appears ONLY on this application',
-      },
-      {
-        checked: false,
-        label:
-          "We understand that if an individual on this application also appears on another group's application, our application could be disqualified",
-      },
-      {
-        checked: false,
-        label: `Any individual on this application who has been on disciplinary probation at any point during the ${
-          currentYear - 1
-        }-${currentYear} academic year has been approved to apply by the Dean of Student Care or the Director of Residence Life`,
-      },
-      {
-        checked: false,
-        label: `Each individual on this application intends to register as a full-time student by apartment selection night (${selectionDate})`,
-      },
-      {
-        checked: false,
-        label: `We understand that if any member of our application fails to register as a full-time student by ${selectionDate}, our application could be disqualified`,
-      },
-      {
-        checked: false,
-        label:
-          'We have read and understand all of the information and guidelines listed in the Instructions section',
-      },
-      {
-        checked: false,
-        label:
-          'We certify that all information provided on this application is accurate, to the best of our knowledge',
-      },
-    ];
+      { agreement: 'allAgreed' },
+      { agreement: 'disagreementDisqualifies' },
+      { agreement: 'onlyApplication' },
+      { agreement: 'otherApplicationDisqualifies' },
+      { agreement: 'probation', values: { previousYear: currentYear - 1, currentYear } },
+      { agreement: 'fullTime', values: { selectionDate } },
+      { agreement: 'notFullTimeDisqualifies', values: { selectionDate } },
+      { agreement: 'readInstructions' },
+      { agreement: 'accurate' },
+    ].map((checkbox) => ({ ...checkbox, checked: false }));
 
     setCheckboxes(newCheckboxes);
   };
@@ -114,7 +83,10 @@ const Agreements = ({ deleting, onChange }) => {
 
   return (
     <Card>
-      <CardHeader title="Agreements" className={styles.apartment_card_header} />
+      <CardHeader
+        title={t('apartmentApplication.agreements.title')}
+        className={styles.apartment_card_header}
+      />
       <CardContent>
         <FormControl component="fieldset" className={styles.apartment_agreements_form_control}>
           {error && (
@@ -122,9 +94,7 @@ const Agreements = ({ deleting, onChange }) => {
               component="legend"
               className={styles.apartment_agreements_form_control_label}
             >
-              Use the checkboxes next to each statement to indicate your group's understanding
-              and/or affirmative answer. Failure to complete this section will result in the
-              disqualification of the application.
+              {t('apartmentApplication.agreements.instructions')}
             </FormLabel>
           )}
           <FormGroup>
@@ -134,15 +104,12 @@ const Agreements = ({ deleting, onChange }) => {
                 checked={checkbox.checked}
                 index={index}
                 key={index}
-                label={checkbox.label}
+                label={t(`apartmentApplication.agreements.${checkbox.agreement}`, checkbox.values)}
                 onChange={(event, index) => handleChange(event, index)}
               />
             ))}
           </FormGroup>
-          <FormHelperText>
-            You must read and complete this section before you will be allowed to submit this
-            application
-          </FormHelperText>
+          <FormHelperText>{t('apartmentApplication.agreements.required')}</FormHelperText>
         </FormControl>
       </CardContent>
     </Card>
@@ -11,7 +11,7 @@ import {
   Typography,
 } from '@material-ui/core/';
 import EmailIcon from '@material-ui/icons/Email';
-import { DateTime } from 'luxon';
+import datetime from 'services/datetime';
 
 // @TODO CSSMODULES - outside directory
 import styles from '../../../../ApartmentApp.module.css';
@@ -36,11 +36,11 @@ const ApplicationDataTable = ({ applicationDetails }) => {
   let rows = [
     createData(
       'Last Submitted: ',
-      dateSubmitted ? DateTime.fromISO(dateSubmitted).toLocaleString() : 'Not yet submitted',
+      dateSubmitted ? datetime.format(dateSubmitted, 'numericDate') : 'Not yet submitted',
     ),
     createData(
       'Last Modified: ',
-      dateModified ? DateTime.fromISO(dateModified).toLocaleString() : 'Not yet saved',
+      dateModified ? datetime.format(dateModified, 'numericDate') : 'Not yet saved',
     ),
     createData('Application Editor: ', editorUsername ?? 'None'),
   ];
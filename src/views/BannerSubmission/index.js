@@ -1,19 +1,19 @@
 import React from 'react';
-import { gordonColors } from 'theme';
-
 import { Typography, Grid, Button, Card, CardContent, CardHeader } from '@material-ui/core';
+import { useTheme } from '@material-ui/core/styles';
 
-const style = {
-  color: gordonColors.primary.blue,
+const BannerSubmission = () => {
+  const theme = useTheme();
+  const style = {
+    color: theme.palette.primary.main,
 
-  uploadButton: {
-    background: gordonColors.primary.cyan,
-    color: 'white',
-    marginTop: '20px',
-  },
-};
+    uploadButton: {
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
+      marginTop: '20px',
+    },
+  };
 
-const BannerSubmission = () => {
   return (
     <Grid container justifyContent="center">
       <Grid item xs={12} lg={8}>
@@ -22,8 +22,8 @@ const BannerSubmission = () => {
             title="Advertise your club or event on the 360 Homepage!"
             titleTypographyProps={{ variant: 'h4', align: 'center' }}
             style={{
-              backgroundColor: gordonColors.primary.blue,
-              color: 'white',
+              backgroundColor: theme.palette.primary.main,
+              color: theme.palette.primary.contrastText,
             }}
           />
           <CardContent>
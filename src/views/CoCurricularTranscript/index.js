@@ -1,9 +1,9 @@
 import React, { Component } from 'react';
 import { Button, Card, CardContent, Typography } from '@material-ui/core';
-import { gordonColors } from 'theme';
-import GordonUnauthorized from 'components/GordonUnauthorized';
+import { withTheme } from '@material-ui/core/styles';
 import Activity from './Components/CoCurricularTranscriptActivity';
 import Experience from './Components/CoCurricularTranscriptExperience';
+import { AuthContext } from 'contexts/AuthContext';
 import user from 'services/user';
 import GordonLoader from 'components/Loader';
 import styles from './CoCurricularTranscript.module.css';
@@ -11,7 +11,9 @@ import styles from './CoCurricularTranscript.module.css';
 //This component creates the overall interface for the CoCurricularTranscript (card, heading,
 //download button), and contains a InvolvementsList object for displaying the content
 
-export default class Transcript extends Component {
+class Transcript extends Component {
+  static contextType = AuthContext;
+
   constructor(props) {
     super(props);
     this.state = {
@@ -30,16 +32,14 @@ export default class Transcript extends Component {
   }
 
   componentDidMount() {
-    if (this.props.authentication) {
-      this.loadTranscript();
-    }
+    this.loadTranscript();
   }
 
   async loadTranscript() {
     this.setState({ loading: true });
     try {
       /* Retrieve data from server */
-      const profile = await user.getProfileInfo();
+      const profile = this.context.profile ?? (await user.getProfileInfo());
 
       const memberships = await user.getTranscriptMembershipsInfo(profile.ID);
       let categorizedMemberships = this.filterMemberships(memberships);
@@ -242,114 +242,115 @@ export default class Transcript extends Component {
   };
 
   render() {
-    if (this.props.authentication) {
-      let activityList;
-      if (!this.state.categorizedMemberships.activities) {
-        activityList = <GordonLoader />;
-      } else {
-        activityList = this.groupActivityByCode(this.state.categorizedMemberships.activities);
-      }
+    let activityList;
+    if (!this.state.categorizedMemberships.activities) {
+      activityList = <GordonLoader />;
+    } else {
+      activityList = this.groupActivityByCode(this.state.categorizedMemberships.activities);
+    }
 
-      let honorsList;
-      if (!this.state.categorizedMemberships.honors) {
-        honorsList = <GordonLoader />;
-      } else {
-        honorsList = this.groupActivityByCode(this.state.categorizedMemberships.honors);
-      }
+    let honorsList;
+    if (!this.state.categorizedMemberships.honors) {
+      honorsList = <GordonLoader />;
+    } else {
+      honorsList = this.groupActivityByCode(this.state.categorizedMemberships.honors);
+    }
 
-      let serviceList;
-      if (!this.state.categorizedMemberships.service) {
-        serviceList = <GordonLoader />;
-      } else {
-        serviceList = this.groupActivityByCode(this.state.categorizedMemberships.service);
-      }
+    let serviceList;
+    if (!this.state.categorizedMemberships.service) {
+      serviceList = <GordonLoader />;
+    } else {
+      serviceList = this.groupActivityByCode(this.state.categorizedMemberships.service);
+    }
 
-      let experienceList;
-      if (!this.state.categorizedMemberships.experience) {
-        experienceList = <GordonLoader />;
-      } else {
-        experienceList = this.groupActivityByCode(
-          this.state.categorizedMemberships.experience.experiences,
-        );
-        experienceList = experienceList.concat(
-          this.state.categorizedMemberships.experience.employments
-            .map((employment) => <Experience Experience={employment} />)
-            .reverse(),
-        );
-      }
+    let experienceList;
+    if (!this.state.categorizedMemberships.experience) {
+      experienceList = <GordonLoader />;
+    } else {
+      experienceList = this.groupActivityByCode(
+        this.state.categorizedMemberships.experience.experiences,
+      );
+      experienceList = experienceList.concat(
+        this.state.categorizedMemberships.experience.employments
+          .map((employment) => <Experience Experience={employment} />)
+          .reverse(),
+      );
+    }
 
-      const buttonColors = {
-        /* not in style sheet so that gordonColors is accessible */
-        background: gordonColors.primary.cyan,
-        color: 'white',
-      };
-
-      const honorsLeadership = this.state.honorsLeadership;
-      const experiences = this.state.experiences;
-      const serviceLearning = this.state.serviceLearning;
-      const otherInvolvements = this.state.otherInvolvements;
-
-      return (
-        <div className={styles.co_curricular_transcript}>
-          <Card className={styles.card} elevation={10}>
-            <CardContent className={styles.card_content}>
-              <div className={styles.print_only}>{/* <img src={require('./logo.png')} alt="" /> */}</div>
-              <div>
-                <Button
-                  className={styles.button}
-                  onClick={this.handleDownload}
-                  style={buttonColors}
-                  variant="contained"
-                >
-                  Print Experience Transcript
-                </Button>
+    const { theme } = this.props;
+    const buttonColors = {
+      /* not in style sheet so that the theme is accessible */
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
+    };
+
+    const honorsLeadership = this.state.honorsLeadership;
+    const experiences = this.state.experiences;
+    const serviceLearning = this.state.serviceLearning;
+    const otherInvolvements = this.state.otherInvolvements;
+
+    return (
+      <div className={styles.co_curricular_transcript}>
+        <Card className={styles.card} elevation={10}>
+          <CardContent className={styles.card_content}>
+            <div className={styles.print_only}>
+              {/* <img src={require('./logo.png')} alt="" /> */}
+            </div>
+            <div>
+              <Button
+                className={styles.button}
+                onClick={this.handleDownload}
+                style={buttonColors}
+                variant="contained"
+              >
+                Print Experience Transcript
+              </Button>
+            </div>
+            <div>Gordon College Experience Transcript</div>
+            <div className={styles.subtitle}>
+              {' '}
+              <b>{this.state.profile.fullName}</b>{' '}
+            </div>
+            <div className={styles.subtitle}>{this.getGradCohort()}</div>
+            <div className={styles.subtitle}>{this.getMajors(this.state.profile.Majors)}</div>
+            <div className={styles.subtitle}>{this.getMinors(this.state.profile.Minors)}</div>
+            {honorsLeadership && (
+              <div className={styles.subtitle}>
+                <Typography variant="h5">
+                  <b>Honors, Leadership, and Research</b>
+                </Typography>
               </div>
-              <div>Gordon College Experience Transcript</div>
+            )}
+            <div className={styles.activity_list}>{honorsList}</div>
+            {experiences && (
               <div className={styles.subtitle}>
-                {' '}
-                <b>{this.state.profile.fullName}</b>{' '}
+                <Typography variant="h5">
+                  <b>Experience</b>
+                </Typography>
               </div>
-              <div className={styles.subtitle}>{this.getGradCohort()}</div>
-              <div className={styles.subtitle}>{this.getMajors(this.state.profile.Majors)}</div>
-              <div className={styles.subtitle}>{this.getMinors(this.state.profile.Minors)}</div>
-              {honorsLeadership && (
-                <div className={styles.subtitle}>
-                  <Typography variant="h5">
-                    <b>Honors, Leadership, and Research</b>
-                  </Typography>
-                </div>
-              )}
-              <div className={styles.activity_list}>{honorsList}</div>
-              {experiences && (
-                <div className={styles.subtitle}>
-                  <Typography variant="h5">
-                    <b>Experience</b>
-                  </Typography>
-                </div>
-              )}
-              <div className={styles.activity_list}>{experienceList}</div>
-              {serviceLearning && (
-                <div className={styles.subtitle}>
-                  <Typography variant="h5">
-                    <b>Service Learning</b>
-                  </Typography>
-                </div>
-              )}
-              <div className={styles.activity_list}>{serviceList}</div>
-              {otherInvolvements && (
-                <div className={styles.subtitle}>
-                  <Typography variant="h5">
-                    <b>Activities</b>
-                  </Typography>
-                </div>
-              )}
-              <div className={styles.activity_list}>{activityList}</div>
-            </CardContent>
-          </Card>
-        </div>
-      );
-    } else {
-      return <GordonUnauthorized feature={'your experience transcript'} />;
-    }
+            )}
+            <div className={styles.activity_list}>{experienceList}</div>
+            {serviceLearning && (
+              <div className={styles.subtitle}>
+                <Typography variant="h5">
+                  <b>Service Learning</b>
+                </Typography>
+              </div>
+            )}
+            <div className={styles.activity_list}>{serviceList}</div>
+            {otherInvolvements && (
+              <div className={styles.subtitle}>
+                <Typography variant="h5">
+                  <b>Activities</b>
+                </Typography>
+              </div>
+            )}
+            <div className={styles.activity_list}>{activityList}</div>
+          </CardContent>
+        </Card>
+      </div>
+    );
   }
 }
+
+export default withTheme(Transcript);
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  Grid,
+  Link,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from '@material-ui/core';
+import ArrowBackIcon from '@material-ui/icons/ArrowBack';
+import EventIcon from '@material-ui/icons/Event';
+import LinkIcon from '@material-ui/icons/Link';
+import BookmarkButton from 'components/BookmarkButton';
+import GordonLoader from 'components/Loader';
+import GordonSnackbar from 'components/Snackbar';
+import useAuth from 'hooks/useAuth';
+import useLocale from 'hooks/useLocale';
+import activity from 'services/activity';
+import datetime from 'services/datetime';
+import { NotFoundError } from 'services/error';
+import gordonEvent from 'services/event';
+import ics from 'services/ics';
+import styles from './EventDetails.module.css';
+
+// Gordon's map of campus, where the buildings that events are held in can be found
+const CAMPUS_MAP_URL = 'https://www.gordon.edu/map';
+
+/**
+ * Format when an occurrence of an event happens
+ * @param {EventOccurrence} occurrence The occurrence
+ * @param {Locale} locale The language to format it in
+ * @returns {string} When it happens, e.g. 'Tue, April 27, 2021, 10:00 AM - 11:00 AM'
+ */
+const formatOccurrenceTime = ({ StartDate, EndDate }, locale) => {
+  const date = datetime.format(
+    StartDate,
+    { weekday: 'short', month: 'long', day: 'numeric', year: 'numeric' },
+    locale,
+  );
+  const startTime = datetime.format(StartDate, 'time', locale);
+  return `${date}, ${startTime} - ${datetime.format(EndDate, 'time', locale)}`;
+};
+
+const EventDetails = () => {
+  const { eventId } = useParams();
+  const { authenticated } = useAuth();
+  const { locale, t } = useLocale();
+  const [event, setEvent] = useState(null);
+  const [hosting, setHosting] = useState({ involvement: null, sessionCode: null });
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, text: '', severity: '' });
+
+  useEffect(() => {
+    const loadEvent = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setEvent(await gordonEvent.getEvent(eventId, !authenticated));
+      } catch (err) {
+        setEvent(null);
+        setError(err);
+      }
+      setLoading(false);
+    };
+
+    loadEvent();
+  }, [eventId, authenticated]);
+
+  // The hosting involvement and its contacts are extras, so the event is shown without them if they
+  // can't be loaded, e.g. offline
+  useEffect(() => {
+    if (!event) return;
+
+    const loadHost = async () => {
+      try {
+        const hosting = await gordonEvent.getHostingInvolvement(event);
+        setHosting(hosting);
+        if (authenticated && hosting.involvement) {
+          setContacts(
+            await activity.getGroupAdmins(hosting.involvement.ActivityCode, hosting.sessionCode),
+          );
+        }
+      } catch (err) {
+        console.error('Could not load the involvement hosting the event:', err);
+      }
+    };
+
+    setHosting({ involvement: null, sessionCode: null });
+    setContacts([]);
+    loadHost();
+  }, [event, authenticated]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setSnackbar({ open: true, text: t('eventDetails.linkCopied'), severity: 'success' });
+    } catch (err) {
+      setSnackbar({ open: true, text: t('eventDetails.copyLinkFailed'), severity: 'error' });
+    }
+  };
+
+  const backButton = (
+    <Button component={RouterLink} to="/events" startIcon={<ArrowBackIcon />}>
+      {t('eventDetails.allEvents')}
+    </Button>
+  );
+
+  if (loading) {
+    return <GordonLoader />;
+  }
+
+  if (!event) {
+    return (
+      <Grid container justifyContent="center">
+        <Grid item xs={12} md={10} lg={8}>
+          <Card>
+            <CardContent>
+              <Typography variant="h5" gutterBottom>
+                {error instanceof NotFoundError
+                  ? t('eventDetails.notFound')
+                  : t('eventDetails.loadFailed')}
+              </Typography>
+              <Typography gutterBottom>
+                {error instanceof NotFoundError
+                  ? t('eventDetails.notFoundDescription')
+                  : t('eventDetails.loadFailedDescription')}
+              </Typography>
+              {backButton}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    );
+  }
+
+  const { involvement, sessionCode } = hosting;
+
+  return (
+    <Grid container justifyContent="center">
+      <Grid item xs={12} md={10} lg={8}>
+        {backButton}
+        <Card>
+          <CardHeader
+            title={event.title}
+            titleTypographyProps={{ component: 'h2' }}
+            subheader={event.Organization}
+            action={<BookmarkButton event={event} />}
+          />
+          <CardContent>
+            <Grid container spacing={2}>
+              <Grid item xs={12}>
+                {event.HasCLAWCredit ? (
+                  <Chip color="secondary" label={t('eventDetails.offersCredit')} />
+                ) : (
+                  <Chip variant="outlined" label={t('eventDetails.noCredit')} />
+                )}
+              </Grid>
+
+              <Grid item xs={12}>
+                <Typography variant="h6" component="h3">
+                  {t('eventDetails.description')}
+                </Typography>
+                <Typography className={styles.description}>{event.Description}</Typography>
+              </Grid>
+
+              <Grid item xs={12}>
+                <Typography variant="h6" component="h3">
+                  {event.Occurrences?.length === 1
+                    ? t('eventDetails.whenAndWhere')
+                    : t('eventDetails.occurrences')}
+                </Typography>
+                <List dense disablePadding>
+                  {(event.Occurrences ?? []).map((occurrence) => (
+                    <ListItem key={occurrence.StartDate} disableGutters>
+                      <ListItemText
+                        primary={formatOccurrenceTime(occurrence, locale)}
+                        secondary={occurrence.Location || t('eventDetails.noLocation')}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+                {event.Occurrences?.some((occurrence) => occurrence.Location) && (
+                  <Link href={CAMPUS_MAP_URL} target="_blank" rel="noopener noreferrer">
+                    {t('eventDetails.campusMap')}
+                  </Link>
+                )}
+              </Grid>
+
+              {involvement && (
+                <Grid item xs={12}>
+                  <Typography variant="h6" component="h3">
+                    {t('eventDetails.hostedBy')}
+                  </Typography>
+                  <Link
+                    component={RouterLink}
+                    to={`/activity/${sessionCode}/${involvement.ActivityCode}`}
+                  >
+                    {involvement.ActivityDescription}
+                  </Link>
+                  {contacts.length > 0 && (
+                    <List dense disablePadding aria-label={t('eventDetails.contacts')}>
+                      {contacts.map((contact) => (
+                        <ListItem key={contact.Email} disableGutters>
+                          <ListItemText
+                            primary={`${contact.FirstName} ${contact.LastName}`}
+                            secondary={
+                              <Link href={`mailto:${contact.Email}`}>{contact.Email}</Link>
+                            }
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                  )}
+                </Grid>
+              )}
+
+              <Grid item xs={12} container spacing={1}>
+                <Grid item>
+                  <Button
+                    variant="contained"
+                    color="primary"
+                    startIcon={<EventIcon />}
+                    onClick={() => ics.downloadCalendar([event], event.title)}
+                  >
+                    {t('eventDetails.addToCalendar')}
+                  </Button>
+                </Grid>
+                <Grid item>
+                  <Button variant="outlined" startIcon={<LinkIcon />} onClick={handleCopyLink}>
+                    {t('eventDetails.copyLink')}
+                  </Button>
+                </Grid>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      </Grid>
+      <GordonSnackbar {...snackbar} onClose={() => setSnackbar((s) => ({ ...s, open: false }))} />
+    </Grid>
+  );
+};
+
+export default EventDetails;
@@ -0,0 +1,200 @@
+import React, { useMemo, useState } from 'react';
+import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
+import { format, getDay, parse, startOfWeek } from 'date-fns';
+import enUS from 'date-fns/locale/en-US';
+import { Chip, Grid, Link, Typography } from '@material-ui/core';
+import { Link as RouterLink } from 'react-router-dom';
+import { blue, green, grey, indigo, orange, purple, red, teal } from '@material-ui/core/colors';
+import BookmarkButton from 'components/BookmarkButton';
+import GordonDialogBox from 'components/GordonDialogBox';
+import useBookmarks from 'hooks/useBookmarks';
+import datetime from 'services/datetime';
+import gordonEvent, { NO_FACETS } from 'services/event';
+import ics from 'services/ics';
+import 'react-big-calendar/lib/css/react-big-calendar.css';
+import styles from './EventCalendar.module.css';
+
+const localizer = dateFnsLocalizer({
+  format,
+  parse,
+  startOfWeek,
+  getDay,
+  locales: { 'en-US': enUS },
+});
+
+/** The modes that the calendar can show events in */
+export const CALENDAR_VIEWS = Object.freeze(['month', 'week', 'day', 'agenda']);
+
+/**
+ * Format the date that the calendar shows, e.g. for a link to it
+ * @param {Date} date The date
+ * @returns {string} The date, e.g. '2021-04-27'
+ */
+export const formatCalendarDate = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Parse a date formatted by `formatCalendarDate`
+ * @param {string} value The formatted date
+ * @returns {Date|null} The date, or null if `value` isn't one
+ */
+export const parseCalendarDate = (value) => {
+  const date = parse(value, 'yyyy-MM-dd', new Date());
+  return datetime.isValid(date) ? date : null;
+};
+
+// Dark enough shades that white text on them is readable
+const clwColor = purple[700];
+const organizationColors = [blue[800], orange[900], red[800], indigo[600], green[800], teal[800]];
+const otherColor = grey[700];
+
+/**
+ * Give each of the organizations hosting the most events a colour of its own
+ *
+ * Ranked among all of the events, rather than those shown, so that an organization keeps its colour
+ * as the user filters the events. Events with CL&W credit have a colour of their own, so they aren't
+ * counted.
+ *
+ * @param {Event[]} events All of the events
+ * @returns {Map<string, string>} The colour of each of the organizations
+ */
+const getOrganizationColors = (events) =>
+  new Map(
+    gordonEvent
+      .getFacetCounts(
+        events.filter((event) => !event.HasCLAWCredit),
+        NO_FACETS,
+        '',
+      )
+      .organization.slice(0, organizationColors.length)
+      .map(({ value }, index) => [value, organizationColors[index]]),
+  );
+
+/**
+ * Lay out each occurrence of a list of events as an event on the calendar
+ *
+ * The calendar lays dates out in the user's time zone, so occurrences are placed at their campus
+ * times, as they are shown everywhere else
+ *
+ * @param {Event[]} events The events
+ * @returns {Object[]} The calendar's events
+ */
+const toCalendarEvents = (events) =>
+  events.flatMap((event) =>
+    (event.Occurrences ?? []).map((occurrence, index) => ({
+      id: `${event.Event_ID}-${index}`,
+      title: event.title,
+      start: datetime.toCampusWallClock(occurrence.StartDate),
+      end: datetime.toCampusWallClock(occurrence.EndDate),
+      occurrence,
+      event,
+    })),
+  );
+
+/**
+ * A calendar of events, colour coded by whether they offer CL&W credit and otherwise by the
+ * organizations hosting them, with the events the user bookmarked starred
+ *
+ * @param {Object} props The component props
+ * @param {Event[]} props.events The events to show
+ * @param {Event[]} props.allEvents All of the events, of which `events` may be a filtered subset
+ * @param {string} props.view Which of `CALENDAR_VIEWS` to show the events in
+ * @param {Date} props.date A date in the month, week or day to show
+ * @param {Function} props.onView Called with the new view when the user changes it
+ * @param {Function} props.onNavigate Called with the new date when the user changes it
+ * @returns {JSX.Element} The calendar
+ */
+const EventCalendar = ({ events, allEvents, view, date, onView, onNavigate }) => {
+  const { isBookmarked } = useBookmarks();
+  const [selected, setSelected] = useState(null);
+  const [isDetailsOpen, setIsDetailsOpen] = useState(false);
+  const calendarEvents = useMemo(() => toCalendarEvents(events), [events]);
+  const colors = useMemo(() => getOrganizationColors(allEvents), [allEvents]);
+  const getColor = (event) =>
+    event.HasCLAWCredit ? clwColor : colors.get(event.Organization) ?? otherColor;
+  const legend = [['CL&W Credit', clwColor], ...colors, ['Other', otherColor]].filter(([, color]) =>
+    events.some((event) => getColor(event) === color),
+  );
+  const eventPropGetter = ({ event }) => ({
+    style: { backgroundColor: getColor(event), border: 'none' },
+  });
+  const titleAccessor = ({ event, title }) => (isBookmarked(event.Event_ID) ? `★ ${title}` : title);
+
+  return (
+    <>
+      <Grid
+        container
+        spacing={1}
+        className={styles.legend}
+        component="ul"
+        aria-label="Event colours"
+      >
+        {legend.map(([label, color]) => (
+          <Grid item key={label} component="li">
+            <Chip size="small" label={label} style={{ backgroundColor: color, color: 'white' }} />
+          </Grid>
+        ))}
+      </Grid>
+
+      <div className={styles.calendar}>
+        <Calendar
+          localizer={localizer}
+          events={calendarEvents}
+          views={CALENDAR_VIEWS}
+          view={view}
+          date={date}
+          onView={onView}
+          onNavigate={onNavigate}
+          onSelectEvent={(calendarEvent) => {
+            setSelected(calendarEvent);
+            setIsDetailsOpen(true);
+          }}
+          eventPropGetter={eventPropGetter}
+          titleAccessor={titleAccessor}
+          popup
+        />
+      </div>
+
+      {/* Stays mounted once opened, so that it can close without losing its content */}
+      {selected && (
+        <GordonDialogBox
+          open={isDetailsOpen}
+          onClose={() => setIsDetailsOpen(false)}
+          title={selected.title}
+          buttonName="Add to Calendar"
+          buttonClicked={() => ics.downloadCalendar([selected.event], selected.title)}
+          cancelButtonName="Close"
+          cancelButtonClicked={() => setIsDetailsOpen(false)}
+        >
+          <Typography gutterBottom>
+            {datetime.format(selected.occurrence.StartDate, 'weekdayDate')},{' '}
+            {datetime.format(selected.occurrence.StartDate, 'time')} -{' '}
+            {datetime.format(selected.occurrence.EndDate, 'time')}
+          </Typography>
+          <Typography gutterBottom>
+            {selected.occurrence.Location || selected.event.location}
+          </Typography>
+          {selected.event.Organization && (
+            <Typography gutterBottom color="textSecondary">
+              {selected.event.Organization}
+            </Typography>
+          )}
+          <Typography variant="body2" gutterBottom>
+            {selected.event.Description}
+          </Typography>
+          <Grid container alignItems="center" justifyContent="space-between">
+            <Grid item>
+              <Link component={RouterLink} to={`/events/${selected.event.Event_ID}`}>
+                View details
+              </Link>
+            </Grid>
+            <Grid item>
+              <BookmarkButton event={selected.event} />
+            </Grid>
+          </Grid>
+        </GordonDialogBox>
+      )}
+    </>
+  );
+};
+
+export default EventCalendar;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Checkbox, Chip, FormControlLabel, Grid, TextField } from '@material-ui/core';
+import Autocomplete from '@material-ui/lab/Autocomplete';
+import { useTheme } from '@material-ui/core/styles';
+import { VALUE_FACETS } from 'services/event';
+
+const facetLabels = {
+  organization: 'Organizations',
+  type: 'Types',
+  location: 'Locations',
+};
+
+/**
+ * Controls for filtering events by each facet, showing how many events each choice would keep
+ *
+ * @param {Object} props The component props
+ * @param {EventFacets} props.facets The facets chosen
+ * @param {Object} props.counts The counts of each facet's values, from `event.getFacetCounts`
+ * @param {boolean} props.includePast Whether past events are included
+ * @param {Function} props.onChange Called with the new facets when any of them changes
+ * @param {Function} props.onChangeIncludePast Called when past events are included or excluded
+ * @returns {JSX.Element} The facets' controls
+ */
+const EventFacets = ({ facets, counts, includePast, onChange, onChangeIncludePast }) => {
+  const theme = useTheme();
+
+  return (
+    <Grid container spacing={2} alignItems="center">
+      {VALUE_FACETS.map((facet) => {
+        const countOf = (value) => counts[facet].find((count) => count.value === value)?.count;
+
+        return (
+          <Grid item xs={12} md={4} key={facet}>
+            <Autocomplete
+              id={`event-facet-${facet}`}
+              multiple
+              fullWidth
+              options={counts[facet].map((count) => count.value)}
+              value={facets[facet]}
+              onChange={(_event, value) => onChange({ ...facets, [facet]: value })}
+              renderOption={(value) => `${value} (${countOf(value)})`}
+              filterSelectedOptions
+              renderTags={(value, getTagProps) =>
+                value.map((option, index) => (
+                  <Chip
+                    label={option}
+                    style={{
+                      backgroundColor: theme.palette.secondary.main,
+                      color: theme.palette.common.white,
+                    }}
+                    {...getTagProps({ index })}
+                  />
+                ))
+              }
+              renderInput={(params) => (
+                <TextField {...params} variant="filled" label={facetLabels[facet]} />
+              )}
+            />
+          </Grid>
+        );
+      })}
+
+      <Grid item xs={6} md={3}>
+        <TextField
+          id="event-facet-from"
+          label="From"
+          type="date"
+          variant="filled"
+          fullWidth
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ max: facets.to ?? undefined }}
+          value={facets.from ?? ''}
+          onChange={(event) => onChange({ ...facets, from: event.target.value || null })}
+        />
+      </Grid>
+      <Grid item xs={6} md={3}>
+        <TextField
+          id="event-facet-to"
+          label="To"
+          type="date"
+          variant="filled"
+          fullWidth
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ min: facets.from ?? undefined }}
+          value={facets.to ?? ''}
+          onChange={(event) => onChange({ ...facets, to: event.target.value || null })}
+        />
+      </Grid>
+
+      <Grid item>
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={facets.credit}
+              onChange={() => onChange({ ...facets, credit: !facets.credit })}
+            />
+          }
+          label={`CL&W Credit (${counts.credit})`}
+        />
+      </Grid>
+      <Grid item>
+        <FormControlLabel
+          control={<Checkbox checked={includePast} onChange={onChangeIncludePast} />}
+          label="Include Past"
+        />
+      </Grid>
+    </Grid>
+  );
+};
+
+export default EventFacets;
@@ -1,27 +1,76 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import EventList from 'components/EventList';
-import FilterListIcon from '@material-ui/icons/FilterList';
 import {
   Button,
   Card,
   CardContent,
   CardHeader,
-  Checkbox,
-  Chip,
   Collapse,
-  FormControlLabel,
   Grid,
   TextField,
+  Typography,
 } from '@material-ui/core';
-import Autocomplete from '@material-ui/lab/Autocomplete';
+import { ToggleButton, ToggleButtonGroup } from '@material-ui/lab';
 import AddIcon from '@material-ui/icons/Add';
 import EventIcon from '@material-ui/icons/Event';
+import GetAppIcon from '@material-ui/icons/GetApp';
+import ListIcon from '@material-ui/icons/List';
+import StarIcon from '@material-ui/icons/Star';
 import Media from 'react-media';
-import gordonEvent, { EVENT_FILTERS } from 'services/event';
+import { Link } from 'react-router-dom';
+import gordonEvent, { NO_FACETS, VALUE_FACETS } from 'services/event';
+import ics from 'services/ics';
+import user from 'services/user';
 import GordonLoader from 'components/Loader';
-import { gordonColors } from 'theme';
+import GordonSnackbar from 'components/Snackbar';
+import useAuth from 'hooks/useAuth';
+import { useTheme } from '@material-ui/core/styles';
+import EventCalendar, {
+  CALENDAR_VIEWS,
+  formatCalendarDate,
+  parseCalendarDate,
+} from './components/EventCalendar';
+import EventFacets from './components/EventFacets';
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// The organizations that each of the filters that came before facets stood for, so that links
+// shared with them, e.g. `?Athletics`, keep working
+const legacyOrganizationFilters = {
+  Admissions: ['Admissions'],
+  Arts: ['Music Department', 'Theatre', 'Art Department'],
+  Athletics: ['Athletics'],
+  CEC: ['Campus Events Council (CEC)'],
+  'Chapel Office': ['Chapel Office'],
+  'Student Life': ['Office of Student Life'],
+};
+// The filter that came before the credit facet
+const LEGACY_CREDIT_FILTER = 'CLW Credits';
+
+/**
+ * Read facets from the URL's parameters
+ * @param {URLSearchParams} urlParams The parameters
+ * @returns {EventFacets} The facets
+ */
+const getFacetsFromURL = (urlParams) => {
+  const getDate = (key) => (isoDatePattern.test(urlParams.get(key)) ? urlParams.get(key) : null);
+  const legacyOrganizations = Object.entries(legacyOrganizationFilters)
+    .filter(([filter]) => urlParams.has(filter))
+    .flatMap(([, organizations]) => organizations);
+
+  return {
+    ...NO_FACETS,
+    ...Object.fromEntries(VALUE_FACETS.map((facet) => [facet, urlParams.getAll(facet)])),
+    organization: [...new Set([...urlParams.getAll('organization'), ...legacyOrganizations])],
+    credit: urlParams.has('credit') || urlParams.has(LEGACY_CREDIT_FILTER),
+    from: getDate('from'),
+    to: getDate('to'),
+  };
+};
 
 const Events = (props) => {
+  const { authenticated, profile } = useAuth();
+  const theme = useTheme();
   const [open, setOpen] = useState(false);
   const [search, setSearch] = useState('');
   const [allEvents, setAllEvents] = useState([]);
@@ -29,55 +78,113 @@ const Events = (props) => {
   const [filteredEvents, setFilteredEvents] = useState([]);
   const [includePast, setIncludePast] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState([]);
+  const [error, setError] = useState(null);
+  const [facets, setFacets] = useState(NO_FACETS);
+  const [selectedEvents, setSelectedEvents] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, text: '', severity: '' });
+  // The calendar's view, or null to list events instead
+  const [view, setView] = useState(null);
+  // The date the calendar shows, or null for today
+  const [calendarDate, setCalendarDate] = useState(null);
   const futureEvents = useMemo(() => gordonEvent.getFutureEvents(allEvents), [allEvents]);
+  // The calendar can be paged back to past events, so it shows them whether or not they're listed
+  const calendarEvents = useMemo(
+    () => gordonEvent.getFilteredEvents(allEvents, facets, search),
+    [allEvents, facets, search],
+  );
+  const facetCounts = useMemo(
+    () => gordonEvent.getFacetCounts(view ? allEvents : events, facets, search),
+    [view, allEvents, events, facets, search],
+  );
 
   useEffect(() => {
     const loadEvents = async () => {
       setLoading(true);
-      let allEvents;
-      if (props.authentication) {
-        allEvents = await gordonEvent.getAllEvents();
-      } else {
-        allEvents = await gordonEvent.getAllGuestEvents();
-      }
-      setAllEvents(allEvents);
-
-      // Load filters from UrlParams if they exist
-      if (props.location.search) {
-        const urlParams = new URLSearchParams(props.location.search);
-        let willIncludePast = false;
-        const filtersFromURL = [];
-
-        for (const key of urlParams.keys()) {
-          if (key === 'Past') {
-            willIncludePast = true;
-          } else {
-            filtersFromURL.push(key);
-          }
+      setError(null);
+      try {
+        if (authenticated) {
+          setAllEvents(await gordonEvent.getAllEvents());
+        } else {
+          setAllEvents(await gordonEvent.getAllGuestEvents());
         }
-
-        setFilters(filtersFromURL);
-        setIncludePast(willIncludePast);
-        setOpen(willIncludePast || filtersFromURL.length > 0);
+      } catch (err) {
+        setAllEvents([]);
+        setError(err);
       }
-
       setLoading(false);
     };
 
     loadEvents();
-  }, [props.authentication, props.location.search]);
+  }, [authenticated]);
+
+  // Load facets and the calendar's state from UrlParams, so that links to them can be shared
+  useEffect(() => {
+    const urlParams = new URLSearchParams(props.location.search);
+    const facetsFromURL = getFacetsFromURL(urlParams);
+    const willIncludePast = urlParams.has('Past');
+
+    setFacets(facetsFromURL);
+    setIncludePast(willIncludePast);
+    if (willIncludePast || gordonEvent.hasFacets(facetsFromURL)) {
+      setOpen(true);
+    }
+
+    const viewFromURL = urlParams.get('view');
+    setView(CALENDAR_VIEWS.includes(viewFromURL) ? viewFromURL : null);
+    setCalendarDate(urlParams.has('date') ? parseCalendarDate(urlParams.get('date')) : null);
+  }, [props.location.search]);
 
   useEffect(() => {
     setEvents(includePast ? allEvents : futureEvents);
   }, [includePast, allEvents, futureEvents]);
 
   useEffect(() => {
-    setFilteredEvents(gordonEvent.getFilteredEvents(events, filters, search));
-  }, [events, filters, search]);
+    setFilteredEvents(gordonEvent.getFilteredEvents(events, facets, search));
+  }, [events, facets, search]);
+
+  const handleSelect = (event) => {
+    setSelectedEvents((selected) =>
+      selected.includes(event.Event_ID)
+        ? selected.filter((id) => id !== event.Event_ID)
+        : [...selected, event.Event_ID],
+    );
+  };
 
-  const handleChangeFilters = async (value) => {
-    setFilters(value);
+  // Only the selected events that are still listed are exported, or every listed event if none are
+  const selectedFilteredEvents = filteredEvents.filter((event) =>
+    selectedEvents.includes(event.Event_ID),
+  );
+
+  const handleExport = () => {
+    if (selectedFilteredEvents.length > 0) {
+      ics.downloadCalendar(selectedFilteredEvents, 'Gordon 360 Selected Events');
+    } else {
+      ics.downloadCalendar(filteredEvents);
+    }
+  };
+
+  const handleExportFollowed = async () => {
+    setExporting(true);
+    try {
+      const memberships = await user.getCurrentMemberships(profile.ID);
+      ics.downloadCalendar(
+        gordonEvent.getFollowedEvents(futureEvents, memberships),
+        'Gordon 360 Involvement and CL&W Events',
+      );
+    } catch (error) {
+      console.error(error);
+      setSnackbar({
+        open: true,
+        text: 'Could not load your involvements to export their events',
+        severity: 'error',
+      });
+    }
+    setExporting(false);
+  };
+
+  const handleChangeFacets = (value) => {
+    setFacets(value);
     setURLParams(includePast, value);
   };
 
@@ -87,41 +194,165 @@ const Events = (props) => {
 
   const clearAll = () => {
     setIncludePast(false);
-    setFilters([]);
-    setURLParams(false, []);
+    setFacets(NO_FACETS);
+    setSelectedEvents([]);
+    setURLParams(false, NO_FACETS);
     setSearch('');
     setOpen(false);
   };
 
   const handleChangeIncludePast = () => {
     setIncludePast(!includePast);
-    setURLParams(!includePast, filters);
+    setURLParams(!includePast, facets);
+  };
+
+  const handleChangeView = (newView) => {
+    setView(newView);
+    setURLParams(includePast, facets, { view: newView, date: calendarDate });
   };
 
-  const setURLParams = (includePast, filters) => {
-    if (includePast || filters.length > 0) {
-      let url = '?';
-      if (includePast) url += '&Past';
-      url = filters.reduce((url, filter) => (url += `&${encodeURIComponent(filter)}`), url);
-      props.history.push(url);
+  const handleNavigate = (date) => {
+    setCalendarDate(date);
+    setURLParams(includePast, facets, { view, date });
+  };
+
+  const setURLParams = (includePast, facets, calendar = { view, date: calendarDate }) => {
+    const urlParams = new URLSearchParams();
+    if (includePast) urlParams.append('Past', '');
+    for (const facet of VALUE_FACETS) {
+      facets[facet].forEach((value) => urlParams.append(facet, value));
+    }
+    if (facets.credit) urlParams.append('credit', '');
+    if (facets.from) urlParams.append('from', facets.from);
+    if (facets.to) urlParams.append('to', facets.to);
+    if (calendar.view) {
+      urlParams.append('view', calendar.view);
+      if (calendar.date) urlParams.append('date', formatCalendarDate(calendar.date));
+    }
+
+    if ([...urlParams.keys()].length > 0) {
+      // Flags such as Past need no value
+      props.history.push(`?${urlParams.toString().replace(/=(?=&|$)/g, '')}`);
     } else if (props.location.search) {
       // If no params but current url has params, then push url with no params
       props.history.push();
     }
   };
 
+  const viewToggle = (
+    <Grid item>
+      <ToggleButtonGroup
+        exclusive
+        size="small"
+        value={view ? 'calendar' : 'list'}
+        onChange={(_event, value) => {
+          // Clicking the current view deselects it, which leaves the view as it was
+          if (value) handleChangeView(value === 'calendar' ? 'month' : null);
+        }}
+        aria-label="Show events as"
+      >
+        <ToggleButton value="list" aria-label="List">
+          <ListIcon />
+        </ToggleButton>
+        <ToggleButton value="calendar" aria-label="Calendar">
+          <EventIcon />
+        </ToggleButton>
+      </ToggleButtonGroup>
+    </Grid>
+  );
+
+  const myEventsLink = (
+    <Grid item>
+      <Button component={Link} to="/myevents" color="primary" startIcon={<StarIcon />}>
+        My Events
+      </Button>
+    </Grid>
+  );
+
   let content;
 
   if (loading === true) {
     content = <GordonLoader />;
+  } else if (error) {
+    content = (
+      <Card>
+        <CardContent>
+          <Typography variant="h5" gutterBottom>
+            Events could not be loaded
+          </Typography>
+          <Typography gutterBottom>Please check your connection and try again.</Typography>
+        </CardContent>
+      </Card>
+    );
+  } else if (view) {
+    content = (
+      <>
+        <Grid container spacing={2}>
+          {viewToggle}
+          {myEventsLink}
+        </Grid>
+        <br />
+        <Card style={{ padding: '1rem' }}>
+          <EventCalendar
+            events={calendarEvents}
+            allEvents={allEvents}
+            view={view}
+            date={calendarDate ?? new Date()}
+            onView={handleChangeView}
+            onNavigate={handleNavigate}
+          />
+        </Card>
+      </>
+    );
   } else if (events.length > 0) {
-    content = <EventList events={filteredEvents} />;
+    content = (
+      <>
+        <Grid container spacing={2} justifyContent="flex-end">
+          {viewToggle}
+          {myEventsLink}
+          <Grid item xs />
+          {authenticated && (
+            <Grid item>
+              <Button
+                variant="outlined"
+                color="primary"
+                startIcon={<EventIcon />}
+                disabled={!profile || exporting}
+                onClick={handleExportFollowed}
+              >
+                My Involvements &amp; CL&amp;W (.ics)
+              </Button>
+            </Grid>
+          )}
+          <Grid item>
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={<GetAppIcon />}
+              disabled={filteredEvents.length === 0}
+              onClick={handleExport}
+            >
+              {selectedFilteredEvents.length > 0
+                ? `Export Selected (${selectedFilteredEvents.length})`
+                : `Export All (${filteredEvents.length})`}
+            </Button>
+          </Grid>
+        </Grid>
+        <br />
+        <EventList
+          events={filteredEvents}
+          selectedEvents={selectedEvents}
+          onSelect={handleSelect}
+        />
+        <GordonSnackbar {...snackbar} onClose={() => setSnackbar((s) => ({ ...s, open: false }))} />
+      </>
+    );
   }
 
   const searchPageTitle = (
     <div align="center">
       Search
-      <b style={{ color: gordonColors.primary.cyan }}> Gordon </b>
+      <b style={{ color: theme.palette.secondary.main }}> Gordon </b>
       Events
     </div>
   );
@@ -140,12 +371,12 @@ const Events = (props) => {
                   <CardHeader title={searchPageTitle} />
                 </Grid>
                 <Grid item xs={4} align="right">
-                  {props.authentication && (
+                  {authenticated && (
                     <Button
                       color="primary"
                       style={{
-                        backgroundColor: gordonColors.primary.cyan,
-                        color: gordonColors.neutral.grayShades[50],
+                        backgroundColor: theme.palette.secondary.main,
+                        color: theme.palette.common.white,
                       }}
                       variant="contained"
                       onClick={() => props.history.push('/attended')}
@@ -165,7 +396,7 @@ const Events = (props) => {
                       render={() => (
                         <Grid item>
                           <EventIcon
-                            style={{ color: gordonColors.neutral.grayShades[900], fontSize: 20 }}
+                            style={{ color: theme.palette.text.secondary, fontSize: 20 }}
                           />
                         </Grid>
                       )}
@@ -183,24 +414,19 @@ const Events = (props) => {
                     </Grid>
 
                     <Grid item>
-                      <Button
-                        style={{ backgroundColor: gordonColors.neutral.lightGray }}
-                        fullWidth
-                        variant="contained"
-                        onClick={clearAll}
-                      >
+                      <Button fullWidth variant="contained" onClick={clearAll}>
                         CLEAR ALL
                       </Button>
                     </Grid>
 
                     <Grid item>
                       <Button
-                        color={filters.length === 0 ? 'primary' : ''}
+                        color={gordonEvent.hasFacets(facets) ? 'default' : 'primary'}
                         style={
-                          filters.length !== 0
+                          gordonEvent.hasFacets(facets)
                             ? {
-                                backgroundColor: gordonColors.primary.cyan,
-                                color: gordonColors.neutral.grayShades[50],
+                                backgroundColor: theme.palette.secondary.main,
+                                color: theme.palette.common.white,
                               }
                             : {}
                         }
@@ -217,53 +443,13 @@ const Events = (props) => {
 
                 <Grid item xs={12}>
                   <Collapse in={open} timeout="auto" unmountOnExit>
-                    <Grid container spacing={2} alignItems="center">
-                      <Media
-                        query="(min-width: 600px)"
-                        render={() => (
-                          <Grid item>
-                            <FilterListIcon
-                              style={{ color: gordonColors.neutral.grayShades[900], fontSize: 20 }}
-                            />
-                          </Grid>
-                        )}
-                      />
-                      <Grid item xs={8}>
-                        <Autocomplete
-                          id="event-filters"
-                          multiple
-                          fullWidth
-                          options={EVENT_FILTERS}
-                          onChange={(event, value) => {
-                            handleChangeFilters(value);
-                          }}
-                          filterSelectedOptions
-                          renderTags={(value, getTagProps) =>
-                            value.map((option, index) => (
-                              <Chip
-                                label={option}
-                                style={{
-                                  backgroundColor: gordonColors.primary.cyan,
-                                  color: gordonColors.neutral.grayShades[50],
-                                }}
-                                {...getTagProps({ index })}
-                              />
-                            ))
-                          }
-                          renderInput={(param) => (
-                            <TextField {...param} variant="filled" label="Filters" />
-                          )}
-                        />
-                      </Grid>
-                      <Grid container item xs={3}>
-                        <FormControlLabel
-                          control={
-                            <Checkbox checked={includePast} onChange={handleChangeIncludePast} />
-                          }
-                          label="Include Past"
-                        />
-                      </Grid>
-                    </Grid>
+                    <EventFacets
+                      facets={facets}
+                      counts={facetCounts}
+                      includePast={includePast}
+                      onChange={handleChangeFacets}
+                      onChangeIncludePast={handleChangeIncludePast}
+                    />
                   </Collapse>
                 </Grid>
               </Grid>
@@ -298,7 +484,7 @@ const Events = (props) => {
                       render={() => (
                         <Grid item>
                           <EventIcon
-                            style={{ color: gordonColors.neutral.grayShades[900], fontSize: 20 }}
+                            style={{ color: theme.palette.text.secondary, fontSize: 20 }}
                           />
                         </Grid>
                       )}
@@ -317,24 +503,19 @@ const Events = (props) => {
                   </Grid>
                   <Grid container spacing={2} justifyContent="center" alignItems="center">
                     <Grid item>
-                      <Button
-                        style={{ backgroundColor: gordonColors.neutral.lightGray }}
-                        fullWidth
-                        variant="contained"
-                        onClick={clearAll}
-                      >
+                      <Button fullWidth variant="contained" onClick={clearAll}>
                         CLEAR ALL
                       </Button>
                     </Grid>
 
                     <Grid item>
                       <Button
-                        color={filters.length === 0 ? 'primary' : ''}
+                        color={gordonEvent.hasFacets(facets) ? 'default' : 'primary'}
                         style={
-                          filters.length !== 0
+                          gordonEvent.hasFacets(facets)
                             ? {
-                                backgroundColor: gordonColors.primary.cyan,
-                                color: gordonColors.neutral.grayShades[50],
+                                backgroundColor: theme.palette.secondary.main,
+                                color: theme.palette.common.white,
                               }
                             : {}
                         }
@@ -347,12 +528,12 @@ const Events = (props) => {
                     </Grid>
 
                     <Grid item>
-                      {props.authentication && (
+                      {authenticated && (
                         <Button
                           color="primary"
                           style={{
-                            backgroundColor: gordonColors.primary.cyan,
-                            color: gordonColors.neutral.grayShades[50],
+                            backgroundColor: theme.palette.secondary.main,
+                            color: theme.palette.common.white,
                           }}
                           variant="contained"
                           onClick={() => props.history.push('/attended')}
@@ -366,53 +547,13 @@ const Events = (props) => {
 
                 <Grid item xs={12}>
                   <Collapse in={open} timeout="auto" unmountOnExit>
-                    <Grid container item justifyContent="center">
-                      <FormControlLabel
-                        control={
-                          <Checkbox checked={includePast} onChange={handleChangeIncludePast} />
-                        }
-                        label="Include Past"
-                      />
-                    </Grid>
-                    <Grid container spacing={2} alignItems="center">
-                      <Media
-                        query="(min-width: 600px)"
-                        render={() => (
-                          <Grid item>
-                            <FilterListIcon
-                              style={{ color: gordonColors.neutral.grayShades[900], fontSize: 20 }}
-                            />
-                          </Grid>
-                        )}
-                      />
-                      <Grid item xs={11}>
-                        <Autocomplete
-                          id="event-filters"
-                          multiple
-                          fullWidth
-                          options={EVENT_FILTERS}
-                          onChange={(event, value) => {
-                            handleChangeFilters(value);
-                          }}
-                          filterSelectedOptions
-                          renderTags={(value, getTagProps) =>
-                            value.map((option, index) => (
-                              <Chip
-                                label={option}
-                                style={{
-                                  backgroundColor: gordonColors.primary.cyan,
-                                  color: gordonColors.neutral.grayShades[50],
-                                }}
-                                {...getTagProps({ index })}
-                              />
-                            ))
-                          }
-                          renderInput={(param) => (
-                            <TextField {...param} variant="filled" label="Filters" />
-                          )}
-                        />
-                      </Grid>
-                    </Grid>
+                    <EventFacets
+                      facets={facets}
+                      counts={facetCounts}
+                      includePast={includePast}
+                      onChange={handleChangeFacets}
+                      onChangeIncludePast={handleChangeIncludePast}
+                    />
                   </Collapse>
                 </Grid>
               </Grid>
@@ -1,51 +1,41 @@
 import React, { useEffect, useState } from 'react';
-import GordonUnauthorized from 'components/GordonUnauthorized';
 import event from 'services/event';
 import GordonLoader from 'components/Loader';
 import EventList from 'components/EventList';
 import { Link } from 'react-router-dom';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 
-import { List, Grid, Button, Typography } from '@material-ui/core';
+import { Grid, Button, Typography } from '@material-ui/core';
 
-const style = {
-  button: {
-    background: gordonColors.primary.cyan,
-    color: 'white',
-  },
-};
-
-const EventsAttended = (authentication) => {
+const EventsAttended = () => {
+  const theme = useTheme();
+  const style = {
+    button: {
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
+    },
+  };
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const loadEvents = async () => {
-      if (authentication) {
-        const attendedEvents = await event.getAttendedChapelEvents();
-        setEvents(attendedEvents);
-      }
+      const attendedEvents = await event.getAttendedChapelEvents();
+      setEvents(attendedEvents);
       setLoading(false);
     };
     loadEvents();
-  }, [authentication]);
+  }, []);
 
   let content;
 
   if (loading === true) {
     content = <GordonLoader />;
-  } else if (!authentication) {
-    content = <GordonUnauthorized feature={'your attended events'} />;
   } else if (events.length > 0) {
     content = (
       <Grid container direction="row" justifyContent="center" spacing="2">
         <Grid item align="center">
-          <Button
-            variant="contained"
-            style={style.button}
-            component={Link}
-            to="/events?CLW%20Credits"
-          >
+          <Button variant="contained" style={style.button} component={Link} to="/events?credit">
             Need More Chapel Credits?
           </Button>
         </Grid>
@@ -62,12 +52,7 @@ const EventsAttended = (authentication) => {
           No Events To Show
         </Typography>
         <br />
-        <Button
-          variant="contained"
-          style={style.button}
-          component={Link}
-          to="/events?CLW%20Credits"
-        >
+        <Button variant="contained" style={style.button} component={Link} to="/events?credit">
           Need More Chapel Credits?
         </Button>
       </Grid>
@@ -78,7 +63,7 @@ const EventsAttended = (authentication) => {
     <section>
       <Grid container justifyContent="center">
         <Grid item xs={12} md={12} lg={8}>
-          <List>{content}</List>
+          {content}
         </Grid>
       </Grid>
     </section>
@@ -1,9 +1,10 @@
-import { gordonColors } from 'theme';
 import styles from './Help.module.css';
 
 import { Typography, Grid, Button, Card, CardHeader, CardContent } from '@material-ui/core';
+import { useTheme } from '@material-ui/core/styles';
 
 const Help = () => {
+  const theme = useTheme();
   return (
     <Grid container justifyContent="center">
       <Grid item xs={12} lg={8}>
@@ -89,7 +90,7 @@ const Help = () => {
                     information will remain visible to faculty and staff even if you make it private
                     for student viewers. If you have a situation that requires additional privacy or
                     security, please contact CTS,
-                    <a href="mailto:360@gordon.edu" style={{ color: gordonColors.primary.cyan }}>
+                    <a href="mailto:360@gordon.edu" style={{ color: theme.palette.secondary.main }}>
                       360@gordon.edu
                     </a>
                     , or the Registrar.
@@ -203,7 +204,7 @@ const Help = () => {
                   <li>
                     <a
                       href="mailto:cts@gordon.edu?Subject=Gordon 360 Bug"
-                      style={{ color: gordonColors.primary.cyan }}
+                      style={{ color: theme.palette.secondary.main }}
                     >
                       Contact CTS
                     </a>
@@ -282,7 +283,7 @@ const Help = () => {
         <Typography variant="subtitle1" gutterBottom>
           <br /> Found a bug?
           <a href="mailto:cts@gordon.edu?Subject=Gordon 360 Bug">
-            <Button style={{ color: gordonColors.primary.cyan }}>Report to CTS</Button>
+            <Button color="secondary">Report to CTS</Button>
           </a>
         </Typography>
       </Grid>
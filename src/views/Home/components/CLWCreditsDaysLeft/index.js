@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Doughnut, defaults } from 'react-chartjs-2';
 import { Link } from 'react-router-dom';
-import { gordonColors } from 'theme';
 import user from 'services/user';
 import session from 'services/session';
 import GordonLoader from 'components/Loader';
@@ -9,15 +8,10 @@ import GordonLoader from 'components/Loader';
 import styles from './CLWCreditsDaysLeft.module.css';
 
 import { Card, CardHeader, CardContent, Typography, Grid, Button } from '@material-ui/core';
-
-const style = {
-  button: {
-    background: gordonColors.primary.cyan,
-    color: 'white',
-  },
-};
+import { useTheme } from '@material-ui/core/styles';
 
 const CLWCreditsDaysLeft = () => {
+  const theme = useTheme();
   const [firstDay, setFirstDay] = useState('');
   const [lastDay, setLastDay] = useState('');
   const [daysLeft, setDaysLeft] = useState([]);
@@ -48,9 +42,16 @@ const CLWCreditsDaysLeft = () => {
     loadData();
   }, []);
 
-  let daysColor = gordonColors.primary.blue;
-  let chapelColor = gordonColors.primary.cyan;
-  let emptyColor = gordonColors.neutral.lightGray;
+  const style = {
+    button: {
+      background: theme.palette.secondary.main,
+      color: theme.palette.common.white,
+    },
+  };
+
+  let daysColor = theme.palette.primary.main;
+  let chapelColor = theme.palette.secondary.main;
+  let emptyColor = theme.palette.action.disabledBackground;
 
   defaults.global.legend.display = false;
 
@@ -83,7 +84,7 @@ const CLWCreditsDaysLeft = () => {
     const remaining = current > required ? 0 : required - current;
     const data = {
       legendEntries: ['Days Finished', 'CL&W Credits'],
-      legendColors: [gordonColors.primary.blue, gordonColors.primary.cyan],
+      legendColors: [daysColor, chapelColor],
       datasets: [
         {
           label: ['Days Finished', 'Days Remaining'],
@@ -176,12 +177,7 @@ const CLWCreditsDaysLeft = () => {
             <CardHeader title={currSessionDescription} />
           </Grid>
           <Grid item xs={5} align="right">
-            <Button
-              variant="contained"
-              style={style.button}
-              component={Link}
-              to="/events?CLW%20Credits"
-            >
+            <Button variant="contained" style={style.button} component={Link} to="/events?credit">
               MORE CREDITS
             </Button>
           </Grid>
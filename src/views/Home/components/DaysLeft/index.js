@@ -1,7 +1,7 @@
 import React, { Component } from 'react';
 import { Doughnut } from 'react-chartjs-2';
 
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 import session from 'services/session';
 import GordonLoader from 'components/Loader';
 
@@ -10,7 +10,7 @@ import styles from '..//DiningBalance/DiningBalance.module.css';
 
 import { Card, CardHeader, CardContent, Typography, Grid } from '@material-ui/core';
 
-export default class DaysLeft extends Component {
+class DaysLeft extends Component {
   constructor(props) {
     super(props);
 
@@ -48,6 +48,7 @@ export default class DaysLeft extends Component {
       throw this.state.error;
     }
 
+    const { theme } = this.props;
     let content;
     if (this.state.loading === true) {
       content = <GordonLoader />;
@@ -55,7 +56,7 @@ export default class DaysLeft extends Component {
       const daysleft = this.state.daysLeft[0];
       const pastDays = this.state.daysLeft[1] - daysleft;
       const data = {
-        datasets: [{ data: [pastDays, daysleft], backgroundColor: [gordonColors.primary.blue] }],
+        datasets: [{ data: [pastDays, daysleft], backgroundColor: [theme.palette.primary.main] }],
         labels: ['Days Finished', 'Days Remaining'],
       };
       const options = {
@@ -92,7 +93,7 @@ export default class DaysLeft extends Component {
                 alignItems: 'center',
               }}
             >
-              <div className={styles.label_text} style={{ color: gordonColors.primary.blue }}>
+              <div className={styles.label_text} style={{ color: theme.palette.primary.main }}>
                 {pastDays}
               </div>
               <div className={styles.entry_text}>Days Finished</div>
@@ -114,3 +115,5 @@ export default class DaysLeft extends Component {
     );
   }
 }
+
+export default withTheme(DaysLeft);
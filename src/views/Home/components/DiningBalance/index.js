@@ -2,13 +2,13 @@ import React, { Component } from 'react';
 import { Doughnut } from 'react-chartjs-2';
 import { Button, Grid, Typography, Card, CardContent, CardHeader } from '@material-ui/core';
 import GordonLoader from 'components/Loader';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 import user from 'services/user';
 import session from 'services/session';
 
 import styles from './DiningBalance.module.css';
 
-export default class DiningBalance extends Component {
+class DiningBalance extends Component {
   constructor(props) {
     super(props);
 
@@ -38,16 +38,17 @@ export default class DiningBalance extends Component {
     this.setState({ loading: false });
   }
   render() {
-    let daysColor = gordonColors.primary.blue;
-    let swipesColor = gordonColors.secondary.green;
-    let dollarsColor = gordonColors.secondary.yellow;
-    let guestColor = gordonColors.secondary.orange;
-    let emptyColor = gordonColors.neutral.lightGray;
+    const { theme } = this.props;
+    let daysColor = theme.palette.primary.main;
+    let swipesColor = theme.palette.success.main;
+    let dollarsColor = theme.palette.warning.main;
+    let guestColor = theme.palette.orange.main;
+    let emptyColor = theme.palette.action.disabledBackground;
 
     const style = {
       button: {
-        background: gordonColors.primary.cyan,
-        color: 'white',
+        background: theme.palette.secondary.main,
+        color: theme.palette.common.white,
       },
     };
 
@@ -60,13 +61,13 @@ export default class DiningBalance extends Component {
         const lowBalance = 20; //dollars
         const reallyLowBalance = 10; //dollars
         const balance = parseInt(this.facStaffBalance);
-        let balanceColor = gordonColors.secondary.green; //default
+        let balanceColor = theme.palette.success.main; //default
         if (balance === 0) {
-          balanceColor = gordonColors.neutral.lightGray;
+          balanceColor = theme.palette.text.disabled;
         } else if (balance < reallyLowBalance) {
-          balanceColor = gordonColors.secondary.orange;
+          balanceColor = theme.palette.orange.main;
         } else if (balance < lowBalance) {
-          balanceColor = gordonColors.secondary.yellow;
+          balanceColor = theme.palette.warning.main;
         }
         content = (
           <div
@@ -240,3 +241,5 @@ export default class DiningBalance extends Component {
     );
   }
 }
+
+export default withTheme(DiningBalance);
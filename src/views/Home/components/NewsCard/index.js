@@ -7,12 +7,12 @@
 import React, { Component } from 'react';
 import { CardContent } from '@material-ui/core';
 import { Button, Grid, CardHeader, Card, Typography } from '@material-ui/core';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 import NewsService from 'services/news';
 import NewsItem from 'views/News/components/NewsItem';
 // import CategorizedNews from './components/CategorizedNews';
 
-export default class DailyNews extends Component {
+class DailyNews extends Component {
   constructor(props) {
     super(props);
 
@@ -47,9 +47,10 @@ export default class DailyNews extends Component {
   render() {
     // let categories;
 
+    const { theme } = this.props;
     const button = {
-      color: 'white',
-      backgroundColor: gordonColors.primary.cyan,
+      color: theme.palette.common.white,
+      backgroundColor: theme.palette.secondary.main,
       marginLeft: '5px',
       marginTop: '5px',
     };
@@ -103,3 +104,5 @@ export default class DailyNews extends Component {
     );
   }
 }
+
+export default withTheme(DailyNews);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import GordonLoader from 'components/Loader';
 // @WELLNESS-CHECK disabled to revert this you must uncomment this lines of code
 //import WellnessQuestion from 'components/WellnessQuestion';
@@ -8,7 +8,7 @@ import CLWCreditsDaysLeft from './components/CLWCreditsDaysLeft';
 import DaysLeft from './components/DaysLeft';
 import DiningBalance from './components/DiningBalance';
 import NewsCard from './components/NewsCard';
-import user from 'services/user';
+import useAuth from 'hooks/useAuth';
 // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
 // import { Redirect } from 'react-router-dom';
 // @WELLNESS-CHECK disabled to revert this import these commented out lines
@@ -19,10 +19,8 @@ import user from 'services/user';
 import { Grid } from '@material-ui/core';
 // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
 // import checkInService from 'services/checkIn';
-const Home = ({ authentication, onLogIn }) => {
-  const [loading, setLoading] = useState(true);
-  const [isAuthenticated, setIsAuthenticated] = useState(authentication);
-  const [personType, setPersonType] = useState(null);
+const Home = () => {
+  const { authenticated, loading, roles } = useAuth();
   // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
   // const [checkedIn, setCheckedIn] = useState(null);
 
@@ -63,47 +61,23 @@ const Home = ({ authentication, onLogIn }) => {
   // }, []);
   // END Wellness Check disabled code
 
-  useEffect(() => {
-    if (authentication) {
-      loadPage();
-      setIsAuthenticated(true);
-    } else {
-      // @WELLNESS-CHECK disabled to revert this you must uncomment this lines of code
-      // Clear out component's person-specific state when authentication becomes false
-      // (i.e. user logs out) so that it isn't preserved falsely for the next user
-      // setHasAnswered(null);
-      setPersonType(null);
-      setIsAuthenticated(false);
-      setLoading(false);
-    }
-  }, [authentication]);
-  const loadPage = async () => {
-    setLoading(true);
-    // @WELLNESS-CHECK disabled to revert this you must uncomment this lines of code
-    const [{ PersonType } /*, { IsValid }*/] = await Promise.all([
-      user.getProfileInfo(),
-      // @WELLNESS-CHECK disabled to revert this you must uncomment this lines of code
-      /*wellness.getStatus(),*/
-    ]);
-    // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
-    // setCheckedIn(await checkInService.getStatus());
-    setPersonType(PersonType);
-    // setHasAnswered(IsValid);
-    setLoading(false);
-  };
+  // @WELLNESS-CHECK disabled to revert this you must load the user's status when they are
+  // authenticated (`wellness.getStatus()`), and clear it out when they log out
+  // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
+  // setCheckedIn(await checkInService.getStatus());
 
   if (loading) {
     return <GordonLoader />;
-  } else if (!isAuthenticated) {
-    return <GuestWelcome onLogIn={onLogIn} />;
+  } else if (!authenticated) {
+    return <GuestWelcome />;
   } // @WELLNESS-CHECK disabled to revert this you must uncomment this lines of code
   //else if (networkStatus === 'online' && !hasAnswered) {
   //return <WellnessQuestion setStatus={() => setHasAnswered(true)} />;}
   // @ACADEMIC-CHECKIN disabled line below until getting the correct dates can be done
-  // else if (!checkedIn && personType.includes('stu')) {
+  // else if (!checkedIn && roles.isStudent) {
   //   return (<Redirect to='/AcademicCheckIn' />);
   else {
-    let doughnut = personType.includes('stu') ? <CLWCreditsDaysLeft /> : <DaysLeft />;
+    let doughnut = roles.isStudent ? <CLWCreditsDaysLeft /> : <DaysLeft />;
 
     return (
       <Grid container justifyContent="center" spacing={2}>
@@ -13,19 +13,21 @@ import {
 } from '@material-ui/core';
 import React, { Component, Fragment } from 'react';
 import Dropzone from 'react-dropzone';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 import IdCardDefault from './image-default.png';
 import IdCardGreen from './image-green.png';
 import IdCardTop from './image-top.png';
 import Cropper from 'react-cropper';
 import 'cropperjs/dist/cropper.css';
 import styles from './IDUploader.module.css';
+import { AuthContext } from 'contexts/AuthContext';
 import user from 'services/user';
 import errorLog from 'services/errorLog';
-import Login from 'components/LoginDialogue';
 
 const CROP_DIM = 1200; // pixels
 class IDUploader extends Component {
+  static contextType = AuthContext;
+
   constructor(props) {
     super(props);
 
@@ -64,7 +66,7 @@ class IDUploader extends Component {
   };
 
   async postCroppedImage(croppedImage, attemptNumber) {
-    let profile = await user.getProfileInfo();
+    let profile = this.context.profile ?? (await user.getProfileInfo());
     let logMessage =
       'ID photo submission #' +
       attemptNumber +
@@ -208,21 +210,22 @@ class IDUploader extends Component {
 
   render() {
     const { preview } = this.state;
+    const { theme } = this.props;
 
     const style = {
       button: {
-        background: gordonColors.primary.cyan,
-        color: 'white',
+        background: theme.palette.secondary.main,
+        color: theme.palette.common.white,
       },
 
       uploadButton: {
-        background: gordonColors.primary.cyan,
-        color: 'white',
+        background: theme.palette.secondary.main,
+        color: theme.palette.common.white,
         marginTop: '20px',
       },
 
       uncontainedButton: {
-        color: gordonColors.primary.cyan,
+        color: theme.palette.secondary.main,
       },
 
       instructionsText: {
@@ -230,112 +233,76 @@ class IDUploader extends Component {
       },
     };
 
-    let content;
-    if (this.props.authentication) {
-      content = (
-        <Fragment>
-          <Grid item xs={12} md={6} lg={8}>
-            <Card>
-              <CardContent>
-                <Grid container justifyContent="center" direction="column">
-                  <Grid item align="center">
-                    <Typography align="center" variant="h6" style={{ fontWeight: 'bold' }}>
-                      ID Photo Guidelines
-                    </Typography>
-                    <Typography align="left" variant="body2" style={style.instructionsText}>
-                      <br />
-                      1. Facial features must be identifiable. <br />
-                      2. No sunglasses or hats. <br />
-                      3. Photo must include your shoulders to the top of your head. <br />
-                      4. While this does not need to be a professional photo, it does need to be a
-                      reasonable representation of your face for an official campus ID card. As long
-                      as it meets the criteria, most cameras on a phone will work fine.
-                    </Typography>
-                  </Grid>
-                  <Grid item align="center">
-                    <Button
-                      variant="contained"
-                      style={style.uploadButton}
-                      onClick={this.handleUploadPhoto}
-                    >
-                      Tap to Upload
-                    </Button>
-                  </Grid>
+    const content = (
+      <Fragment>
+        <Grid item xs={12} md={6} lg={8}>
+          <Card>
+            <CardContent>
+              <Grid container justifyContent="center" direction="column">
+                <Grid item align="center">
+                  <Typography align="center" variant="h6" style={{ fontWeight: 'bold' }}>
+                    ID Photo Guidelines
+                  </Typography>
+                  <Typography align="left" variant="body2" style={style.instructionsText}>
+                    <br />
+                    1. Facial features must be identifiable. <br />
+                    2. No sunglasses or hats. <br />
+                    3. Photo must include your shoulders to the top of your head. <br />
+                    4. While this does not need to be a professional photo, it does need to be a
+                    reasonable representation of your face for an official campus ID card. As long
+                    as it meets the criteria, most cameras on a phone will work fine.
+                  </Typography>
                 </Grid>
-              </CardContent>
-            </Card>
-          </Grid>
-
-          <Grid item xs={12} md={6} lg={4}>
-            <Grid container justifyContent="center">
-              <Card raised={true}>
-                <Grid item style={{ margin: '10px' }}>
-                  <img
-                    src={IdCardTop}
-                    alt="ID card top with Gordon College logo."
-                    className={styles.placeholder_id}
-                    style={{ maxWidth: '100%', maxHeight: '100%' }}
-                  />
+                <Grid item align="center">
+                  <Button
+                    variant="contained"
+                    style={style.uploadButton}
+                    onClick={this.handleUploadPhoto}
+                  >
+                    Tap to Upload
+                  </Button>
                 </Grid>
-                <Grid item>
-                  <Grid container style={{ width: '406px' }}>
-                    <Grid item style={{ marginLeft: '10px', width: '320px', marginBottom: '5px' }}>
-                      <img
-                        src={this.state.IdCardPlaceholder}
-                        alt="Placeholder ID."
-                        className={styles.placeholder_id}
-                        style={{ maxWidth: '100%', maxHeight: '100%' }}
-                      />
-                    </Grid>
-                    <Grid item style={{ marginLeft: '7px', width: '53px', marginBottom: '5px' }}>
-                      <img
-                        src={IdCardGreen}
-                        alt="Colored bar with text 'student'."
-                        className={styles.placeholder_id}
-                        style={{ maxWidth: '100%', maxHeight: '100%' }}
-                      />
-                    </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={6} lg={4}>
+          <Grid container justifyContent="center">
+            <Card raised={true}>
+              <Grid item style={{ margin: '10px' }}>
+                <img
+                  src={IdCardTop}
+                  alt="ID card top with Gordon College logo."
+                  className={styles.placeholder_id}
+                  style={{ maxWidth: '100%', maxHeight: '100%' }}
+                />
+              </Grid>
+              <Grid item>
+                <Grid container style={{ width: '406px' }}>
+                  <Grid item style={{ marginLeft: '10px', width: '320px', marginBottom: '5px' }}>
+                    <img
+                      src={this.state.IdCardPlaceholder}
+                      alt="Placeholder ID."
+                      className={styles.placeholder_id}
+                      style={{ maxWidth: '100%', maxHeight: '100%' }}
+                    />
+                  </Grid>
+                  <Grid item style={{ marginLeft: '7px', width: '53px', marginBottom: '5px' }}>
+                    <img
+                      src={IdCardGreen}
+                      alt="Colored bar with text 'student'."
+                      className={styles.placeholder_id}
+                      style={{ maxWidth: '100%', maxHeight: '100%' }}
+                    />
                   </Grid>
                 </Grid>
-              </Card>
-            </Grid>
-          </Grid>
-        </Fragment>
-      );
-    } else {
-      content = (
-        <Grid container justifyContent="center">
-          <Grid item xs={12} md={8}>
-            <Card>
-              <CardContent
-                style={{
-                  margin: 'auto',
-                  textAlign: 'center',
-                }}
-              >
-                <h1>You are not logged in.</h1>
-                <br />
-                <h4>
-                  Please log in to upload an ID photo. You can press the back button or follow the
-                  URL "360.gordon.edu/id" to return to this page.
-                </h4>
-                <br />
-                {/*<Button
-                  color="primary"
-                  variant="contained"
-                  onClick={() => {
-                    window.location.pathname = '';
-                  }}
-                >
-                  Login
-                </Button>*/}
-                <Login onLogIn={this.props.onLogIn} />
-              </CardContent>
+              </Grid>
             </Card>
           </Grid>
         </Grid>
-      );
-    }
+      </Fragment>
+    );
 
     return (
       <Grid container justifyContent="center" spacing={2}>
@@ -490,4 +457,4 @@ class IDUploader extends Component {
   }
 }
 
-export default withWidth()(IDUploader);
+export default withWidth()(withTheme(IDUploader));
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-import { gordonColors } from 'theme';
+import datetime from 'services/datetime';
 import membershipService from 'services/membership';
 
 import {
@@ -11,14 +11,11 @@ import {
   ListItem,
   ListItemSecondaryAction,
   makeStyles,
+  useTheme,
   Typography,
 } from '@material-ui/core';
 import { useParams } from 'react-router';
 
-const redButton = {
-  color: gordonColors.secondary.red,
-};
-
 const useStyles = makeStyles(
   {
     secondaryAction: {
@@ -30,6 +27,7 @@ const useStyles = makeStyles(
 
 const RequestsReceived = ({ onAddMember }) => {
   const classes = useStyles();
+  const theme = useTheme();
   const [requests, setRequests] = useState([]);
   const { involvementCode, sessionCode } = useParams();
 
@@ -67,13 +65,15 @@ const RequestsReceived = ({ onAddMember }) => {
             >
               <ListItemText
                 primary={`${request.FirstName} ${request.LastName} - ${request.ParticipationDescription}`}
-                secondary={`${membershipService.getDiffDays(request.DateSent)} - ${
-                  request.CommentText
-                }`}
+                secondary={`${datetime.formatRelative(request.DateSent)} - ${request.CommentText}`}
               />
 
               <ListItemSecondaryAction>
-                <Button style={redButton} onClick={() => onDeny(request.RequestID)} size="small">
+                <Button
+                  style={{ color: theme.palette.error.main }}
+                  onClick={() => onDeny(request.RequestID)}
+                  size="small"
+                >
                   Deny
                 </Button>
                 &emsp;
@@ -17,17 +17,17 @@ import { PersonAdd as AddPersonIcon } from '@material-ui/icons';
 import involvementService from 'services/activity';
 import membershipService from 'services/membership';
 import RequestsReceived from './components/RequestsReceived';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import { useParams } from 'react-router';
 import GordonDialogBox from 'components/GordonDialogBox';
 
-const headerStyle = {
-  backgroundColor: gordonColors.primary.blue,
-  color: '#FFF',
-  padding: '10px',
-};
-
 const AdminCard = ({ createSnackbar, isSuperAdmin, involvementDescription, onAddMember }) => {
+  const theme = useTheme();
+  const headerStyle = {
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
+    padding: '10px',
+  };
   const [isRosterClosed, setIsRosterClosed] = useState(false);
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [username, setUsername] = useState('');
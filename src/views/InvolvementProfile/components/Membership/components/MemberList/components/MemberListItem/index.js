@@ -20,7 +20,7 @@ import {
   Link,
 } from '@material-ui/core';
 
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import user from 'services/user';
 import membership from 'services/membership';
 import GordonDialogBox from 'components/GordonDialogBox';
@@ -28,13 +28,6 @@ const rowStyle = {
   margin: '10px 0px',
   padding: '10px 0px',
 };
-const redButton = {
-  background: gordonColors.secondary.red,
-  color: 'white',
-};
-const outlinedRedButton = {
-  color: gordonColors.secondary.red,
-};
 
 const PARTICIPATION_LEVELS = {
   Member: 'MEMBR',
@@ -52,6 +45,14 @@ const MemberListItem = ({
   onLeave,
   onToggleIsAdmin,
 }) => {
+  const theme = useTheme();
+  const redButton = {
+    background: theme.palette.error.main,
+    color: theme.palette.error.contrastText,
+  };
+  const outlinedRedButton = {
+    color: theme.palette.error.main,
+  };
   const [isEditDialogOpen, setIsEditDialogOpen] = useState(false);
   const [titleDialog, setTitleDialog] = useState(member.Description);
   const [isLeaveAlertOpen, setIsLeaveAlertOpen] = useState(false);
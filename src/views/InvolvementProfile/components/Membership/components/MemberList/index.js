@@ -1,18 +1,12 @@
 import React, { useEffect, useState } from 'react';
 
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 
 import { Card, CardHeader, CardContent, Grid } from '@material-ui/core';
 import MemberListItem from './components/MemberListItem';
 
 const breakpointWidth = 810;
 
-const headerStyle = {
-  backgroundColor: gordonColors.primary.blue,
-  color: '#FFF',
-  padding: '10px',
-};
-
 const MemberList = ({
   members,
   isAdmin,
@@ -21,6 +15,12 @@ const MemberList = ({
   onLeave,
   onToggleIsAdmin,
 }) => {
+  const theme = useTheme();
+  const headerStyle = {
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
+    padding: '10px',
+  };
   const [isMobileView, setIsMobileView] = useState(window.innerWidth < breakpointWidth);
 
   useEffect(() => {
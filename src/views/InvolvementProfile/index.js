@@ -11,7 +11,7 @@ import {
 } from '@material-ui/core';
 import GordonDialogBox from 'components/GordonDialogBox';
 import GordonLoader from 'components/Loader';
-import useNetworkStatus from 'hooks/useNetworkStatus';
+import useAuth from 'hooks/useAuth';
 import React, { useEffect, useRef, useState } from 'react';
 import Cropper from 'react-cropper';
 import Dropzone from 'react-dropzone';
@@ -21,15 +21,16 @@ import emailsService from 'services/emails';
 import membershipService from 'services/membership';
 import sessionService from 'services/session';
 import userService from 'services/user';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import ContactListItem from './components/ContactListItem';
 import Membership from './components/Membership';
 import styles from './InvolvementProfile.module.css';
-import GordonOffline from 'components/GordonOffline';
 
 const CROP_DIM = 320; // pixels
 
-const InvolvementProfile = ({ authentication }) => {
+const InvolvementProfile = () => {
+  const { authenticated } = useAuth();
+  const theme = useTheme();
   const [involvementInfo, setInvolvementInfo] = useState(null);
   const [advisors, setAdvisors] = useState([]);
   const [groupAdmins, setGroupAdmins] = useState([]);
@@ -48,14 +49,13 @@ const InvolvementProfile = ({ authentication }) => {
   const [isRemoveImageDialogOpen, setIsRemoveImageDialogOpen] = useState(false);
   const [emailList, setEmailList] = useState([]);
   const [cropperData, setCropperData] = useState({});
-  const isOnline = useNetworkStatus();
   const cropperRef = useRef();
   const { sessionCode, involvementCode } = useParams();
 
   useEffect(() => {
     const loadPage = async () => {
       setLoading(true);
-      if (authentication) {
+      if (authenticated) {
         const [involvementInfo, advisors, groupAdmins, sessionInfo, college_role, isAdmin] =
           await Promise.all([
             involvementService.get(involvementCode),
@@ -98,7 +98,7 @@ const InvolvementProfile = ({ authentication }) => {
       }
     };
     loadPage();
-  }, [involvementCode, authentication, sessionCode]);
+  }, [involvementCode, authenticated, sessionCode]);
 
   const onDropAccepted = (fileList) => {
     var previewImageFile = fileList[0];
@@ -219,264 +219,243 @@ const InvolvementProfile = ({ authentication }) => {
 
   let content;
 
-  if (isOnline) {
-    if (loading) {
-      content = <GordonLoader />;
-    } else {
-      const { SessionDescription } = sessionInfo;
-      const {
-        ActivityBlurb,
-        ActivityDescription,
-        ActivityURL,
-        ActivityImagePath,
-        ActivityJoinInfo,
-      } = involvementInfo;
-
-      const redButton = {
-        background: gordonColors.secondary.red,
-        color: 'white',
-      };
+  if (loading) {
+    content = <GordonLoader />;
+  } else {
+    const { SessionDescription } = sessionInfo;
+    const { ActivityBlurb, ActivityDescription, ActivityURL, ActivityImagePath, ActivityJoinInfo } =
+      involvementInfo;
+
+    const redButton = {
+      background: theme.palette.error.main,
+      color: theme.palette.error.contrastText,
+    };
+
+    const editInvolvement =
+      isAdmin || isSuperAdmin ? (
+        <Grid item>
+          <Grid container spacing={2} justifyContent="center">
+            <Grid item>
+              <Button variant="contained" color="primary" onClick={() => setIsEditDialogOpen(true)}>
+                Edit Involvement
+              </Button>
+            </Grid>
+            <Grid item>
+              <Button variant="contained" color="primary" onClick={sendEmail}>
+                Email Members/Subscribers
+              </Button>
+            </Grid>
+          </Grid>
 
-      const editInvolvement =
-        isAdmin || isSuperAdmin ? (
-          <Grid item>
+          <GordonDialogBox
+            open={isEditDialogOpen}
+            title={`Edit ${ActivityDescription}`}
+            buttonName="Submit"
+            buttonClicked={onEditInvolvement}
+            cancelButtonClicked={() => setIsEditDialogOpen(false)}
+          >
+            <Grid align="center" className={styles.involvement_image} item>
+              <img
+                alt={ActivityDescription}
+                src={image || ActivityImagePath}
+                className="rounded_corners"
+              />
+            </Grid>
             <Grid container spacing={2} justifyContent="center">
               <Grid item>
                 <Button
                   variant="contained"
-                  color="primary"
-                  onClick={() => setIsEditDialogOpen(true)}
+                  onClick={() => setIsRemoveImageDialogOpen(true)}
+                  style={redButton}
                 >
-                  Edit Involvement
+                  Remove image
                 </Button>
               </Grid>
               <Grid item>
-                <Button variant="contained" color="primary" onClick={sendEmail}>
-                  Email Members/Subscribers
+                <Button variant="contained" onClick={() => setPhotoOpen(true)} color="primary">
+                  Change Image
                 </Button>
               </Grid>
             </Grid>
 
             <GordonDialogBox
-              open={isEditDialogOpen}
-              title={`Edit ${ActivityDescription}`}
-              buttonName="Submit"
-              buttonClicked={onEditInvolvement}
-              cancelButtonClicked={() => setIsEditDialogOpen(false)}
+              open={photoOpen}
+              title="Update Involvement Picture"
+              buttonName="Select"
+              buttonClicked={handleCloseSelect}
+              isButtonDisabled={!preview}
+              cancelButtonClicked={handleCloseCancel}
             >
-              <Grid align="center" className={styles.involvement_image} item>
-                <img
-                  alt={ActivityDescription}
-                  src={image || ActivityImagePath}
-                  className="rounded_corners"
-                />
-              </Grid>
-              <Grid container spacing={2} justifyContent="center">
-                <Grid item>
-                  <Button
-                    variant="contained"
-                    onClick={() => setIsRemoveImageDialogOpen(true)}
-                    style={redButton}
+              <DialogContentText id="edit-involvement-image-dialog-description">
+                {window.innerWidth < 600
+                  ? 'Tap Image to Browse Files'
+                  : 'Drag & Drop Picture, or Click to Browse Files'}
+              </DialogContentText>
+              <Grid container justifyContent="center" spacing={2}>
+                {!preview && (
+                  <Dropzone
+                    onDropAccepted={onDropAccepted.bind(this)}
+                    onDropRejected={onDropRejected.bind(this)}
+                    accept="image/jpeg, image/jpg, image/png"
                   >
-                    Remove image
-                  </Button>
-                </Grid>
-                <Grid item>
-                  <Button variant="contained" onClick={() => setPhotoOpen(true)} color="primary">
-                    Change Image
-                  </Button>
-                </Grid>
+                    {({ getRootProps, getInputProps }) => (
+                      <section>
+                        <div className={styles.photoUploader} {...getRootProps()}>
+                          <input {...getInputProps()} />
+                          <img
+                            className="rounded_corners"
+                            src={ActivityImagePath}
+                            alt=""
+                            style={{ maxWidth: '320px', maxHeight: '320px' }}
+                          />
+                        </div>
+                      </section>
+                    )}
+                  </Dropzone>
+                )}
+                {preview && (
+                  <>
+                    <Grid item>
+                      <Cropper
+                        ref={cropperRef}
+                        src={preview}
+                        style={{
+                          maxWidth: maxCropPreviewWidth(),
+                          maxHeight: maxCropPreviewWidth() / cropperData.aspectRatio,
+                        }}
+                        autoCropArea={1}
+                        viewMode={3}
+                        aspectRatio={1}
+                        highlight={false}
+                        background={false}
+                        zoom={onCropperZoom.bind(this)}
+                        zoomable={false}
+                        dragMode={'none'}
+                        minCropBoxWidth={cropperData.cropBoxDim}
+                        minCropBoxHeight={cropperData.cropBoxDim}
+                      />
+                    </Grid>
+
+                    <Grid item>
+                      <Button variant="contained" onClick={() => setPreview(null)}>
+                        Choose Another Image
+                      </Button>
+                    </Grid>
+                  </>
+                )}
               </Grid>
+            </GordonDialogBox>
 
-              <GordonDialogBox
-                open={photoOpen}
-                title="Update Involvement Picture"
-                buttonName="Select"
-                buttonClicked={handleCloseSelect}
-                isButtonDisabled={!preview}
-                cancelButtonClicked={handleCloseCancel}
-              >
-                <DialogContentText id="edit-involvement-image-dialog-description">
-                  {window.innerWidth < 600
-                    ? 'Tap Image to Browse Files'
-                    : 'Drag & Drop Picture, or Click to Browse Files'}
-                </DialogContentText>
-                <Grid container justifyContent="center" spacing={2}>
-                  {!preview && (
-                    <Dropzone
-                      onDropAccepted={onDropAccepted.bind(this)}
-                      onDropRejected={onDropRejected.bind(this)}
-                      accept="image/jpeg, image/jpg, image/png"
-                    >
-                      {({ getRootProps, getInputProps }) => (
-                        <section>
-                          <div className={styles.photoUploader} {...getRootProps()}>
-                            <input {...getInputProps()} />
-                            <img
-                              className="rounded_corners"
-                              src={ActivityImagePath}
-                              alt=""
-                              style={{ maxWidth: '320px', maxHeight: '320px' }}
-                            />
-                          </div>
-                        </section>
-                      )}
-                    </Dropzone>
-                  )}
-                  {preview && (
-                    <>
-                      <Grid item>
-                        <Cropper
-                          ref={cropperRef}
-                          src={preview}
-                          style={{
-                            maxWidth: maxCropPreviewWidth(),
-                            maxHeight: maxCropPreviewWidth() / cropperData.aspectRatio,
-                          }}
-                          autoCropArea={1}
-                          viewMode={3}
-                          aspectRatio={1}
-                          highlight={false}
-                          background={false}
-                          zoom={onCropperZoom.bind(this)}
-                          zoomable={false}
-                          dragMode={'none'}
-                          minCropBoxWidth={cropperData.cropBoxDim}
-                          minCropBoxHeight={cropperData.cropBoxDim}
-                        />
-                      </Grid>
-
-                      <Grid item>
-                        <Button variant="contained" onClick={() => setPreview(null)}>
-                          Choose Another Image
-                        </Button>
-                      </Grid>
-                    </>
-                  )}
+            <GordonDialogBox
+              open={isRemoveImageDialogOpen}
+              title="Confirm Removing Image"
+              buttonClicked={onRemoveImage}
+              cancelButtonClicked={() => setIsRemoveImageDialogOpen(false)}
+            >
+              Are you sure you want to remove the involvement image?
+            </GordonDialogBox>
+            <form>
+              <Grid container>
+                <Grid item xs={12}>
+                  <TextField
+                    label="Description"
+                    margin="dense"
+                    multiline
+                    fullWidth
+                    defaultValue={ActivityBlurb}
+                    onChange={(event) => setTempBlurb(event.target.value)}
+                  />
                 </Grid>
-              </GordonDialogBox>
-
-              <GordonDialogBox
-                open={isRemoveImageDialogOpen}
-                title="Confirm Removing Image"
-                buttonClicked={onRemoveImage}
-                cancelButtonClicked={() => setIsRemoveImageDialogOpen(false)}
-              >
-                Are you sure you want to remove the involvement image?
-              </GordonDialogBox>
-              <form>
-                <Grid container>
-                  <Grid item xs={12}>
-                    <TextField
-                      label="Description"
-                      margin="dense"
-                      multiline
-                      fullWidth
-                      defaultValue={ActivityBlurb}
-                      onChange={(event) => setTempBlurb(event.target.value)}
-                    />
-                  </Grid>
-
-                  <Grid item xs={12}>
-                    <TextField
-                      label="Special Information for Joining"
-                      margin="dense"
-                      multiline
-                      fullWidth
-                      defaultValue={ActivityJoinInfo}
-                      onChange={(event) => setTempJoinInfo(event.target.value)}
-                    />
-                  </Grid>
-
-                  <Grid item xs={12}>
-                    <TextField
-                      label="Website"
-                      margin="dense"
-                      multiline
-                      fullWidth
-                      defaultValue={ActivityURL}
-                      onChange={(event) => setTempURL(event.target.value)}
-                    />
-                  </Grid>
+
+                <Grid item xs={12}>
+                  <TextField
+                    label="Special Information for Joining"
+                    margin="dense"
+                    multiline
+                    fullWidth
+                    defaultValue={ActivityJoinInfo}
+                    onChange={(event) => setTempJoinInfo(event.target.value)}
+                  />
                 </Grid>
-              </form>
-            </GordonDialogBox>
-          </Grid>
-        ) : null;
-
-      content = (
-        <Card>
-          <CardHeader align="center" title={ActivityDescription} subheader={SessionDescription} />
-          <CardContent>
-            <Grid container direction="column" spacing={2}>
-              <Grid align="center" item>
-                <img
-                  alt={ActivityDescription}
-                  src={ActivityImagePath}
-                  className="rounded_corners"
-                />
-              </Grid>
-              {editInvolvement}
-              <Grid item align="center">
-                {ActivityBlurb && <Typography>{ActivityBlurb}</Typography>}
-                {ActivityURL?.length !== 0 && (
-                  <Typography>
-                    <a
-                      href={ActivityURL}
-                      className="gc360_text_link"
-                      style={{ fontWeight: 'bold' }}
-                    >
-                      {ActivityURL}
-                    </a>
-                  </Typography>
-                )}
-              </Grid>
 
-              {authentication && (
-                <>
-                  <hr width="70%"></hr>
-
-                  <Grid item>
-                    <Typography>
-                      <strong>Group Contacts</strong>
-                    </Typography>
-                    <List>
-                      {groupAdmins.map((admin, index) => (
-                        <ContactListItem key={index} contact={admin} />
-                      ))}
-                    </List>
-                  </Grid>
-                  <Grid item>
-                    <Typography>
-                      <strong>Group Advisors</strong>
-                    </Typography>
-                    <List>
-                      {advisors.map((advisor, index) => (
-                        <ContactListItem key={index} contact={advisor} />
-                      ))}
-                    </List>
-                  </Grid>
-                  <Grid item>
-                    <Typography>
-                      <strong>To join: </strong>
-                      {ActivityJoinInfo}
-                    </Typography>
-                  </Grid>
-                  <Membership
-                    involvementDescription={ActivityDescription}
-                    isAdmin={isAdmin}
-                    isSuperAdmin={isSuperAdmin}
-                    toggleIsAdmin={() => setIsAdmin((a) => !a)}
+                <Grid item xs={12}>
+                  <TextField
+                    label="Website"
+                    margin="dense"
+                    multiline
+                    fullWidth
+                    defaultValue={ActivityURL}
+                    onChange={(event) => setTempURL(event.target.value)}
                   />
-                </>
+                </Grid>
+              </Grid>
+            </form>
+          </GordonDialogBox>
+        </Grid>
+      ) : null;
+
+    content = (
+      <Card>
+        <CardHeader align="center" title={ActivityDescription} subheader={SessionDescription} />
+        <CardContent>
+          <Grid container direction="column" spacing={2}>
+            <Grid align="center" item>
+              <img alt={ActivityDescription} src={ActivityImagePath} className="rounded_corners" />
+            </Grid>
+            {editInvolvement}
+            <Grid item align="center">
+              {ActivityBlurb && <Typography>{ActivityBlurb}</Typography>}
+              {ActivityURL?.length !== 0 && (
+                <Typography>
+                  <a href={ActivityURL} className="gc360_text_link" style={{ fontWeight: 'bold' }}>
+                    {ActivityURL}
+                  </a>
+                </Typography>
               )}
             </Grid>
-          </CardContent>
-        </Card>
-      );
-    }
-  } else {
-    return <GordonOffline feature="This involvement" />;
+
+            {authenticated && (
+              <>
+                <hr width="70%"></hr>
+
+                <Grid item>
+                  <Typography>
+                    <strong>Group Contacts</strong>
+                  </Typography>
+                  <List>
+                    {groupAdmins.map((admin, index) => (
+                      <ContactListItem key={index} contact={admin} />
+                    ))}
+                  </List>
+                </Grid>
+                <Grid item>
+                  <Typography>
+                    <strong>Group Advisors</strong>
+                  </Typography>
+                  <List>
+                    {advisors.map((advisor, index) => (
+                      <ContactListItem key={index} contact={advisor} />
+                    ))}
+                  </List>
+                </Grid>
+                <Grid item>
+                  <Typography>
+                    <strong>To join: </strong>
+                    {ActivityJoinInfo}
+                  </Typography>
+                </Grid>
+                <Membership
+                  involvementDescription={ActivityDescription}
+                  isAdmin={isAdmin}
+                  isSuperAdmin={isSuperAdmin}
+                  toggleIsAdmin={() => setIsAdmin((a) => !a)}
+                />
+              </>
+            )}
+          </Grid>
+        </CardContent>
+      </Card>
+    );
   }
 
   return (
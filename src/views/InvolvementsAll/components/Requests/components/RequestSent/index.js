@@ -2,20 +2,22 @@ import React from 'react';
 import { Button, Grid, Typography, Divider } from '@material-ui/core';
 import ClearIcon from '@material-ui/icons/Clear';
 
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
+import datetime from 'services/datetime';
 import membership from 'services/membership';
 
 // @TODO CSSMODULES - outside directory
 import styles from '../../Requests.module.css';
 
 const RequestSent = ({ member, onCancel }) => {
+  const theme = useTheme();
   const handleCancel = () => {
     membership.cancelRequest(member.RequestID);
     onCancel(member); // Updates state of parent component to cause rerender
   };
 
   const button = {
-    color: gordonColors.secondary.red,
+    color: theme.palette.error.main,
   };
 
   let cancel;
@@ -42,7 +44,7 @@ const RequestSent = ({ member, onCancel }) => {
               <strong> {member.ActivityDescription} </strong>
             </Typography>
             <Typography>
-              <span className={styles.weak}>{membership.getDiffDays(member.DateSent)}</span>
+              <span className={styles.weak}>{datetime.formatRelative(member.DateSent)}</span>
             </Typography>
           </Grid>
           <Grid item xs={6} sm={4} align="center">
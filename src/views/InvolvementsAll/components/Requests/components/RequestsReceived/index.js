@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import ExpandMoreIcon from '@material-ui/icons/ExpandMore';
-import parseISO from 'date-fns/parseISO';
+import datetime from 'services/datetime';
 import {
   Button,
   List,
@@ -57,7 +57,7 @@ const RequestReceived = ({ involvement }) => {
         {requests?.length > 0 ? (
           <List>
             {requests
-              .sort((a, b) => parseISO(b.DateSent) - parseISO(a.DateSent))
+              .sort((a, b) => datetime.compare(b.DateSent, a.DateSent))
               .map((request) => (
                 <React.Fragment key={request.RequestID}>
                   <ListItem key={request.RequestID}>
@@ -16,10 +16,13 @@ import Requests from './components/Requests';
 import userService from 'services/user';
 import involvementService from 'services/activity';
 import sessionService from 'services/session';
+import useAuth from 'hooks/useAuth';
 import useNetworkStatus from 'hooks/useNetworkStatus';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 
-const InvolvementsAll = ({ location, authentication, history }) => {
+const InvolvementsAll = ({ location, history }) => {
+  const { authenticated } = useAuth();
+  const theme = useTheme();
   const [currentAcademicSession, setCurrentAcademicSession] = useState('');
   const [involvements, setInvolvements] = useState([]);
   const [allInvolvements, setAllInvolvements] = useState([]);
@@ -68,7 +71,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
       }
     };
     loadPage();
-  }, [authentication, sessionFromURL]);
+  }, [authenticated, sessionFromURL]);
 
   const handleSelectSession = async (value) => {
     setSelectedSession(value);
@@ -80,7 +83,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
       setLoading(true);
       setAllInvolvements(await involvementService.getAll(selectedSession));
       setTypes(await involvementService.getTypes(selectedSession));
-      if (authentication) {
+      if (authenticated) {
         const { id } = await userService.getLocalInfo();
         setMyInvolvements(
           await userService.getSessionMembershipsWithoutGuests(id, selectedSession),
@@ -92,7 +95,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
     if (selectedSession) {
       updateInvolvements();
     }
-  }, [selectedSession, authentication]);
+  }, [selectedSession, authenticated]);
 
   useEffect(() => {
     setInvolvements(involvementService.filter(allInvolvements, type, search));
@@ -121,7 +124,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
   const searchPageTitle = (
     <div align="center">
       Search
-      <b style={{ color: gordonColors.primary.cyan }}> Gordon </b>
+      <b style={{ color: theme.palette.secondary.main }}> Gordon </b>
       Involvements
     </div>
   );
@@ -152,7 +155,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
                   <InputLabel id="activity-session">Term</InputLabel>
                   <Select
                     labelId="activity-session"
-                    id="activity-session"
+                    id="activity-session-select"
                     value={selectedSession}
                     onChange={(e) => handleSelectSession(e.target.value)}
                   >
@@ -172,7 +175,7 @@ const InvolvementsAll = ({ location, authentication, history }) => {
                   <InputLabel id="activity-type">Type</InputLabel>
                   <Select
                     labelId="activity-type"
-                    id="activity-type"
+                    id="activity-type-select"
                     value={type}
                     onChange={(event) => setType(event.target.value)}
                   >
@@ -192,17 +195,17 @@ const InvolvementsAll = ({ location, authentication, history }) => {
         </Card>
       </Grid>
 
-      {isOnline && authentication && <Requests />}
+      {isOnline && authenticated && <Requests />}
 
       {/* My Involvements (private) */}
-      {authentication && (
+      {authenticated && (
         <Grid item xs={12} lg={8}>
           <Card>
             <CardHeader
               title={`My ${myInvolvementsHeadingText} Involvements`}
               style={{
-                backgroundColor: gordonColors.primary.blue,
-                color: gordonColors.neutral.grayShades[50],
+                backgroundColor: theme.palette.primary.main,
+                color: theme.palette.primary.contrastText,
               }}
             />
             <CardContent>
@@ -226,8 +229,8 @@ const InvolvementsAll = ({ location, authentication, history }) => {
           <CardHeader
             title={`${involvementSessionText} Involvements`}
             style={{
-              backgroundColor: gordonColors.primary.blue,
-              color: gordonColors.neutral.grayShades[50],
+              backgroundColor: theme.palette.primary.main,
+              color: theme.palette.primary.contrastText,
             }}
           />
           <CardContent>
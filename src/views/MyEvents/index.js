@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  Grid,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  TextField,
+  Typography,
+} from '@material-ui/core';
+import ChevronLeftIcon from '@material-ui/icons/ChevronLeft';
+import ChevronRightIcon from '@material-ui/icons/ChevronRight';
+import DoneIcon from '@material-ui/icons/Done';
+import PersonIcon from '@material-ui/icons/Person';
+import SchoolIcon from '@material-ui/icons/School';
+import StarIcon from '@material-ui/icons/Star';
+import EventList from 'components/EventList';
+import GordonLoader from 'components/Loader';
+import useAuth from 'hooks/useAuth';
+import useBookmarks from 'hooks/useBookmarks';
+import agenda from 'services/agenda';
+import datetime from 'services/datetime';
+import gordonEvent from 'services/event';
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const itemKinds = {
+  bookmark: { label: 'Bookmarked', Icon: StarIcon },
+  chapel: { label: 'Attended', Icon: DoneIcon },
+  class: { label: 'Class', Icon: SchoolIcon },
+  personal: { label: 'Personal', Icon: PersonIcon },
+};
+
+/**
+ * Get the campus date some days from another
+ *
+ * Days are counted from midday, so that a change to or from daylight saving time can't move the
+ * result to another day
+ *
+ * @param {string} day The campus date, e.g. '2021-04-27'
+ * @param {number} amount How many days later, or earlier if negative
+ * @returns {string} The campus date `amount` days from `day`
+ */
+const shiftDay = (day, amount) =>
+  datetime.toISODate(datetime.addDays(datetime.parse(`${day}T12:00`), amount));
+
+// Agenda items are at wall-clock times in the user's time zone, so they are formatted there too
+const itemTimeFormatter = new Intl.DateTimeFormat('en', { timeStyle: 'short' });
+
+/**
+ * Format when an agenda item happens
+ * @param {AgendaItem} item The item
+ * @returns {string} When it happens, e.g. '10:00 AM - 11:00 AM'
+ */
+const formatItemTime = ({ allDay, start, end }) =>
+  allDay ? 'All day' : `${itemTimeFormatter.format(start)} - ${itemTimeFormatter.format(end)}`;
+
+const MyEvents = (props) => {
+  const { authenticated } = useAuth();
+  const { bookmarks } = useBookmarks();
+  const [items, setItems] = useState(null);
+  const [upcomingBookmarks, setUpcomingBookmarks] = useState([]);
+
+  const dateParam = new URLSearchParams(props.location.search).get('date');
+  const today = datetime.toISODate();
+  const day = isoDatePattern.test(dateParam) ? dateParam : today;
+
+  useEffect(() => {
+    let isCurrent = true;
+    agenda
+      .getItems(day, bookmarks, !authenticated)
+      .then((dayItems) => isCurrent && setItems(dayItems));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [day, bookmarks, authenticated]);
+
+  useEffect(() => {
+    let isCurrent = true;
+    agenda
+      .getBookmarkedEvents(bookmarks, !authenticated)
+      .then((events) => isCurrent && setUpcomingBookmarks(gordonEvent.getFutureEvents(events)))
+      .catch((error) => console.error('Could not load bookmarked events:', error));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [bookmarks, authenticated]);
+
+  const handleChangeDay = (newDay) => {
+    if (isoDatePattern.test(newDay)) {
+      props.history.push(newDay === today ? props.location.pathname : `?date=${newDay}`);
+    }
+  };
+
+  let content;
+
+  if (items === null) {
+    content = <GordonLoader />;
+  } else if (items.length > 0) {
+    content = (
+      <List aria-label="Agenda">
+        {items.map((item) => {
+          const { label, Icon } = itemKinds[item.kind];
+          const linkProps = item.link ? { button: true, component: RouterLink, to: item.link } : {};
+
+          return (
+            <ListItem key={item.id} divider {...linkProps}>
+              <ListItemIcon>
+                <Icon color={item.kind === 'bookmark' ? 'secondary' : 'action'} />
+              </ListItemIcon>
+              <ListItemText
+                primary={item.title}
+                secondary={[formatItemTime(item), item.location].filter(Boolean).join(' · ')}
+              />
+              <Chip size="small" variant="outlined" label={label} />
+            </ListItem>
+          );
+        })}
+      </List>
+    );
+  } else {
+    content = (
+      <Typography align="center" gutterBottom>
+        Nothing is planned for this day
+      </Typography>
+    );
+  }
+
+  return (
+    <Grid container justifyContent="center" spacing={2}>
+      <Grid item xs={12} md={10} lg={8}>
+        <Card>
+          <CardHeader
+            title="My Events"
+            titleTypographyProps={{ component: 'h2' }}
+            subheader={datetime.format(`${day}T12:00`, {
+              weekday: 'long',
+              month: 'long',
+              day: 'numeric',
+              year: 'numeric',
+            })}
+          />
+          <CardContent>
+            <Grid container spacing={1} alignItems="center">
+              <Grid item>
+                <IconButton
+                  aria-label="Previous day"
+                  onClick={() => handleChangeDay(shiftDay(day, -1))}
+                >
+                  <ChevronLeftIcon />
+                </IconButton>
+              </Grid>
+              <Grid item>
+                <TextField
+                  id="my-events-day"
+                  label="Day"
+                  type="date"
+                  variant="filled"
+                  size="small"
+                  InputLabelProps={{ shrink: true }}
+                  value={day}
+                  onChange={(event) => handleChangeDay(event.target.value)}
+                />
+              </Grid>
+              <Grid item>
+                <IconButton aria-label="Next day" onClick={() => handleChangeDay(shiftDay(day, 1))}>
+                  <ChevronRightIcon />
+                </IconButton>
+              </Grid>
+              <Grid item>
+                <Button
+                  variant="outlined"
+                  disabled={day === today}
+                  onClick={() => handleChangeDay(today)}
+                >
+                  Today
+                </Button>
+              </Grid>
+            </Grid>
+            {content}
+            {!authenticated && (
+              <Typography variant="body2" color="textSecondary">
+                Log in to also see your classes, personal schedule and the chapel events you
+                attended.
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={10} lg={8}>
+        <Typography variant="h6" component="h2" gutterBottom>
+          Upcoming Bookmarks
+        </Typography>
+        {upcomingBookmarks.length > 0 ? (
+          <EventList events={upcomingBookmarks} />
+        ) : (
+          <Typography gutterBottom>
+            Bookmark events with their star to add them to your agenda.{' '}
+            <Button component={RouterLink} to="/events" color="primary">
+              Browse Events
+            </Button>
+          </Typography>
+        )}
+      </Grid>
+    </Grid>
+  );
+};
+
+export default MyEvents;
@@ -1,35 +1,12 @@
-import React, { useState, useEffect } from 'react';
-import GordonUnauthorized from 'components/GordonUnauthorized';
+import React from 'react';
 import GordonLoader from 'components/Loader';
-import user from 'services/user';
+import useAuth from 'hooks/useAuth';
 import Profile from 'components/Profile';
 
-const MyProfile = ({ authentication }) => {
-  const [loading, setLoading] = useState(true);
-  const [profile, setProfile] = useState(null);
+const MyProfile = () => {
+  const { loading, profile } = useAuth();
 
-  useEffect(() => {
-    async function loadProfile() {
-      setLoading(true);
-      try {
-        setProfile(await user.getProfileInfo());
-        setLoading(false);
-      } catch (error) {
-        // Do Nothing
-      }
-    }
-
-    if (authentication) {
-      loadProfile();
-    } else {
-      setProfile(null);
-    }
-  }, [authentication]);
-
-  if (authentication) {
-    return loading ? <GordonLoader /> : <Profile profile={profile} myProf />;
-  }
-  return <GordonUnauthorized feature={'your profile'} />;
+  return loading || !profile ? <GordonLoader /> : <Profile profile={profile} myProf />;
 };
 
 export default MyProfile;
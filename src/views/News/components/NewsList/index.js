@@ -1,7 +1,7 @@
 import PropTypes from 'prop-types';
 import { React, useEffect, useState } from 'react';
 import NewsItem from '../NewsItem';
-import { gordonColors } from 'theme';
+import { useTheme } from '@material-ui/core/styles';
 import styles from './NewsList.module.css';
 import { Grid, Typography, Card, List } from '@material-ui/core';
 
@@ -10,13 +10,7 @@ import { Grid, Typography, Card, List } from '@material-ui/core';
 
 const BREAKPOINT_WIDTH = 540;
 
-const headerStyle = {
-  backgroundColor: gordonColors.primary.blue,
-  color: '#FFF',
-  padding: '10px',
-};
-
-const singleHeader = (
+const singleHeader = (headerStyle) => (
   <div style={headerStyle}>
     <Grid container direction="row">
       <Grid item xs={12}>
@@ -28,7 +22,7 @@ const singleHeader = (
   </div>
 );
 
-const fullHeader = (
+const fullHeader = (headerStyle) => (
   <Grid container direction="row" style={headerStyle}>
     <Grid item xs={2}>
       <Typography variant="body1" style={headerStyle}>
@@ -60,6 +54,12 @@ const NewsList = ({
   handleNewsItemEdit,
   handleNewsItemDelete,
 }) => {
+  const theme = useTheme();
+  const headerStyle = {
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
+    padding: '10px',
+  };
   const [width, setWidth] = useState(window.innerWidth);
 
   useEffect(() => {
@@ -74,7 +74,7 @@ const NewsList = ({
 
   return news.length > 0 || personalUnapprovedNews.length > 0 ? (
     <Card>
-      {width < BREAKPOINT_WIDTH ? singleHeader : fullHeader}
+      {width < BREAKPOINT_WIDTH ? singleHeader(headerStyle) : fullHeader(headerStyle)}
       <Grid>
         <List className={styles.news_list} disablePadding>
           {personalUnapprovedNews.length > 0 &&
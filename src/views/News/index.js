@@ -1,17 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import PostAddIcon from '@material-ui/icons/PostAdd';
 import newsService from 'services/news';
-import userService from 'services/user';
 import NewsList from './components/NewsList';
 import GordonLoader from 'components/Loader';
 import GordonSnackbar from 'components/Snackbar';
-import GordonUnauthorized from 'components/GordonUnauthorized';
-import GordonOffline from 'components/GordonOffline';
 import Dropzone from 'react-dropzone';
 import Cropper from 'react-cropper';
 import { isMobile } from 'react-device-detect';
 import 'cropperjs/dist/cropper.css';
-import { gordonColors } from 'theme';
 import {
   Grid,
   TextField,
@@ -24,19 +20,20 @@ import {
   DialogContentText,
   MenuItem,
 } from '@material-ui/core';
-import useNetworkStatus from 'hooks/useNetworkStatus';
+import { useTheme } from '@material-ui/core/styles';
+import useAuth from 'hooks/useAuth';
 import GordonDialogBox from 'components/GordonDialogBox';
 
 const CROP_DIM = 200; // Width of cropped image canvas
 
-const styles2 = {
+const styles2 = (theme) => ({
   button: {
-    background: gordonColors.primary.blue,
-    color: 'white',
+    background: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
 
     changeImageButton: {
-      background: gordonColors.primary.blue,
-      color: 'white',
+      background: theme.palette.primary.main,
+      color: theme.palette.primary.contrastText,
     },
 
     resetButton: {
@@ -44,9 +41,9 @@ const styles2 = {
       color: 'white',
     },
     cancelButton: {
-      backgroundColor: 'white',
-      color: gordonColors.primary.blue,
-      border: `1px solid ${gordonColors.primary.blue}`,
+      backgroundColor: theme.palette.background.paper,
+      color: theme.palette.primary.main,
+      border: `1px solid ${theme.palette.primary.main}`,
       width: '38%',
     },
     hidden: {
@@ -68,9 +65,11 @@ const styles2 = {
     position: 'fixed',
     zIndex: 1,
   },
-};
+});
 
-const StudentNews = (props) => {
+const StudentNews = () => {
+  const theme = useTheme();
+  const style = styles2(theme);
   const [search, setSearch] = useState('');
   const [openPostActivity, setOpenPostActivity] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -78,7 +77,7 @@ const StudentNews = (props) => {
   const [news, setNews] = useState([]);
   const [personalUnapprovedNews, setPersonalUnapprovedNews] = useState([]);
   //const [filteredNews, setFilteredNews] = useState([]);
-  const isOnline = useNetworkStatus();
+  const { profile } = useAuth();
   const [newPostCategory, setNewPostCategory] = useState('');
   const [newPostSubject, setNewPostSubject] = useState('');
   const [newPostBody, setNewPostBody] = useState('');
@@ -87,40 +86,25 @@ const StudentNews = (props) => {
   const [photoDialogError, setPhotoDialogError] = useState(null);
   const [aspectRatio, setAspectRatio] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, text: '', severity: '' });
-  const [currentUsername, setCurrentUsername] = useState('');
   const [currentlyEditing, setCurrentlyEditing] = useState(false); // false if not editing, newsID if editing
 
   let cropperRef = React.createRef();
 
   const loadNews = useCallback(async () => {
     setLoading(true);
-    if (props.authentication) {
-      const newsCategories = await newsService.getCategories();
-      const personalUnapprovedNews = await newsService.getPersonalUnapprovedFormatted();
-      const unexpiredNews = await newsService.getNotExpiredFormatted();
-      setLoading(false);
-      setCategories(newsCategories);
-      setNews(unexpiredNews);
-      setPersonalUnapprovedNews(personalUnapprovedNews);
-      //setFilteredNews(unexpiredNews);
-    } else {
-      // TODO: test authentication handling and neaten code (ex. below)
-      // alert("Please sign in to access student news");
-    }
-  }, [props.authentication]);
+    const newsCategories = await newsService.getCategories();
+    const personalUnapprovedNews = await newsService.getPersonalUnapprovedFormatted();
+    const unexpiredNews = await newsService.getNotExpiredFormatted();
+    setLoading(false);
+    setCategories(newsCategories);
+    setNews(unexpiredNews);
+    setPersonalUnapprovedNews(personalUnapprovedNews);
+    //setFilteredNews(unexpiredNews);
+  }, []);
 
   useEffect(() => {
     loadNews();
-  }, [props.authentication, loadNews]);
-
-  useEffect(() => {
-    const loadUsername = async () => {
-      const user = await userService.getProfileInfo();
-      setCurrentUsername(user.AD_Username);
-    };
-
-    loadUsername();
-  }, []);
+  }, [loadNews]);
 
   function handlePostClick() {
     setOpenPostActivity(true);
@@ -173,7 +157,7 @@ const StudentNews = (props) => {
     // If an error occured and there's no currently running timeout, the error is displayed
     // and a timeout for that error message is created
     if (photoDialogError !== null) {
-      message = <span style={{ color: '#B63228' }}>{photoDialogError}</span>;
+      message = <span style={{ color: theme.palette.error.main }}>{photoDialogError}</span>;
       if (photoDialogErrorTimeout === null) {
         // Shows the error message for 6 seconds and then returns back to normal text
         setPhotoDialogErrorTimeout(
@@ -371,229 +355,215 @@ const StudentNews = (props) => {
   //Image isn't here because an image is optional
   let content;
 
-  if (props.authentication) {
-    if (loading === true) {
-      content = <GordonLoader />;
-    } else {
-      content = (
-        <NewsList
-          news={news}
-          personalUnapprovedNews={personalUnapprovedNews}
-          currentUsername={currentUsername}
-          handleNewsItemEdit={handleNewsItemEdit}
-          handleNewsItemDelete={handleNewsItemDelete}
-        />
-      );
-    }
+  if (loading === true) {
+    content = <GordonLoader />;
+  } else {
+    content = (
+      <NewsList
+        news={news}
+        personalUnapprovedNews={personalUnapprovedNews}
+        currentUsername={profile?.AD_Username ?? ''}
+        handleNewsItemEdit={handleNewsItemEdit}
+        handleNewsItemDelete={handleNewsItemDelete}
+      />
+    );
+  }
 
-    let newsJSX;
-
-    // If the user is online
-    if (isOnline) {
-      newsJSX = (
-        <>
-          {/* Button to Create Posting */}
-          <Fab variant="extended" color="primary" onClick={handlePostClick} style={styles2.fab}>
-            <PostAddIcon />
-            Post Listing
-          </Fab>
-
-          <Grid container justify="center">
-            {/* Search */}
-            <Grid item xs={12} md={12} lg={8}>
-              <Grid
-                container
-                alignItems="baseline"
-                justify="center"
-                style={styles2.searchBar}
-                spacing={5}
+  return (
+    <>
+      {/* Button to Create Posting */}
+      <Fab variant="extended" color="primary" onClick={handlePostClick} style={style.fab}>
+        <PostAddIcon />
+        Post Listing
+      </Fab>
+
+      <Grid container justify="center">
+        {/* Search */}
+        <Grid item xs={12} md={12} lg={8}>
+          <Grid
+            container
+            alignItems="baseline"
+            justify="center"
+            style={style.searchBar}
+            spacing={5}
+          >
+            <Grid item xs={10} sm={8} md={8} lg={6}>
+              <TextField
+                id="search"
+                label="Search news"
+                variant="filled"
+                value={search}
+                onChange={(event) => {
+                  setSearch(event.target.value);
+                }}
+                margin="normal"
+                fullWidth
+              />
+            </Grid>
+          </Grid>
+        </Grid>
+
+        {/* NOTE: leaving helper text for now in case
+        that is better than disabling submit button */}
+        {/* Create Posting */}
+        <GordonDialogBox
+          open={openPostActivity}
+          title="Post on Student News"
+          buttonClicked={currentlyEditing ? handleUpdate : handleSubmit}
+          buttonName={currentlyEditing ? 'Update' : 'Submit'}
+          isButtonDisabled={submitButtonDisabled}
+          cancelButtonClicked={handleWindowClose}
+          cancelButtonName="Cancel"
+        >
+          <Grid container>
+            {/* CATEGORY ENTRY */}
+            <Grid item>
+              <TextField
+                select
+                label="Category"
+                name="newPostCategory"
+                variant="filled"
+                value={newPostCategory}
+                onChange={(event) => {
+                  setNewPostCategory(event.target.value);
+                }}
+                // helperText="Please choose a category."
+                style={{ minWidth: '8rem' }}
               >
-                <Grid item xs={10} sm={8} md={8} lg={6}>
-                  <TextField
-                    id="search"
-                    label="Search news"
-                    variant="filled"
-                    value={search}
-                    onChange={(event) => {
-                      setSearch(event.target.value);
-                    }}
-                    margin="normal"
-                    fullWidth
-                  />
-                </Grid>
-              </Grid>
+                {categories.map((category) => (
+                  <MenuItem key={category.categoryID} value={category.categoryID}>
+                    {category.categoryName}
+                  </MenuItem>
+                ))}
+              </TextField>
             </Grid>
 
-            {/* NOTE: leaving helper text for now in case
-            that is better than disabling submit button */}
-            {/* Create Posting */}
-            <GordonDialogBox
-              open={openPostActivity}
-              title="Post on Student News"
-              buttonClicked={currentlyEditing ? handleUpdate : handleSubmit}
-              buttonName={currentlyEditing ? 'Update' : 'Submit'}
-              isButtonDisabled={submitButtonDisabled}
-              cancelButtonClicked={handleWindowClose}
-              cancelButtonName="Cancel"
-            >
-              <Grid container>
-                {/* CATEGORY ENTRY */}
-                <Grid item>
-                  <TextField
-                    select
-                    label="Category"
-                    name="newPostCategory"
-                    variant="filled"
-                    value={newPostCategory}
-                    onChange={(event) => {
-                      setNewPostCategory(event.target.value);
-                    }}
-                    // helperText="Please choose a category."
-                    style={{ minWidth: '8rem' }}
-                  >
-                    {categories.map((category) => (
-                      <MenuItem key={category.categoryID} value={category.categoryID}>
-                        {category.categoryName}
-                      </MenuItem>
-                    ))}
-                  </TextField>
-                </Grid>
-
-                {/* SUBJECT ENTRY */}
-                <Grid item xs={12}>
-                  <TextField
-                    label="Subject"
-                    variant="filled"
-                    margin="dense"
-                    fullWidth
-                    name="newPostSubject"
-                    value={newPostSubject}
-                    onChange={(event) => {
-                      setNewPostSubject(event.target.value);
-                    }}
-                    // helperText="Please enter a subject."
-                  />
-                </Grid>
-
-                {/* BODY ENTRY */}
-                <Grid item xs={12}>
-                  <TextField
-                    variant="filled"
-                    label="Body"
-                    margin="normal"
-                    multiline
-                    fullWidth
-                    rows={4}
-                    name="newPostBody"
-                    value={newPostBody}
-                    onChange={(event) => {
-                      setNewPostBody(event.target.value);
-                    }}
-                    // helperText="Please enter a body."
-                  />
-                </Grid>
-
-                {/* IMAGE ENTRY */}
-                <Grid item xs={12}>
-                  <div className="gc360_photo_dialog_box">
-                    <DialogContent className="gc360_photo_dialog_box_content">
-                      <DialogContentText className="gc360_photo_dialog_box_content_text">
-                        {createPhotoDialogBoxMessage()}
-                      </DialogContentText>
-                      {!cropperImageData && (
-                        <Dropzone
-                          onDropAccepted={onDropAccepted}
-                          onDropRejected={onDropRejected}
-                          accept="image/jpeg, image/jpg, image/png"
-                        >
-                          {({ getRootProps, getInputProps }) => (
-                            <section>
-                              <div
-                                className="gc360_photo_dialog_box_content_dropzone"
-                                {...getRootProps()}
-                              >
-                                <input {...getInputProps()} />
-                              </div>
-                            </section>
-                          )}
-                        </Dropzone>
-                      )}
-                      {cropperImageData && (
-                        <div className="gc360_photo_dialog_box_content_cropper">
-                          <Cropper
-                            ref={cropperRef}
-                            src={cropperImageData}
-                            autoCropArea={1}
-                            viewMode={3}
-                            aspectRatio={aspectRatio}
-                            highlight={false}
-                            background={false}
-                            zoom={onCropperZoom}
-                            zoomable={false}
-                            dragMode={'none'}
-                          />
-                        </div>
-                      )}
-                    </DialogContent>
-                    <DialogActions className="gc360_photo_dialog_box_actions_top">
-                      {cropperImageData && (
-                        <Tooltip
-                          classes={{ tooltip: 'tooltip' }}
-                          id="tooltip-hide"
-                          title="Remove this image from the post"
-                        >
-                          <Button
-                            variant="contained"
-                            onClick={() => {
-                              setCropperImageData(null);
-                            }}
-                            style={styles2.button.cancelButton}
-                            className="gc360_photo_dialog_box_content_button"
+            {/* SUBJECT ENTRY */}
+            <Grid item xs={12}>
+              <TextField
+                label="Subject"
+                variant="filled"
+                margin="dense"
+                fullWidth
+                name="newPostSubject"
+                value={newPostSubject}
+                onChange={(event) => {
+                  setNewPostSubject(event.target.value);
+                }}
+                // helperText="Please enter a subject."
+              />
+            </Grid>
+
+            {/* BODY ENTRY */}
+            <Grid item xs={12}>
+              <TextField
+                variant="filled"
+                label="Body"
+                margin="normal"
+                multiline
+                fullWidth
+                rows={4}
+                name="newPostBody"
+                value={newPostBody}
+                onChange={(event) => {
+                  setNewPostBody(event.target.value);
+                }}
+                // helperText="Please enter a body."
+              />
+            </Grid>
+
+            {/* IMAGE ENTRY */}
+            <Grid item xs={12}>
+              <div className="gc360_photo_dialog_box">
+                <DialogContent className="gc360_photo_dialog_box_content">
+                  <DialogContentText className="gc360_photo_dialog_box_content_text">
+                    {createPhotoDialogBoxMessage()}
+                  </DialogContentText>
+                  {!cropperImageData && (
+                    <Dropzone
+                      onDropAccepted={onDropAccepted}
+                      onDropRejected={onDropRejected}
+                      accept="image/jpeg, image/jpg, image/png"
+                    >
+                      {({ getRootProps, getInputProps }) => (
+                        <section>
+                          <div
+                            className="gc360_photo_dialog_box_content_dropzone"
+                            {...getRootProps()}
                           >
-                            Remove picture
-                          </Button>
-                        </Tooltip>
+                            <input {...getInputProps()} />
+                          </div>
+                        </section>
                       )}
-                    </DialogActions>
-                  </div>
-                </Grid>
-                <Grid item>
-                  {/* SUBMISSION GUIDELINES */}
-                  <Typography variant="caption" color="textSecondary" display="block">
-                    Student News is intended for announcing Gordon sponsored events, lost and found,
-                    rides, etc. All submissions must follow the Student News guidelines and will be
-                    reviewed at the discretion of The Office of Student Life...
-                    <a href="https://gordonedu.sharepoint.com/:b:/g/StudentLife/admin/EY22_o3g6vFEsfT2nYY-8JwB34OlYmA1oaE1f4FTGD2gew">
-                      More Details
-                    </a>
-                  </Typography>
-                </Grid>
-              </Grid>
-            </GordonDialogBox>
-
-            {/* USER FEEDBACK */}
-            <GordonSnackbar
-              {...snackbar}
-              onClose={() => setSnackbar((s) => ({ ...s, open: false }))}
-              anchorOrigin={{ horizontal: 'left', vertical: 'bottom' }}
-            />
-
-            <Grid item xs={12} lg={8} style={{ marginBottom: '7rem' }}>
-              {/* list of news */}
-              {content}
+                    </Dropzone>
+                  )}
+                  {cropperImageData && (
+                    <div className="gc360_photo_dialog_box_content_cropper">
+                      <Cropper
+                        ref={cropperRef}
+                        src={cropperImageData}
+                        autoCropArea={1}
+                        viewMode={3}
+                        aspectRatio={aspectRatio}
+                        highlight={false}
+                        background={false}
+                        zoom={onCropperZoom}
+                        zoomable={false}
+                        dragMode={'none'}
+                      />
+                    </div>
+                  )}
+                </DialogContent>
+                <DialogActions className="gc360_photo_dialog_box_actions_top">
+                  {cropperImageData && (
+                    <Tooltip
+                      classes={{ tooltip: 'tooltip' }}
+                      id="tooltip-hide"
+                      title="Remove this image from the post"
+                    >
+                      <Button
+                        variant="contained"
+                        onClick={() => {
+                          setCropperImageData(null);
+                        }}
+                        style={style.button.cancelButton}
+                        className="gc360_photo_dialog_box_content_button"
+                      >
+                        Remove picture
+                      </Button>
+                    </Tooltip>
+                  )}
+                </DialogActions>
+              </div>
+            </Grid>
+            <Grid item>
+              {/* SUBMISSION GUIDELINES */}
+              <Typography variant="caption" color="textSecondary" display="block">
+                Student News is intended for announcing Gordon sponsored events, lost and found,
+                rides, etc. All submissions must follow the Student News guidelines and will be
+                reviewed at the discretion of The Office of Student Life...
+                <a href="https://gordonedu.sharepoint.com/:b:/g/StudentLife/admin/EY22_o3g6vFEsfT2nYY-8JwB34OlYmA1oaE1f4FTGD2gew">
+                  More Details
+                </a>
+              </Typography>
             </Grid>
           </Grid>
-        </>
-      );
-      return newsJSX;
-    }
-    // If the user is offline
-    else {
-      return <GordonOffline feature="Student News" />;
-    }
-  } else {
-    return <GordonUnauthorized feature={'the student news page'} />;
-  }
+        </GordonDialogBox>
+
+        {/* USER FEEDBACK */}
+        <GordonSnackbar
+          {...snackbar}
+          onClose={() => setSnackbar((s) => ({ ...s, open: false }))}
+          anchorOrigin={{ horizontal: 'left', vertical: 'bottom' }}
+        />
+
+        <Grid item xs={12} lg={8} style={{ marginBottom: '7rem' }}>
+          {/* list of news */}
+          {content}
+        </Grid>
+      </Grid>
+    </>
+  );
 };
 
 export default StudentNews;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  FormControlLabel,
+  Grid,
+  List,
+  ListItem,
+  ListItemSecondaryAction,
+  ListItemText,
+  Switch,
+  Typography,
+} from '@material-ui/core';
+import GordonLoader from 'components/Loader';
+import GordonSnackbar from 'components/Snackbar';
+import notifications from 'services/notifications';
+import { useTheme } from '@material-ui/core/styles';
+
+const NotificationSettings = () => {
+  const theme = useTheme();
+  const headerStyle = {
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
+    padding: '10px',
+  };
+  const [loading, setLoading] = useState(true);
+  const [subscribed, setSubscribed] = useState(false);
+  const [preferences, setPreferences] = useState({});
+  const [snackbar, setSnackbar] = useState({ message: '', severity: null, open: false });
+
+  const createSnackbar = (message, severity) => setSnackbar({ message, severity, open: true });
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      setLoading(true);
+      try {
+        const [subscription, savedPreferences] = await Promise.all([
+          notifications.getSubscription(),
+          notifications.getPreferences(),
+        ]);
+        setSubscribed(Boolean(subscription));
+        setPreferences(savedPreferences);
+      } catch (err) {
+        createSnackbar('Your notification settings could not be loaded.', 'error');
+      }
+      setLoading(false);
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSubscribedChange = async (event) => {
+    const shouldSubscribe = event.target.checked;
+    try {
+      if (shouldSubscribe) {
+        await notifications.subscribe();
+      } else {
+        await notifications.unsubscribe();
+      }
+      setSubscribed(shouldSubscribe);
+    } catch (err) {
+      createSnackbar(err.message, 'error');
+    }
+  };
+
+  const handlePreferenceChange = async (category, enabled) => {
+    const previousPreferences = preferences;
+    const newPreferences = { ...preferences, [category]: enabled };
+    setPreferences(newPreferences);
+    try {
+      await notifications.updatePreferences(newPreferences);
+    } catch (err) {
+      setPreferences(previousPreferences);
+      createSnackbar('Your notification settings could not be saved.', 'error');
+    }
+  };
+
+  const handleTest = async (category) => {
+    try {
+      await notifications.sendTestNotification(category);
+      createSnackbar('A test notification is on its way.', 'success');
+    } catch (err) {
+      createSnackbar('The test notification could not be sent.', 'error');
+    }
+  };
+
+  let content;
+  if (loading) {
+    content = <GordonLoader />;
+  } else if (!notifications.isSupported()) {
+    content = (
+      <Typography align="center">This browser does not support push notifications.</Typography>
+    );
+  } else {
+    content = (
+      <>
+        <FormControlLabel
+          control={
+            <Switch checked={subscribed} onChange={handleSubscribedChange} color="primary" />
+          }
+          label="Send notifications to this device"
+        />
+        <List>
+          {notifications.categories.map((category) => (
+            <ListItem key={category.id} disabled={!subscribed}>
+              <ListItemText primary={category.name} secondary={category.description} />
+              <ListItemSecondaryAction>
+                <Button
+                  size="small"
+                  disabled={!subscribed || !preferences[category.id]}
+                  onClick={() => handleTest(category.id)}
+                >
+                  Test
+                </Button>
+                <Switch
+                  edge="end"
+                  color="primary"
+                  disabled={!subscribed}
+                  checked={Boolean(preferences[category.id])}
+                  onChange={(event) => handlePreferenceChange(category.id, event.target.checked)}
+                  inputProps={{ 'aria-label': category.name }}
+                />
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+      </>
+    );
+  }
+
+  return (
+    <Grid container justifyContent="center">
+      <Grid item xs={12} md={8} lg={6}>
+        <Card>
+          <CardHeader title="Notifications" style={headerStyle} />
+          <CardContent>{content}</CardContent>
+        </Card>
+      </Grid>
+      <GordonSnackbar
+        open={snackbar.open}
+        text={snackbar.message}
+        severity={snackbar.severity}
+        onClose={() => setSnackbar((s) => ({ ...s, open: false }))}
+      />
+    </Grid>
+  );
+};
+
+export default NotificationSettings;
@@ -1,6 +1,4 @@
 import React, { Component } from 'react';
-import GordonUnauthorized from 'components/GordonUnauthorized';
-import GordonOffline from 'components/GordonOffline';
 import {
   Button,
   Card,
@@ -39,8 +37,8 @@ import { IconContext } from 'react-icons';
 import HomeIcon from '@material-ui/icons/Home';
 import CityIcon from '@material-ui/icons/LocationCity';
 import goStalk from 'services/goStalk';
+import { AuthContext } from 'contexts/AuthContext';
 import user from 'services/user';
-import { gordonColors } from 'theme';
 import GordonLoader from 'components/Loader';
 import PeopleSearchResult from './components/PeopleSearchResult';
 import ReactToPrint from 'react-to-print';
@@ -66,25 +64,6 @@ const styles2 = {
   CardContent: {
     marginLeft: 8,
   },
-  headerStyle: {
-    backgroundColor: gordonColors.primary.blue,
-    color: '#FFF',
-    padding: '1.5rem 0.75rem',
-  },
-  colorSwitchBase: {
-    color: gordonColors.neutral.lightGray,
-    '&$colorChecked': {
-      color: gordonColors.primary.cyan,
-      '& + $colorBar': {
-        backgroundColor: gordonColors.primary.cyan,
-      },
-    },
-  },
-  colorBar: {},
-  colorChecked: {},
-  icon: {
-    color: gordonColors.neutral.grayShades[900],
-  },
   printPeopleSearchButton: {
     position: 'fixed',
     margin: 0,
@@ -94,6 +73,12 @@ const styles2 = {
   },
 };
 
+const themedStyles = (theme) => ({
+  icon: {
+    color: theme.palette.text.secondary,
+  },
+});
+
 const noResultsCard = (
   <Grid item xs={12} direction="row" justifyContent="center" alignItems="center">
     <Card>
@@ -107,7 +92,7 @@ const noResultsCard = (
 );
 
 const peopleSearchHeaderDesktop = (
-  <div style={styles2.headerStyle}>
+  <div className={styles.people_search_header}>
     <Grid container direction="row" alignItems="center">
       <Grid item xs={5}>
         <Typography variant="body2" style={{ marginLeft: '6rem' }}>
@@ -125,7 +110,7 @@ const peopleSearchHeaderDesktop = (
 );
 
 const peopleSearchHeaderMobile = (
-  <div style={styles2.headerStyle}>
+  <div className={styles.people_search_header}>
     <Grid container direction="row" justifyContent="center">
       <Grid item>
         <Typography variant="body2">RESULTS</Typography>
@@ -143,18 +128,12 @@ const printPeopleSearchButton = (
   </Fab>
 );
 
-const searchPageTitle = (
-  <div align="center">
-    Search the
-    <b style={{ color: gordonColors.primary.cyan }}> Gordon </b>
-    Community
-  </div>
-);
-
 //Configuration constants
 const NUM_NONLAZY_IMAGES = 20; //The number of results for which images will be fetched immediately
 
 class PeopleSearch extends Component {
+  static contextType = AuthContext;
+
   constructor(props) {
     super(props);
 
@@ -199,8 +178,6 @@ class PeopleSearch extends Component {
       resultData: [], //Array of collected data to be created
       header: '',
       searchButtons: '',
-
-      network: 'online',
     };
   }
 
@@ -216,49 +193,46 @@ class PeopleSearch extends Component {
 
   async componentDidMount() {
     // this.setState({ loading: true });
-    if (this.props.authentication) {
-      try {
-        const profile = await user.getProfileInfo();
-        const personType = profile.PersonType;
-        const [majors, minors, halls, states, countries, departments, buildings] =
-          await Promise.all([
-            goStalk.getMajors(),
-            goStalk.getMinors(),
-            goStalk.getHalls(),
-            goStalk.getStates(),
-            goStalk.getCountries(),
-            goStalk.getDepartments(),
-            goStalk.getBuildings(),
-          ]);
+    try {
+      const profile = this.context.profile ?? (await user.getProfileInfo());
+      const personType = profile.PersonType;
+      const [majors, minors, halls, states, countries, departments, buildings] = await Promise.all([
+        goStalk.getMajors(),
+        goStalk.getMinors(),
+        goStalk.getHalls(),
+        goStalk.getStates(),
+        goStalk.getCountries(),
+        goStalk.getDepartments(),
+        goStalk.getBuildings(),
+      ]);
+      this.setState({
+        majors,
+        minors,
+        halls,
+        states,
+        countries,
+        departments,
+        buildings,
+        personType,
+      });
+
+      if (personType.includes('alum')) {
         this.setState({
-          majors,
-          minors,
-          halls,
-          states,
-          countries,
-          departments,
-          buildings,
-          personType,
+          searchValues: {
+            ...this.state.searchValues,
+            includeStudent: false,
+            includeAlumni: true,
+          },
         });
-
-        if (personType.includes('alum')) {
-          this.setState({
-            searchValues: {
-              ...this.state.searchValues,
-              includeStudent: false,
-              includeAlumni: true,
-            },
-          });
-        }
-      } catch (error) {
-        // error
       }
+    } catch (error) {
+      // error
+    }
 
-      if (window.location.href.includes('?')) {
-        this.loadSearchParamsFromURL();
-      } else {
-        this.updateURL();
-      }
+    if (window.location.href.includes('?')) {
+      this.loadSearchParamsFromURL();
+    } else {
+      this.updateURL();
     }
 
     this.setState({ loading: false });
@@ -479,7 +453,14 @@ class PeopleSearch extends Component {
   };
 
   render() {
-    const { classes } = this.props;
+    const { classes, theme } = this.props;
+    const searchPageTitle = (
+      <div align="center">
+        Search the
+        <b style={{ color: theme.palette.secondary.main }}> Gordon </b>
+        Community
+      </div>
+    );
     let PeopleSearchCheckbox;
 
     const printPeopleSearchHeader = (
@@ -539,766 +520,713 @@ class PeopleSearch extends Component {
       </MenuItem>
     ));
 
-    /* Used to re-render the page when the network connection changes.
-     *  this.state.network is compared to the message received to prevent
-     *  multiple re-renders that creates extreme performance lost.
-     *  The origin of the message is checked to prevent cross-site scripting attacks
-     */
-    window.addEventListener('message', (event) => {
-      if (
-        event.data === 'online' &&
-        this.state.network === 'offline' &&
-        event.origin === window.location.origin
-      ) {
-        this.setState({ network: 'online' });
-      } else if (
-        event.data === 'offline' &&
-        this.state.network === 'online' &&
-        event.origin === window.location.origin
-      ) {
-        this.setState({ network: 'offline' });
-      }
-    });
-
-    /* Gets status of current network connection for online/offline rendering
-     *  Defaults to online in case of PWA not being possible
-     */
-    const networkStatus = JSON.parse(localStorage.getItem('network-status')) || 'online';
-
-    if (this.props.authentication) {
-      PeopleSearchCheckbox = (
-        <Grid item xs={12} lg={6} align="center">
-          <Grid container alignItems="center" justifyContent="center">
+    PeopleSearchCheckbox = (
+      <Grid item xs={12} lg={6} align="center">
+        <Grid container alignItems="center" justifyContent="center">
+          <Grid item>
+            <FormLabel component="label">Include: &nbsp;</FormLabel>
+          </Grid>
+          {this.state.loading ? (
             <Grid item>
-              <FormLabel component="label">Include: &nbsp;</FormLabel>
+              <GordonLoader size={20} />
             </Grid>
-            {this.state.loading ? (
-              <Grid item>
-                <GordonLoader size={20} />
-              </Grid>
-            ) : (
-              <Grid item>
-                {this.state.personType && !this.state.personType.includes('alum') ? (
-                  <FormControlLabel
-                    control={
-                      <Checkbox
-                        checked={this.state.searchValues.includeStudent}
-                        onChange={() => {
-                          this.handleChangeIncludeStudent();
-                        }}
-                      />
-                    }
-                    label="Student"
-                  />
-                ) : null}
+          ) : (
+            <Grid item>
+              {this.state.personType && !this.state.personType.includes('alum') ? (
                 <FormControlLabel
                   control={
                     <Checkbox
-                      checked={this.state.searchValues.includeFacStaff}
+                      checked={this.state.searchValues.includeStudent}
                       onChange={() => {
-                        this.handleChangeIncludeFacStaff();
+                        this.handleChangeIncludeStudent();
                       }}
                     />
                   }
-                  label="Faculty/Staff"
+                  label="Student"
                 />
-                {this.state.personType && !this.state.personType.includes('stu') ? (
-                  <FormControlLabel
-                    control={
-                      <Checkbox
-                        checked={this.state.searchValues.includeAlumni}
-                        onChange={() => {
-                          this.handleChangeIncludeAlumni();
-                        }}
-                      />
-                    }
-                    label="Alumni"
+              ) : null}
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={this.state.searchValues.includeFacStaff}
+                    onChange={() => {
+                      this.handleChangeIncludeFacStaff();
+                    }}
                   />
-                ) : null}
+                }
+                label="Faculty/Staff"
+              />
+              {this.state.personType && !this.state.personType.includes('stu') ? (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={this.state.searchValues.includeAlumni}
+                      onChange={() => {
+                        this.handleChangeIncludeAlumni();
+                      }}
+                    />
+                  }
+                  label="Alumni"
+                />
+              ) : null}
+            </Grid>
+          )}
+        </Grid>
+      </Grid>
+    );
+
+    // April Fools
+    let aprilFools = '';
+    const todaysDate = new Date();
+    if (todaysDate.getMonth() === 3 && todaysDate.getDate() === 1) {
+      aprilFools = (
+        <Grid container spacing={2} alignItems="center">
+          <Media
+            query="(min-width: 600px)"
+            render={() => (
+              <Grid item style={{ marginBottom: '-4px' }}>
+                <FaHeart style={styles2.FontAwesome} className={classes.icon} />
               </Grid>
             )}
+          />
+          <Grid item xs>
+            <FormControl fullWidth>
+              <InputLabel>Relationship Status</InputLabel>
+              <Select
+                value={this.state.relationshipStatusValue}
+                onChange={this.handleRelationshipStatusInputChange}
+                input={<Input id="relationship-status" />}
+              >
+                <MenuItem label="All" value="">
+                  <em>All</em>
+                </MenuItem>
+                <MenuItem label="Single" value="Single">
+                  Single
+                </MenuItem>
+                <MenuItem label="Taken" value="Taken">
+                  Taken
+                </MenuItem>
+                <MenuItem label="Engaged" value="Engaged">
+                  Engaged
+                </MenuItem>
+                <MenuItem label="Married" value="Married">
+                  Married
+                </MenuItem>
+                <MenuItem label="At DTR Bench Right NOW" value="At DTR Bench Right NOW">
+                  At DTR Bench Right NOW
+                </MenuItem>
+                <MenuItem label="1st DTR" value="1st DTR">
+                  1st DTR
+                </MenuItem>
+                <MenuItem label="2nd DTR" value="2nd DTR">
+                  2nd DTR
+                </MenuItem>
+                <MenuItem label="Sat Together At Chapel" value="Sat Together At Chapel">
+                  Sat Together At Chapel
+                </MenuItem>
+                <MenuItem
+                  label='"Jesus Is My Significant Other"'
+                  value='"Jesus Is My Significant Other"'
+                >
+                  "Jesus Is My Significant Other"
+                </MenuItem>
+                <MenuItem label="Waiting For Her Boaz" value="Waiting For Her Boaz">
+                  Waiting For Her Boaz
+                </MenuItem>
+                <MenuItem
+                  label="Waiting For His Proverbs 31 Woman"
+                  value="Waiting For His Proverbs 31 Woman"
+                >
+                  Waiting For His Proverbs 31 Woman
+                </MenuItem>
+                <MenuItem label="It's Complicated" value="It's Complicated">
+                  It's Complicated
+                </MenuItem>
+              </Select>
+            </FormControl>
           </Grid>
         </Grid>
       );
+    }
 
-      // April Fools
-      let aprilFools = '';
-      const todaysDate = new Date();
-      if (todaysDate.getMonth() === 3 && todaysDate.getDate() === 1) {
-        aprilFools = (
-          <Grid container spacing={2} alignItems="center">
-            <Media
-              query="(min-width: 600px)"
-              render={() => (
-                <Grid item style={{ marginBottom: '-4px' }}>
-                  <FaHeart style={styles2.FontAwesome} className={classes.icon} />
-                </Grid>
-              )}
-            />
-            <Grid item xs>
-              <FormControl fullWidth>
-                <InputLabel>Relationship Status</InputLabel>
-                <Select
-                  value={this.state.relationshipStatusValue}
-                  onChange={this.handleRelationshipStatusInputChange}
-                  input={<Input id="relationship-status" />}
-                >
-                  <MenuItem label="All" value="">
-                    <em>All</em>
-                  </MenuItem>
-                  <MenuItem label="Single" value="Single">
-                    Single
-                  </MenuItem>
-                  <MenuItem label="Taken" value="Taken">
-                    Taken
-                  </MenuItem>
-                  <MenuItem label="Engaged" value="Engaged">
-                    Engaged
-                  </MenuItem>
-                  <MenuItem label="Married" value="Married">
-                    Married
-                  </MenuItem>
-                  <MenuItem label="At DTR Bench Right NOW" value="At DTR Bench Right NOW">
-                    At DTR Bench Right NOW
-                  </MenuItem>
-                  <MenuItem label="1st DTR" value="1st DTR">
-                    1st DTR
-                  </MenuItem>
-                  <MenuItem label="2nd DTR" value="2nd DTR">
-                    2nd DTR
-                  </MenuItem>
-                  <MenuItem label="Sat Together At Chapel" value="Sat Together At Chapel">
-                    Sat Together At Chapel
-                  </MenuItem>
-                  <MenuItem
-                    label='"Jesus Is My Significant Other"'
-                    value='"Jesus Is My Significant Other"'
-                  >
-                    "Jesus Is My Significant Other"
-                  </MenuItem>
-                  <MenuItem label="Waiting For Her Boaz" value="Waiting For Her Boaz">
-                    Waiting For Her Boaz
-                  </MenuItem>
-                  <MenuItem
-                    label="Waiting For His Proverbs 31 Woman"
-                    value="Waiting For His Proverbs 31 Woman"
-                  >
-                    Waiting For His Proverbs 31 Woman
-                  </MenuItem>
-                  <MenuItem label="It's Complicated" value="It's Complicated">
-                    It's Complicated
-                  </MenuItem>
-                </Select>
-              </FormControl>
-            </Grid>
-          </Grid>
-        );
-      }
-
-      // Creates the PeopleSearch page depending on the status of the network found in local storage
-      let PeopleSearch;
-
-      if (networkStatus === 'online') {
-        PeopleSearch = (
-          <Grid container justifyContent="center" spacing={6}>
-            <Grid item xs={12} lg={10} xl={8}>
-              <Card style={{ padding: '0 3vw' }}>
-                <CardContent>
-                  <CardHeader title={searchPageTitle} />
+    return (
+      <Grid container justifyContent="center" spacing={6}>
+        <Grid item xs={12} lg={10} xl={8}>
+          <Card style={{ padding: '0 3vw' }}>
+            <CardContent>
+              <CardHeader title={searchPageTitle} />
 
-                  {/* Search Section 1: General Info */}
-                  <Grid container spacing={2} direction="row">
-                    {/* First Name */}
-                    <Grid item xs={12} sm={6}>
-                      <Grid container spacing={2} alignItems="center">
-                        <Media
-                          query="(min-width: 600px)"
-                          render={() => (
-                            <Grid item align="center" style={{ marginBottom: '-4px' }}>
-                              <PersonIcon className={classes.icon} />
-                            </Grid>
-                          )}
-                        />
-                        <Grid item xs>
-                          <TextField
-                            id="first-name"
-                            label="First Name"
-                            type="search"
-                            fullWidth
-                            value={this.state.searchValues.firstName}
-                            onChange={this.handleFirstNameInputChange}
-                            onKeyDown={this.handleEnterKeyPress}
-                            variant="filled"
-                          />
-                        </Grid>
-                      </Grid>
-                    </Grid>
-                    {/* Last Name */}
-                    <Grid item xs={12} sm={6}>
-                      <Grid container spacing={2} alignItems="center">
-                        <Grid item xs>
-                          <TextField
-                            id="last-name"
-                            label="Last Name"
-                            type="search"
-                            fullWidth
-                            value={this.state.searchValues.lastName}
-                            onChange={this.handleLastNameInputChange}
-                            onKeyDown={this.handleEnterKeyPress}
-                            variant="filled"
-                          />
-                        </Grid>
-                      </Grid>
-                    </Grid>
-                    {/* Hall */}
-                    <Grid item xs={12}>
-                      <Grid container spacing={2} alignItems="center">
-                        <Media
-                          query="(min-width: 600px)"
-                          render={() => (
-                            <Grid item style={{ marginBottom: '-4px' }}>
-                              <FaBuilding style={styles2.FontAwesome} className={classes.icon} />
-                            </Grid>
-                          )}
-                        />
-                        <Grid item xs>
-                          <FormControl variant="filled" fullWidth>
-                            <InputLabel id="residence-hall">Residence Hall</InputLabel>
-                            <Select
-                              labelId="residence-hall"
-                              id="residence-hall"
-                              value={this.state.searchValues.hall}
-                              onChange={this.handleHallInputChange}
-                            >
-                              <MenuItem label="All Halls" value="">
-                                <em>All Halls</em>
-                              </MenuItem>
-                              {hallOptions}
-                            </Select>
-                          </FormControl>
+              {/* Search Section 1: General Info */}
+              <Grid container spacing={2} direction="row">
+                {/* First Name */}
+                <Grid item xs={12} sm={6}>
+                  <Grid container spacing={2} alignItems="center">
+                    <Media
+                      query="(min-width: 600px)"
+                      render={() => (
+                        <Grid item align="center" style={{ marginBottom: '-4px' }}>
+                          <PersonIcon className={classes.icon} />
                         </Grid>
-                      </Grid>
+                      )}
+                    />
+                    <Grid item xs>
+                      <TextField
+                        id="first-name"
+                        label="First Name"
+                        type="search"
+                        fullWidth
+                        value={this.state.searchValues.firstName}
+                        onChange={this.handleFirstNameInputChange}
+                        onKeyDown={this.handleEnterKeyPress}
+                        variant="filled"
+                      />
                     </Grid>
-                    {/* Formatted similar to 'Hall' dropdown */}
-                    <Grid item xs={12}>
-                      {aprilFools}
+                  </Grid>
+                </Grid>
+                {/* Last Name */}
+                <Grid item xs={12} sm={6}>
+                  <Grid container spacing={2} alignItems="center">
+                    <Grid item xs>
+                      <TextField
+                        id="last-name"
+                        label="Last Name"
+                        type="search"
+                        fullWidth
+                        value={this.state.searchValues.lastName}
+                        onChange={this.handleLastNameInputChange}
+                        onKeyDown={this.handleEnterKeyPress}
+                        variant="filled"
+                      />
                     </Grid>
-                    {PeopleSearchCheckbox}
+                  </Grid>
+                </Grid>
+                {/* Hall */}
+                <Grid item xs={12}>
+                  <Grid container spacing={2} alignItems="center">
                     <Media
-                      query="(min-width: 960px)"
+                      query="(min-width: 600px)"
                       render={() => (
-                        <Grid item xs={12} lg={6} align="center">
-                          <FormControlLabel
-                            control={
-                              <Switch
-                                checked={this.state.displayLargeImage}
-                                onChange={() => {
-                                  this.handleChangeDisplayLargeImages();
-                                }}
-                              />
-                            }
-                            label="Display Large Images"
-                          />
+                        <Grid item style={{ marginBottom: '-4px' }}>
+                          <FaBuilding style={styles2.FontAwesome} className={classes.icon} />
                         </Grid>
                       )}
                     />
+                    <Grid item xs>
+                      <FormControl variant="filled" fullWidth>
+                        <InputLabel id="residence-hall-label">Residence Hall</InputLabel>
+                        <Select
+                          labelId="residence-hall-label"
+                          id="residence-hall"
+                          value={this.state.searchValues.hall}
+                          onChange={this.handleHallInputChange}
+                        >
+                          <MenuItem label="All Halls" value="">
+                            <em>All Halls</em>
+                          </MenuItem>
+                          {hallOptions}
+                        </Select>
+                      </FormControl>
+                    </Grid>
                   </Grid>
-
-                  <br />
-                  {/* Advanced Filtering */}
-                  <Grid
-                    container
-                    spacing={2}
-                    justifyContent="center"
-                    alignItems="center"
-                    style={{ padding: '8px' }}
-                  >
-                    <Grid item>
-                      <Button
-                        color="primary"
-                        backgroundColor="#ffffff"
-                        style={
-                          this.state.searchValues.major !== '' ||
-                          this.state.searchValues.minor !== '' ||
-                          this.state.searchValues.classType !== '' ||
-                          this.state.searchValues.homeCity !== '' ||
-                          this.state.searchValues.state !== '' ||
-                          this.state.searchValues.country !== '' ||
-                          this.state.searchValues.department !== '' ||
-                          this.state.searchValues.building !== ''
-                            ? {
-                                backgroundColor: gordonColors.primary.cyan,
-                                color: '#ffffff',
-                              }
-                            : {}
+                </Grid>
+                {/* Formatted similar to 'Hall' dropdown */}
+                <Grid item xs={12}>
+                  {aprilFools}
+                </Grid>
+                {PeopleSearchCheckbox}
+                <Media
+                  query="(min-width: 960px)"
+                  render={() => (
+                    <Grid item xs={12} lg={6} align="center">
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={this.state.displayLargeImage}
+                            onChange={() => {
+                              this.handleChangeDisplayLargeImages();
+                            }}
+                          />
                         }
-                        variant={this.state.advancedSearchExpanded ? 'contained' : 'outlined'}
-                        onClick={this.handleAdvancedSearchExpandClick}
-                      >
-                        <AddIcon fontSize="inherit" />
-                        Advanced Search
-                      </Button>
+                        label="Display Large Images"
+                      />
                     </Grid>
-                  </Grid>
+                  )}
+                />
+              </Grid>
 
-                  {/* Expandable search filters */}
-                  {/* Advanced Search Filters: Student/Alumni */}
-                  <Grid container spacing={2} direction="row">
-                    <Grid item xs={12} sm={4} variant="filled">
-                      <Collapse
-                        in={this.state.advancedSearchExpanded}
-                        timeout="auto"
-                        unmountOnExit
-                        style={styles2.CardContent}
-                      >
-                        <br />
-                        <Grid>
-                          <Typography align="center" gutterBottom>
-                            <InputLabel
-                              style={{
+              <br />
+              {/* Advanced Filtering */}
+              <Grid
+                container
+                spacing={2}
+                justifyContent="center"
+                alignItems="center"
+                style={{ padding: '8px' }}
+              >
+                <Grid item>
+                  <Button
+                    color="primary"
+                    backgroundColor="#ffffff"
+                    style={
+                      this.state.searchValues.major !== '' ||
+                      this.state.searchValues.minor !== '' ||
+                      this.state.searchValues.classType !== '' ||
+                      this.state.searchValues.homeCity !== '' ||
+                      this.state.searchValues.state !== '' ||
+                      this.state.searchValues.country !== '' ||
+                      this.state.searchValues.department !== '' ||
+                      this.state.searchValues.building !== ''
+                        ? {
+                            backgroundColor: theme.palette.secondary.main,
+                            color: theme.palette.common.white,
+                          }
+                        : {}
+                    }
+                    variant={this.state.advancedSearchExpanded ? 'contained' : 'outlined'}
+                    onClick={this.handleAdvancedSearchExpandClick}
+                  >
+                    <AddIcon fontSize="inherit" />
+                    Advanced Search
+                  </Button>
+                </Grid>
+              </Grid>
+
+              {/* Expandable search filters */}
+              {/* Advanced Search Filters: Student/Alumni */}
+              <Grid container spacing={2} direction="row">
+                <Grid item xs={12} sm={4} variant="filled">
+                  <Collapse
+                    in={this.state.advancedSearchExpanded}
+                    timeout="auto"
+                    unmountOnExit
+                    style={styles2.CardContent}
+                  >
+                    <br />
+                    <Grid>
+                      <Typography align="center" gutterBottom>
+                        <InputLabel
+                          style={{
+                            color:
+                              this.state.searchValues.includeStudent ||
+                              this.state.searchValues.includeAlumni
+                                ? theme.palette.primary.main
+                                : theme.palette.text.disabled,
+                          }}
+                        >
+                          {this.state.personType === 'stu' ? 'Student' : 'Student/Alumni'}
+                        </InputLabel>
+                      </Typography>
+                    </Grid>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <IconContext.Provider
+                              value={{
                                 color:
                                   this.state.searchValues.includeStudent ||
                                   this.state.searchValues.includeAlumni
-                                    ? gordonColors.primary.blue
-                                    : gordonColors.neutral.lightGray,
+                                    ? theme.palette.text.secondary
+                                    : theme.palette.text.disabled,
                               }}
                             >
-                              {this.state.personType === 'stu' ? 'Student' : 'Student/Alumni'}
-                            </InputLabel>
-                          </Typography>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <IconContext.Provider
-                                  value={{
-                                    color:
-                                      this.state.searchValues.includeStudent ||
-                                      this.state.searchValues.includeAlumni
-                                        ? gordonColors.neutral.grayShades[900]
-                                        : gordonColors.neutral.lightGray,
-                                  }}
-                                >
-                                  <FaBook style={styles2.FontAwesome} className={classes.icon} />
-                                </IconContext.Provider>
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl
-                              variant="filled"
-                              fullWidth
-                              className={
-                                this.state.searchValues.includeStudent ||
-                                this.state.searchValues.includeAlumni
-                                  ? null
-                                  : styles.disabled
-                              }
-                              disabled={
-                                !this.state.searchValues.includeAlumni &&
-                                !this.state.searchValues.includeStudent
-                              }
-                            >
-                              <InputLabel id="major">Major</InputLabel>
-                              <Select
-                                labelId="major"
-                                id="major"
-                                value={this.state.searchValues.major}
-                                onChange={this.handleMajorInputChange}
-                              >
-                                <MenuItem label="All Majors" value="">
-                                  <em>All Majors</em>
-                                </MenuItem>
-                                {majorOptions}
-                              </Select>
-                            </FormControl>
+                              <FaBook style={styles2.FontAwesome} className={classes.icon} />
+                            </IconContext.Provider>
                           </Grid>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <IconContext.Provider
-                                  value={{
-                                    color: this.state.searchValues.includeStudent
-                                      ? gordonColors.neutral.grayShades[900]
-                                      : gordonColors.neutral.lightGray,
-                                  }}
-                                >
-                                  <FaBook style={styles2.FontAwesome} className={classes.icon} />
-                                </IconContext.Provider>
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl
-                              variant="filled"
-                              fullWidth
-                              className={this.state.searchValues.includeStudent ? null : 'disabled'}
-                              disabled={!this.state.searchValues.includeStudent}
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl
+                          variant="filled"
+                          fullWidth
+                          className={
+                            this.state.searchValues.includeStudent ||
+                            this.state.searchValues.includeAlumni
+                              ? null
+                              : styles.disabled
+                          }
+                          disabled={
+                            !this.state.searchValues.includeAlumni &&
+                            !this.state.searchValues.includeStudent
+                          }
+                        >
+                          <InputLabel id="major-label">Major</InputLabel>
+                          <Select
+                            labelId="major-label"
+                            id="major"
+                            value={this.state.searchValues.major}
+                            onChange={this.handleMajorInputChange}
+                          >
+                            <MenuItem label="All Majors" value="">
+                              <em>All Majors</em>
+                            </MenuItem>
+                            {majorOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </Grid>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <IconContext.Provider
+                              value={{
+                                color: this.state.searchValues.includeStudent
+                                  ? theme.palette.text.secondary
+                                  : theme.palette.text.disabled,
+                              }}
                             >
-                              <InputLabel id="minor">Minor</InputLabel>
-                              <Select
-                                labelId="minor"
-                                id="minor"
-                                value={this.state.searchValues.minor}
-                                onChange={this.handleMinorInputChange}
-                              >
-                                <MenuItem label="All Minors" value="">
-                                  <em>All Minors</em>
-                                </MenuItem>
-                                {minorOptions}
-                              </Select>
-                            </FormControl>
+                              <FaBook style={styles2.FontAwesome} className={classes.icon} />
+                            </IconContext.Provider>
                           </Grid>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <IconContext.Provider
-                                  value={{
-                                    color: this.state.searchValues.includeStudent
-                                      ? gordonColors.neutral.grayShades[900]
-                                      : gordonColors.neutral.lightGray,
-                                  }}
-                                >
-                                  <FaSchool style={styles2.FontAwesome} className={classes.icon} />
-                                </IconContext.Provider>
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl
-                              variant="filled"
-                              fullWidth
-                              className={this.state.searchValues.includeStudent ? null : 'disabled'}
-                              disabled={!this.state.searchValues.includeStudent}
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl
+                          variant="filled"
+                          fullWidth
+                          className={this.state.searchValues.includeStudent ? null : 'disabled'}
+                          disabled={!this.state.searchValues.includeStudent}
+                        >
+                          <InputLabel id="minor-label">Minor</InputLabel>
+                          <Select
+                            labelId="minor-label"
+                            id="minor"
+                            value={this.state.searchValues.minor}
+                            onChange={this.handleMinorInputChange}
+                          >
+                            <MenuItem label="All Minors" value="">
+                              <em>All Minors</em>
+                            </MenuItem>
+                            {minorOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </Grid>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <IconContext.Provider
+                              value={{
+                                color: this.state.searchValues.includeStudent
+                                  ? theme.palette.text.secondary
+                                  : theme.palette.text.disabled,
+                              }}
                             >
-                              <InputLabel id="class">Class</InputLabel>
-                              <Select
-                                labelId="class"
-                                id="class"
-                                value={this.state.searchValues.classType}
-                                onChange={this.handleClassTypeInputChange}
-                              >
-                                <MenuItem label="All Classes" value="">
-                                  <em>All</em>
-                                </MenuItem>
-                                <MenuItem value={1}>First Year</MenuItem>
-                                <MenuItem value={2}>Sophomore</MenuItem>
-                                <MenuItem value={3}>Junior</MenuItem>
-                                <MenuItem value={4}>Senior</MenuItem>
-                                <MenuItem value={5}>Graduate Student</MenuItem>
-                                <MenuItem value={6}>Undergraduate Conferred</MenuItem>
-                                <MenuItem value={7}>Graduate Conferred</MenuItem>
-                                <MenuItem value={0}>Unassigned</MenuItem>
-                              </Select>
-                            </FormControl>
+                              <FaSchool style={styles2.FontAwesome} className={classes.icon} />
+                            </IconContext.Provider>
                           </Grid>
-                        </Grid>
-                      </Collapse>
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl
+                          variant="filled"
+                          fullWidth
+                          className={this.state.searchValues.includeStudent ? null : 'disabled'}
+                          disabled={!this.state.searchValues.includeStudent}
+                        >
+                          <InputLabel id="class-label">Class</InputLabel>
+                          <Select
+                            labelId="class-label"
+                            id="class"
+                            value={this.state.searchValues.classType}
+                            onChange={this.handleClassTypeInputChange}
+                          >
+                            <MenuItem label="All Classes" value="">
+                              <em>All</em>
+                            </MenuItem>
+                            <MenuItem value={1}>First Year</MenuItem>
+                            <MenuItem value={2}>Sophomore</MenuItem>
+                            <MenuItem value={3}>Junior</MenuItem>
+                            <MenuItem value={4}>Senior</MenuItem>
+                            <MenuItem value={5}>Graduate Student</MenuItem>
+                            <MenuItem value={6}>Undergraduate Conferred</MenuItem>
+                            <MenuItem value={7}>Graduate Conferred</MenuItem>
+                            <MenuItem value={0}>Unassigned</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </Grid>
                     </Grid>
+                  </Collapse>
+                </Grid>
 
-                    {/* Advanced Search Filters: Faculty/Staff */}
-                    <Grid item xs={12} sm={4} variant="h4">
-                      <Collapse
-                        in={this.state.advancedSearchExpanded}
-                        timeout="auto"
-                        unmountOnExit
-                        style={styles2.CardContent}
+                {/* Advanced Search Filters: Faculty/Staff */}
+                <Grid item xs={12} sm={4} variant="h4">
+                  <Collapse
+                    in={this.state.advancedSearchExpanded}
+                    timeout="auto"
+                    unmountOnExit
+                    style={styles2.CardContent}
+                  >
+                    <br />
+                    <Typography align="center" gutterBottom>
+                      <InputLabel
+                        style={{
+                          color: this.state.searchValues.includeFacStaff
+                            ? theme.palette.primary.main
+                            : theme.palette.text.disabled,
+                        }}
                       >
-                        <br />
-                        <Typography align="center" gutterBottom>
-                          <InputLabel
-                            style={{
-                              color: this.state.searchValues.includeFacStaff
-                                ? gordonColors.primary.blue
-                                : gordonColors.neutral.lightGray,
-                            }}
-                          >
-                            Faculty/Staff
-                          </InputLabel>
-                        </Typography>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <IconContext.Provider
-                                  value={{
-                                    color: this.state.searchValues.includeFacStaff
-                                      ? gordonColors.neutral.grayShades[900]
-                                      : gordonColors.neutral.lightGray,
-                                  }}
-                                >
-                                  <FaBriefcase
-                                    style={styles2.FontAwesome}
-                                    className={classes.icon}
-                                  />
-                                </IconContext.Provider>
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl
-                              variant="filled"
-                              fullWidth
-                              className={
-                                this.state.searchValues.includeFacStaff ? null : styles.disabled
-                              }
-                              disabled={!this.state.searchValues.includeFacStaff}
+                        Faculty/Staff
+                      </InputLabel>
+                    </Typography>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <IconContext.Provider
+                              value={{
+                                color: this.state.searchValues.includeFacStaff
+                                  ? theme.palette.text.secondary
+                                  : theme.palette.text.disabled,
+                              }}
                             >
-                              <InputLabel id="department-type">Dept.</InputLabel>
-                              <Select
-                                labelId="department-type"
-                                id="department-type"
-                                value={this.state.searchValues.department}
-                                onChange={this.handleDepartmentInputChange}
-                              >
-                                <MenuItem label="All Departments" value="">
-                                  <em>All</em>
-                                </MenuItem>
-                                {departmentOptions}
-                              </Select>
-                            </FormControl>
+                              <FaBriefcase style={styles2.FontAwesome} className={classes.icon} />
+                            </IconContext.Provider>
                           </Grid>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <IconContext.Provider
-                                  value={{
-                                    color: this.state.searchValues.includeFacStaff
-                                      ? gordonColors.neutral.grayShades[900]
-                                      : gordonColors.neutral.lightGray,
-                                  }}
-                                >
-                                  <FaBuilding
-                                    style={styles2.FontAwesome}
-                                    className={classes.icon}
-                                  />
-                                </IconContext.Provider>
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl
-                              variant="filled"
-                              fullWidth
-                              className={
-                                this.state.searchValues.includeFacStaff ? null : styles.disabled
-                              }
-                              disabled={!this.state.searchValues.includeFacStaff}
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl
+                          variant="filled"
+                          fullWidth
+                          className={
+                            this.state.searchValues.includeFacStaff ? null : styles.disabled
+                          }
+                          disabled={!this.state.searchValues.includeFacStaff}
+                        >
+                          <InputLabel id="department-type-label">Dept.</InputLabel>
+                          <Select
+                            labelId="department-type-label"
+                            id="department-type"
+                            value={this.state.searchValues.department}
+                            onChange={this.handleDepartmentInputChange}
+                          >
+                            <MenuItem label="All Departments" value="">
+                              <em>All</em>
+                            </MenuItem>
+                            {departmentOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </Grid>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <IconContext.Provider
+                              value={{
+                                color: this.state.searchValues.includeFacStaff
+                                  ? theme.palette.text.secondary
+                                  : theme.palette.text.disabled,
+                              }}
                             >
-                              <InputLabel id="building-type">Building</InputLabel>
-                              <Select
-                                labelId="building-type"
-                                id="building-type"
-                                value={this.state.searchValues.building}
-                                onChange={this.handleBuildingInputChange}
-                              >
-                                <MenuItem label="All Buildings" value="">
-                                  <em>All</em>
-                                </MenuItem>
-                                {buildingOptions}
-                              </Select>
-                            </FormControl>
+                              <FaBuilding style={styles2.FontAwesome} className={classes.icon} />
+                            </IconContext.Provider>
                           </Grid>
-                        </Grid>
-                      </Collapse>
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl
+                          variant="filled"
+                          fullWidth
+                          className={
+                            this.state.searchValues.includeFacStaff ? null : styles.disabled
+                          }
+                          disabled={!this.state.searchValues.includeFacStaff}
+                        >
+                          <InputLabel id="building-type-label">Building</InputLabel>
+                          <Select
+                            labelId="building-type-label"
+                            id="building-type"
+                            value={this.state.searchValues.building}
+                            onChange={this.handleBuildingInputChange}
+                          >
+                            <MenuItem label="All Buildings" value="">
+                              <em>All</em>
+                            </MenuItem>
+                            {buildingOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
                     </Grid>
+                  </Collapse>
+                </Grid>
 
-                    {/* Advanced Search Filters: Everyone */}
-                    <Grid item xs={12} sm={4} spacing={3}>
-                      <Collapse
-                        in={this.state.advancedSearchExpanded}
-                        timeout="auto"
-                        unmountOnExit
-                        style={styles2.CardContent}
-                      >
-                        <br />
-                        <Typography align="center" gutterBottom>
-                          <InputLabel style={{ color: gordonColors.primary.blue }}>
-                            {' '}
-                            Everyone
-                          </InputLabel>
-                        </Typography>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <HomeIcon style={styles2.FontAwesome} className={classes.icon} />
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <TextField
-                              id="hometown"
-                              label="Hometown"
-                              type="search"
-                              fullWidth
-                              value={this.state.searchValues.homeCity}
-                              onChange={this.handleHomeCityInputChange}
-                              onKeyDown={this.handleEnterKeyPress}
-                              variant="filled"
-                            />
-                          </Grid>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <CityIcon style={styles2.FontAwesome} className={classes.icon} />
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl variant="filled" fullWidth>
-                              <InputLabel id="state">State</InputLabel>
-                              <Select
-                                labelId="state"
-                                id="state"
-                                value={this.state.searchValues.state}
-                                onChange={this.handleStateInputChange}
-                              >
-                                <MenuItem label="All States" value="">
-                                  <em>All</em>
-                                </MenuItem>
-                                {stateOptions}
-                              </Select>
-                            </FormControl>
-                          </Grid>
-                        </Grid>
-                        <Grid container spacing={2} alignItems="center">
-                          <Media
-                            query="(min-width: 600px)"
-                            render={() => (
-                              <Grid item xs="1" style={{ marginBottom: '-4px' }}>
-                                <FaGlobeAmericas
-                                  style={styles2.FontAwesome}
-                                  className={classes.icon}
-                                />
-                              </Grid>
-                            )}
-                          />
-                          <Grid item xs={11}>
-                            <FormControl variant="filled" fullWidth>
-                              <InputLabel id="country">Country</InputLabel>
-                              <Select
-                                labelId="country"
-                                id="country"
-                                value={this.state.searchValues.country}
-                                onChange={this.handleCountryInputChange}
-                              >
-                                <MenuItem label="All Countries" value="">
-                                  <em>All</em>
-                                </MenuItem>
-                                {countryOptions}
-                              </Select>
-                            </FormControl>
+                {/* Advanced Search Filters: Everyone */}
+                <Grid item xs={12} sm={4} spacing={3}>
+                  <Collapse
+                    in={this.state.advancedSearchExpanded}
+                    timeout="auto"
+                    unmountOnExit
+                    style={styles2.CardContent}
+                  >
+                    <br />
+                    <Typography align="center" gutterBottom>
+                      <InputLabel style={{ color: theme.palette.primary.main }}>
+                        {' '}
+                        Everyone
+                      </InputLabel>
+                    </Typography>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <HomeIcon style={styles2.FontAwesome} className={classes.icon} />
                           </Grid>
-                        </Grid>
-                      </Collapse>
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <TextField
+                          id="hometown"
+                          label="Hometown"
+                          type="search"
+                          fullWidth
+                          value={this.state.searchValues.homeCity}
+                          onChange={this.handleHomeCityInputChange}
+                          onKeyDown={this.handleEnterKeyPress}
+                          variant="filled"
+                        />
+                      </Grid>
                     </Grid>
-                  </Grid>
-                </CardContent>
-
-                <CardActions>
-                  <Grid container justifyContent="center" spacing={2}>
-                    {/* Reset Button */}
-                    <Grid item xs={8} sm={'auto'}>
-                      <Button
-                        style={{ backgroundColor: gordonColors.neutral.lightGray }}
-                        fullWidth
-                        variant="contained"
-                        onClick={() => {
-                          this.setState(
-                            {
-                              searchValues: {
-                                includeStudent: this.state.personType.includes('alum')
-                                  ? false
-                                  : true,
-                                includeFacStaff: true,
-                                includeAlumni: this.state.personType.includes('alum')
-                                  ? true
-                                  : false,
-                                firstName: '',
-                                lastName: '',
-                                major: '',
-                                minor: '',
-                                hall: '',
-                                classType: '',
-                                homeCity: '',
-                                state: '',
-                                country: '',
-                                department: '',
-                                building: '',
-                              },
-                              academicsExpanded: false,
-                              header: '',
-                              resultData: null,
-                              displayLargeImage: false,
-                            },
-                            () => this.updateURL(),
-                          );
-                        }}
-                      >
-                        RESET
-                      </Button>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <CityIcon style={styles2.FontAwesome} className={classes.icon} />
+                          </Grid>
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl variant="filled" fullWidth>
+                          <InputLabel id="state">State</InputLabel>
+                          <Select
+                            labelId="state"
+                            id="state"
+                            value={this.state.searchValues.state}
+                            onChange={this.handleStateInputChange}
+                          >
+                            <MenuItem label="All States" value="">
+                              <em>All</em>
+                            </MenuItem>
+                            {stateOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
                     </Grid>
-                    {/* Search Button */}
-                    <Grid item xs={8}>
-                      <Button
-                        color="primary"
-                        onClick={() => {
-                          this.search();
-                        }}
-                        fullWidth
-                        variant="contained"
-                        disabled={!this.canSearch()}
-                      >
-                        SEARCH
-                      </Button>
+                    <Grid container spacing={2} alignItems="center">
+                      <Media
+                        query="(min-width: 600px)"
+                        render={() => (
+                          <Grid item xs="1" style={{ marginBottom: '-4px' }}>
+                            <FaGlobeAmericas style={styles2.FontAwesome} className={classes.icon} />
+                          </Grid>
+                        )}
+                      />
+                      <Grid item xs={11}>
+                        <FormControl variant="filled" fullWidth>
+                          <InputLabel id="country">Country</InputLabel>
+                          <Select
+                            labelId="country"
+                            id="country"
+                            value={this.state.searchValues.country}
+                            onChange={this.handleCountryInputChange}
+                          >
+                            <MenuItem label="All Countries" value="">
+                              <em>All</em>
+                            </MenuItem>
+                            {countryOptions}
+                          </Select>
+                        </FormControl>
+                      </Grid>
                     </Grid>
-                  </Grid>
-                </CardActions>
-                <br />
-              </Card>
-              <br />
-              <Card ref={(el) => (this.componentRef = el)}>
-                {printPeopleSearchHeader}
-                {this.state.header}
-                {this.state.resultData}
-              </Card>
-              {this.state.personType && !this.state.personType.includes('stu') && (
-                <ReactToPrint
-                  trigger={() => {
-                    return printPeopleSearchButton;
-                  }}
-                  content={() => this.componentRef}
-                />
-              )}
-            </Grid>
-          </Grid>
-        );
-      } else {
-        return <GordonOffline feature="People Search" />;
-      }
+                  </Collapse>
+                </Grid>
+              </Grid>
+            </CardContent>
 
-      return PeopleSearch;
-    } else {
-      return <GordonUnauthorized feature={'People Search'} />;
-    }
+            <CardActions>
+              <Grid container justifyContent="center" spacing={2}>
+                {/* Reset Button */}
+                <Grid item xs={8} sm={'auto'}>
+                  <Button
+                    fullWidth
+                    variant="contained"
+                    onClick={() => {
+                      this.setState(
+                        {
+                          searchValues: {
+                            includeStudent: this.state.personType.includes('alum') ? false : true,
+                            includeFacStaff: true,
+                            includeAlumni: this.state.personType.includes('alum') ? true : false,
+                            firstName: '',
+                            lastName: '',
+                            major: '',
+                            minor: '',
+                            hall: '',
+                            classType: '',
+                            homeCity: '',
+                            state: '',
+                            country: '',
+                            department: '',
+                            building: '',
+                          },
+                          academicsExpanded: false,
+                          header: '',
+                          resultData: null,
+                          displayLargeImage: false,
+                        },
+                        () => this.updateURL(),
+                      );
+                    }}
+                  >
+                    RESET
+                  </Button>
+                </Grid>
+                {/* Search Button */}
+                <Grid item xs={8}>
+                  <Button
+                    color="primary"
+                    onClick={() => {
+                      this.search();
+                    }}
+                    fullWidth
+                    variant="contained"
+                    disabled={!this.canSearch()}
+                  >
+                    SEARCH
+                  </Button>
+                </Grid>
+              </Grid>
+            </CardActions>
+            <br />
+          </Card>
+          <br />
+          <Card ref={(el) => (this.componentRef = el)}>
+            {printPeopleSearchHeader}
+            {this.state.header}
+            {this.state.resultData}
+          </Card>
+          {this.state.personType && !this.state.personType.includes('stu') && (
+            <ReactToPrint
+              trigger={() => {
+                return printPeopleSearchButton;
+              }}
+              content={() => this.componentRef}
+            />
+          )}
+        </Grid>
+      </Grid>
+    );
   }
 }
 
-export default withStyles(styles2)(PeopleSearch);
+export default withStyles(themedStyles, { withTheme: true })(PeopleSearch);
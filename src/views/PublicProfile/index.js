@@ -1,19 +1,14 @@
 import React, { useEffect, useState } from 'react';
-import GordonUnauthorized from 'components/GordonUnauthorized';
-import GordonOffline from 'components/GordonOffline';
 import user from 'services/user';
 import GordonLoader from 'components/Loader';
 import { Redirect } from 'react-router';
 import { useParams } from 'react-router-dom';
-import useNetworkStatus from 'hooks/useNetworkStatus';
 import Profile from 'components/Profile';
 
-const PublicProfile = ({ authentication }) => {
+const PublicProfile = () => {
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState({});
   const [error, setError] = useState(null);
-  const isOnline = useNetworkStatus();
-  const network = isOnline ? 'online' : 'offline';
   const { username } = useParams();
 
   useEffect(() => {
@@ -27,28 +22,15 @@ const PublicProfile = ({ authentication }) => {
       }
     };
 
-    if (authentication) {
-      loadProfile();
-    } else {
-      setProfile(null);
-    }
-  }, [authentication, username]);
+    loadProfile();
+  }, [username]);
 
-  if (authentication) {
-    if (error && error.name === 'NotFoundError') {
-      return <Redirect to="/profilenotfound" />;
-    }
-    if (network === 'online') {
-      if (loading) {
-        return <GordonLoader />;
-      } else {
-        return <Profile profile={profile} myProf={false} />;
-      }
-    } else {
-      return <GordonOffline feature="Viewing a public profile" />;
-    }
+  if (error && error.name === 'NotFoundError') {
+    return <Redirect to="/profilenotfound" />;
+  } else if (loading) {
+    return <GordonLoader />;
   } else {
-    return <GordonUnauthorized feature={'this profile'} />;
+    return <Profile profile={profile} myProf={false} />;
   }
 };
 
@@ -18,12 +18,12 @@ import {
   DialogTitle,
 } from '@material-ui/core';
 import ShiftItem from '../ShiftItem';
-import { gordonColors } from 'theme';
+import { withTheme } from '@material-ui/core/styles';
 import jobs from 'services/jobs';
 import GordonLoader from 'components/Loader';
 import styles from './SavedShiftsList.module.css';
 
-export default class SavedShiftsList extends Component {
+class SavedShiftsList extends Component {
   constructor(props) {
     super(props);
     this.state = {
@@ -156,6 +156,7 @@ export default class SavedShiftsList extends Component {
 
   render() {
     let { cardTitle } = this.props;
+    const style = styles2(this.props.theme);
     let totalHoursWorked = this.props.shifts.reduce(this.getTotalHours, 0);
     let totalEstimatedPay = this.props.shifts.reduce(this.getEstimatedPay, 0).toFixed(2);
 
@@ -172,7 +173,7 @@ export default class SavedShiftsList extends Component {
             <DialogContent>
               <Grid container>
                 <Grid item xs={6} sm={6} md={6} lg={6}>
-                  <Button style={styles2.redButton} onClick={this.onClose} variant="contained">
+                  <Button style={style.redButton} onClick={this.onClose} variant="contained">
                     Cancel
                   </Button>
                 </Grid>
@@ -198,31 +199,31 @@ export default class SavedShiftsList extends Component {
     );
 
     let header = (
-      <Grid item xs={12} style={styles2.headerStyle}>
+      <Grid item xs={12} style={style.headerStyle}>
         <div>
           <Grid container direction="row">
             <Grid item xs={3}>
-              <Typography className="disable_select" variant="body2" style={styles2.headerItem}>
+              <Typography className="disable_select" variant="body2" style={style.headerItem}>
                 JOB
               </Typography>
             </Grid>
             <Grid item xs={2}>
-              <Typography className="disable_select" variant="body2" style={styles2.headerItem}>
+              <Typography className="disable_select" variant="body2" style={style.headerItem}>
                 IN
               </Typography>
             </Grid>
             <Grid item xs={2}>
-              <Typography className="disable_select" variant="body2" style={styles2.headerItem}>
+              <Typography className="disable_select" variant="body2" style={style.headerItem}>
                 OUT
               </Typography>
             </Grid>
             <Grid item xs={2}>
-              <Typography className="disable_select" variant="body2" style={styles2.headerItem}>
+              <Typography className="disable_select" variant="body2" style={style.headerItem}>
                 RATE
               </Typography>
             </Grid>
             <Grid item xs={2}>
-              <Typography className="disable_select" variant="body2" style={styles2.headerItem}>
+              <Typography className="disable_select" variant="body2" style={style.headerItem}>
                 HOURS
               </Typography>
             </Grid>
@@ -297,7 +298,7 @@ export default class SavedShiftsList extends Component {
                 justifyContent="space-around"
                 alignItems="center"
                 alignContent="center"
-                style={styles2.boxShadow}
+                style={style.boxShadow}
               >
                 {header}
                 {shiftsList}
@@ -350,14 +351,14 @@ export default class SavedShiftsList extends Component {
   }
 }
 
-const styles2 = {
+const styles2 = (theme) => ({
   redButton: {
-    background: gordonColors.secondary.red,
-    color: 'white',
+    background: theme.palette.error.main,
+    color: theme.palette.error.contrastText,
   },
   headerStyle: {
-    backgroundColor: gordonColors.primary.blue,
-    color: '#FFF',
+    backgroundColor: theme.palette.primary.main,
+    color: theme.palette.primary.contrastText,
     padding: '10px',
   },
   headerItem: {
@@ -367,4 +368,6 @@ const styles2 = {
   boxShadow: {
     boxShadow: '0px 1px 2px 1px rgba(0, 0, 0, .2)',
   },
-};
+});
+
+export default withTheme(SavedShiftsList);
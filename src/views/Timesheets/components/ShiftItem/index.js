@@ -11,10 +11,9 @@ import {
   Tooltip,
   DialogTitle,
 } from '@material-ui/core';
-import { withStyles } from '@material-ui/core/styles';
+import { withStyles, withTheme } from '@material-ui/core/styles';
 import DateFnsUtils from '@date-io/date-fns';
 import { MuiPickersUtilsProvider, DateTimePicker } from '@material-ui/pickers';
-import { gordonColors } from 'theme';
 import InfoOutlinedIcon from '@material-ui/icons/InfoOutlined';
 import MessageOutlinedIcon from '@material-ui/icons/MessageOutlined';
 import DeleteForeverOutlinedIcon from '@material-ui/icons/DeleteForeverOutlined';
@@ -24,6 +23,8 @@ import ClearOutlinedIcon from '@material-ui/icons/ClearOutlined';
 import styles from './ShiftItem.module.css';
 import GordonLoader from 'components/Loader';
 import SimpleSnackbar from 'components/Snackbar';
+import datetime from 'services/datetime';
+import { HttpError } from 'services/error';
 
 const CustomTooltip = withStyles((theme) => ({
   tooltip: {
@@ -48,7 +49,7 @@ const PickerInput = (props) => {
   );
 };
 
-export default class ShiftItem extends Component {
+class ShiftItem extends Component {
   constructor(props) {
     super(props);
     this.state = {
@@ -98,109 +99,12 @@ export default class ShiftItem extends Component {
     this.setState({ editing: !this.state.editing });
   };
 
-  isLeapYear = (date) => {
-    if (date.getFullYear() % 4 === 0) {
-      if (date.getFullYear() % 100 === 0) {
-        if (date.getFullYear() % 400 !== 0) {
-          return false;
-        }
-        if (date.getFullYear() % 400 === 0) {
-          return true;
-        }
-      }
-      if (date.getFullYear() % 100 !== 0) {
-        return true;
-      }
-    }
-    if (date.getFullYear() % 4 !== 0) {
-      return false;
-    }
-  };
-
-  getNextDate = (date) => {
-    let is30DayMonth =
-      date.getMonth() === 3 ||
-      date.getMonth() === 5 ||
-      date.getMonth() === 8 ||
-      date.getMonth() === 10;
-
-    let isFebruary = date.getMonth() === 1;
-    let isDecember = date.getMonth() === 11;
-    let nextDate;
-    let monthToReturn;
-    let yearToReturn;
-
-    if (isFebruary) {
-      if (this.isLeapYear(date)) {
-        if (date.getDate() === 29) {
-          nextDate = 1;
-          monthToReturn = 2;
-          yearToReturn = date.getFullYear();
-        } else {
-          nextDate = date.getDate() + 1;
-          monthToReturn = date.getMonth();
-          yearToReturn = date.getFullYear();
-        }
-      } else if (date.getDate() === 28) {
-        nextDate = 1;
-        monthToReturn = 2;
-        yearToReturn = date.getFullYear();
-      } else {
-        nextDate = date.getDate() + 1;
-        monthToReturn = date.getMonth();
-        yearToReturn = date.getFullYear();
-      }
-    } else if (isDecember) {
-      if (date.getDate() === 31) {
-        nextDate = 1;
-        monthToReturn = 0;
-        yearToReturn = date.getFullYear() + 1;
-      } else {
-        nextDate = date.getDate() + 1;
-        monthToReturn = date.getMonth();
-        yearToReturn = date.getFullYear();
-      }
-    } else if (is30DayMonth) {
-      if (date.getDate() === 30) {
-        nextDate = 1;
-        monthToReturn = (date.getMonth() + 1) % 12;
-        yearToReturn = date.getFullYear();
-      } else {
-        nextDate = date.getDate() + 1;
-        monthToReturn = date.getMonth();
-        yearToReturn = date.getFullYear();
-      }
-    } else if (!is30DayMonth) {
-      if (date.getDate() === 31) {
-        nextDate = 1;
-        monthToReturn = (date.getMonth() + 1) % 12;
-        yearToReturn = date.getFullYear();
-      } else {
-        nextDate = date.getDate() + 1;
-        monthToReturn = date.getMonth();
-        yearToReturn = date.getFullYear();
-      }
-    }
-
-    return {
-      date: nextDate,
-      month: monthToReturn,
-      year: yearToReturn,
-    };
-  };
-
+  // Shifts may only end on the day they start or the next day
   disableDisallowedDays = (date) => {
     let dayIn = this.state.newDateTimeIn;
-    let nextDate = this.getNextDate(dayIn);
-    let shouldDisableDate = !(
-      (date.getDate() === dayIn.getDate() &&
-        date.getMonth() === dayIn.getMonth() &&
-        date.getYear() === dayIn.getYear()) ||
-      (date.getDate() === nextDate.date &&
-        date.getMonth() === nextDate.month &&
-        date.getFullYear() === nextDate.year)
+    return (
+      !datetime.isSameDay(date, dayIn) && !datetime.isSameDay(date, datetime.addDays(dayIn, 1))
     );
-    return shouldDisableDate;
   };
 
   checkForError = () => {
@@ -299,7 +203,7 @@ export default class ShiftItem extends Component {
         })
         .catch((error) => {
           this.setState({ updating: false });
-          if (typeof error === 'string' && error.toLowerCase().includes('overlap')) {
+          if (error instanceof HttpError && error.message.toLowerCase().includes('overlap')) {
             this.snackbarSeverity = 'warning';
             this.snackbarText =
               'You have already entered hours that fall within this time frame. Please review the times you entered above and try again.';
@@ -314,7 +218,11 @@ export default class ShiftItem extends Component {
 
   render() {
     const shift = this.props.value;
-    const { deleteShift } = this.props;
+    const { deleteShift, theme } = this.props;
+    const redButton = {
+      background: theme.palette.error.main,
+      color: theme.palette.error.contrastText,
+    };
     const {
       ID,
       EML_DESCRIPTION,
@@ -400,7 +308,7 @@ export default class ShiftItem extends Component {
                       });
                       this.onClose();
                     }}
-                    style={styles2.redButton}
+                    style={redButton}
                   >
                     Yes
                   </Button>
@@ -419,7 +327,7 @@ export default class ShiftItem extends Component {
     );
     let deleteButton = (
       <IconButton onClick={this.handleDeleteButtonClick}>
-        <DeleteForeverOutlinedIcon style={{ color: gordonColors.secondary.red }} />
+        <DeleteForeverOutlinedIcon color="error" />
       </IconButton>
     );
     if (this.state.deleting) {
@@ -445,7 +353,7 @@ export default class ShiftItem extends Component {
             </Grid>
             <Grid item xs={12} md={6}>
               <IconButton onClick={this.toggleEditing}>
-                <ClearOutlinedIcon style={{ color: gordonColors.secondary.red }} />
+                <ClearOutlinedIcon color="error" />
               </IconButton>
             </Grid>
           </Grid>
@@ -458,8 +366,8 @@ export default class ShiftItem extends Component {
                 onClick={() => {
                   this.setState({
                     editing: !this.state.editing,
-                    newDateTimeIn: new Date(SHIFT_START_DATETIME),
-                    newDateTimeOut: new Date(SHIFT_END_DATETIME),
+                    newDateTimeIn: datetime.parse(SHIFT_START_DATETIME),
+                    newDateTimeOut: datetime.parse(SHIFT_END_DATETIME),
                     newHoursWorked: HOURS_WORKED.toFixed(2),
                   });
                 }}
@@ -519,7 +427,7 @@ export default class ShiftItem extends Component {
       errorText === '' ? (
         <Typography variant="body2">{EML_DESCRIPTION}</Typography>
       ) : (
-        <Typography style={{ color: gordonColors.secondary.red }} variant="body2">
+        <Typography color="error" variant="body2">
           {errorText}
         </Typography>
       );
@@ -580,9 +488,4 @@ export default class ShiftItem extends Component {
   }
 }
 
-const styles2 = {
-  redButton: {
-    background: gordonColors.secondary.red,
-    color: 'white',
-  },
-};
+export default withTheme(ShiftItem);
@@ -3,12 +3,14 @@ import { Button, Card, CardContent, CardHeader, Grid, Typography } from '@materi
 import { Check, Remove, Clear } from '@material-ui/icons';
 import { StatusColors } from 'services/wellness';
 import SymptomsDialog from 'components/SymptomsDialog';
+import useLocale from 'hooks/useLocale';
 import styles from './HealthStatus.module.css';
 
 const HealthStatus = ({ currentStatus, setCurrentStatus, username, image }) => {
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [time, setTime] = useState(null);
   const [iconSize, setIconSize] = useState(0);
+  const { t, formatDateTime } = useLocale();
 
   useEffect(() => {
     tick();
@@ -24,15 +26,7 @@ const HealthStatus = ({ currentStatus, setCurrentStatus, username, image }) => {
   }, []);
 
   const tick = () => {
-    setTime(
-      new Date().toLocaleString([], {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-      }),
-    );
+    setTime(new Date());
   };
 
   const resizeIcon = () => {
@@ -72,23 +66,25 @@ const HealthStatus = ({ currentStatus, setCurrentStatus, username, image }) => {
             {/* START */}
             {currentStatus === StatusColors.RED && (
               <Typography variant="h5">
-                Students must fill out{' '}
-                <a
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  href="https://forms.office.com/r/BFdQwaTBR1"
-                  className={styles.rtc_link}
-                >
-                  the Post-Easter Break Return to Campus form
-                </a>{' '}
-                before checking in.
+                {t('wellness.returnToCampus', {
+                  form: (
+                    <a
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      href="https://forms.office.com/r/BFdQwaTBR1"
+                      className={styles.rtc_link}
+                    >
+                      {t('wellness.returnToCampusForm')}
+                    </a>
+                  ),
+                })}
               </Typography>
             )}
             {/* END */}
             <Grid className={styles.wellness_status}>
               <Card className={styles[currentStatus]}>
                 <CardContent className={styles.status_box}>
-                  <div className={styles.status_time}>{time}</div>
+                  <div className={styles.status_time}>{time && formatDateTime(time)}</div>
 
                   <div className={styles.status_animation}>{animatedIcon}</div>
                 </CardContent>
@@ -96,7 +92,7 @@ const HealthStatus = ({ currentStatus, setCurrentStatus, username, image }) => {
               <br />
               {currentStatus === StatusColors.GREEN && (
                 <Button variant="contained" onClick={() => setIsDialogOpen(true)}>
-                  Report Symptoms
+                  {t('wellness.reportSymptoms')}
                 </Button>
               )}
               <SymptomsDialog
@@ -106,7 +102,7 @@ const HealthStatus = ({ currentStatus, setCurrentStatus, username, image }) => {
               />
             </Grid>
           </CardContent>
-          <div className={styles.wellness_header}>Questions? Health Center: (978) 867-4300 </div>
+          <div className={styles.wellness_header}>{t('wellness.healthCenterQuestions')}</div>
         </Card>
       </Grid>
     </Grid>
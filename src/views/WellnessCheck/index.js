@@ -3,25 +3,19 @@ import React, { useState, useEffect } from 'react';
 import GordonLoader from 'components/Loader';
 import WellnessQuestion from 'components/WellnessQuestion';
 import HealthStatus from './components/HealthStatus';
-import Login from 'components/LoginDialogue';
+import useAuth from 'hooks/useAuth';
 import wellness from 'services/wellness';
 import user from 'services/user';
 
-const WellnessCheck = ({ authentication, onLogIn }) => {
+const WellnessCheck = () => {
+  const { loading: loadingUser, profile } = useAuth();
   const [loading, setLoading] = useState(true);
-  const [isAuthenticated, setIsAuthenticated] = useState(authentication);
   const [currentStatus, setCurrentStatus] = useState(null);
-  const [username, setUsername] = useState(null);
   const [image, setImage] = useState(null);
 
   useEffect(() => {
-    if (authentication) {
-      loadPage();
-      setIsAuthenticated(true);
-    } else {
-      setIsAuthenticated(false);
-    }
-  }, [authentication, currentStatus]);
+    loadPage();
+  }, [currentStatus]);
 
   const loadPage = async () => {
     setLoading(true);
@@ -30,24 +24,15 @@ const WellnessCheck = ({ authentication, onLogIn }) => {
 
     if (status && status.IsValid) {
       setCurrentStatus(status.Status);
-      const [{ FirstName, LastName }, { def: defaultImage, pref: preferredImage }] =
-        await Promise.all([user.getProfileInfo(), user.getImage()]);
-
-      setUsername(`${FirstName} ${LastName}`);
+      const { def: defaultImage, pref: preferredImage } = await user.getImage();
       setImage(preferredImage ?? defaultImage);
     }
 
     setLoading(false);
   };
 
-  if (loading) {
+  if (loading || loadingUser) {
     return <GordonLoader />;
-  } else if (!isAuthenticated) {
-    return (
-      <div>
-        <Login onLogIn={onLogIn} />
-      </div>
-    );
   } else if (currentStatus === null) {
     return <WellnessQuestion setStatus={setCurrentStatus} />;
   } else {
@@ -55,7 +40,7 @@ const WellnessCheck = ({ authentication, onLogIn }) => {
       <HealthStatus
         currentStatus={currentStatus}
         setCurrentStatus={setCurrentStatus}
-        username={username}
+        username={profile && `${profile.FirstName} ${profile.LastName}`}
         image={image}
       />
     );